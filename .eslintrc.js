@@ -14,7 +14,7 @@ module.exports = {
     },
     rules: {
         // 代码风格
-        'indent': ['error', 4],
+        'indent': ['error', 4, { 'SwitchCase': 1 }],
         'linebreak-style': ['error', process.platform === 'win32' ? 'windows' : 'unix'],
         'quotes': ['error', 'single'],
         'semi': ['error', 'always'],
@@ -62,6 +62,13 @@ module.exports = {
         'Buffer': 'readonly'
     },
     overrides: [
+        {
+            // 规则处理器和规则配置弹窗沿用两格缩进
+            files: ['src/js/core/ruleProcessor.js', 'src/js/ui/ruleConfigModal.js'],
+            rules: {
+                'indent': ['error', 2, { 'SwitchCase': 1 }]
+            }
+        },
         {
             // 主进程文件
             files: ['src/main/**/*.js'],
@@ -78,7 +85,32 @@ module.exports = {
                 node: false
             },
             globals: {
-                'electronAPI': 'readonly'
+                'electronAPI': 'readonly',
+                // index.html以script标签加载的库和组件
+                'Arrow': 'readonly',
+                'ArrowTransferReceiver': 'readonly',
+                'BatchProcessor': 'readonly',
+                'BatchImportDialog': 'readonly'
+            }
+        },
+        {
+            // 网页版文件，第三方库由index.html以script标签加载为全局变量
+            files: ['src/js/**/*.js'],
+            globals: {
+                'XLSX': 'readonly',
+                'aq': 'readonly',
+                'CsvParser': 'readonly',
+                'EncodingDetector': 'readonly',
+                'JsonFlattener': 'readonly',
+                'FixedWidthParser': 'readonly',
+                'ValueParser': 'readonly'
+            }
+        },
+        {
+            // 共享模块在网页版中以全局变量互相引用，Node中改用require
+            files: ['src/shared/**/*.js'],
+            globals: {
+                'ValueParser': 'readonly'
             }
         },
         {
@@ -0,0 +1,7 @@
+/**
+ * Babel配置 - 仅供Jest使用：把网页版 src/js 中的ES模块转换为CommonJS后测试，CommonJS文件不做改动
+ */
+module.exports = {
+    sourceType: 'unambiguous',
+    plugins: ['@babel/plugin-transform-modules-commonjs']
+};
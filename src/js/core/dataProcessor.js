@@ -245,6 +245,76 @@ export class DataProcessor {
         }
     }
 
+    /**
+     * 应用透视操作（长表转宽表）
+     * @param {Object} table - Arquero表对象
+     * @param {Object} config - 透视配置 {rows, columns, values, aggregate}
+     * @returns {Object} 透视后的表对象
+     */
+    applyPivot(table, config) {
+        const { rows = [], columns, values, aggregate = 'sum' } = config;
+
+        if (!columns || !values) {
+            throw new Error('透视列和值列不能为空');
+        }
+
+        // 数值聚合前先将值列转换为数值，无法转换的视为空值
+        if (['sum', 'avg', 'min', 'max'].includes(aggregate)) {
+            table = table.derive({
+                [values]: aq.escape(d => {
+                    const value = d[values];
+                    if (value === null || value === undefined || value === '') return null;
+                    const number = Number(value);
+                    return Number.isFinite(number) ? number : null;
+                })
+            });
+        }
+
+        let valueExpr;
+        switch (aggregate) {
+            case 'sum':
+                valueExpr = aq.op.sum(values);
+                break;
+            case 'count':
+                valueExpr = aq.op.valid(values);
+                break;
+            case 'avg':
+                valueExpr = aq.op.average(values);
+                break;
+            case 'min':
+                valueExpr = aq.op.min(values);
+                break;
+            case 'max':
+                valueExpr = aq.op.max(values);
+                break;
+            case 'first':
+                valueExpr = aq.op.any(values);
+                break;
+            default:
+                throw new Error(`不支持的聚合函数: ${aggregate}`);
+        }
+
+        const grouped = rows.length > 0 ? table.groupby(rows) : table;
+        const pivoted = grouped.pivot(columns, { [values]: valueExpr });
+        return rows.length > 0 ? pivoted.orderby(rows) : pivoted;
+    }
+
+    /**
+     * 应用逆透视操作（宽表转长表）
+     * @param {Object} table - Arquero表对象
+     * @param {Object} config - 逆透视配置 {columns, keyName, valueName}
+     * @returns {Object} 逆透视后的表对象
+     */
+    applyUnpivot(table, config) {
+        const { columns, keyName = '字段', valueName = '值' } = config;
+
+        if (!columns || columns.length === 0) {
+            throw new Error('逆透视列不能为空');
+        }
+
+        return table.fold(columns, { as: [keyName, valueName] });
+    }
+
     /**
      * 数据去重
      * @param {Array} data - 原始数据
@@ -1,6 +1,6 @@
 /**
  * 文件导出器
- * 支持Excel和CSV格式的数据导出
+ * 支持Excel、CSV和Parquet格式的数据导出
  */
 
 import formatter from '../utils/formatter.js';
@@ -158,6 +158,90 @@ class Exporter {
         }
     }
 
+    /**
+     * 导出数据为Parquet文件（由桌面版数据引擎写出）
+     * @param {Array} data - 要导出的数据数组
+     * @param {Object} options - 导出选项 { filename, compression, rowGroupSize }
+     * @returns {Promise<Object>} 导出结果
+     */
+    async exportToParquet(data, options = {}) {
+        try {
+            if (!window.electronAPI || !window.electronAPI.exportParquet) {
+                throw new Error('当前环境不支持Parquet导出，请使用桌面版');
+            }
+
+            if (!data || !Array.isArray(data) || data.length === 0) {
+                throw new Error('没有可导出的数据');
+            }
+
+            logger.info('开始导出Parquet文件', {
+                rows: data.length,
+                filename: options.filename,
+                compression: options.compression
+            });
+
+            const result = await window.electronAPI.exportParquet(data, {
+                defaultName: options.filename || this._generateFilename('data', 'parquet'),
+                compression: options.compression,
+                rowGroupSize: options.rowGroupSize
+            });
+
+            if (result.canceled) {
+                logger.info('用户取消了Parquet文件保存操作');
+                return { success: false, cancelled: true };
+            }
+
+            logger.info('Parquet文件导出成功', { filePath: result.filePath });
+            return { success: true, filename: result.filePath };
+
+        } catch (error) {
+            logger.error('Parquet导出失败', error);
+            throw new Error(`Parquet导出失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出到SQLite数据库中的表（需要桌面版）
+     * @param {Array} data - 要导出的数据
+     * @param {Object} options - { filename: 默认文件名, targetTable: 目标表名, mode: create | append | replace }
+     * @returns {Promise<Object>} 导出结果
+     */
+    async exportToSqlite(data, options = {}) {
+        try {
+            if (!window.electronAPI || !window.electronAPI.exportSqlite) {
+                throw new Error('当前环境不支持SQLite导出，请使用桌面版');
+            }
+
+            if (!data || !Array.isArray(data) || data.length === 0) {
+                throw new Error('没有可导出的数据');
+            }
+
+            logger.info('开始导出到SQLite数据库', {
+                rows: data.length,
+                table: options.targetTable,
+                mode: options.mode
+            });
+
+            const result = await window.electronAPI.exportSqlite(data, {
+                defaultName: options.filename || this._generateFilename('data', 'db'),
+                targetTable: options.targetTable,
+                mode: options.mode
+            });
+
+            if (result.canceled) {
+                logger.info('用户取消了SQLite数据库保存操作');
+                return { success: false, cancelled: true };
+            }
+
+            logger.info('SQLite导出成功', { filePath: result.filePath, table: result.tableName, rows: result.rows });
+            return { success: true, filename: result.filePath, tableName: result.tableName, rows: result.rows };
+
+        } catch (error) {
+            logger.error('SQLite导出失败', error);
+            throw new Error(`SQLite导出失败: ${error.message}`);
+        }
+    }
+
     /**
      * 批量导出多个数据集为多个工作表的Excel文件
      * @param {Array} datasets - 数据集数组 [{data: [], name: '', options: {}}]
@@ -531,7 +615,8 @@ class Exporter {
     getSupportedFormats() {
         return [
             { value: 'xlsx', label: 'Excel文件 (.xlsx)', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
-            { value: 'csv', label: 'CSV文件 (.csv)', mimeType: 'text/csv' }
+            { value: 'csv', label: 'CSV文件 (.csv)', mimeType: 'text/csv' },
+            { value: 'parquet', label: 'Parquet文件 (.parquet)', mimeType: 'application/vnd.apache.parquet' }
         ];
     }
 
@@ -541,7 +626,7 @@ class Exporter {
      * @returns {boolean} 是否支持
      */
     isFormatSupported(format) {
-        const supportedFormats = ['xlsx', 'xls', 'csv'];
+        const supportedFormats = ['xlsx', 'xls', 'csv', 'parquet'];
         return supportedFormats.includes(format.toLowerCase());
     }
 
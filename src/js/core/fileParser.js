@@ -1,12 +1,13 @@
 /**
  * RuleXcel - 文件解析器
- * 负责解析Excel(.xlsx, .xls)和CSV文件
- * 使用SheetJS库进行文件解析
+ * 负责解析Excel(.xlsx, .xls, .xlsb, .ods)、CSV/TSV、JSON/JSON Lines和定宽文本文件，Parquet和SQLite数据库由桌面版数据引擎读取
+ * 使用SheetJS库解析表格文件
  * @author RuleXcel
  */
 
 import validator from '../utils/validator.js';
 import logger from '../utils/logger.js';
+import { splitHeaderRows, detectHeaderLayout } from './headerLayout.js';
 
 export class FileParser {
     constructor() {
@@ -17,10 +18,49 @@ export class FileParser {
         this.supportedTypes = {
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
             'application/vnd.ms-excel': 'xls',
+            'application/vnd.ms-excel.sheet.binary.macroEnabled.12': 'xlsb',
+            'application/vnd.oasis.opendocument.spreadsheet': 'ods',
             'text/csv': 'csv',
-            'application/csv': 'csv'
+            'application/csv': 'csv',
+            'text/tab-separated-values': 'tsv',
+            'application/json': 'json',
+            'application/x-ndjson': 'jsonl',
+            'application/vnd.apache.parquet': 'parquet',
+            'application/vnd.sqlite3': 'sqlite',
+            'application/x-sqlite3': 'sqlite'
         };
+
+        // 扩展名对应的文件类型，MIME类型无法判断时使用（.txt/.prn 按定宽文本处理）
+        this.extensionTypes = {
+            xlsx: 'xlsx',
+            xls: 'xls',
+            xlsb: 'xlsb',
+            ods: 'ods',
+            csv: 'csv',
+            tsv: 'tsv',
+            json: 'json',
+            jsonl: 'jsonl',
+            ndjson: 'jsonl',
+            txt: 'fixed-width',
+            prn: 'fixed-width',
+            parquet: 'parquet',
+            db: 'sqlite',
+            sqlite: 'sqlite',
+            sqlite3: 'sqlite'
+        };
+
+        // 由SheetJS按工作簿读取的类型
+        this.spreadsheetTypes = ['xlsx', 'xls', 'xlsb', 'ods'];
         
+        // 由桌面版数据引擎按路径读取的类型，不受文件大小限制
+        this.engineTypes = ['parquet', 'sqlite'];
+
+        // Parquet预览最多加载的行数（完整数据可在SQL控制台中通过read_parquet查询）
+        this.maxParquetRows = 100000;
+
+        // 导入前选择表头时预览的行数
+        this.previewRows = 20;
+
         // 文件大小限制 (10MB)
         this.maxFileSize = 10 * 1024 * 1024;
         
@@ -36,12 +76,37 @@ export class FileParser {
             throw new Error('XLSX库未加载，请确保已正确引入libs/xlsx.min.js');
         }
         
+        if (typeof CsvParser === 'undefined') {
+            throw new Error('CSV解析器未加载，请确保已正确引入src/shared/csvParser.js');
+        }
+
+        if (typeof EncodingDetector === 'undefined') {
+            throw new Error('编码检测未加载，请确保已正确引入src/shared/encodingDetector.js');
+        }
+
+        if (typeof JsonFlattener === 'undefined') {
+            throw new Error('JSON展平工具未加载，请确保已正确引入src/shared/jsonFlattener.js');
+        }
+
+        if (typeof FixedWidthParser === 'undefined') {
+            throw new Error('定宽文本解析器未加载，请确保已正确引入src/shared/fixedWidthParser.js');
+        }
+
+        if (typeof ValueParser === 'undefined') {
+            throw new Error('值解析器未加载，请确保已正确引入src/shared/valueParser.js');
+        }
+
         if (typeof aq === 'undefined') {
             console.warn('Arquero库未加载，部分功能可能受限');
         }
         
         this.logger.debug('依赖库检查完成', {
             XLSX: typeof XLSX !== 'undefined',
+            CsvParser: typeof CsvParser !== 'undefined',
+            EncodingDetector: typeof EncodingDetector !== 'undefined',
+            JsonFlattener: typeof JsonFlattener !== 'undefined',
+            FixedWidthParser: typeof FixedWidthParser !== 'undefined',
+            ValueParser: typeof ValueParser !== 'undefined',
             Arquero: typeof aq !== 'undefined'
         });
     }
@@ -49,16 +114,18 @@ export class FileParser {
     /**
      * 解析文件
      * @param {File} file - 要解析的文件
-     * @returns {Promise<Array>} 解析后的数据数组
+     * @param {Object} options - { csvDialect: CSV/TSV编码和格式 { encoding, delimiter, quote, hasHeader }，省略时自动检测,
+     *                            header: 表头选项 { headerRow, headerRows }，见 headerLayout.normalizeHeaderOptions,
+     *                            expandMerges: 是否把Excel合并单元格的值填入合并范围内的每个单元格,
+     *                            json: JSON选项 { recordPath, expandArrays }，见 JsonFlattener.parse,
+     *                            fixedWidth: 定宽文本选项 { encoding, boundaries, hasHeader } }
+     * @returns {Promise<Array>} 解析后的数据数组，展开了合并单元格时带有 mergedRanges 属性
      */
-    async parseFile(file) {
+    async parseFile(file, options = {}) {
         try {
             // 验证文件
             this.validateFile(file);
             
-            // 读取文件
-            const arrayBuffer = await this.readFileAsArrayBuffer(file);
-            
             // 根据文件类型解析
             const fileType = this.getFileType(file);
             let data;
@@ -66,10 +133,33 @@ export class FileParser {
             switch (fileType) {
                 case 'xlsx':
                 case 'xls':
-                    data = this.parseExcelFile(arrayBuffer);
+                case 'xlsb':
+                case 'ods':
+                    data = this.parseExcelFile(await this.readFileAsArrayBuffer(file), options.header, options.expandMerges);
                     break;
                 case 'csv':
-                    data = this.parseCsvFile(arrayBuffer);
+                    data = this.parseCsvFile(await this.readFileAsArrayBuffer(file), options.csvDialect, options.header);
+                    break;
+                case 'tsv':
+                    data = this.parseCsvFile(await this.readFileAsArrayBuffer(file), { delimiter: '\t', ...options.csvDialect }, options.header);
+                    break;
+                case 'json':
+                case 'jsonl':
+                    data = this.parseJsonFile(await this.readFileAsArrayBuffer(file), {
+                        ...options.json,
+                        format: fileType === 'jsonl' ? 'jsonl' : null
+                    });
+                    break;
+                case 'fixed-width':
+                    data = this.parseFixedWidthFile(await this.readFileAsArrayBuffer(file), options.fixedWidth);
+                    break;
+                case 'parquet':
+                    // Parquet由桌面版数据引擎按路径读取，不读入内存
+                    data = await this.parseParquetFile(file);
+                    break;
+                case 'sqlite':
+                    // SQLite数据库由桌面版分块导入数据引擎，只返回前面的行用于预览
+                    data = await this.parseSqliteFile(file, options.sqlite);
                     break;
                 default:
                     throw new Error(`不支持的文件类型: ${file.type}`);
@@ -102,8 +192,8 @@ export class FileParser {
             throw new Error('文件不能为空');
         }
 
-        // 检查文件大小
-        if (file.size > this.maxFileSize) {
+        // 检查文件大小（Parquet和SQLite数据库由数据引擎读取，不受此限制）
+        if (file.size > this.maxFileSize && !this.engineTypes.includes(this.extensionTypes[this.getFileExtension(file.name)])) {
             throw new Error(`文件大小超过限制 (${this.maxFileSize / 1024 / 1024}MB)`);
         }
 
@@ -115,7 +205,7 @@ export class FileParser {
 
         // 检查文件扩展名
         const extension = this.getFileExtension(file.name);
-        if (!['xlsx', 'xls', 'csv'].includes(extension)) {
+        if (!this.extensionTypes[extension]) {
             throw new Error(`不支持的文件扩展名: .${extension}`);
         }
     }
@@ -133,11 +223,7 @@ export class FileParser {
         
         // fallback到文件扩展名判断
         const extension = this.getFileExtension(file.name);
-        if (['xlsx', 'xls', 'csv'].includes(extension)) {
-            return extension;
-        }
-        
-        return null;
+        return this.extensionTypes[extension] || null;
     }
 
     /**
@@ -173,80 +259,223 @@ export class FileParser {
     /**
      * 解析Excel文件
      * @param {ArrayBuffer} arrayBuffer - 文件数据
-     * @returns {Array} 解析后的数据
+     * @param {Object} header - 表头选项，省略时第一行为表头
+     * @param {boolean} expandMerges - 是否展开合并单元格，否则只有合并范围左上角的单元格有值
+     * @returns {Array} 解析后的数据，展开时 mergedRanges 属性为展开的合并范围
      */
-    parseExcelFile(arrayBuffer) {
+    parseExcelFile(arrayBuffer, header = {}, expandMerges = false) {
         try {
-            // 使用最保守的解析方式，完全避免任何自动转换
-            const workbook = XLSX.read(arrayBuffer, { 
-                type: 'array',
-                cellDates: false,    // 禁用自动日期转换
-                cellNF: false,      // 禁用数字格式化
-                cellText: true,     // 强制文本模式
-                raw: false,         // 禁用原始值
-                dateNF: '@',        // 强制日期为文本
-                cellStyles: false,  // 禁用样式解析
-                sheetStubs: true    // 包含空单元格
-            });
-            
-            // 获取第一个工作表
-            const sheetName = workbook.SheetNames[0];
-            if (!sheetName) {
-                throw new Error('Excel文件中没有找到工作表');
-            }
-            
-            const worksheet = workbook.Sheets[sheetName];
-            
-            // 使用最原始的CSV转换方式
-            const csvData = XLSX.utils.sheet_to_csv(worksheet, { FS: '\t' });
-            const rawData = this.parseCSVText(csvData);
+            const { rows, merges, origin } = this.readExcelRows(arrayBuffer);
+            const mergedRanges = expandMerges ? this.expandMergedCells(rows, merges, origin) : [];
             
             // 完全不处理数据格式，直接返回
-            return this.processRawDataWithoutFormatting(rawData);
+            const data = this.processRawDataWithoutFormatting(rows, header, merges);
+            if (expandMerges) {
+                data.mergedRanges = mergedRanges;
+                if (mergedRanges.length > 0) {
+                    this.logger.info(`展开了 ${mergedRanges.length} 个合并单元格`, {
+                        范围: mergedRanges.map(({ range }) => range).join(', ')
+                    });
+                }
+            }
+            return data;
             
         } catch (error) {
             throw new Error(`Excel文件解析失败: ${error.message}`);
         }
     }
 
+    /**
+     * 读取Excel文件开头的原始行，用于导入前选择表头
+     * @param {File} file - 文件对象
+     * @returns {Promise<Object>} { rows: 开头的行, merges: 合并单元格, layout: 推测的表头选项 }
+     */
+    async previewExcelFile(file) {
+        const { rows, merges } = this.readExcelRows(await this.readFileAsArrayBuffer(file));
+        return {
+            rows: rows.slice(0, this.previewRows),
+            merges: merges.filter(({ s }) => s.r < this.previewRows),
+            layout: detectHeaderLayout(rows, merges)
+        };
+    }
+
+    /**
+     * 读取Excel第一个工作表的原始行
+     * @param {ArrayBuffer} arrayBuffer - 文件数据
+     * @returns {Object} { rows, merges: 合并单元格 [{ s: { r, c }, e: { r, c } }]，行列号相对于 rows,
+     *                     origin: rows 第一行第一列在工作表中的位置 { r, c } }
+     */
+    readExcelRows(arrayBuffer) {
+        // 使用最保守的解析方式，完全避免任何自动转换
+        const workbook = XLSX.read(arrayBuffer, {
+            type: 'array',
+            cellDates: false,    // 禁用自动日期转换
+            cellNF: false,      // 禁用数字格式化
+            cellText: true,     // 强制文本模式
+            raw: false,         // 禁用原始值
+            dateNF: '@',        // 强制日期为文本
+            cellStyles: false,  // 禁用样式解析
+            sheetStubs: true    // 包含空单元格
+        });
+
+        // 获取第一个工作表
+        const sheetName = workbook.SheetNames[0];
+        if (!sheetName) {
+            throw new Error('Excel文件中没有找到工作表');
+        }
+
+        const worksheet = workbook.Sheets[sheetName];
+
+        // 使用最原始的CSV转换方式
+        const csvData = XLSX.utils.sheet_to_csv(worksheet, { FS: '\t' });
+        const rows = this.parseCSVText(csvData);
+
+        // sheet_to_csv 从工作表范围的左上角开始输出，合并单元格的行列号换算为相对位置
+        const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+        const merges = (worksheet['!merges'] || []).map(({ s, e }) => ({
+            s: { r: s.r - range.s.r, c: s.c - range.s.c },
+            e: { r: e.r - range.s.r, c: e.c - range.s.c }
+        }));
+
+        return { rows, merges, origin: range.s };
+    }
+
+    /**
+     * 把合并单元格左上角的值填入合并范围内的每个单元格，值为空的合并范围不处理
+     * @param {Array<Array>} rows - 原始行，直接修改
+     * @param {Array<Object>} merges - 合并单元格，行列号相对于 rows
+     * @param {Object} origin - rows 在工作表中的起始位置，用于报告单元格地址
+     * @returns {Array<Object>} 展开的合并范围 [{ range: 如 "A3:A6", value, cells: 填充的单元格数 }]
+     */
+    expandMergedCells(rows, merges, origin = { r: 0, c: 0 }) {
+        const expanded = [];
+
+        merges.forEach(({ s, e }) => {
+            const value = rows[s.r]?.[s.c];
+            if (value === undefined || value === null || String(value).trim() === '') {
+                return;
+            }
+
+            let cells = 0;
+            for (let r = s.r; r <= e.r && r < rows.length; r++) {
+                for (let c = s.c; c <= e.c; c++) {
+                    if (r === s.r && c === s.c) {
+                        continue;
+                    }
+                    // 行可能比合并范围短
+                    while (rows[r].length < c) {
+                        rows[r].push('');
+                    }
+                    rows[r][c] = value;
+                    cells++;
+                }
+            }
+
+            if (cells > 0) {
+                expanded.push({
+                    range: XLSX.utils.encode_range({
+                        s: { r: s.r + origin.r, c: s.c + origin.c },
+                        e: { r: e.r + origin.r, c: e.c + origin.c }
+                    }),
+                    value,
+                    cells
+                });
+            }
+        });
+
+        return expanded;
+    }
+
+    /**
+     * 解析Parquet文件（需要桌面版数据引擎）
+     * @param {File} file - 文件对象
+     * @returns {Promise<Array>} 解析后的数据
+     */
+    async parseParquetFile(file) {
+        if (!window.electronAPI || !window.electronAPI.readParquet || !file.path) {
+            throw new Error('Parquet文件需要在桌面版中打开');
+        }
+
+        try {
+            const result = await window.electronAPI.readParquet(file.path, { limit: this.maxParquetRows });
+
+            if (result.totalRows > result.rowCount) {
+                this.logger.warn(`Parquet文件共 ${result.totalRows} 行，预览仅加载前 ${result.rowCount} 行`, {
+                    文件: file.name
+                });
+            }
+
+            return result.data;
+
+        } catch (error) {
+            throw new Error(`Parquet文件解析失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导入SQLite数据库中的表或查询结果（需要桌面版数据引擎）
+     * 全部行写入数据引擎中的表（可在SQL控制台中查询），返回前面的行用于预览
+     * @param {File} file - 文件对象
+     * @param {Object} source - { table } 或 { sql }
+     * @returns {Promise<Array>} 解析后的数据，附带 sqliteTable: 数据引擎中的表名
+     */
+    async parseSqliteFile(file, source) {
+        if (!window.electronAPI || !window.electronAPI.importSqlite || !file.path) {
+            throw new Error('SQLite数据库需要在桌面版中打开');
+        }
+        if (!source) {
+            throw new Error('请选择要导入的表或输入SELECT语句');
+        }
+
+        try {
+            const result = await window.electronAPI.importSqlite(file.path, { ...source, limit: this.maxParquetRows });
+
+            if (result.totalRows > result.rowCount) {
+                this.logger.warn(`共导入 ${result.totalRows} 行，预览仅加载前 ${result.rowCount} 行`, {
+                    文件: file.name,
+                    数据引擎表: result.tableName
+                });
+            }
+
+            const data = result.data;
+            data.sqliteTable = result.tableName;
+            return data;
+
+        } catch (error) {
+            throw new Error(`SQLite数据库导入失败: ${error.message}`);
+        }
+    }
+
     /**
      * 解析CSV文本为数组格式
      * @param {string} csvText - CSV文本
      * @returns {Array} 数据数组
      */
     parseCSVText(csvText) {
-        const lines = csvText.split('\n');
-        const data = [];
-        
-        for (const line of lines) {
-            if (line.trim()) {
-                // 使用制表符分割，保持最原始的格式
-                const row = line.split('\t');
-                data.push(row);
-            }
-        }
-        
-        return data;
+        // 使用制表符分割，单元格内的换行和制表符由引号包围；保留空行使行号与工作表一致
+        return CsvParser.parse(csvText, { delimiter: '\t', skipEmptyLines: false });
     }
 
     /**
      * 处理原始数据但不进行任何格式转换
      * @param {Array} rawData - 原始数据
+     * @param {Object} header - 表头选项 { headerRow, headerRows }，省略时第一行为表头
+     * @param {Array} merges - 合并单元格，用于展平多行表头
      * @returns {Array} 处理后的数据
      */
-    processRawDataWithoutFormatting(rawData) {
+    processRawDataWithoutFormatting(rawData, header = {}, merges = []) {
         if (!rawData || rawData.length === 0) {
             return [];
         }
         
-        // 获取表头
-        const headers = rawData[0];
-        if (!headers || headers.length === 0) {
+        // 获取表头，多行表头展平为"父级_子级"
+        const { headers, dataRows } = splitHeaderRows(rawData, header, merges);
+        if (headers.length === 0) {
             throw new Error('Excel文件没有有效的表头');
         }
         
         // 分析每列的数据，过滤掉完全空的列
-        const nonEmptyColumnIndices = this.findNonEmptyColumns(rawData);
+        const nonEmptyColumnIndices = this.findNonEmptyColumns([headers, ...dataRows]);
         
         // 只保留非空列的表头
         const filteredHeaders = nonEmptyColumnIndices.map(index => headers[index]);
@@ -255,7 +484,6 @@ export class FileParser {
         const cleanHeaders = this.cleanHeaders(filteredHeaders);
         
         // 转换数据行，但不进行任何格式化
-        const dataRows = rawData.slice(1);
         const processedData = [];
         
         for (let i = 0; i < dataRows.length; i++) {
@@ -455,24 +683,18 @@ export class FileParser {
     /**
      * 解析CSV文件
      * @param {ArrayBuffer} arrayBuffer - 文件数据
+     * @param {Object} dialect - CSV编码和格式 { encoding, delimiter, quote, hasHeader }，未指定的部分自动检测
+     * @param {Object} header - 表头选项，省略时按 hasHeader 决定第一行是否为表头
      * @returns {Array} 解析后的数据
      */
-    parseCsvFile(arrayBuffer) {
+    parseCsvFile(arrayBuffer, dialect = {}, header = null) {
         try {
-            // 将ArrayBuffer转换为字符串
-            const decoder = new TextDecoder('utf-8');
-            let csvText = decoder.decode(arrayBuffer);
-            
-            // 尝试检测编码，如果是乱码则尝试GBK
-            if (this.containsGarbledText(csvText)) {
-                const gbkDecoder = new TextDecoder('gbk');
-                csvText = gbkDecoder.decode(arrayBuffer);
-            }
-            
-            // 直接解析CSV文本，不使用XLSX库
-            const rawData = this.parseCSVTextDirect(csvText);
-            
-            return this.processRawDataWithoutFormatting(rawData);
+            const csvText = EncodingDetector.decode(arrayBuffer, dialect.encoding);
+            const options = { ...CsvParser.sniff(csvText), ...dialect };
+            const records = CsvParser.parse(csvText, options);
+
+            // 没有表头时由cleanHeaders生成 Column_N
+            return this.processRawDataWithoutFormatting(records, header || { headerRows: options.hasHeader ? 1 : 0 });
             
         } catch (error) {
             throw new Error(`CSV文件解析失败: ${error.message}`);
@@ -480,62 +702,89 @@ export class FileParser {
     }
 
     /**
-     * 直接解析CSV文本，不依赖XLSX库
-     * @param {string} csvText - CSV文本
-     * @returns {Array} 数据数组
+     * 检测CSV文件的编码和格式，只读取文件开头
+     * @param {File} file - 文件对象
+     * @param {Object} options - { encoding: 指定编码时不再检测 }
+     * @returns {Promise<Object>} { bytes: 开头的字节, sample: 解码后的文本, complete: 样本是否为全文, encoding, dialect: 检测结果 }
      */
-    parseCSVTextDirect(csvText) {
-        const lines = csvText.split('\n');
-        const data = [];
-        
-        for (const line of lines) {
-            if (line.trim()) {
-                // 简单的CSV解析，处理逗号分隔
-                const row = this.parseCSVLine(line);
-                data.push(row);
-            }
+    async sniffCsvFile(file, options = {}) {
+        const complete = file.size <= CsvParser.SAMPLE_SIZE;
+        const bytes = new Uint8Array(await this.readFileAsArrayBuffer(complete ? file : file.slice(0, CsvParser.SAMPLE_SIZE)));
+        const encoding = options.encoding || EncodingDetector.detect(bytes, { complete }).encoding;
+        // 样本末尾被截断的字符留在解码器中，不产生替换字符
+        const sample = EncodingDetector.createDecoder(encoding).decode(bytes, { stream: !complete });
+        return {
+            bytes,
+            sample,
+            complete,
+            encoding,
+            dialect: CsvParser.sniff(sample, { complete })
+        };
+    }
+
+    /**
+     * 解析JSON或JSON Lines文件，嵌套对象按路径展开为列
+     * @param {ArrayBuffer} arrayBuffer - 文件数据
+     * @param {Object} options - { format: 'json' | 'jsonl'，省略时自动判断, recordPath, expandArrays }
+     * @returns {Array} 解析后的数据
+     */
+    parseJsonFile(arrayBuffer, options = {}) {
+        try {
+            const { records, columns } = JsonFlattener.parse(EncodingDetector.decode(arrayBuffer), options);
+            const rows = records.map(record => columns.map(column => {
+                const value = record[column];
+                return value === null || value === undefined ? '' : String(value);
+            }));
+
+            return this.processRawDataWithoutFormatting([columns, ...rows]);
+
+        } catch (error) {
+            throw new Error(`JSON文件解析失败: ${error.message}`);
         }
-        
-        return data;
     }
 
     /**
-     * 解析CSV行，处理引号和转义
-     * @param {string} line - CSV行
-     * @returns {Array} 行数据
+     * 解析定宽文本文件
+     * @param {ArrayBuffer} arrayBuffer - 文件数据
+     * @param {Object} options - { encoding: 省略时自动检测, boundaries: 列起始位置，省略时自动检测, hasHeader: 第一行是否为表头，默认是 }
+     * @returns {Array} 解析后的数据
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+    parseFixedWidthFile(arrayBuffer, options = {}) {
+        try {
+            const records = FixedWidthParser.parse(EncodingDetector.decode(arrayBuffer, options.encoding), {
+                boundaries: options.boundaries
+            });
+
+            // 没有表头时由cleanHeaders生成 Column_N
+            return this.processRawDataWithoutFormatting(records, { headerRows: options.hasHeader === false ? 0 : 1 });
+
+        } catch (error) {
+            throw new Error(`定宽文本解析失败: ${error.message}`);
         }
-        
-        result.push(current.trim());
-        return result;
     }
 
     /**
-     * 检测文本是否包含乱码
-     * @param {string} text - 文本内容
-     * @returns {boolean} 是否包含乱码
+     * 读取定宽文本文件开头的行并推测列边界，用于导入前编辑列边界
+     * @param {File} file - 文件对象
+     * @returns {Promise<Object>} { bytes: 开头的字节, complete: 样本是否为全文, encoding, boundaries: 推测的列起始位置 }
      */
-    containsGarbledText(text) {
-        // 简单的乱码检测：包含大量问号或特殊字符
-        const garbledPattern = /[��]/g;
-        const matches = text.match(garbledPattern);
-        return matches && matches.length > 10;
+    async previewFixedWidthFile(file) {
+        const complete = file.size <= EncodingDetector.SAMPLE_SIZE;
+        const bytes = new Uint8Array(await this.readFileAsArrayBuffer(complete ? file : file.slice(0, EncodingDetector.SAMPLE_SIZE)));
+        const encoding = EncodingDetector.detect(bytes, { complete }).encoding;
+        const lines = FixedWidthParser.splitLines(EncodingDetector.createDecoder(encoding).decode(bytes, { stream: !complete }));
+
+        // 样本最后一行可能被截断
+        if (!complete) {
+            lines.pop();
+        }
+
+        return {
+            bytes,
+            complete,
+            encoding,
+            boundaries: FixedWidthParser.detectBoundaries(lines)
+        };
     }
 
     /**
@@ -666,12 +915,11 @@ export class FileParser {
             return '';
         }
         
-        // 只对明确指定的日期列进行日期转换
+        // 只对明确指定的日期列进行日期转换，支持2025年6月1日、2025.06.01和Excel序列号
         if (isDateColumn) {
-            // 尝试转换为日期
-            const dateValidation = this.validator.validateDate(stringValue);
-            if (dateValidation.isValid) {
-                return dateValidation.parsedDate.toISOString().split('T')[0];
+            const parsed = ValueParser.parse(stringValue, { serialDate: true });
+            if (parsed.type === 'date') {
+                return parsed.value.toISOString().split('T')[0];
             }
         }
         
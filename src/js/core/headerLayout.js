@@ -0,0 +1,151 @@
+/**
+ * RuleXcel - 表头布局
+ * 指定表头所在行（之前的标题、说明行跳过）和表头行数，多行表头展平为"父级_子级"列名
+ * @author RuleXcel
+ */
+
+/**
+ * 展平多行表头时各级名称之间的分隔符
+ */
+export const HEADER_SEPARATOR = '_';
+
+/**
+ * 表头最多行数
+ */
+export const MAX_HEADER_ROWS = 5;
+
+/**
+ * 推测表头位置时检查的行数
+ */
+const DETECT_ROWS = 30;
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * 校验表头选项并补全默认值
+ * @param {Object} options - { headerRow: 表头起始行号（从1开始，之前的行跳过）, headerRows: 表头行数，0表示没有表头 }
+ * @returns {Object} { headerRow, headerRows }
+ */
+export function normalizeHeaderOptions(options = {}) {
+    const headerRow = parseInt(options.headerRow, 10);
+    const headerRows = parseInt(options.headerRows, 10);
+    return {
+        headerRow: Number.isInteger(headerRow) && headerRow >= 1 ? headerRow : 1,
+        headerRows: Number.isInteger(headerRows) ? Math.min(Math.max(headerRows, 0), MAX_HEADER_ROWS) : 1
+    };
+}
+
+/**
+ * 按表头选项拆分原始行
+ * @param {Array<Array>} rows - 原始行
+ * @param {Object} options - 表头选项，见 normalizeHeaderOptions
+ * @param {Array<Object>} merges - 合并单元格 [{ s: { r, c }, e: { r, c } }]，行列号相对于 rows
+ * @returns {Object} { headers: 展平后的列名（空白和重复的列名由调用方处理）, dataRows }
+ */
+export function splitHeaderRows(rows, options = {}, merges = []) {
+    const { headerRow, headerRows } = normalizeHeaderOptions(options);
+    const start = headerRow - 1;
+    const headerLines = rows.slice(start, start + headerRows);
+    const dataRows = rows.slice(start + headerRows);
+
+    if (headerRows === 0) {
+        const columnCount = dataRows.reduce((max, row) => Math.max(max, row.length), 0);
+        return { headers: new Array(columnCount).fill(''), dataRows };
+    }
+
+    // 合并单元格的行号改为相对于表头起始行
+    const headerMerges = merges.map(({ s, e }) => ({
+        s: { r: s.r - start, c: s.c },
+        e: { r: e.r - start, c: e.c }
+    }));
+    return { headers: flattenHeaders(headerLines, headerMerges), dataRows };
+}
+
+/**
+ * 将多行表头展平为"父级_子级"列名，同一列上下相同的名称只保留一个
+ * 有合并单元格信息时把合并单元格的值填满合并范围；没有时上层的空白单元格在下层有值、
+ * 且左侧列也有下层名称时沿用左侧的值，即视为被横向合并的父级
+ * @param {Array<Array>} headerLines - 表头各行
+ * @param {Array<Object>} merges - 合并单元格，行号相对于第一行表头
+ * @returns {Array<string>} 列名
+ */
+export function flattenHeaders(headerLines, merges = []) {
+    const columnCount = headerLines.reduce((max, line) => Math.max(max, line.length), 0);
+    const grid = headerLines.map(line => Array.from({ length: columnCount }, (_, column) => cellText(line[column])));
+
+    const headerMerges = merges.filter(({ s }) => s.r >= 0 && s.r < grid.length);
+    if (headerMerges.length > 0) {
+        headerMerges.forEach(({ s, e }) => {
+            const value = grid[s.r][s.c];
+            for (let r = s.r; r <= Math.min(e.r, grid.length - 1); r++) {
+                for (let c = s.c; c <= Math.min(e.c, columnCount - 1); c++) {
+                    grid[r][c] = value;
+                }
+            }
+        });
+    } else {
+        // 自下而上填充，使中间层填充后的值可以作为上层的依据
+        for (let r = grid.length - 2; r >= 0; r--) {
+            for (let c = 1; c < columnCount; c++) {
+                if (grid[r][c] === '' && grid[r + 1][c] !== '' &&
+                    grid[r][c - 1] !== '' && grid[r + 1][c - 1] !== '') {
+                    grid[r][c] = grid[r][c - 1];
+                }
+            }
+        }
+    }
+
+    return Array.from({ length: columnCount }, (_, column) => {
+        const parts = [];
+        grid.forEach(line => {
+            const value = line[column];
+            if (value !== '' && parts[parts.length - 1] !== value) {
+                parts.push(value);
+            }
+        });
+        return parts.join(HEADER_SEPARATOR);
+    });
+}
+
+/**
+ * 推测表头位置：非空单元格数达到最多列数一半的第一行为表头起始行，之前的标题行跳过；
+ * 表头中横向合并的单元格说明其下一行仍是表头，纵向合并的单元格覆盖的行也计入表头
+ * @param {Array<Array>} rows - 原始行
+ * @param {Array<Object>} merges - 合并单元格，行列号相对于 rows
+ * @returns {Object} { headerRow, headerRows }
+ */
+export function detectHeaderLayout(rows, merges = []) {
+    const sample = rows.slice(0, DETECT_ROWS);
+    const widths = sample.map(row => row.filter(cell => cellText(cell) !== '').length);
+    const maxWidth = widths.reduce((max, width) => Math.max(max, width), 0);
+
+    let start = widths.findIndex(width => width > 0 && width >= Math.max(2, maxWidth / 2));
+    if (start < 0) {
+        start = 0;
+    }
+
+    // 横向合并的单元格下方在合并范围内有不同名称时才是父级
+    const isParent = ({ s, e }) => {
+        const below = sample[e.r + 1] || [];
+        const names = new Set(below.slice(s.c, e.c + 1).map(cellText).filter(name => name !== ''));
+        return e.c > s.c && names.size >= 2;
+    };
+
+    let headerRows = 1;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        merges
+            .filter(({ s }) => s.r >= start && s.r < start + headerRows)
+            .forEach((merge) => {
+                const last = isParent(merge) ? merge.e.r + 1 : merge.e.r;
+                const needed = Math.min(last + 1 - start, MAX_HEADER_ROWS, sample.length - start);
+                if (needed > headerRows) {
+                    headerRows = needed;
+                    changed = true;
+                }
+            });
+    }
+
+    return { headerRow: start + 1, headerRows };
+}
@@ -1,4 +1,6 @@
 // 规则处理器
+import { computeWindowColumn, normalizeWindowConfig } from './windowFunctions.js';
+
 /**
  * RuleProcessor - 规则处理器，支持筛选、排序、处理列、合并表格
  * @author AI
@@ -80,6 +82,63 @@ class RuleProcessor {
     return sorted;
   }
 
+  /**
+   * 将窗口计算配置中的映射列名（A、B、C）转换为原始列名并校验
+   * @param {Object} config {type: 'window', func, col, partitionBy, orderBy, order, offset, resultCol}
+   * @returns {Object} 可直接用于内存计算或DataEngine的配置
+   */
+  resolveWindowConfig(config) {
+    return normalizeWindowConfig(this.data, {
+      ...config,
+      valueCol: this.resolveColumn(config.col),
+      partitionBy: (config.partitionBy || []).map(col => this.resolveColumn(col)),
+      orderBy: this.resolveColumn(config.orderBy)
+    });
+  }
+
+  /**
+   * 将映射列名转换为原始列名（未映射时原样返回）
+   * @param {string} col - 映射列名
+   * @returns {string|null}
+   */
+  resolveColumn(col) {
+    return col ? this.columnMapper.getOriginalColumn(col) || col : null;
+  }
+
+  /**
+   * 将透视/逆透视配置中的映射列名转换为原始列名
+   * @param {Object} config {type: 'pivot', rows, columns, values, aggregate} 或 {type: 'unpivot', columns, keyName, valueName}
+   * @returns {Object}
+   */
+  resolveReshapeConfig(config) {
+    if (config.type === 'unpivot') {
+      return {
+        ...config,
+        columns: (config.columns || []).map(col => this.resolveColumn(col)),
+        keyName: config.keyName || '字段',
+        valueName: config.valueName || '值'
+      };
+    }
+    return {
+      ...config,
+      rows: (config.rows || []).map(col => this.resolveColumn(col)),
+      columns: this.resolveColumn(config.columns),
+      values: this.resolveColumn(config.values)
+    };
+  }
+
+  /**
+   * 追加窗口计算列（累计求和、组内排名、前后行、环比、占比）
+   * @param {Object} config {type: 'window', func, col, partitionBy, orderBy, order, offset, resultCol}
+   * @returns {Array<Object>}
+   */
+  windowColumn(config) {
+    if (!Array.isArray(this.data) || this.data.length === 0) {
+      throw new Error('待计算数据无效，无法执行window操作');
+    }
+    return computeWindowColumn(this.data, this.resolveWindowConfig(config));
+  }
+
   /**
    * 处理列（加法/比对）
    * @param {Object} config {type: 'process', op, col, value} 或 {type: 'process', op: 'cmp', col1, col2, cmpType}
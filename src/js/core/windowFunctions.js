@@ -0,0 +1,208 @@
+/**
+ * RuleXcel - 窗口计算（内存实现）
+ * 按分组列分区、按排序列排序后逐行计算累计值、排名、前后行值和占比
+ * 桌面版的大数据量场景由DataEngine编译为DuckDB窗口SQL执行，结果与此实现保持一致
+ * @author RuleXcel
+ */
+
+/**
+ * 支持的窗口函数及默认结果列后缀
+ */
+export const WINDOW_FUNCTIONS = {
+    cumsum: '累计',
+    row_number: '序号',
+    rank: '排名',
+    dense_rank: '密集排名',
+    lag: '上一行',
+    lead: '下一行',
+    diff: '环比差值',
+    pct_change: '环比增长率',
+    percent_of_total: '占比'
+};
+
+/**
+ * 需要偏移量参数的窗口函数
+ */
+export const OFFSET_FUNCTIONS = ['lag', 'lead', 'diff', 'pct_change'];
+
+/**
+ * 校验窗口计算配置并补全默认值
+ * @param {Array<Object>} data - 待计算的数据
+ * @param {Object} config - {func, valueCol, partitionBy, orderBy, order, offset, resultCol}
+ * @returns {Object} 补全后的配置
+ */
+export function normalizeWindowConfig(data, config) {
+    const { func, valueCol } = config;
+    if (!WINDOW_FUNCTIONS[func]) {
+        throw new Error(`不支持的窗口函数: ${func}`);
+    }
+    if (!valueCol) {
+        throw new Error('请选择计算列');
+    }
+
+    const columns = Object.keys(data[0] || {});
+    const partitionBy = (config.partitionBy || []).filter(Boolean);
+    [valueCol, config.orderBy, ...partitionBy].filter(Boolean).forEach(column => {
+        if (!columns.includes(column)) {
+            throw new Error(`列不存在: ${column}`);
+        }
+    });
+
+    const resultCol = (config.resultCol || '').trim() || `${valueCol}_${WINDOW_FUNCTIONS[func]}`;
+    if (columns.includes(resultCol)) {
+        throw new Error(`结果列名已存在: ${resultCol}`);
+    }
+
+    const offset = parseInt(config.offset, 10);
+    return {
+        func,
+        valueCol,
+        partitionBy,
+        orderBy: config.orderBy || null,
+        order: config.order === 'desc' ? 'desc' : 'asc',
+        offset: Number.isInteger(offset) && offset > 0 ? offset : 1,
+        resultCol
+    };
+}
+
+/**
+ * 转换为数值，无法转换时返回null
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 是否为空值
+ */
+function isEmptyValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * 比较两个值（空值排在最后，数值按大小，其余按字符串）
+ */
+function compareValues(a, b) {
+    const aEmpty = isEmptyValue(a);
+    const bEmpty = isEmptyValue(b);
+    if (aEmpty || bEmpty) {
+        return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+    }
+
+    const na = toNumber(a);
+    const nb = toNumber(b);
+    if (na !== null && nb !== null) {
+        return na - nb;
+    }
+    const sa = String(a);
+    const sb = String(b);
+    return sa > sb ? 1 : sa < sb ? -1 : 0;
+}
+
+/**
+ * 计算一个分区内各行的窗口值
+ * @param {Array<Object>} rows - 已排序的分区行
+ * @param {Object} config - 标准化后的配置
+ * @param {string} rankColumn - 排名依据的列
+ * @returns {Array} 与rows一一对应的结果
+ */
+function computePartition(rows, config, rankColumn) {
+    const { func, valueCol, offset } = config;
+    const values = rows.map(row => row[valueCol]);
+
+    switch (func) {
+        case 'cumsum': {
+            let sum = null;
+            return values.map(value => {
+                const number = toNumber(value);
+                if (number !== null) sum = (sum || 0) + number;
+                return sum;
+            });
+        }
+        case 'row_number':
+            return rows.map((row, index) => index + 1);
+        case 'rank':
+        case 'dense_rank': {
+            let rank = 0;
+            let dense = 0;
+            return rows.map((row, index) => {
+                if (index === 0 || compareValues(row[rankColumn], rows[index - 1][rankColumn]) !== 0) {
+                    rank = index + 1;
+                    dense++;
+                }
+                return func === 'rank' ? rank : dense;
+            });
+        }
+        case 'lag':
+            return values.map((value, index) => (index - offset >= 0 ? values[index - offset] : null));
+        case 'lead':
+            return values.map((value, index) => (index + offset < values.length ? values[index + offset] : null));
+        case 'diff':
+        case 'pct_change':
+            return values.map((value, index) => {
+                const current = toNumber(value);
+                const previous = index - offset >= 0 ? toNumber(values[index - offset]) : null;
+                if (current === null || previous === null) return null;
+                if (func === 'diff') return current - previous;
+                return previous === 0 ? null : (current - previous) / previous;
+            });
+        case 'percent_of_total': {
+            const total = values.reduce((sum, value) => sum + (toNumber(value) || 0), 0);
+            return values.map(value => {
+                const number = toNumber(value);
+                return number === null || total === 0 ? null : number / total;
+            });
+        }
+        default:
+            throw new Error(`不支持的窗口函数: ${func}`);
+    }
+}
+
+/**
+ * 为数据追加一列窗口计算结果，保持原有行顺序
+ * 未指定排序列时按原始行顺序计算；排名类函数未指定排序列时按计算列排名
+ * @param {Array<Object>} data - 待计算的数据
+ * @param {Object} config - 标准化后的配置（见normalizeWindowConfig）
+ * @returns {Array<Object>} 追加结果列后的新数据
+ */
+export function computeWindowColumn(data, config) {
+    const { partitionBy, order, resultCol } = config;
+    const isRank = config.func === 'rank' || config.func === 'dense_rank';
+    const orderColumn = config.orderBy || (isRank ? config.valueCol : null);
+    const direction = order === 'desc' ? -1 : 1;
+
+    // 按分组列的值分区，记录原始行号
+    const partitions = new Map();
+    data.forEach((row, index) => {
+        const key = JSON.stringify(partitionBy.map(column => isEmptyValue(row[column]) ? null : row[column]));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push(index);
+    });
+
+    const results = new Array(data.length);
+    partitions.forEach(indexes => {
+        if (orderColumn) {
+            // Array.prototype.sort为稳定排序，相同值保持原始顺序
+            indexes.sort((a, b) => {
+                const va = data[a][orderColumn];
+                const vb = data[b][orderColumn];
+                const result = compareValues(va, vb);
+                // 空值始终排在最后，与DuckDB的NULLS LAST一致
+                return isEmptyValue(va) || isEmptyValue(vb) ? result : result * direction;
+            });
+        }
+        const values = computePartition(indexes.map(index => data[index]), config, orderColumn);
+        indexes.forEach((rowIndex, position) => {
+            results[rowIndex] = values[position];
+        });
+    });
+
+    return data.map((row, index) => ({ ...row, [resultCol]: results[index] }));
+}
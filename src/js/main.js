@@ -20,6 +20,11 @@ import logger from './utils/logger.js';
 import RuleConfigModal from './ui/ruleConfigModal.js';
 import ColumnMapper from './core/columnMapper.js';
 import RuleProcessor from './core/ruleProcessor.js';
+import SqlConsole from './ui/sqlConsole.js';
+import CsvDialectDialog from './ui/csvDialectDialog.js';
+import HeaderRowDialog from './ui/headerRowDialog.js';
+import FixedWidthDialog from './ui/fixedWidthDialog.js';
+import SqliteDialog from './ui/sqliteDialog.js';
 
 
 
@@ -74,6 +79,10 @@ class RuleXcelApp {
         this.ruleEngine = new VisualRuleEngine();
         this.dataPreview = new DataPreview();
         this.progressManager = new ProgressManager();
+        this.csvDialectDialog = new CsvDialectDialog();
+        this.headerRowDialog = new HeaderRowDialog();
+        this.fixedWidthDialog = new FixedWidthDialog();
+        this.sqliteDialog = new SqliteDialog();
         this.quickActions = QuickActions; // QuickActions导出的是实例，不是类
         this.exporter = Exporter; // Exporter导出的是实例，不是类
         
@@ -87,6 +96,19 @@ class RuleXcelApp {
             this.handleRuleConfig(config);
         });
         
+        // 初始化SQL查询控制台
+        this.sqlConsole = new SqlConsole();
+        this.sqlConsole.setSourceProvider(() => ({
+            files: this.parsedData,
+            previous: this.currentData
+        }));
+        this.sqlConsole.setOnResult((data, sql) => {
+            this.handleSQLResult(data, sql);
+        });
+        this.sqlConsole.setOnPreview((tableName) => {
+            this.dataPreview.showRemoteTable(tableName);
+        });
+
         // 初始化日志记录
         logger.info('RuleXcel应用组件初始化完成');
         this.ruleWorker = getRuleWorker();
@@ -196,6 +218,14 @@ class RuleXcelApp {
         document.getElementById('mergeBtn')?.addEventListener('click', () => {
             this.handleMergeConfig();
         });
+
+        document.getElementById('windowBtn')?.addEventListener('click', () => {
+            this.handleWindowConfig();
+        });
+
+        document.getElementById('pivotBtn')?.addEventListener('click', () => {
+            this.handlePivotConfig();
+        });
     }
 
     /**
@@ -212,6 +242,16 @@ class RuleXcelApp {
             this.handleExportCSV();
         });
 
+        // 导出Parquet按钮
+        document.getElementById('export-parquet')?.addEventListener('click', () => {
+            this.handleExportParquet();
+        });
+
+        // 导出到SQLite按钮
+        document.getElementById('export-sqlite')?.addEventListener('click', () => {
+            this.handleExportSqlite();
+        });
+
         // 导出对比数据按钮
         document.getElementById('export-comparison')?.addEventListener('click', () => {
             this.handleExportComparison();
@@ -226,6 +266,11 @@ class RuleXcelApp {
         document.addEventListener('dragover', (e) => e.preventDefault());
         document.addEventListener('drop', (e) => e.preventDefault());
 
+        // SQLite分块导入进度（仅桌面版）
+        window.electronAPI?.onSqliteProgress?.(({ importedRows, totalRows }) => {
+            this.progressManager.setStepDetail(1, `正在从SQLite导入 ${importedRows.toLocaleString()}/${totalRows.toLocaleString()} 行...`);
+        });
+
         // 全局错误处理
         window.onerror = function(message, source, lineno, colno, error) {
             if (
@@ -282,6 +327,19 @@ class RuleXcelApp {
             return;
         }
 
+        // 先确认CSV文件的格式和表格的表头位置，取消时不上传
+        let importOptions;
+        try {
+            importOptions = await this.confirmImportOptions(validFiles);
+        } catch (error) {
+            console.error(`读取导入设置失败: ${error.message}`);
+            return;
+        }
+        if (!importOptions) {
+            console.log('⚠️ 用户取消了导入设置');
+            return;
+        }
+
         // 开始进度显示
         this.progressManager.start('文件解析中');
 
@@ -293,12 +351,20 @@ class RuleXcelApp {
                 const progressDetail = `正在解析文件 ${index + 1}/${validFiles.length}: ${file.name}`;
                 this.progressManager.addLog(progressDetail);
                 
-                const data = await this.fileParser.parseFile(file);
+                const data = await this.fileParser.parseFile(file, importOptions.get(file));
+                if (data.mergedRanges && data.mergedRanges.length > 0) {
+                    this.progressManager.addLog(`${file.name}: 展开了 ${data.mergedRanges.length} 个合并单元格（${data.mergedRanges.map(({ range }) => range).join(', ')}）`);
+                }
+                if (data.sqliteTable) {
+                    this.progressManager.addLog(`${file.name}: 全部数据已导入表 ${data.sqliteTable}，可在SQL控制台中查询`);
+                }
                 return {
                     fileName: file.name,
                     file: file,
+                    options: importOptions.get(file),
                     data: data,
-                    sheets: data.sheets || null
+                    sheets: data.sheets || null,
+                    mergedRanges: data.mergedRanges || null
                 };
             });
 
@@ -334,6 +400,232 @@ class RuleXcelApp {
         }
     }
 
+    /**
+     * 确认各文件的导入设置
+     * @param {Array} files - 有效文件数组
+     * @returns {Promise<Map|null>} 文件到 parseFile 选项 { csvDialect, header, expandMerges, fixedWidth, sqlite } 的映射，用户取消时为null
+     */
+    async confirmImportOptions(files) {
+        const expandMerges = Boolean(document.getElementById('expand-merged-cells')?.checked);
+        const importOptions = new Map(files.map(file => [file, { expandMerges }]));
+        if (!await this.confirmCsvDialects(files, importOptions)) {
+            return null;
+        }
+        if (!await this.confirmHeaderRows(files, importOptions)) {
+            return null;
+        }
+        if (!await this.confirmFixedWidths(files, importOptions)) {
+            return null;
+        }
+        if (!await this.confirmSqliteSources(files, importOptions)) {
+            return null;
+        }
+        return importOptions;
+    }
+
+    /**
+     * 逐个确认CSV/TSV文件的编码、分隔符、引号和表头位置
+     * 桌面版中确认的编码记入最近使用的文件，再次导入同一文件时作为默认编码
+     * @param {Array} files - 有效文件数组
+     * @param {Map} importOptions - 文件到导入选项的映射，确认结果写入其中
+     * @returns {Promise<boolean>} 用户取消时为false
+     */
+    async confirmCsvDialects(files, importOptions) {
+        const csvFiles = files.filter(file => ['csv', 'tsv'].includes(this.fileParser.getFileType(file)));
+        let shared = null;
+        if (csvFiles.length === 0) {
+            return true;
+        }
+
+        const remembered = await this.getRememberedEncodings();
+
+        for (let i = 0; i < csvFiles.length; i++) {
+            const file = csvFiles[i];
+            if (shared) {
+                Object.assign(importOptions.get(file), shared);
+                await this.rememberEncoding(file, shared.csvDialect.encoding);
+                continue;
+            }
+
+            const rememberedEncoding = file.path ? remembered.get(file.path) : null;
+            const { bytes, complete, encoding, dialect } = await this.fileParser.sniffCsvFile(file, { encoding: rememberedEncoding });
+            const result = await this.csvDialectDialog.open({
+                fileName: file.name,
+                bytes,
+                complete,
+                encoding,
+                remembered: Boolean(rememberedEncoding),
+                dialect,
+                remaining: csvFiles.length - i - 1
+            });
+            if (!result) {
+                return false;
+            }
+
+            logger.userAction('确认CSV格式', { filename: file.name, ...result.dialect, ...result.header });
+            const options = { csvDialect: result.dialect, header: result.header };
+            Object.assign(importOptions.get(file), options);
+            await this.rememberEncoding(file, result.dialect.encoding);
+            if (result.applyToRest) {
+                shared = options;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 确认Excel文件的表头位置
+     * 推测文件开头有标题行或多行表头，或勾选了“导入前选择表头行”时显示选择对话框，否则第一行为表头
+     * @param {Array} files - 有效文件数组
+     * @param {Map} importOptions - 文件到导入选项的映射，确认结果写入其中
+     * @returns {Promise<boolean>} 用户取消时为false
+     */
+    async confirmHeaderRows(files, importOptions) {
+        const excelFiles = files.filter(file => this.fileParser.spreadsheetTypes.includes(this.fileParser.getFileType(file)));
+        const alwaysConfirm = Boolean(document.getElementById('confirm-header-rows')?.checked);
+        let shared = null;
+
+        for (let i = 0; i < excelFiles.length; i++) {
+            const file = excelFiles[i];
+            if (shared) {
+                importOptions.get(file).header = shared;
+                continue;
+            }
+
+            const { rows, merges, layout } = await this.fileParser.previewExcelFile(file);
+            if (!alwaysConfirm && layout.headerRow === 1 && layout.headerRows === 1) {
+                continue;
+            }
+
+            const result = await this.headerRowDialog.open({
+                fileName: file.name,
+                rows,
+                merges,
+                layout,
+                remaining: excelFiles.length - i - 1
+            });
+            if (!result) {
+                return false;
+            }
+
+            logger.userAction('选择表头', { filename: file.name, ...result.header });
+            importOptions.get(file).header = result.header;
+            if (result.applyToRest) {
+                shared = result.header;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 逐个设置定宽文本文件的编码、列边界和表头
+     * @param {Array} files - 有效文件数组
+     * @param {Map} importOptions - 文件到导入选项的映射，确认结果写入其中
+     * @returns {Promise<boolean>} 用户取消时为false
+     */
+    async confirmFixedWidths(files, importOptions) {
+        const textFiles = files.filter(file => this.fileParser.getFileType(file) === 'fixed-width');
+        let shared = null;
+
+        for (let i = 0; i < textFiles.length; i++) {
+            const file = textFiles[i];
+            if (shared) {
+                importOptions.get(file).fixedWidth = shared;
+                continue;
+            }
+
+            const { bytes, complete, encoding, boundaries } = await this.fileParser.previewFixedWidthFile(file);
+            const result = await this.fixedWidthDialog.open({
+                fileName: file.name,
+                bytes,
+                complete,
+                encoding,
+                boundaries,
+                remaining: textFiles.length - i - 1
+            });
+            if (!result) {
+                return false;
+            }
+
+            logger.userAction('设置列边界', { filename: file.name, ...result.fixedWidth });
+            importOptions.get(file).fixedWidth = result.fixedWidth;
+            if (result.applyToRest) {
+                shared = result.fixedWidth;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 逐个选择SQLite数据库中要导入的表，或输入SELECT语句（仅桌面版）
+     * @param {Array} files - 有效文件数组
+     * @param {Map} importOptions - 文件到导入选项的映射，确认结果写入其中
+     * @returns {Promise<boolean>} 用户取消时为false
+     */
+    async confirmSqliteSources(files, importOptions) {
+        const databases = files.filter(file => this.fileParser.getFileType(file) === 'sqlite');
+        if (databases.length === 0) {
+            return true;
+        }
+        if (!window.electronAPI || !window.electronAPI.getSqliteTables) {
+            throw new Error('SQLite数据库需要在桌面版中打开');
+        }
+
+        for (const file of databases) {
+            const tables = await window.electronAPI.getSqliteTables(file.path);
+            const result = await this.sqliteDialog.chooseSource({ fileName: file.name, tables });
+            if (!result) {
+                return false;
+            }
+
+            logger.userAction('选择SQLite数据来源', { filename: file.name, ...result.sqlite });
+            importOptions.get(file).sqlite = result.sqlite;
+        }
+
+        return true;
+    }
+
+    /**
+     * 读取最近使用的文件中记住的编码（仅桌面版）
+     * @returns {Promise<Map>} 文件路径到编码的映射
+     */
+    async getRememberedEncodings() {
+        const encodings = new Map();
+        if (!window.electronAPI || !window.electronAPI.getRecentFiles) {
+            return encodings;
+        }
+
+        try {
+            const recentFiles = await window.electronAPI.getRecentFiles();
+            recentFiles
+                .filter(recent => recent.encoding)
+                .forEach(recent => encodings.set(recent.path, recent.encoding));
+        } catch (error) {
+            logger.warn('读取最近使用的文件失败', { error: error.message });
+        }
+        return encodings;
+    }
+
+    /**
+     * 记住文件的编码（仅桌面版）
+     * @param {File} file - 文件对象
+     * @param {string} encoding - 编码
+     */
+    async rememberEncoding(file, encoding) {
+        if (!file.path || !window.electronAPI || !window.electronAPI.rememberFile) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.rememberFile(file.path, { encoding });
+        } catch (error) {
+            logger.warn('记录最近使用的文件失败', { filename: file.name, error: error.message });
+        }
+    }
+
     /**
      * 验证文件
      * @param {FileList} files - 文件列表
@@ -1188,6 +1480,24 @@ class RuleXcelApp {
         this.ruleConfigModal.showProcessConfig(columns, hasPrevious);
     }
 
+    /**
+     * 处理窗口计算配置
+     */
+    async handleWindowConfig() {
+        const columns = await this.getAvailableColumnsAsync();
+        const hasPrevious = Array.isArray(this.currentData) && this.currentData.length > 0;
+        this.ruleConfigModal.showWindowConfig(columns, hasPrevious);
+    }
+
+    /**
+     * 处理透视/逆透视配置
+     */
+    async handlePivotConfig() {
+        const columns = await this.getAvailableColumnsAsync();
+        const hasPrevious = Array.isArray(this.currentData) && this.currentData.length > 0;
+        this.ruleConfigModal.showPivotConfig(columns, hasPrevious);
+    }
+
     /**
      * 处理合并配置
      */
@@ -1248,8 +1558,10 @@ class RuleXcelApp {
             if (!XLSX) {
                 XLSX = await import('../libs/xlsx.min.js').then(m => m.default || m);
             }
+            // JSON、定宽文本等SheetJS不能直接读取的格式使用已解析的数据
+            const readableTypes = [...this.fileParser.spreadsheetTypes, 'csv'];
             const parseFile = async (fileObj) => {
-                if (fileObj.file) {
+                if (fileObj.file && readableTypes.includes(this.fileParser.getFileType(fileObj.file))) {
                     const data = await fileObj.file.arrayBuffer();
                     const workbook = XLSX.read(data, { type: 'array' });
                     return workbook;
@@ -1298,6 +1610,12 @@ class RuleXcelApp {
             this.progressManager.error('当前数据无效，无法应用规则。请检查数据来源或先完成上一步操作。');
             return;
         }
+        if (config.type === 'window') {
+            return await this.applyWindowRule(config, currentData);
+        }
+        if (config.type === 'pivot' || config.type === 'unpivot') {
+            return await this.applyReshapeRule(config, currentData);
+        }
         // 判断是否用Worker（大于2000条用Worker，否则主线程）
         const useWorker = currentData.length > 2000;
         const batchSize = 500;
@@ -1380,6 +1698,91 @@ class RuleXcelApp {
         }
     }
 
+    /**
+     * 应用窗口计算规则
+     * 桌面版大数据量时交给DuckDB窗口SQL计算，否则在内存中计算
+     * @param {Object} config - 窗口计算配置
+     * @param {Array} currentData - 待计算的数据
+     */
+    async applyWindowRule(config, currentData) {
+        try {
+            this.progressManager.setStepDetail(3, '窗口计算中...');
+            let result;
+            if (window.electronAPI?.computeWindowColumn && currentData.length > 2000) {
+                const windowConfig = this.ruleProcessor.resolveWindowConfig(config);
+                result = await window.electronAPI.computeWindowColumn(currentData, windowConfig);
+            } else {
+                result = this.ruleProcessor.windowColumn(config);
+            }
+
+            this.processedData = result;
+            this.currentData = result;
+            this.dataHistory.push([...result]);
+            this.progressManager.setStepDetail(4, '更新预览中...');
+            this.dataPreview.setProcessedData(result);
+            this.updateStats();
+            this.progressManager.complete(`规则应用完成，处理了 ${result.length} 行数据`);
+            this.setCurrentStatus(config.type, config.dataSource);
+            return result;
+
+        } catch (error) {
+            logger.error('窗口计算失败', error);
+            this.progressManager.error('窗口计算失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 应用透视/逆透视规则
+     * 桌面版大数据量时交给DuckDB PIVOT/UNPIVOT，否则由DataProcessor在内存中处理
+     * @param {Object} config - 透视配置
+     * @param {Array} currentData - 待处理的数据
+     */
+    async applyReshapeRule(config, currentData) {
+        try {
+            this.progressManager.setStepDetail(3, config.type === 'pivot' ? '透视数据中...' : '逆透视数据中...');
+            const reshapeConfig = this.ruleProcessor.resolveReshapeConfig(config);
+            let result;
+            if (window.electronAPI?.reshapeData && currentData.length > 2000) {
+                result = await window.electronAPI.reshapeData(currentData, reshapeConfig);
+            } else {
+                const table = aq.from(currentData);
+                result = config.type === 'pivot' ?
+                    this.dataProcessor.applyPivot(table, reshapeConfig).objects() :
+                    this.dataProcessor.applyUnpivot(table, reshapeConfig).objects();
+            }
+
+            this.processedData = result;
+            this.currentData = result;
+            this.dataHistory.push([...result]);
+            this.progressManager.setStepDetail(4, '更新预览中...');
+            this.dataPreview.setProcessedData(result);
+            this.updateStats();
+            this.progressManager.complete(`规则应用完成，生成 ${result.length} 行数据`);
+            this.setCurrentStatus(config.type, config.dataSource);
+            return result;
+
+        } catch (error) {
+            logger.error('透视处理失败', error);
+            this.progressManager.error('透视处理失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 处理SQL查询结果，结果可作为后续规则的“上一步结果”
+     * @param {Array} data - 查询结果
+     * @param {string} sql - 执行的SQL
+     */
+    handleSQLResult(data, sql) {
+        logger.userAction('执行SQL查询', { sql, rows: data.length });
+
+        this.processedData = data;
+        this.currentData = data;
+        this.dataHistory.push([...data]);
+        this.dataPreview.setProcessedData(data);
+        this.updateStats();
+        this.setCurrentStatus('sql', 'sql');
+    }
+
     /**
      * 撤销上一步操作
      */
@@ -1571,6 +1974,55 @@ class RuleXcelApp {
         }
     }
 
+    /**
+     * 处理Parquet导出
+     */
+    async handleExportParquet() {
+        const exportData = this.processedData || [];
+        if (exportData.length === 0) {
+            console.log('没有数据可导出');
+            return;
+        }
+        try {
+            const result = await this.exporter.exportToParquet(exportData, {
+                filename: `processed_data_${new Date().toISOString().slice(0, 10)}.parquet`
+            });
+            if (result && result.success) {
+                console.log('Parquet文件导出成功');
+                logger.userAction('导出Parquet', { rows: exportData.length });
+            }
+        } catch (error) {
+            console.error(`导出失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 处理导出到SQLite数据库
+     */
+    async handleExportSqlite() {
+        const exportData = this.processedData || [];
+        if (exportData.length === 0) {
+            console.log('没有数据可导出');
+            return;
+        }
+        try {
+            const target = await this.sqliteDialog.chooseTarget({ tableName: 'processed_data' });
+            if (!target) {
+                return;
+            }
+            const result = await this.exporter.exportToSqlite(exportData, {
+                filename: `processed_data_${new Date().toISOString().slice(0, 10)}.db`,
+                ...target
+            });
+            if (result && result.success) {
+                console.log(`已写入SQLite表 ${result.tableName}`);
+                logger.userAction('导出到SQLite', { rows: result.rows, table: result.tableName, mode: target.mode });
+            }
+        } catch (error) {
+            console.error(`导出失败: ${error.message}`);
+        }
+    }
+
     /**
      * 处理对比数据导出
      */
@@ -1662,6 +2114,10 @@ class RuleXcelApp {
                 case 'sort': ruleText = '排序数据'; break;
                 case 'process': ruleText = '处理列'; break;
                 case 'merge': ruleText = '合并表格'; break;
+                case 'window': ruleText = '窗口计算'; break;
+                case 'pivot': ruleText = '透视'; break;
+                case 'unpivot': ruleText = '逆透视'; break;
+                case 'sql': ruleText = 'SQL查询'; break;
                 default: ruleText = '原始数据';
             }
             let sourceText = '';
@@ -1669,6 +2125,7 @@ class RuleXcelApp {
                 case 'original': sourceText = '原始数据'; break;
                 case 'previous': sourceText = '上一步结果'; break;
                 case 'merge': sourceText = '合并结果'; break;
+                case 'sql': sourceText = '已加载的数据表'; break;
                 default: sourceText = source || '原始数据';
             }
             statusEl.innerHTML = `<span class="font-bold">当前数据：</span>${ruleText}（来源：${sourceText}）`;
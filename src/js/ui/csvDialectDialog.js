@@ -0,0 +1,290 @@
+/**
+ * CSV格式确认对话框
+ * 展示自动检测到的编码、分隔符、引号和表头位置，按当前设置实时预览列名和前几行，确认后再解析整个文件
+ * 依赖全局 CsvParser（src/shared/csvParser.js）和 EncodingDetector（src/shared/encodingDetector.js）
+ */
+
+import { splitHeaderRows, detectHeaderLayout, normalizeHeaderOptions, MAX_HEADER_ROWS } from '../core/headerLayout.js';
+
+/**
+ * 可选的分隔符
+ */
+const DELIMITER_LABELS = {
+    ',': '逗号 (,)',
+    '\t': '制表符 (Tab)',
+    ';': '分号 (;)',
+    '|': '竖线 (|)'
+};
+
+/**
+ * 可选的引号
+ */
+const QUOTE_LABELS = {
+    '"': '双引号 (")',
+    '\'': '单引号 (\')',
+    '': '无'
+};
+
+/**
+ * 换行符的显示名称
+ */
+const LINE_ENDING_LABELS = {
+    crlf: 'Windows (CRLF)',
+    lf: 'Unix (LF)',
+    cr: '旧版 Mac (CR)'
+};
+
+// 预览的行数
+const PREVIEW_ROWS = 8;
+
+class CsvDialectDialog {
+    constructor() {
+        this.modal = null;
+        this.bytes = null;
+        this.sample = '';
+        this.complete = true;
+        this.resolve = null;
+    }
+
+    /**
+     * 打开对话框，等待用户确认
+     * @param {Object} options - { fileName, bytes: 文件开头的字节, complete: 样本是否为全文, encoding: 检测或记住的编码,
+     *                            remembered: 编码是否来自上次的选择, dialect: 格式检测结果, remaining: 之后还有几个CSV文件 }
+     * @returns {Promise<Object|null>} { dialect: { encoding, delimiter, quote, hasHeader }, header: { headerRow, headerRows }, applyToRest }，
+     *                                  取消时为null
+     */
+    open({ fileName, bytes, complete = true, encoding, remembered = false, dialect, remaining = 0 }) {
+        this.finish(null);
+        this.bytes = bytes;
+        this.complete = complete;
+        this.decodeSample(encoding);
+
+        // 跳过开头的标题行；检测认为没有表头时表头行数为0
+        let records = [];
+        try {
+            records = this.parseSample(dialect);
+        } catch (error) {
+            // 引号错误在预览中提示
+        }
+        const layout = detectHeaderLayout(records);
+        const headerRows = dialect.hasHeader ? layout.headerRows : 0;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-4xl">
+                <h3 class="font-bold text-lg">确认CSV格式：${this.escapeHtml(fileName)}</h3>
+                <p class="text-sm text-base-content/70 mt-1">
+                    已自动检测文件格式，换行符为 ${LINE_ENDING_LABELS[dialect.lineEnding] || '未知'}，可在下方调整后预览
+                </p>
+                <div class="flex flex-wrap gap-4 mt-4">
+                    <label class="form-control">
+                        <span class="label-text">编码${remembered ? '（上次选择）' : ''}</span>
+                        <select class="select select-bordered select-sm" data-field="encoding">
+                            ${this.renderOptions(this.encodingLabels(encoding), encoding)}
+                        </select>
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">分隔符</span>
+                        <select class="select select-bordered select-sm" data-field="delimiter">
+                            ${this.renderOptions(DELIMITER_LABELS, dialect.delimiter)}
+                        </select>
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">引号</span>
+                        <select class="select select-bordered select-sm" data-field="quote">
+                            ${this.renderOptions(QUOTE_LABELS, dialect.quote)}
+                        </select>
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">表头起始行</span>
+                        <input type="number" class="input input-bordered input-sm w-24" data-field="headerRow" min="1" value="${layout.headerRow}" />
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">表头行数（0为无表头）</span>
+                        <input type="number" class="input input-bordered input-sm w-24" data-field="headerRows" min="0" max="${MAX_HEADER_ROWS}" value="${headerRows}" />
+                    </label>
+                </div>
+                <div class="overflow-x-auto max-h-80 mt-4" data-role="preview"></div>
+                <div class="modal-action items-center">
+                    ${remaining > 0 ? `
+                        <label class="label cursor-pointer gap-2 mr-auto">
+                            <input type="checkbox" class="checkbox checkbox-sm" data-field="applyToRest" />
+                            <span class="label-text">其余 ${remaining} 个CSV文件使用相同格式</span>
+                        </label>
+                    ` : ''}
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">确定</button>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'encoding') {
+                this.decodeSample(e.target.value);
+            }
+            this.renderPreview();
+        });
+        this.modal.addEventListener('input', (e) => {
+            if (e.target.type === 'number') {
+                this.renderPreview();
+            }
+        });
+        this.modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                this.finish(null);
+            } else if (action === 'confirm') {
+                const header = this.collectHeader();
+                this.finish({
+                    dialect: { ...this.collectDialect(), hasHeader: header.headerRows > 0 },
+                    header,
+                    applyToRest: Boolean(this.modal.querySelector('[data-field="applyToRest"]')?.checked)
+                });
+            }
+        });
+
+        document.body.appendChild(this.modal);
+        this.renderPreview();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 渲染下拉选项
+     */
+    renderOptions(labels, selected) {
+        return Object.entries(labels).map(([value, label]) => `
+            <option value="${this.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `).join('');
+    }
+
+    /**
+     * 可选的编码，检测到的编码不在常用列表中时也加入
+     */
+    encodingLabels(encoding) {
+        const labels = { ...EncodingDetector.ENCODINGS };
+        if (!labels[encoding]) {
+            labels[encoding] = encoding;
+        }
+        return labels;
+    }
+
+    /**
+     * 按编码解码样本，样本末尾被截断的字符不解码
+     */
+    decodeSample(encoding) {
+        this.sample = EncodingDetector.createDecoder(encoding).decode(this.bytes, { stream: !this.complete });
+    }
+
+    /**
+     * 读取当前的格式设置
+     * @returns {Object} { encoding, delimiter, quote }
+     */
+    collectDialect() {
+        return {
+            encoding: this.modal.querySelector('[data-field="encoding"]').value,
+            delimiter: this.modal.querySelector('[data-field="delimiter"]').value,
+            quote: this.modal.querySelector('[data-field="quote"]').value
+        };
+    }
+
+    /**
+     * 读取当前的表头设置
+     * @returns {Object} { headerRow, headerRows }
+     */
+    collectHeader() {
+        return normalizeHeaderOptions({
+            headerRow: this.modal.querySelector('[data-field="headerRow"]').value,
+            headerRows: this.modal.querySelector('[data-field="headerRows"]').value
+        });
+    }
+
+    /**
+     * 按格式解析样本
+     * @throws {Error} 全文样本中的引号没有闭合
+     */
+    parseSample(dialect) {
+        const parser = new CsvParser(dialect);
+        const records = parser.push(this.sample);
+        return this.complete ? records.concat(parser.end()) : records;
+    }
+
+    /**
+     * 按当前设置解析样本并渲染预览表格
+     */
+    renderPreview() {
+        const container = this.modal.querySelector('[data-role="preview"]');
+        const header = this.collectHeader();
+
+        let records;
+        try {
+            records = this.parseSample(this.collectDialect());
+        } catch (error) {
+            container.innerHTML = `<div class="alert alert-warning text-sm">${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        const preview = records.slice(0, header.headerRow - 1 + header.headerRows + PREVIEW_ROWS);
+        const { headers: names, dataRows } = splitHeaderRows(preview, header);
+        const rows = dataRows.slice(0, PREVIEW_ROWS);
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), names.length);
+        const headers = CsvParser.normalizeHeaders(names, columnCount);
+
+        container.innerHTML = `
+            <table class="table table-xs table-pin-rows">
+                <thead>
+                    <tr>${headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>${headers.map((header, index) => `<td class="whitespace-pre-wrap">${this.escapeHtml(row[index] ?? '')}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-base-content/60 mt-2">
+                共 ${headers.length} 列，预览前 ${rows.length} 行${header.headerRow > 1 ? `，跳过开头 ${header.headerRow - 1} 行` : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     */
+    finish(result) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.close();
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default CsvDialectDialog;
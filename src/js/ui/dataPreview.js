@@ -3,6 +3,16 @@
  * 提供分页显示、统计信息、数据对比等功能
  */
 
+/**
+ * 超过该行数且在桌面版中时，预览改由主进程的DuckDB分页读取
+ */
+const REMOTE_PREVIEW_THRESHOLD = 100000;
+
+/**
+ * 预览的文件由主进程导入数据引擎时使用的内部表名
+ */
+const PREVIEW_TABLE_NAME = '__preview';
+
 class DataPreview {
     constructor() {
         this.originalData = null;
@@ -15,6 +25,8 @@ class DataPreview {
         this.currentFileIndex = 0;
         this.currentSheetIndex = 0;
         this.isCompareMode = false;
+        this.remote = null;
+        this.remoteRequest = 0;
         
         this.init();
     }
@@ -25,6 +37,7 @@ class DataPreview {
     init() {
         this.bindEvents();
         this.initElements();
+        this.bindRemoteEvents();
     }
 
     /**
@@ -49,6 +62,24 @@ class DataPreview {
         document.getElementById('export-csv')?.addEventListener('click', () => this.exportCSV());
     }
 
+    /**
+     * 绑定分页读取模式下的表头排序和筛选事件
+     */
+    bindRemoteEvents() {
+        this.previewContainer?.addEventListener('click', (e) => {
+            const header = e.target.closest('[data-sort-column]');
+            if (header && this.remote) {
+                this.toggleRemoteSort(header.dataset.sortColumn);
+            }
+        });
+        this.previewContainer?.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-filter-column]');
+            if (input && this.remote) {
+                this.setRemoteFilter(input.dataset.filterColumn, input.value);
+            }
+        });
+    }
+
     /**
      * 初始化元素
      */
@@ -145,6 +176,7 @@ class DataPreview {
         
         this.updateSheetSelectors(fileData);
         this.currentData = fileData.data || fileData;
+        this.prepareSource();
         this.renderTable();
         this.updatePagination();
     }
@@ -165,6 +197,7 @@ class DataPreview {
             this.currentData = fileData.sheets[sheetName];
         }
         
+        this.prepareSource();
         this.renderTable();
         this.updatePagination();
     }
@@ -181,14 +214,187 @@ class DataPreview {
             this.currentData = data.data || data;
         }
         
+        this.prepareSource();
         this.renderTable();
         this.updatePagination();
     }
 
+    /**
+     * 选择预览方式：数据已在数据引擎中（如导入的SQLite表）时直接分页读取；数据量超过阈值时由主进程按文件路径
+     * 导入数据引擎后分页读取，行数据不经过进程间传输；否则在内存中分页
+     */
+    prepareSource() {
+        const canUseRemote = Boolean(window.electronAPI && window.electronAPI.registerPreviewFile);
+        const tableName = canUseRemote && this.currentData ? this.currentData.sqliteTable : null;
+        const file = canUseRemote && !tableName && Array.isArray(this.currentData) &&
+            this.currentData.length > REMOTE_PREVIEW_THRESHOLD ? this.getPreviewFile() : null;
+
+        if (this.remote && this.remote.rows === this.currentData && (tableName || file)) {
+            return;
+        }
+        // 释放之前导入的预览表（再次导入时直接替换）
+        if (!file && this.remote && this.remote.rows && this.remote.tableName === PREVIEW_TABLE_NAME) {
+            window.electronAPI.dropSQLTable(PREVIEW_TABLE_NAME).catch(() => {});
+        }
+        this.remote = null;
+        if (!tableName && !file) {
+            return;
+        }
+
+        this.currentPage = 1;
+        const remote = this.createRemoteState(tableName || PREVIEW_TABLE_NAME, this.currentData);
+        if (file) {
+            remote.ready = window.electronAPI.registerPreviewFile(PREVIEW_TABLE_NAME, file).catch((error) => {
+                // 主进程读取失败时退回在内存中分页
+                console.warn('预览文件导入数据引擎失败:', error);
+                if (this.remote === remote) {
+                    this.remote = null;
+                    this.renderTable();
+                    this.updatePagination();
+                }
+                throw error;
+            });
+        }
+        this.remote = remote;
+    }
+
+    /**
+     * 获取当前数据对应的文件读取选项：主进程读取第一个工作表且不展开合并单元格，只有xlsx可以指定表头行，
+     * 读取结果与当前数据不同（处理后的数据、其他工作表、使用了其他导入选项）时返回null
+     * @returns {Object|null} { filePath, csv: 确认的CSV方言, header: 表头位置 }
+     */
+    getPreviewFile() {
+        const fileData = this.availableFiles[this.currentFileIndex];
+        const filePath = fileData && fileData.file && fileData.file.path;
+        if (!filePath || fileData.data !== this.currentData) {
+            return null;
+        }
+
+        const { csvDialect = {}, header = null, expandMerges = false, json = null, fixedWidth = null } = fileData.options || {};
+        const firstRowHeader = !header || (Number(header.headerRow ?? 1) === 1 && Number(header.headerRows ?? 1) === 1);
+        const isCsv = /\.(csv|tsv)$/i.test(filePath);
+        if ((expandMerges && !isCsv) || json || fixedWidth || (!firstRowHeader && !/\.xlsx$/i.test(filePath))) {
+            return null;
+        }
+        return { filePath, csv: csvDialect, header: header || {} };
+    }
+
+    /**
+     * 预览数据引擎中的表（数据不在渲染进程内存中，如工作区表、SQL连接结果）
+     * @param {string} tableName - 表名
+     */
+    showRemoteTable(tableName) {
+        this.currentData = null;
+        this.currentPage = 1;
+        this.remote = this.createRemoteState(tableName, null);
+        this.renderTable();
+    }
+
+    /**
+     * 创建分页读取状态
+     * @param {Array|null} rows - 数据引擎中的表对应的渲染进程数据，只用于判断数据是否切换，不传给主进程
+     */
+    createRemoteState(tableName, rows) {
+        return {
+            tableName,
+            rows,
+            ready: Promise.resolve(),
+            sort: null,
+            filters: {},
+            columns: [],
+            totalRows: rows ? rows.length : 0,
+            filteredRows: rows ? rows.length : 0
+        };
+    }
+
+    /**
+     * 从数据引擎读取当前页并渲染，过期的响应直接丢弃
+     */
+    async renderRemotePage() {
+        const remote = this.remote;
+        const requestId = ++this.remoteRequest;
+        this.previewContainer.classList.add('opacity-50');
+
+        try {
+            await remote.ready;
+            const page = await window.electronAPI.getPreviewPage(remote.tableName, {
+                offset: (this.currentPage - 1) * this.rowsPerPage,
+                limit: this.rowsPerPage,
+                sort: remote.sort,
+                conditions: Object.entries(remote.filters).map(([column, value]) => ({
+                    column,
+                    operator: 'icontains',
+                    value,
+                    logical: 'and'
+                }))
+            });
+            if (requestId !== this.remoteRequest || remote !== this.remote) return;
+
+            remote.columns = page.columns.map(column => column.name);
+            remote.totalRows = page.totalRows;
+            remote.filteredRows = page.filteredRows;
+
+            this.previewContainer.innerHTML = this.generateTableHtml(remote.columns, page.rows);
+            this.showControls();
+            this.updatePagination();
+            this.updateStats();
+
+        } catch (error) {
+            if (requestId !== this.remoteRequest || remote !== this.remote) return;
+            this.previewContainer.innerHTML = `
+                <div class="alert alert-error m-4">
+                    <span>预览数据读取失败: ${this.escapeHtml(error.message)}</span>
+                </div>
+            `;
+        } finally {
+            if (requestId === this.remoteRequest) {
+                this.previewContainer.classList.remove('opacity-50');
+            }
+        }
+    }
+
+    /**
+     * 切换列排序：升序 → 降序 → 不排序
+     * @param {string} column - 列名
+     */
+    toggleRemoteSort(column) {
+        const sort = this.remote.sort;
+        if (!sort || sort.column !== column) {
+            this.remote.sort = { column, direction: 'asc' };
+        } else if (sort.direction === 'asc') {
+            this.remote.sort = { column, direction: 'desc' };
+        } else {
+            this.remote.sort = null;
+        }
+        this.currentPage = 1;
+        this.renderTable();
+    }
+
+    /**
+     * 设置列筛选（包含该文本，不区分大小写）
+     * @param {string} column - 列名
+     * @param {string} value - 筛选文本，为空时取消该列筛选
+     */
+    setRemoteFilter(column, value) {
+        const text = String(value).trim();
+        if (text) {
+            this.remote.filters[column] = text;
+        } else {
+            delete this.remote.filters[column];
+        }
+        this.currentPage = 1;
+        this.renderTable();
+    }
+
     /**
      * 渲染表格
      */
     renderTable() {
+        if (this.remote) {
+            this.renderRemotePage();
+            return;
+        }
+
         if (!this.currentData || this.currentData.length === 0) {
             this.showEmptyState();
             return;
@@ -223,9 +429,25 @@ class DataPreview {
         html += '<thead><tr>';
         html += '<th class="text-center w-12">#</th>'; // 行号列
         columns.forEach(column => {
-            html += `<th class="min-w-[120px]">${this.escapeHtml(column)}</th>`;
+            if (this.remote) {
+                // 分页读取模式下点击表头由数据引擎排序
+                const sort = this.remote.sort;
+                const indicator = sort && sort.column === column ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+                html += `<th class="min-w-[120px] cursor-pointer select-none" data-sort-column="${this.escapeHtml(column)}" title="点击排序">${this.escapeHtml(column)}${indicator}</th>`;
+            } else {
+                html += `<th class="min-w-[120px]">${this.escapeHtml(column)}</th>`;
+            }
         });
-        html += '</tr></thead>';
+        html += '</tr>';
+        if (this.remote) {
+            html += '<tr><th></th>';
+            columns.forEach(column => {
+                const value = this.remote.filters[column] || '';
+                html += `<th><input type="text" class="input input-bordered input-xs w-full font-normal" data-filter-column="${this.escapeHtml(column)}" value="${this.escapeHtml(value)}" placeholder="筛选..." /></th>`;
+            });
+            html += '</tr>';
+        }
+        html += '</thead>';
         
         // 表体
         html += '<tbody>';
@@ -299,21 +521,9 @@ class DataPreview {
             return !isNaN(value.getTime());
         }
         
-        // 对于字符串，使用严格的日期格式检查
+        // 对于字符串，使用严格的日期格式检查（含2025年6月1日、2025.06.01等），并校验月份和日期
         if (typeof value === 'string') {
-            const strictDatePatterns = [
-                /^\d{4}-\d{1,2}-\d{1,2}$/,     // YYYY-MM-DD 或 YYYY-M-D
-                /^\d{1,2}\/\d{1,2}\/\d{4}$/,   // MM/DD/YYYY 或 M/D/YYYY（完整年份）
-                /^\d{4}\/\d{1,2}\/\d{1,2}$/,   // YYYY/MM/DD 或 YYYY/M/D
-                /^\d{1,2}-\d{1,2}-\d{4}$/      // MM-DD-YYYY 或 M-D-YYYY（完整年份）
-            ];
-            
-            // 必须匹配严格格式并且能被正确解析
-            const matchesPattern = strictDatePatterns.some(pattern => pattern.test(value));
-            if (!matchesPattern) return false;
-            
-            const parsedDate = new Date(value);
-            return !isNaN(parsedDate.getTime());
+            return ValueParser.isDateString(value);
         }
         
         return false;
@@ -384,10 +594,11 @@ class DataPreview {
      * 更新统计信息
      */
     updateStats() {
-        if (!this.currentData) return;
+        if (!this.currentData && !this.remote) return;
         
-        const totalRows = this.currentData.length;
-        const totalColumns = totalRows > 0 ? Object.keys(this.currentData[0]).length : 0;
+        const totalRows = this.remote ? this.remote.totalRows : this.currentData.length;
+        const totalColumns = this.remote ? this.remote.columns.length :
+            (totalRows > 0 ? Object.keys(this.currentData[0]).length : 0);
         const fileCount = this.availableFiles.length;
         
         // 更新显示
@@ -410,9 +621,10 @@ class DataPreview {
      * 更新分页信息
      */
     updatePagination() {
-        if (!this.currentData) return;
+        if (!this.currentData && !this.remote) return;
         
-        this.totalPages = Math.ceil(this.currentData.length / this.rowsPerPage);
+        const rowCount = this.remote ? this.remote.filteredRows : this.currentData.length;
+        this.totalPages = Math.max(1, Math.ceil(rowCount / this.rowsPerPage));
         
         // 更新分页显示
         document.getElementById('current-page').textContent = this.currentPage;
@@ -627,6 +839,7 @@ class DataPreview {
         this.availableFiles = [];
         this.currentPage = 1;
         this.isCompareMode = false;
+        this.remote = null;
         
         this.showEmptyState();
         this.updateStats();
@@ -637,6 +850,9 @@ class DataPreview {
      * @returns {Array} 列名数组
      */
     getAvailableColumns() {
+        if (this.remote) {
+            return this.remote.columns;
+        }
         if (!this.currentData || this.currentData.length === 0) {
             return [];
         }
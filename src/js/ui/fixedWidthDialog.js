@@ -0,0 +1,237 @@
+/**
+ * 定宽文本列边界编辑对话框
+ * 按等宽字体展示文件开头的行，点击字符或标尺在该位置添加/删除列边界，也可以直接输入各列的起始位置，实时预览切分结果
+ * 依赖全局 FixedWidthParser（src/shared/fixedWidthParser.js）和 EncodingDetector（src/shared/encodingDetector.js）
+ */
+
+// 预览切分结果的行数
+const PREVIEW_ROWS = 8;
+
+class FixedWidthDialog {
+    constructor() {
+        this.modal = null;
+        this.bytes = null;
+        this.complete = true;
+        this.lines = [];
+        this.boundaries = [];
+        this.resolve = null;
+    }
+
+    /**
+     * 打开对话框，等待用户确认
+     * @param {Object} options - { fileName, bytes: 文件开头的字节, complete: 样本是否为全文, encoding: 检测到的编码,
+     *                            boundaries: 推测的列起始位置, remaining: 之后还有几个定宽文本文件 }
+     * @returns {Promise<Object|null>} { fixedWidth: { encoding, boundaries, hasHeader }, applyToRest }，取消时为null
+     */
+    open({ fileName, bytes, complete = true, encoding, boundaries = [], remaining = 0 }) {
+        this.finish(null);
+        this.bytes = bytes;
+        this.complete = complete;
+        this.boundaries = FixedWidthParser.normalizeBoundaries(boundaries);
+        this.decodeSample(encoding);
+
+        const labels = { ...EncodingDetector.ENCODINGS };
+        if (!labels[encoding]) {
+            labels[encoding] = encoding;
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-5xl">
+                <h3 class="font-bold text-lg">设置列边界：${this.escapeHtml(fileName)}</h3>
+                <p class="text-sm text-base-content/70 mt-1">点击字符或标尺在该位置添加或删除列边界，全角字符按两个字符宽度计算</p>
+                <div class="flex flex-wrap items-end gap-4 mt-4">
+                    <label class="form-control">
+                        <span class="label-text">编码</span>
+                        <select class="select select-bordered select-sm" data-field="encoding">
+                            ${Object.entries(labels).map(([value, label]) => `
+                                <option value="${this.escapeHtml(value)}" ${value === encoding ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="form-control flex-1 min-w-64">
+                        <span class="label-text">各列起始位置（从0开始，逗号分隔）</span>
+                        <input type="text" class="input input-bordered input-sm font-mono" data-field="boundaries" />
+                    </label>
+                    <button class="btn btn-sm" data-action="detect">自动检测</button>
+                    <button class="btn btn-sm" data-action="clear">清除</button>
+                    <label class="label cursor-pointer gap-2">
+                        <input type="checkbox" class="checkbox checkbox-sm" data-field="hasHeader" checked />
+                        <span class="label-text">第一行为表头</span>
+                    </label>
+                </div>
+                <div class="overflow-x-auto max-h-72 mt-4 border border-base-300 rounded">
+                    <pre class="font-mono text-xs leading-5 p-2 cursor-text" data-role="lines"></pre>
+                </div>
+                <div class="overflow-x-auto max-h-60 mt-4" data-role="preview"></div>
+                <div class="modal-action items-center">
+                    ${remaining > 0 ? `
+                        <label class="label cursor-pointer gap-2 mr-auto">
+                            <input type="checkbox" class="checkbox checkbox-sm" data-field="applyToRest" />
+                            <span class="label-text">其余 ${remaining} 个定宽文本文件使用相同设置</span>
+                        </label>
+                    ` : ''}
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">确定</button>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (field === 'encoding') {
+                this.decodeSample(e.target.value);
+            } else if (field === 'boundaries') {
+                this.boundaries = FixedWidthParser.normalizeBoundaries(e.target.value);
+            }
+            this.render();
+        });
+        this.modal.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-column]');
+            if (cell) {
+                this.toggleBoundary(parseInt(cell.dataset.column, 10));
+                return;
+            }
+
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'detect') {
+                this.boundaries = FixedWidthParser.detectBoundaries(this.lines);
+                this.render();
+            } else if (action === 'clear') {
+                this.boundaries = [];
+                this.render();
+            } else if (action === 'cancel') {
+                this.finish(null);
+            } else if (action === 'confirm') {
+                this.finish({
+                    fixedWidth: {
+                        encoding: this.modal.querySelector('[data-field="encoding"]').value,
+                        boundaries: this.boundaries,
+                        hasHeader: this.modal.querySelector('[data-field="hasHeader"]').checked
+                    },
+                    applyToRest: Boolean(this.modal.querySelector('[data-field="applyToRest"]')?.checked)
+                });
+            }
+        });
+
+        document.body.appendChild(this.modal);
+        this.render();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 按编码解码样本并拆分行，样本末尾被截断的行不显示
+     */
+    decodeSample(encoding) {
+        const lines = FixedWidthParser.splitLines(EncodingDetector.createDecoder(encoding).decode(this.bytes, { stream: !this.complete }));
+        if (!this.complete) {
+            lines.pop();
+        }
+        this.lines = lines;
+    }
+
+    /**
+     * 在指定位置添加或删除列边界，位置0是第一列的起点，不能作为边界
+     */
+    toggleBoundary(column) {
+        if (column <= 0) {
+            return;
+        }
+        this.boundaries = this.boundaries.includes(column)
+            ? this.boundaries.filter(boundary => boundary !== column)
+            : FixedWidthParser.normalizeBoundaries([...this.boundaries, column]);
+        this.render();
+    }
+
+    /**
+     * 渲染标尺、原始行和切分结果
+     */
+    render() {
+        this.modal.querySelector('[data-field="boundaries"]').value = this.boundaries.join(', ');
+
+        const shown = this.lines.slice(0, 20);
+        const width = shown.reduce((max, line) => {
+            const cells = FixedWidthParser.toCells(line);
+            const last = cells[cells.length - 1];
+            return Math.max(max, last ? last.column + last.width : 0);
+        }, 0);
+        const boundaries = new Set(this.boundaries);
+        const marker = (column) => (boundaries.has(column) ? ' class="border-l-2 border-primary"' : '');
+
+        // 标尺：每10列标出位置
+        const ruler = Array.from({ length: width + 1 }, (_, column) => {
+            const mark = column % 10 === 0 ? '|' : (column % 5 === 0 ? '+' : '·');
+            return `<span data-column="${column}"${marker(column)} title="${column}">${mark}</span>`;
+        }).join('');
+
+        const lines = shown.map(line => FixedWidthParser.toCells(line)
+            .map(({ char, column }) => `<span data-column="${column}"${marker(column)}>${this.escapeHtml(char)}</span>`)
+            .join(''));
+
+        this.modal.querySelector('[data-role="lines"]').innerHTML = [`<span class="text-base-content/50">${ruler}</span>`, ...lines].join('\n');
+        this.renderPreview();
+    }
+
+    /**
+     * 按当前列边界切分前几行并渲染表格
+     */
+    renderPreview() {
+        const hasHeader = this.modal.querySelector('[data-field="hasHeader"]').checked;
+        const records = this.lines.slice(0, PREVIEW_ROWS + 1).map(line => FixedWidthParser.splitLine(line, this.boundaries));
+        const headers = hasHeader ? records[0] || [] : (records[0] || []).map((_, index) => `Column_${index + 1}`);
+        const rows = (hasHeader ? records.slice(1) : records).slice(0, PREVIEW_ROWS);
+
+        this.modal.querySelector('[data-role="preview"]').innerHTML = `
+            <table class="table table-xs table-zebra">
+                <thead>
+                    <tr>${headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map(value => `<td class="whitespace-nowrap">${this.escapeHtml(value)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     */
+    finish(result) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.close();
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default FixedWidthDialog;
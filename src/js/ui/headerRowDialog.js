@@ -0,0 +1,168 @@
+/**
+ * 表头行选择对话框
+ * 展示文件开头的原始行，选择表头起始行（之前的行跳过）和表头行数，实时预览展平后的列名
+ */
+
+import { splitHeaderRows, normalizeHeaderOptions, MAX_HEADER_ROWS } from '../core/headerLayout.js';
+
+class HeaderRowDialog {
+    constructor() {
+        this.modal = null;
+        this.rows = [];
+        this.merges = [];
+        this.resolve = null;
+    }
+
+    /**
+     * 打开对话框，等待用户确认
+     * @param {Object} options - { fileName, rows: 开头的原始行, merges: 合并单元格, layout: 推测的表头选项, remaining: 之后还有几个文件 }
+     * @returns {Promise<Object|null>} { header: { headerRow, headerRows }, applyToRest }，取消时为null
+     */
+    open({ fileName, rows, merges = [], layout = {}, remaining = 0 }) {
+        this.finish(null);
+        this.rows = rows;
+        this.merges = merges;
+
+        const { headerRow, headerRows } = normalizeHeaderOptions(layout);
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-5xl">
+                <h3 class="font-bold text-lg">选择表头：${this.escapeHtml(fileName)}</h3>
+                <p class="text-sm text-base-content/70 mt-1">点击行号设为表头起始行，之前的行将被跳过；多行表头按“父级_子级”合并为列名</p>
+                <div class="flex flex-wrap gap-4 mt-4">
+                    <label class="form-control">
+                        <span class="label-text">表头起始行</span>
+                        <input type="number" class="input input-bordered input-sm w-28" data-field="headerRow" min="1" max="${rows.length}" value="${headerRow}" />
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">表头行数（0为无表头）</span>
+                        <input type="number" class="input input-bordered input-sm w-28" data-field="headerRows" min="0" max="${MAX_HEADER_ROWS}" value="${headerRows}" />
+                    </label>
+                </div>
+                <div class="overflow-x-auto max-h-72 mt-4">
+                    <table class="table table-xs">
+                        <tbody>
+                            ${rows.map((row, index) => `
+                                <tr data-row="${index + 1}">
+                                    <th class="cursor-pointer text-primary" data-action="pick" title="设为表头起始行">${index + 1}</th>
+                                    ${Array.from({ length: columnCount }, (_, column) => `<td class="whitespace-nowrap">${this.escapeHtml(row[column] ?? '')}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="mt-4">
+                    <span class="label-text">导入后的列名</span>
+                    <div class="flex flex-wrap gap-1 mt-1" data-role="columns"></div>
+                </div>
+                <div class="modal-action items-center">
+                    ${remaining > 0 ? `
+                        <label class="label cursor-pointer gap-2 mr-auto">
+                            <input type="checkbox" class="checkbox checkbox-sm" data-field="applyToRest" />
+                            <span class="label-text">其余 ${remaining} 个文件使用相同设置</span>
+                        </label>
+                    ` : ''}
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">确定</button>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('input', () => this.renderPreview());
+        this.modal.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            const action = target?.dataset.action;
+            if (action === 'pick') {
+                this.modal.querySelector('[data-field="headerRow"]').value = target.closest('tr').dataset.row;
+                this.renderPreview();
+            } else if (action === 'cancel') {
+                this.finish(null);
+            } else if (action === 'confirm') {
+                this.finish({
+                    header: this.collectOptions(),
+                    applyToRest: Boolean(this.modal.querySelector('[data-field="applyToRest"]')?.checked)
+                });
+            }
+        });
+
+        document.body.appendChild(this.modal);
+        this.renderPreview();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 读取当前设置
+     * @returns {Object} { headerRow, headerRows }
+     */
+    collectOptions() {
+        return normalizeHeaderOptions({
+            headerRow: this.modal.querySelector('[data-field="headerRow"]').value,
+            headerRows: this.modal.querySelector('[data-field="headerRows"]').value
+        });
+    }
+
+    /**
+     * 标出跳过的行和表头行，并渲染导入后的列名
+     */
+    renderPreview() {
+        const options = this.collectOptions();
+        const { headerRow, headerRows } = options;
+
+        this.modal.querySelectorAll('tr[data-row]').forEach(tr => {
+            const row = parseInt(tr.dataset.row, 10);
+            tr.classList.toggle('opacity-40', row < headerRow);
+            tr.classList.toggle('bg-primary/10', row >= headerRow && row < headerRow + headerRows);
+            tr.classList.toggle('font-semibold', row >= headerRow && row < headerRow + headerRows);
+        });
+
+        const { headers } = splitHeaderRows(this.rows, options, this.merges);
+        this.modal.querySelector('[data-role="columns"]').innerHTML = headers
+            .map((header, index) => header || `Column_${index + 1}`)
+            .map(header => `<span class="badge badge-outline">${this.escapeHtml(header)}</span>`)
+            .join('');
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     */
+    finish(result) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.close();
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default HeaderRowDialog;
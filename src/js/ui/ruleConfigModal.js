@@ -468,6 +468,265 @@ class RuleConfigModal {
     this._eventUnbinders.push(() => { form.onsubmit = null; });
   }
 
+  /**
+   * 显示窗口计算配置（累计求和、组内排名、上/下一行、环比、占比）
+   */
+  showWindowConfig(columns = ['A', 'B', 'C'], hasPrevious = false) {
+    const panel = document.getElementById('ruleConfigPanel');
+    if (!panel) return;
+    this.destroyPanelEvents(panel);
+    const columnOptions = columns.map(col => `<option value="${col}">${col}</option>`).join('');
+    panel.innerHTML = `
+      <div class="rule-config-panel">
+        <h3>窗口计算配置</h3>
+        <form class="rule-config-form">
+          <div class="form-control mb-2">
+            <label>数据来源</label>
+            <div class="flex gap-4 mt-1">
+              <label class="cursor-pointer label">
+                <input type="radio" name="data-source" value="original" checked class="radio radio-primary" />
+                <span class="label-text ml-2">原始数据</span>
+              </label>
+              <label class="cursor-pointer label">
+                <input type="radio" name="data-source" value="previous" class="radio radio-primary" ${hasPrevious ? '' : 'disabled'} />
+                <span class="label-text ml-2">上一步结果${hasPrevious ? '' : '<span style=\'color:#bbb;font-size:12px;margin-left:4px\' title=\'当前无上一步结果可用\'>(不可用)</span>'}</span>
+              </label>
+            </div>
+          </div>
+          <div class="form-control">
+            <label for="window-func">计算方式</label>
+            <select id="window-func" class="select select-bordered">
+              <option value="cumsum">累计求和</option>
+              <option value="rank">组内排名</option>
+              <option value="dense_rank">组内密集排名</option>
+              <option value="row_number">组内序号</option>
+              <option value="lag">上一行的值</option>
+              <option value="lead">下一行的值</option>
+              <option value="diff">环比差值</option>
+              <option value="pct_change">环比增长率</option>
+              <option value="percent_of_total">占合计比例</option>
+            </select>
+          </div>
+          <div class="form-control">
+            <label for="window-col">计算列</label>
+            <select id="window-col" class="select select-bordered"></select>
+          </div>
+          <div class="form-control">
+            <label for="window-partition">分组列（可多选）</label>
+            <select id="window-partition" class="select select-bordered h-24" multiple>${columnOptions}</select>
+            <div class="input-hint">按住Ctrl多选；不选则整表作为一组</div>
+          </div>
+          <div class="form-control">
+            <label for="window-order">排序列</label>
+            <select id="window-order" class="select select-bordered">
+              <option value="">原始顺序</option>
+              ${columnOptions}
+            </select>
+            <div class="flex gap-4 mt-2">
+              <label class="cursor-pointer label">
+                <input type="radio" name="window-direction" value="asc" checked class="radio radio-primary" />
+                <span class="label-text ml-2">升序</span>
+              </label>
+              <label class="cursor-pointer label">
+                <input type="radio" name="window-direction" value="desc" class="radio radio-primary" />
+                <span class="label-text ml-2">降序</span>
+              </label>
+            </div>
+            <div class="input-hint">排名未指定排序列时按计算列排名</div>
+          </div>
+          <div class="form-control hidden" id="window-offset-area">
+            <label for="window-offset">间隔行数</label>
+            <input id="window-offset" type="number" min="1" value="1" class="input input-bordered" />
+          </div>
+          <div class="form-control">
+            <label for="window-result">结果列名</label>
+            <input id="window-result" type="text" class="input input-bordered" placeholder="留空则自动命名" />
+          </div>
+          <div class="btn-group">
+            <button type="button" id="window-apply" class="btn btn-primary">立即应用</button>
+            <button type="button" id="window-cancel" class="btn btn-secondary">取消</button>
+          </div>
+        </form>
+      </div>
+    `;
+    // 虚拟化渲染计算列选项
+    const colSel = panel.querySelector('#window-col');
+    this.renderVirtualizedSelect(colSel, columns);
+    // 仅前后行/环比需要间隔行数
+    const funcSel = panel.querySelector('#window-func');
+    const offsetArea = panel.querySelector('#window-offset-area');
+    funcSel.onchange = () => {
+      offsetArea.classList.toggle('hidden', !['lag', 'lead', 'diff', 'pct_change'].includes(funcSel.value));
+    };
+    const form = panel.querySelector('form');
+    form.onsubmit = e => e.preventDefault();
+    const applyBtn = panel.querySelector('#window-apply');
+    const cancelBtn = panel.querySelector('#window-cancel');
+    applyBtn.onclick = this.throttle(() => {
+      const partitionBy = Array.from(panel.querySelector('#window-partition').selectedOptions).map(opt => opt.value);
+      this.collectConfigData({
+        type: 'window',
+        func: funcSel.value,
+        col: colSel.value,
+        partitionBy,
+        orderBy: panel.querySelector('#window-order').value,
+        order: panel.querySelector('input[name="window-direction"]:checked').value,
+        offset: panel.querySelector('#window-offset').value,
+        resultCol: panel.querySelector('#window-result').value.trim(),
+        dataSource: panel.querySelector('input[name="data-source"]:checked').value
+      });
+      this.destroyPanelEvents(panel);
+    }, 300);
+    cancelBtn.onclick = this.throttle(() => {
+      this.destroyPanelEvents(panel);
+    }, 300);
+    this._eventUnbinders.push(() => { applyBtn.onclick = null; });
+    this._eventUnbinders.push(() => { cancelBtn.onclick = null; });
+    this._eventUnbinders.push(() => { funcSel.onchange = null; });
+    this._eventUnbinders.push(() => { form.onsubmit = null; });
+    this._eventUnbinders.push(() => { colSel.onwheel = null; });
+  }
+
+  /**
+   * 显示透视/逆透视配置
+   * 透视：行分组 × 透视列 × 值列（聚合）；逆透视：将选定列折叠为键/值两列
+   */
+  showPivotConfig(columns = ['A', 'B', 'C'], hasPrevious = false) {
+    const panel = document.getElementById('ruleConfigPanel');
+    if (!panel) return;
+    this.destroyPanelEvents(panel);
+    const columnOptions = columns.map(col => `<option value="${col}">${col}</option>`).join('');
+    panel.innerHTML = `
+      <div class="rule-config-panel">
+        <h3>透视/逆透视配置</h3>
+        <form class="rule-config-form">
+          <div class="form-control mb-2">
+            <label>数据来源</label>
+            <div class="flex gap-4 mt-1">
+              <label class="cursor-pointer label">
+                <input type="radio" name="data-source" value="original" checked class="radio radio-primary" />
+                <span class="label-text ml-2">原始数据</span>
+              </label>
+              <label class="cursor-pointer label">
+                <input type="radio" name="data-source" value="previous" class="radio radio-primary" ${hasPrevious ? '' : 'disabled'} />
+                <span class="label-text ml-2">上一步结果${hasPrevious ? '' : '<span style=\'color:#bbb;font-size:12px;margin-left:4px\' title=\'当前无上一步结果可用\'>(不可用)</span>'}</span>
+              </label>
+            </div>
+          </div>
+          <div class="form-control">
+            <label>操作类型</label>
+            <div class="flex gap-4 mt-2">
+              <label class="cursor-pointer label">
+                <input type="radio" name="reshape-type" value="pivot" checked class="radio radio-primary" />
+                <span class="label-text ml-2">透视（长转宽）</span>
+              </label>
+              <label class="cursor-pointer label">
+                <input type="radio" name="reshape-type" value="unpivot" class="radio radio-primary" />
+                <span class="label-text ml-2">逆透视（宽转长）</span>
+              </label>
+            </div>
+            <div class="input-hint">透视：透视列的每个取值生成一列；逆透视：把多列（如每月一列）合并为“字段/值”两列</div>
+          </div>
+          <div id="pivot-area">
+            <div class="form-control">
+              <label for="pivot-rows">行分组列（可多选）</label>
+              <select id="pivot-rows" class="select select-bordered h-24" multiple>${columnOptions}</select>
+            </div>
+            <div class="form-control">
+              <label for="pivot-columns">透视列</label>
+              <select id="pivot-columns" class="select select-bordered">${columnOptions}</select>
+            </div>
+            <div class="form-control">
+              <label for="pivot-values">值列</label>
+              <select id="pivot-values" class="select select-bordered">${columnOptions}</select>
+            </div>
+            <div class="form-control">
+              <label for="pivot-aggregate">聚合方式</label>
+              <select id="pivot-aggregate" class="select select-bordered">
+                <option value="sum">求和</option>
+                <option value="count">计数</option>
+                <option value="avg">平均值</option>
+                <option value="min">最小值</option>
+                <option value="max">最大值</option>
+                <option value="first">第一个值</option>
+              </select>
+            </div>
+          </div>
+          <div id="unpivot-area" class="hidden">
+            <div class="form-control">
+              <label for="unpivot-columns">要折叠的列（可多选）</label>
+              <select id="unpivot-columns" class="select select-bordered h-24" multiple>${columnOptions}</select>
+            </div>
+            <div class="form-control">
+              <label for="unpivot-key">键列名</label>
+              <input id="unpivot-key" type="text" class="input input-bordered" value="字段" />
+            </div>
+            <div class="form-control">
+              <label for="unpivot-value">值列名</label>
+              <input id="unpivot-value" type="text" class="input input-bordered" value="值" />
+            </div>
+          </div>
+          <div class="btn-group">
+            <button type="button" id="pivot-apply" class="btn btn-primary">立即应用</button>
+            <button type="button" id="pivot-cancel" class="btn btn-secondary">取消</button>
+          </div>
+        </form>
+      </div>
+    `;
+    const pivotArea = panel.querySelector('#pivot-area');
+    const unpivotArea = panel.querySelector('#unpivot-area');
+    panel.querySelectorAll('input[name="reshape-type"]').forEach(radio => {
+      radio.onchange = e => {
+        pivotArea.classList.toggle('hidden', e.target.value !== 'pivot');
+        unpivotArea.classList.toggle('hidden', e.target.value !== 'unpivot');
+      };
+      this._eventUnbinders.push(() => { radio.onchange = null; });
+    });
+    const selectedValues = selector => Array.from(panel.querySelector(selector).selectedOptions).map(opt => opt.value);
+    // 校验不通过时在对应下拉框旁提示，下次应用时清除
+    const reportInvalid = (selector, message) => {
+      const select = panel.querySelector(selector);
+      select.setCustomValidity(message);
+      select.reportValidity();
+    };
+    const form = panel.querySelector('form');
+    form.onsubmit = e => e.preventDefault();
+    const applyBtn = panel.querySelector('#pivot-apply');
+    const cancelBtn = panel.querySelector('#pivot-cancel');
+    applyBtn.onclick = this.throttle(() => {
+      const type = panel.querySelector('input[name="reshape-type"]:checked').value;
+      const dataSource = panel.querySelector('input[name="data-source"]:checked').value;
+      form.querySelectorAll('select').forEach(select => select.setCustomValidity(''));
+      if (type === 'pivot') {
+        const rows = selectedValues('#pivot-rows');
+        const columnsCol = panel.querySelector('#pivot-columns').value;
+        const values = panel.querySelector('#pivot-values').value;
+        if (rows.includes(columnsCol) || rows.includes(values) || columnsCol === values) {
+          reportInvalid('#pivot-columns', '行分组列、透视列和值列不能重复！');
+          return;
+        }
+        const aggregate = panel.querySelector('#pivot-aggregate').value;
+        this.collectConfigData({ type: 'pivot', rows, columns: columnsCol, values, aggregate, dataSource });
+      } else {
+        const unpivotColumns = selectedValues('#unpivot-columns');
+        if (unpivotColumns.length === 0) {
+          reportInvalid('#unpivot-columns', '请至少选择一列进行逆透视！');
+          return;
+        }
+        const keyName = panel.querySelector('#unpivot-key').value.trim();
+        const valueName = panel.querySelector('#unpivot-value').value.trim();
+        this.collectConfigData({ type: 'unpivot', columns: unpivotColumns, keyName, valueName, dataSource });
+      }
+      this.destroyPanelEvents(panel);
+    }, 300);
+    cancelBtn.onclick = this.throttle(() => {
+      this.destroyPanelEvents(panel);
+    }, 300);
+    this._eventUnbinders.push(() => { applyBtn.onclick = null; });
+    this._eventUnbinders.push(() => { cancelBtn.onclick = null; });
+    this._eventUnbinders.push(() => { form.onsubmit = null; });
+  }
+
   // 收集配置数据
   collectConfigData(config) {
     console.time('collectConfigData');
@@ -0,0 +1,220 @@
+/**
+ * 列结构编辑器
+ * 展示全列类型推断结果和类型冲突，允许逐列覆盖类型与是否允许为空
+ * 覆盖设置按数据源（文件/工作表）保存，注册到数据引擎时生效
+ */
+
+/**
+ * 可选的列类型
+ */
+const COLUMN_TYPES = {
+    utf8: '文本',
+    int64: '整数',
+    float64: '小数',
+    timestamp: '日期时间',
+    bool: '布尔'
+};
+
+/**
+ * 类别统计的显示名称
+ */
+const KIND_LABELS = {
+    number: '数字',
+    string: '文本',
+    date: '日期',
+    bool: '布尔',
+    null: '空值'
+};
+
+class SchemaEditor {
+    constructor() {
+        this.modal = null;
+        this.onSave = null;
+        this.source = null;
+        this.columns = [];
+    }
+
+    /**
+     * 设置保存回调
+     * @param {Function} callback - 回调函数 (source, overrides)
+     */
+    setOnSave(callback) {
+        this.onSave = callback;
+    }
+
+    /**
+     * 分析数据并打开编辑器
+     * @param {Object} options - { source: 数据源名, rows: 行数据 }
+     */
+    async show({ source, rows }) {
+        const analysis = await window.electronAPI.analyzeSchema(rows, { source });
+        this.source = source;
+        this.columns = analysis.columns;
+        this.render(analysis);
+    }
+
+    /**
+     * 渲染编辑器弹窗
+     * @param {Object} analysis - 分析结果 {columns, conflicts, scannedRows, totalRows, overrides}
+     */
+    render(analysis) {
+        this.close();
+
+        const { columns, conflicts, scannedRows, totalRows, overrides = {} } = analysis;
+        const conflictMap = new Map(conflicts.map(conflict => [conflict.column, conflict]));
+        const scanText = scannedRows < totalRows ? `抽样 ${scannedRows} / ${totalRows} 行` : `已扫描全部 ${totalRows} 行`;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-4xl">
+                <h3 class="font-bold text-lg">列结构：${this.escapeHtml(this.source)}</h3>
+                <p class="text-sm text-base-content/70 mt-1">
+                    ${scanText}${conflicts.length > 0 ? `，<span class="text-warning">${conflicts.length} 列存在类型冲突</span>` : ''}
+                </p>
+                <div class="overflow-x-auto max-h-96 mt-4">
+                    <table class="table table-sm table-pin-rows">
+                        <thead>
+                            <tr>
+                                <th>列名</th>
+                                <th>值分布</th>
+                                <th>类型</th>
+                                <th>允许为空</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${columns.map((column, index) => this.renderRow(column, index, overrides[column.name], conflictMap.get(column.name))).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="text-sm text-error mt-2 hidden" data-role="error"></p>
+                <div class="modal-action">
+                    <button class="btn btn-ghost" data-action="reset">恢复推断</button>
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="save">保存</button>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                this.close();
+            } else if (action === 'reset') {
+                this.resetInputs();
+            } else if (action === 'save') {
+                this.save();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * 渲染单列
+     */
+    renderRow(column, index, override = {}, conflict = null) {
+        const type = override.type || column.type;
+        const nullable = override.nullable ?? true;
+        const distribution = Object.entries(column.counts)
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${KIND_LABELS[kind]} ${count}`)
+            .join(' / ');
+        const conflictText = conflict ?
+            `第 ${conflict.conflictRow + 1} 行起出现${KIND_LABELS[conflict.conflictKind]}值“${conflict.conflictValue}”` : '';
+
+        return `
+            <tr class="${conflict ? 'bg-warning/10' : ''}" data-index="${index}">
+                <td class="font-medium">${this.escapeHtml(column.name)}</td>
+                <td class="text-xs">
+                    ${this.escapeHtml(distribution)}
+                    ${conflict ? `<div class="text-warning" title="${this.escapeHtml(conflictText)}">⚠ ${this.escapeHtml(conflictText)}</div>` : ''}
+                </td>
+                <td>
+                    <select class="select select-bordered select-xs" data-field="type">
+                        ${Object.entries(COLUMN_TYPES).map(([value, label]) => `
+                            <option value="${value}" ${value === type ? 'selected' : ''}>${label}${value === column.type ? '（推断）' : ''}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    <input type="checkbox" class="checkbox checkbox-sm" data-field="nullable" ${nullable ? 'checked' : ''} />
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * 将各列恢复为推断结果
+     */
+    resetInputs() {
+        this.modal?.querySelectorAll('tr[data-index]').forEach(row => {
+            const column = this.columns[parseInt(row.dataset.index)];
+            row.querySelector('[data-field="type"]').value = column.type;
+            row.querySelector('[data-field="nullable"]').checked = true;
+        });
+    }
+
+    /**
+     * 收集与推断结果不同的列设置
+     * @returns {Object} { 列名: { type, nullable } }
+     */
+    collectOverrides() {
+        const overrides = {};
+        this.modal.querySelectorAll('tr[data-index]').forEach(row => {
+            const column = this.columns[parseInt(row.dataset.index)];
+            const type = row.querySelector('[data-field="type"]').value;
+            const nullable = row.querySelector('[data-field="nullable"]').checked;
+
+            if (type !== column.type || !nullable) {
+                overrides[column.name] = { type, nullable };
+            }
+        });
+        return overrides;
+    }
+
+    /**
+     * 保存覆盖设置
+     */
+    async save() {
+        const overrides = this.collectOverrides();
+        try {
+            await window.electronAPI.saveSchemaOverrides(this.source, overrides);
+            this.close();
+            if (this.onSave) {
+                this.onSave(this.source, overrides);
+            }
+        } catch (error) {
+            // 保存失败时保留弹窗，在弹窗内显示原因
+            const errorLine = this.modal.querySelector('[data-role="error"]');
+            errorLine.textContent = `保存列结构失败: ${error.message}`;
+            errorLine.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default SchemaEditor;
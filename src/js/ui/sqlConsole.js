@@ -0,0 +1,657 @@
+/**
+ * SQL查询控制台
+ * 将已解析的文件/工作表注册为DuckDB表，执行用户输入的SQL查询
+ * 仅在桌面版（存在electronAPI）中可用
+ */
+
+import SchemaEditor from './schemaEditor.js';
+
+/**
+ * 自动补全使用的SQL关键字
+ */
+const SQL_KEYWORDS = [
+    'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING', 'LIMIT', 'OFFSET',
+    'JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'INNER JOIN', 'ON', 'USING',
+    'UNION', 'UNION ALL', 'DISTINCT', 'AS', 'AND', 'OR', 'NOT', 'IN', 'BETWEEN',
+    'LIKE', 'ILIKE', 'IS NULL', 'IS NOT NULL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+    'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'CAST', 'COALESCE', 'ASC', 'DESC', 'WITH'
+];
+
+/**
+ * 上一步结果注册使用的表名
+ */
+const PREVIOUS_TABLE_NAME = 'previous_result';
+
+class SqlConsole {
+    constructor() {
+        this.tables = [];
+        this.registeredSources = null;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.isRunning = false;
+        this.onResult = null;
+        this.onPreview = null;
+        this.getSources = null;
+        this.pendingSync = null;
+        this.tableSources = new Map();
+        this.schemaEditor = new SchemaEditor();
+
+        this.init();
+    }
+
+    /**
+     * 初始化控制台
+     */
+    init() {
+        this.initElements();
+        this.bindEvents();
+        this.updateAvailability();
+
+        // 保存列结构后按新的类型重新注册
+        this.schemaEditor.setOnSave((source) => {
+            this.registeredSources = null;
+            this.syncTables()
+                .then(() => this.setStatus(`已按新的列结构重新注册 ${source}`))
+                .catch(error => this.showError({ message: error.message }));
+        });
+
+        // 工作区模式下加载上次保留的数据表
+        if (this.isAvailable()) {
+            this.refreshTables().catch(error => this.showError({ message: error.message }));
+        }
+    }
+
+    /**
+     * 初始化元素
+     */
+    initElements() {
+        this.editor = document.getElementById('sql-editor');
+        this.runButton = document.getElementById('sql-run');
+        this.suggestionList = document.getElementById('sql-suggestions');
+        this.tableList = document.getElementById('sql-tables');
+        this.errorContainer = document.getElementById('sql-error');
+        this.statusContainer = document.getElementById('sql-status');
+        this.workspaceBadge = document.getElementById('sql-workspace');
+        this.refreshButton = document.getElementById('sql-refresh-tables');
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        this.runButton?.addEventListener('click', () => this.runQuery());
+        this.editor?.addEventListener('focus', () => {
+            this.syncTables().catch(error => this.showError({ message: error.message }));
+        });
+        this.editor?.addEventListener('input', () => this.updateSuggestions());
+        this.editor?.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.editor?.addEventListener('blur', () => {
+            // 延迟隐藏，保证点击建议项时事件先触发
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+        this.suggestionList?.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                e.preventDefault();
+                this.applySuggestion(parseInt(item.dataset.index));
+            }
+        });
+        this.tableList?.addEventListener('click', (e) => {
+            const dropButton = e.target.closest('[data-drop]');
+            if (dropButton) {
+                this.confirmDrop(dropButton);
+                return;
+            }
+
+            const previewButton = e.target.closest('[data-preview-table]');
+            if (previewButton) {
+                if (this.onPreview) this.onPreview(previewButton.dataset.previewTable);
+                return;
+            }
+
+            const schemaButton = e.target.closest('[data-schema]');
+            if (schemaButton) {
+                this.openSchemaEditor(schemaButton.dataset.schema);
+                return;
+            }
+
+            const item = e.target.closest('[data-insert]');
+            if (item) {
+                this.insertText(item.dataset.insert);
+            }
+        });
+        this.refreshButton?.addEventListener('click', () => {
+            this.refreshTables().catch(error => this.showError({ message: error.message }));
+        });
+    }
+
+    /**
+     * 设置查询结果回调
+     * @param {Function} callback - 回调函数 (data, sql)
+     */
+    setOnResult(callback) {
+        this.onResult = callback;
+    }
+
+    /**
+     * 设置表预览回调（在数据预览中分页查看整张表）
+     * @param {Function} callback - 回调函数 (tableName)
+     */
+    setOnPreview(callback) {
+        this.onPreview = callback;
+    }
+
+    /**
+     * 设置数据源提供函数
+     * @param {Function} provider - 返回 { files, previous } 的函数
+     */
+    setSourceProvider(provider) {
+        this.getSources = provider;
+    }
+
+    /**
+     * 是否可用（需要桌面版的数据引擎）
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(window.electronAPI && window.electronAPI.executeSQL);
+    }
+
+    /**
+     * 根据运行环境更新控制台可用状态
+     */
+    updateAvailability() {
+        const available = this.isAvailable();
+        if (this.runButton) this.runButton.disabled = !available;
+        if (this.editor) this.editor.disabled = !available;
+        if (this.refreshButton) this.refreshButton.disabled = !available;
+        if (!available) {
+            this.setStatus('SQL查询需要在桌面版中使用');
+        }
+    }
+
+    /**
+     * 由文件名生成合法且唯一的表名
+     * @param {string} name - 文件名或工作表名
+     * @param {Set<string>} usedNames - 已使用的表名
+     * @returns {string} 表名
+     */
+    buildTableName(name, usedNames) {
+        let base = String(name || 'table')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^\w一-龥]+/g, '_')
+            .replace(/^_+|_+$/g, '') || 'table';
+        if (/^\d/.test(base)) {
+            base = `t_${base}`;
+        }
+
+        let tableName = base;
+        let counter = 1;
+        while (usedNames.has(tableName)) {
+            tableName = `${base}_${counter}`;
+            counter++;
+        }
+        usedNames.add(tableName);
+        return tableName;
+    }
+
+    /**
+     * 将已解析文件和上一步结果整理为待注册的表
+     * @param {Array} files - 已解析的文件数据
+     * @param {Array} previous - 上一步结果
+     * @returns {Array} [{name, rows, source}]，source为保存列结构覆盖设置所用的数据源名
+     */
+    buildTableSources(files, previous) {
+        const usedNames = new Set([PREVIOUS_TABLE_NAME]);
+        const sources = [];
+
+        (files || []).forEach(file => {
+            const sheets = file.sheets && typeof file.sheets === 'object' ? Object.entries(file.sheets) : [];
+            if (sheets.length > 1) {
+                sheets.forEach(([sheetName, rows]) => {
+                    sources.push({
+                        name: this.buildTableName(`${file.fileName}_${sheetName}`, usedNames),
+                        rows,
+                        source: `${file.fileName}#${sheetName}`
+                    });
+                });
+            } else {
+                const rows = Array.isArray(file.data) ? file.data : [file.data];
+                sources.push({ name: this.buildTableName(file.fileName, usedNames), rows, source: file.fileName });
+            }
+        });
+
+        if (Array.isArray(previous) && previous.length > 0) {
+            sources.push({ name: PREVIOUS_TABLE_NAME, rows: previous });
+        }
+
+        return sources.filter(source => Array.isArray(source.rows) && source.rows.length > 0);
+    }
+
+    /**
+     * 同步已加载的数据到DuckDB（数据未变化时跳过）
+     */
+    async syncTables() {
+        if (!this.getSources || !this.isAvailable()) return;
+
+        // 等待进行中的注册完成，避免重复传输同一批数据
+        while (this.pendingSync) {
+            await this.pendingSync;
+        }
+
+        const { files, previous } = this.getSources();
+        const registered = this.registeredSources;
+        if (registered && registered.files === files && registered.previous === previous) {
+            return;
+        }
+
+        this.setStatus('正在注册数据表...');
+        const sources = this.buildTableSources(files, previous);
+        this.pendingSync = window.electronAPI.registerSQLTables(sources);
+        try {
+            this.tables = await this.pendingSync;
+            this.registeredSources = { files, previous };
+            this.tableSources = new Map(sources
+                .filter(source => source.source)
+                .map(source => [source.name, source]));
+            this.renderTables();
+            this.setStatus(`已注册 ${this.tables.length} 个表`);
+        } finally {
+            this.pendingSync = null;
+        }
+    }
+
+    /**
+     * 重新加载引擎中的数据表和工作区信息
+     */
+    async refreshTables() {
+        if (!this.isAvailable()) return;
+
+        const [tables, workspace] = await Promise.all([
+            window.electronAPI.getSQLTables(),
+            window.electronAPI.getSQLWorkspace()
+        ]);
+        this.tables = tables;
+        this.renderTables();
+        this.renderWorkspace(workspace);
+    }
+
+    /**
+     * 删除按钮需点击两次：第一次变为确认状态，3秒内再次点击才删除
+     * @param {HTMLElement} button - 删除按钮
+     */
+    confirmDrop(button) {
+        if (button.dataset.confirming) {
+            this.dropTable(button.dataset.drop);
+            return;
+        }
+
+        button.dataset.confirming = 'true';
+        button.textContent = '确认删除';
+        button.title = `再次点击删除数据表 ${button.dataset.drop}`;
+        setTimeout(() => {
+            delete button.dataset.confirming;
+            button.textContent = '✕';
+            button.title = '删除数据表';
+        }, 3000);
+    }
+
+    /**
+     * 删除数据表（工作区模式下同时从磁盘移除）
+     * @param {string} tableName - 表名
+     */
+    async dropTable(tableName) {
+        if (!this.isAvailable()) return;
+
+        try {
+            this.tables = await window.electronAPI.dropSQLTable(tableName);
+            // 删除后强制下次查询前重新注册当前数据
+            this.registeredSources = null;
+            this.renderTables();
+            this.setStatus(`已删除表 ${tableName}`);
+        } catch (error) {
+            this.showError({ message: error.message });
+        }
+    }
+
+    /**
+     * 打开数据表的列结构编辑器
+     * @param {string} tableName - 表名
+     */
+    async openSchemaEditor(tableName) {
+        const source = this.tableSources.get(tableName);
+        if (!source) return;
+
+        try {
+            await this.schemaEditor.show({ source: source.source, rows: source.rows });
+        } catch (error) {
+            this.showError({ message: error.message });
+        }
+    }
+
+    /**
+     * 显示工作区模式和文件大小
+     * @param {Object} workspace - {mode, path, size, memoryLimit}
+     */
+    renderWorkspace(workspace) {
+        if (!this.workspaceBadge || !workspace) return;
+
+        if (workspace.mode === 'workspace') {
+            const size = (workspace.size / 1024 / 1024).toFixed(1);
+            this.workspaceBadge.textContent = `工作区 ${size}MB`;
+            this.workspaceBadge.title = workspace.path;
+            this.workspaceBadge.classList.replace('badge-ghost', 'badge-success');
+        } else {
+            this.workspaceBadge.textContent = '内存模式';
+            this.workspaceBadge.title = '数据表在应用关闭后不会保留，可在设置中启用数据工作区';
+        }
+    }
+
+    /**
+     * 执行编辑器中的SQL
+     */
+    async runQuery() {
+        if (!this.isAvailable() || this.isRunning || !this.editor) return;
+
+        const sql = this.editor.value.trim();
+        if (!sql) {
+            this.setStatus('请输入SQL语句');
+            return;
+        }
+
+        this.isRunning = true;
+        this.clearError();
+        if (this.runButton) this.runButton.disabled = true;
+
+        try {
+            await this.syncTables();
+            this.setStatus('查询执行中...');
+
+            const result = await window.electronAPI.executeSQL(this.editor.value);
+            if (!result.success) {
+                this.showError(result.error);
+                this.setStatus('查询失败');
+                return;
+            }
+
+            this.setStatus(`查询完成：${result.rowCount} 行，用时 ${result.elapsed}ms`);
+            if (this.onResult) {
+                this.onResult(result.data, sql);
+            }
+
+        } catch (error) {
+            this.showError({ message: error.message });
+            this.setStatus('查询失败');
+        } finally {
+            this.isRunning = false;
+            if (this.runButton) this.runButton.disabled = false;
+        }
+    }
+
+    /**
+     * 显示SQL错误并定位到出错位置
+     * @param {Object} error - {message, detail, line, column}
+     */
+    showError(error) {
+        if (!this.errorContainer) return;
+
+        const position = error.line ? `第 ${error.line} 行${error.column ? `，第 ${error.column} 列` : ''}：` : '';
+        this.errorContainer.textContent = `${position}${error.message}`;
+        this.errorContainer.title = error.detail || error.message;
+        this.errorContainer.classList.remove('hidden');
+
+        if (error.line && this.editor) {
+            const offset = this.getOffset(error.line, error.column || 1);
+            this.editor.focus();
+            this.editor.setSelectionRange(offset, offset + 1);
+        }
+    }
+
+    /**
+     * 清除错误提示
+     */
+    clearError() {
+        if (!this.errorContainer) return;
+        this.errorContainer.textContent = '';
+        this.errorContainer.classList.add('hidden');
+    }
+
+    /**
+     * 设置状态文本
+     * @param {string} text - 状态文本
+     */
+    setStatus(text) {
+        if (this.statusContainer) {
+            this.statusContainer.textContent = text;
+        }
+    }
+
+    /**
+     * 由行列号计算编辑器中的字符偏移
+     * @param {number} line - 行号（从1开始）
+     * @param {number} column - 列号（从1开始）
+     * @returns {number} 字符偏移
+     */
+    getOffset(line, column) {
+        const lines = this.editor.value.split('\n');
+        let offset = 0;
+        for (let i = 0; i < line - 1 && i < lines.length; i++) {
+            offset += lines[i].length + 1;
+        }
+        return Math.min(offset + column - 1, this.editor.value.length);
+    }
+
+    /**
+     * 渲染已注册的表和列
+     */
+    renderTables() {
+        if (!this.tableList) return;
+
+        if (this.tables.length === 0) {
+            this.tableList.innerHTML = '<div class="text-sm text-base-content/50">暂无可查询的表，请先上传文件</div>';
+            return;
+        }
+
+        this.tableList.innerHTML = this.tables.map(table => `
+            <div class="mb-2">
+                <button class="btn btn-xs btn-ghost font-bold" data-insert="${this.escapeHtml(this.quoteIdentifier(table.name))}">${this.escapeHtml(table.name)}</button>
+                <span class="text-xs text-base-content/50">${table.rows} 行</span>
+                <button class="btn btn-xs btn-ghost" data-preview-table="${this.escapeHtml(table.name)}" title="在数据预览中分页查看">预览</button>
+                ${this.tableSources.has(table.name) ? `<button class="btn btn-xs btn-ghost" data-schema="${this.escapeHtml(table.name)}" title="查看并调整列类型">结构</button>` : ''}
+                <button class="btn btn-xs btn-ghost text-error" data-drop="${this.escapeHtml(table.name)}" title="删除数据表">✕</button>
+                <div class="flex flex-wrap gap-1 ml-2">
+                    ${table.columns.map(column => `
+                        <span class="badge badge-ghost badge-sm cursor-pointer" data-insert="${this.escapeHtml(this.quoteIdentifier(column.name))}" title="${this.escapeHtml(column.type)}">${this.escapeHtml(column.name)}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 必要时为标识符加双引号
+     * @param {string} name - 表名或列名
+     * @returns {string}
+     */
+    quoteIdentifier(name) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * 获取光标前正在输入的词
+     * @returns {{token: string, start: number}}
+     */
+    getCurrentToken() {
+        const cursor = this.editor.selectionStart;
+        const before = this.editor.value.slice(0, cursor);
+        const match = before.match(/"?[\w一-龥.]*$/);
+        return { token: match[0], start: cursor - match[0].length };
+    }
+
+    /**
+     * 获取全部补全候选项
+     * @param {string} token - 当前输入的词
+     * @returns {Array<{label: string, value: string, kind: string}>}
+     */
+    getCandidates(token) {
+        // "表名.列名" 形式只补全该表的列
+        const dotIndex = token.lastIndexOf('.');
+        if (dotIndex !== -1) {
+            const tableName = token.slice(0, dotIndex).replace(/"/g, '');
+            const table = this.tables.find(t => t.name === tableName);
+            const prefix = token.slice(0, dotIndex + 1);
+            return (table ? table.columns : []).map(column => ({
+                label: column.name,
+                value: prefix + this.quoteIdentifier(column.name),
+                kind: column.type
+            }));
+        }
+
+        const candidates = [];
+        this.tables.forEach(table => {
+            candidates.push({ label: table.name, value: this.quoteIdentifier(table.name), kind: '表' });
+        });
+        const seenColumns = new Set();
+        this.tables.forEach(table => {
+            table.columns.forEach(column => {
+                if (!seenColumns.has(column.name)) {
+                    seenColumns.add(column.name);
+                    candidates.push({ label: column.name, value: this.quoteIdentifier(column.name), kind: column.type });
+                }
+            });
+        });
+        SQL_KEYWORDS.forEach(keyword => {
+            candidates.push({ label: keyword, value: keyword, kind: '关键字' });
+        });
+        return candidates;
+    }
+
+    /**
+     * 根据当前输入更新补全列表
+     */
+    updateSuggestions() {
+        if (!this.editor) return;
+
+        const { token } = this.getCurrentToken();
+        const search = token.replace(/"/g, '').toLowerCase();
+        const lastPart = search.slice(search.lastIndexOf('.') + 1);
+        if (!search || (!lastPart && !search.endsWith('.'))) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestions = this.getCandidates(token)
+            .filter(candidate => candidate.label.toLowerCase().startsWith(lastPart) && candidate.label.toLowerCase() !== lastPart)
+            .slice(0, 10);
+        this.activeSuggestion = this.suggestions.length > 0 ? 0 : -1;
+        this.renderSuggestions();
+    }
+
+    /**
+     * 渲染补全列表
+     */
+    renderSuggestions() {
+        if (!this.suggestionList) return;
+
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionList.innerHTML = this.suggestions.map((item, index) => `
+            <li data-index="${index}"><a class="${index === this.activeSuggestion ? 'active' : ''}">
+                <span>${this.escapeHtml(item.label)}</span>
+                <span class="text-xs opacity-50 ml-auto">${this.escapeHtml(item.kind)}</span>
+            </a></li>
+        `).join('');
+        this.suggestionList.classList.remove('hidden');
+    }
+
+    /**
+     * 隐藏补全列表
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestionList?.classList.add('hidden');
+    }
+
+    /**
+     * 应用补全项
+     * @param {number} index - 候选项索引
+     */
+    applySuggestion(index) {
+        const item = this.suggestions[index];
+        if (!item) return;
+
+        const { start } = this.getCurrentToken();
+        const end = this.editor.selectionStart;
+        this.editor.setRangeText(item.value, start, end, 'end');
+        this.hideSuggestions();
+        this.editor.focus();
+    }
+
+    /**
+     * 在光标处插入文本
+     * @param {string} text - 要插入的文本
+     */
+    insertText(text) {
+        if (!this.editor || this.editor.disabled) return;
+        this.editor.setRangeText(text, this.editor.selectionStart, this.editor.selectionEnd, 'end');
+        this.editor.focus();
+    }
+
+    /**
+     * 编辑器按键处理：Ctrl+Enter执行，方向键/Tab/Enter选择补全
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    handleKeydown(e) {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.hideSuggestions();
+            this.runQuery();
+            return;
+        }
+
+        if (this.suggestions.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion + 1) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion - 1 + this.suggestions.length) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+            case 'Tab':
+            case 'Enter':
+                e.preventDefault();
+                this.applySuggestion(this.activeSuggestion);
+                break;
+            case 'Escape':
+                this.hideSuggestions();
+                break;
+        }
+    }
+
+    /**
+     * HTML转义
+     * @param {string} text - 文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default SqlConsole;
@@ -0,0 +1,191 @@
+/**
+ * SQLite数据库对话框
+ * 导入时选择一张表或视图，也可以输入SELECT语句；导出时填写目标表名和写入模式
+ */
+
+// 写入模式说明
+const WRITE_MODES = {
+    create: '新建表（表已存在时报错）',
+    append: '追加到已有的表',
+    replace: '替换已有的表'
+};
+
+class SqliteDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+    }
+
+    /**
+     * 选择导入的数据来源
+     * @param {Object} options - { fileName, tables: [{ name, type, columns, rows }] }
+     * @returns {Promise<Object|null>} { sqlite: { table } 或 { sql } }，取消时为null
+     */
+    chooseSource({ fileName, tables = [] }) {
+        const checked = tables.length > 0 ? tables[0].name : null;
+
+        const body = `
+            <div class="overflow-y-auto max-h-72 mt-4 space-y-1">
+                ${tables.map(table => `
+                    <label class="label cursor-pointer justify-start gap-3 py-1">
+                        <input type="radio" class="radio radio-sm" name="sqlite-source" value="table"
+                               data-table="${this.escapeHtml(table.name)}" ${table.name === checked ? 'checked' : ''} />
+                        <span class="label-text font-mono">${this.escapeHtml(table.name)}</span>
+                        <span class="badge badge-ghost badge-sm">${table.type === 'view' ? '视图' : '表'}</span>
+                        <span class="text-xs text-base-content/60">
+                            ${table.columns.length} 列${table.rows === null ? '' : `，${table.rows.toLocaleString()} 行`}
+                        </span>
+                    </label>
+                `).join('')}
+                <label class="label cursor-pointer justify-start gap-3 py-1">
+                    <input type="radio" class="radio radio-sm" name="sqlite-source" value="sql" ${checked ? '' : 'checked'} />
+                    <span class="label-text">SELECT查询</span>
+                </label>
+            </div>
+            <textarea class="textarea textarea-bordered w-full font-mono text-sm mt-2" rows="4" data-field="sql"
+                      placeholder="SELECT * FROM orders WHERE status = 'paid'"></textarea>
+        `;
+
+        return this.show(`从SQLite导入：${this.escapeHtml(fileName)}`, body, () => {
+            const selected = this.modal.querySelector('[name="sqlite-source"]:checked');
+            if (selected && selected.value === 'table') {
+                return { sqlite: { table: selected.dataset.table } };
+            }
+
+            const sql = this.modal.querySelector('[data-field="sql"]').value.trim();
+            if (!/^(select|with)\b/i.test(sql)) {
+                this.showError('请输入SELECT语句');
+                return null;
+            }
+            return { sqlite: { sql } };
+        }, (e) => {
+            // 输入查询时自动切换到“SELECT查询”
+            if (e.target.dataset.field === 'sql') {
+                this.modal.querySelector('[name="sqlite-source"][value="sql"]').checked = true;
+            }
+        });
+    }
+
+    /**
+     * 填写导出的目标表
+     * @param {Object} options - { tableName: 默认表名 }
+     * @returns {Promise<Object|null>} { targetTable, mode }，取消时为null
+     */
+    chooseTarget({ tableName = 'processed_data' } = {}) {
+        const body = `
+            <label class="form-control mt-4">
+                <span class="label-text">目标表名</span>
+                <input type="text" class="input input-bordered input-sm font-mono" data-field="targetTable" value="${this.escapeHtml(tableName)}" />
+            </label>
+            <div class="mt-4 space-y-1">
+                ${Object.entries(WRITE_MODES).map(([mode, label]) => `
+                    <label class="label cursor-pointer justify-start gap-3 py-1">
+                        <input type="radio" class="radio radio-sm" name="sqlite-mode" value="${mode}" ${mode === 'create' ? 'checked' : ''} />
+                        <span class="label-text">${label}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+
+        return this.show('导出到SQLite数据库', body, () => {
+            const targetTable = this.modal.querySelector('[data-field="targetTable"]').value.trim();
+            if (!targetTable) {
+                this.showError('请填写目标表名');
+                return null;
+            }
+            return {
+                targetTable,
+                mode: this.modal.querySelector('[name="sqlite-mode"]:checked').value
+            };
+        });
+    }
+
+    /**
+     * 显示弹窗，点击确定时用 collect 读取结果，返回null表示输入有误、保持弹窗
+     */
+    show(title, body, collect, onInput = null) {
+        this.finish(null);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-2xl">
+                <h3 class="font-bold text-lg">${title}</h3>
+                ${body}
+                <p class="text-error text-sm mt-2 hidden" data-role="error"></p>
+                <div class="modal-action">
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">确定</button>
+                </div>
+            </div>
+        `;
+
+        if (onInput) {
+            this.modal.addEventListener('input', onInput);
+        }
+        this.modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                this.finish(null);
+            } else if (action === 'confirm') {
+                const result = collect();
+                if (result) {
+                    this.finish(result);
+                }
+            }
+        });
+
+        document.body.appendChild(this.modal);
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 显示输入错误
+     */
+    showError(message) {
+        const error = this.modal.querySelector('[data-role="error"]');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     */
+    finish(result) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.close();
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 关闭弹窗
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+export default SqliteDialog;
@@ -202,17 +202,7 @@ class Formatter {
      * @returns {boolean} 是否为日期格式
      */
     isDateString(str) {
-        if (typeof str !== 'string') return false;
-        
-        // 检测常见的日期格式
-        const datePatterns = [
-            /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
-            /^\d{4}\/\d{2}\/\d{2}$/, // YYYY/MM/DD
-            /^\d{2}\/\d{2}\/\d{4}$/, // MM/DD/YYYY
-            /^\d{4}-\d{2}-\d{2}\s\d{2}:\d{2}:\d{2}$/ // YYYY-MM-DD HH:mm:ss
-        ];
-
-        return datePatterns.some(pattern => pattern.test(str)) && !isNaN(new Date(str).getTime());
+        return ValueParser.isDateString(str);
     }
 
     /**
@@ -6,13 +6,22 @@
 class Validator {
     constructor() {
         this.MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-        this.ALLOWED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+        this.ALLOWED_EXTENSIONS = ['.xlsx', '.xls', '.xlsb', '.ods', '.csv', '.tsv', '.json', '.jsonl', '.ndjson', '.txt', '.prn', '.parquet', '.db', '.sqlite', '.sqlite3'];
         this.ALLOWED_MIME_TYPES = [
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'application/vnd.ms-excel',
+            'application/vnd.ms-excel.sheet.binary.macroEnabled.12',
+            'application/vnd.oasis.opendocument.spreadsheet',
             'text/csv',
-            'application/csv'
+            'application/csv',
+            'text/tab-separated-values',
+            'application/json',
+            'application/x-ndjson',
+            'text/plain',
+            'application/vnd.apache.parquet'
         ];
+        // 由桌面版数据引擎按路径读取的格式，不受内存文件大小限制
+        this.ENGINE_EXTENSIONS = ['.parquet', '.db', '.sqlite', '.sqlite3'];
     }
 
     /**
@@ -28,7 +37,8 @@ class Validator {
             }
 
             // 检查文件大小
-            if (file.size > this.MAX_FILE_SIZE) {
+            const isEngineFile = this.ENGINE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+            if (file.size > this.MAX_FILE_SIZE && !isEngineFile) {
                 const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
                 return { 
                     isValid: false, 
@@ -288,7 +298,9 @@ class Validator {
                 };
             }
 
-            const date = new Date(dateString);
+            // 先按 ValueParser 识别中文日期和 YYYY.MM.DD 等格式，无法识别时再交给Date解析
+            const parsed = ValueParser.parseDate(String(dateString));
+            const date = parsed ? parsed.value : new Date(dateString);
             
             if (isNaN(date.getTime())) {
                 return { 
@@ -3,7 +3,7 @@
  * 负责应用生命周期管理和窗口创建
  */
 
-const { app, BrowserWindow, Menu, Tray, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, Tray, Notification, shell, ipcMain } = require('electron');
 const path = require('path');
 const isDev = process.env.NODE_ENV === 'development';
 
@@ -12,7 +12,11 @@ const AppManager = require('./appManager');
 const ConfigManager = require('./configManager');
 const FileSystemManager = require('./fileSystemManager');
 const IPCManager = require('./ipcManager');
+const DataEngine = require('./dataEngine');
 const ResourceMonitor = require('./resourceMonitor');
+const WorkerPool = require('./workerPool');
+const HotFolderWatcher = require('./hotFolderWatcher');
+const { HOT_FOLDER_CHANNELS } = require('../shared/ipcChannels');
 
 class P_ExcelApp {
     constructor() {
@@ -21,7 +25,11 @@ class P_ExcelApp {
         this.appManager = new AppManager();
         this.fileSystemManager = new FileSystemManager();
         this.ipcManager = new IPCManager();
+        this.dataEngine = new DataEngine();
         this.resourceMonitor = new ResourceMonitor();
+        this.workerPool = null;
+        this.hotFolderWatcher = null;
+        this.isQuitting = false;
         
         this.setupEventHandlers();
     }
@@ -51,6 +59,7 @@ class P_ExcelApp {
 
         // 应用退出前
         app.on('before-quit', async () => {
+            this.isQuitting = true;
             await this.cleanup();
         });
     }
@@ -68,6 +77,8 @@ class P_ExcelApp {
             
             await this.fileSystemManager.initialize();
             await this.ipcManager.initialize();
+            this.ipcManager.setFileSystemManager(this.fileSystemManager);
+            await this.initializeDataEngine();
             await this.resourceMonitor.initialize();
 
             // 创建主窗口
@@ -79,6 +90,9 @@ class P_ExcelApp {
             // 设置系统托盘
             this.setupSystemTray();
 
+            // 开始监视热文件夹
+            await this.initializeHotFolders();
+
             console.log('P_Excel桌面版启动成功');
         } catch (error) {
             console.error('应用初始化失败:', error);
@@ -86,6 +100,98 @@ class P_ExcelApp {
         }
     }
 
+    /**
+     * 初始化数据处理引擎
+     * 启用工作区时使用配置目录下的DuckDB文件，打开失败则回退到内存模式
+     * 引擎不可用时仅禁用SQL相关功能，不阻止应用启动
+     */
+    async initializeDataEngine() {
+        const workspace = this.appManager.getConfig('workspace') || {};
+        const options = {
+            memoryLimit: workspace.memoryLimit,
+            tempDirectory: path.join(this.fileSystemManager.cacheDir, 'temp', 'duckdb')
+        };
+
+        try {
+            if (workspace.enabled) {
+                const configDir = this.appManager.configManager.options.configDir;
+                options.databasePath = path.join(configDir, workspace.fileName);
+            }
+            await this.dataEngine.initialize(options);
+            this.ipcManager.setDataEngine(this.dataEngine);
+        } catch (error) {
+            if (!options.databasePath) {
+                console.warn('数据处理引擎不可用，SQL功能将被禁用:', error.message);
+                return;
+            }
+
+            console.warn('工作区打开失败，回退到内存模式:', error.message);
+            await this.dataEngine.cleanup();
+            delete options.databasePath;
+            try {
+                await this.dataEngine.initialize(options);
+                this.ipcManager.setDataEngine(this.dataEngine);
+            } catch (fallbackError) {
+                console.warn('数据处理引擎不可用，SQL功能将被禁用:', fallbackError.message);
+            }
+        }
+    }
+
+    /**
+     * 创建Worker池和热文件夹监视器，热文件夹的处理在Worker池中执行
+     */
+    async initializeHotFolders() {
+        const performance = this.appManager.getConfig('performance') || {};
+        this.workerPool = new WorkerPool({ maxWorkers: performance.maxConcurrentTasks });
+        this.hotFolderWatcher = new HotFolderWatcher({
+            configManager: this.appManager.configManager,
+            workerPool: this.workerPool,
+            logDirectory: app.getPath('logs')
+        });
+
+        this.hotFolderWatcher.on('run', (run) => this.handleHotFolderRun(run));
+        this.hotFolderWatcher.on('statusChanged', (status) => {
+            this.ipcManager.sendToRenderer(HOT_FOLDER_CHANNELS.STATUS, status);
+            this.updateTrayMenu();
+        });
+        this.ipcManager.setHotFolderWatcher(this.hotFolderWatcher);
+
+        try {
+            await this.hotFolderWatcher.start();
+        } catch (error) {
+            console.error('热文件夹监视启动失败:', error);
+        }
+    }
+
+    /**
+     * 热文件夹处理完一个文件：通知渲染进程，窗口隐藏在托盘时显示系统通知
+     */
+    handleHotFolderRun(run) {
+        this.ipcManager.sendToRenderer(HOT_FOLDER_CHANNELS.RUN, run);
+
+        const fileName = path.basename(run.inputFile);
+        const summary = run.status === 'success'
+            ? `${fileName} 已处理，${run.processedRows.toLocaleString()} 行`
+            : `${fileName} 处理失败: ${run.error}`;
+        if (this.tray) {
+            this.tray.setToolTip(`P_Excel桌面版\n${run.hotFolderName}: ${summary}`);
+        }
+        if (Notification.isSupported() && !(this.mainWindow && this.mainWindow.isVisible())) {
+            new Notification({ title: `热文件夹 ${run.hotFolderName}`, body: summary }).show();
+        }
+    }
+
+    /**
+     * 关闭或最小化窗口时是否隐藏到托盘：设置了最小化到托盘，或有正在监视的热文件夹
+     */
+    shouldHideToTray() {
+        if (!this.tray) {
+            return false;
+        }
+        return Boolean(this.appManager.getConfig('window.minimizeToTray')) ||
+            Boolean(this.hotFolderWatcher && this.hotFolderWatcher.isActive());
+    }
+
     /**
      * 创建主窗口
      */
@@ -120,6 +226,22 @@ class P_ExcelApp {
             }
         });
 
+        // 关闭窗口时隐藏到托盘，热文件夹在后台继续处理，从托盘菜单退出
+        this.mainWindow.on('close', (event) => {
+            if (!this.isQuitting && this.shouldHideToTray()) {
+                event.preventDefault();
+                this.mainWindow.hide();
+            }
+        });
+
+        // 设置了最小化到托盘时，最小化即隐藏窗口
+        this.mainWindow.on('minimize', (event) => {
+            if (this.tray && this.appManager.getConfig('window.minimizeToTray')) {
+                event.preventDefault();
+                this.mainWindow.hide();
+            }
+        });
+
         // 窗口关闭时
         this.mainWindow.on('closed', () => {
             this.mainWindow = null;
@@ -143,6 +265,13 @@ class P_ExcelApp {
                             this.ipcManager.sendToRenderer('menu:open-file');
                         }
                     },
+                    {
+                        label: '打开文件夹',
+                        accelerator: 'CmdOrCtrl+Shift+O',
+                        click: () => {
+                            this.ipcManager.sendToRenderer('menu:open-folder');
+                        }
+                    },
                     {
                         label: '保存',
                         accelerator: 'CmdOrCtrl+S',
@@ -231,7 +360,37 @@ class P_ExcelApp {
         // 设置托盘提示
         this.tray.setToolTip('P_Excel桌面版');
 
-        // 创建托盘菜单
+        // 设置托盘菜单
+        this.updateTrayMenu();
+
+        // 双击托盘图标显示/隐藏窗口
+        this.tray.on('double-click', () => {
+            if (this.mainWindow) {
+                if (this.mainWindow.isVisible()) {
+                    this.mainWindow.hide();
+                } else {
+                    this.mainWindow.show();
+                    this.mainWindow.focus();
+                }
+            } else {
+                this.createMainWindow();
+            }
+        });
+
+        console.log('系统托盘设置完成');
+    }
+
+    /**
+     * 更新托盘菜单（热文件夹的暂停状态变化时重建）
+     */
+    updateTrayMenu() {
+        if (!this.tray) {
+            return;
+        }
+
+        const watcher = this.hotFolderWatcher;
+        const hasHotFolders = Boolean(watcher) && this.appManager.configManager.getHotFolders().length > 0;
+
         const contextMenu = Menu.buildFromTemplate([
             {
                 label: '显示主窗口',
@@ -262,6 +421,26 @@ class P_ExcelApp {
                     this.ipcManager.sendToRenderer('menu:open-file');
                 }
             },
+            {
+                label: '热文件夹',
+                enabled: hasHotFolders,
+                submenu: [
+                    {
+                        label: '暂停监视',
+                        type: 'checkbox',
+                        checked: Boolean(watcher && watcher.paused),
+                        click: (item) => {
+                            watcher.setPaused(item.checked);
+                        }
+                    },
+                    {
+                        label: '打开处理日志',
+                        click: () => {
+                            shell.openPath(watcher.logPath);
+                        }
+                    }
+                ]
+            },
             { type: 'separator' },
             {
                 label: '退出',
@@ -271,24 +450,7 @@ class P_ExcelApp {
             }
         ]);
 
-        // 设置托盘菜单
         this.tray.setContextMenu(contextMenu);
-
-        // 双击托盘图标显示/隐藏窗口
-        this.tray.on('double-click', () => {
-            if (this.mainWindow) {
-                if (this.mainWindow.isVisible()) {
-                    this.mainWindow.hide();
-                } else {
-                    this.mainWindow.show();
-                    this.mainWindow.focus();
-                }
-            } else {
-                this.createMainWindow();
-            }
-        });
-
-        console.log('系统托盘设置完成');
     }
 
     /**
@@ -297,6 +459,13 @@ class P_ExcelApp {
     async cleanup() {
         try {
             await this.resourceMonitor.cleanup();
+            if (this.hotFolderWatcher) {
+                this.hotFolderWatcher.stop();
+            }
+            if (this.workerPool) {
+                await this.workerPool.shutdown();
+            }
+            await this.dataEngine.cleanup();
             await this.fileSystemManager.cleanup();
             await this.appManager.cleanup();
             console.log('应用清理完成');
@@ -0,0 +1,212 @@
+/**
+ * Arrow数据传输 - 以Arrow IPC记录批次在主进程与渲染进程间传输大数据
+ *
+ * 协议（均使用TRANSFER_CHANNELS中的名称）：
+ * 1. start 创建MessageChannel，通过 START 消息把传输信息和其中一个端口发给渲染进程，随即返回传输ID
+ * 2. pump 在后台按批次读取数据源（行数组或DuckDB表的分页读取器），每批转换为Arrow IPC流格式字节，
+ *    以 CHUNK 消息经该端口发送；只有发送时才读取下一批，主进程中不保留已发送的批次
+ * 3. 渲染进程处理完一个批次后回复 ACK，未确认的批次达到 maxInFlight 时 pump 暂停读取和发送（背压）
+ * 4. 渲染进程经端口发送 CANCEL 或主进程调用 cancel 时停止发送并回复 CANCEL；最后的批次都确认后发送 COMPLETE，出错发送 ERROR
+ *
+ * 批次字节以Uint8Array随消息结构化克隆到渲染进程，不经过JSON
+ */
+
+const { MessageChannelMain } = require('electron');
+const arrow = require('apache-arrow');
+const { TRANSFER_CHANNELS } = require('../shared/ipcChannels');
+
+class ArrowTransfer {
+    constructor(dataEngine) {
+        this.dataEngine = dataEngine;
+        this.transfers = new Map();
+        this.counter = 0;
+    }
+
+    /**
+     * 向渲染进程发送数据并等待传输结束
+     * @param {WebContents} webContents - 接收数据的渲染进程
+     * @param {Array|Object} source - 行数据数组，或批次读取器 { totalRows, schema, read(offset, limit) }
+     * @param {Object} options - { batchSize, maxInFlight, sampleSize, meta, onProgress }
+     * @returns {Promise<Object>} { transferId, totalRows, totalBytes, batches, cancelled }
+     */
+    async send(webContents, source, options = {}) {
+        return this.start(webContents, source, options).done;
+    }
+
+    /**
+     * 开始向渲染进程发送数据，发出 START 后立即返回，批次在后台发送
+     * 调用方可以先把传输ID交给渲染进程，渲染进程在传输过程中即可取消
+     * @param {WebContents} webContents - 接收数据的渲染进程
+     * @param {Array|Object} source - 行数据数组，或批次读取器 { totalRows, schema, read(offset, limit) }
+     * @param {Object} options - { batchSize, maxInFlight, sampleSize, meta, onProgress }
+     * @returns {Object} { transferId, done: Promise<{ transferId, totalRows, totalBytes, batches, cancelled }> }
+     */
+    start(webContents, source, options = {}) {
+        const {
+            batchSize = 10000,
+            sampleSize = 0,
+            meta = {}
+        } = options;
+
+        const reader = Array.isArray(source) ? this.createArrayReader(source, sampleSize) : source;
+        const totalBatches = Math.ceil(reader.totalRows / batchSize);
+        const transferId = `${Date.now()}_${++this.counter}`;
+        const { port1: port, port2 } = new MessageChannelMain();
+
+        const state = {
+            port,
+            acknowledged: 0,
+            cancelled: false,
+            wake: null
+        };
+        this.transfers.set(transferId, state);
+
+        port.on('message', ({ data: message }) => {
+            if (message.type === TRANSFER_CHANNELS.ACK) {
+                state.acknowledged = Math.max(state.acknowledged, message.index + 1);
+            } else if (message.type === TRANSFER_CHANNELS.CANCEL) {
+                state.cancelled = true;
+            }
+            this.wake(state);
+        });
+        port.start();
+
+        webContents.postMessage(TRANSFER_CHANNELS.START, {
+            transferId,
+            totalRows: reader.totalRows,
+            totalBatches,
+            columns: reader.schema,
+            ...meta
+        }, [port2]);
+
+        return {
+            transferId,
+            done: this.pump(transferId, state, reader, { ...options, batchSize, totalBatches })
+        };
+    }
+
+    /**
+     * 按背压逐批发送，结束后关闭端口
+     */
+    async pump(transferId, state, reader, options) {
+        const { batchSize, totalBatches, maxInFlight = 4, onProgress = null } = options;
+        const { port } = state;
+        let totalBytes = 0;
+        let sent = 0;
+
+        try {
+            for (; sent < totalBatches && !state.cancelled; sent++) {
+                // 未确认的批次过多时等待渲染进程消费
+                while (sent - state.acknowledged >= maxInFlight && !state.cancelled) {
+                    await this.waitForSignal(state);
+                }
+                if (state.cancelled) break;
+
+                const rows = await reader.read(sent * batchSize, batchSize);
+                const table = this.dataEngine.convertToArrow(rows, reader.schema);
+                const bytes = arrow.tableToIPC(table, 'stream');
+                totalBytes += bytes.byteLength;
+
+                port.postMessage({
+                    type: TRANSFER_CHANNELS.CHUNK,
+                    transferId,
+                    index: sent,
+                    rowCount: rows.length,
+                    bytes
+                });
+
+                if (onProgress) {
+                    onProgress({
+                        transferred: sent + 1,
+                        total: totalBatches,
+                        progress: Math.round(((sent + 1) / totalBatches) * 100)
+                    });
+                }
+            }
+
+            // 等待最后的批次被确认，保证COMPLETE到达时渲染进程已处理完全部数据
+            while (state.acknowledged < sent && !state.cancelled) {
+                await this.waitForSignal(state);
+            }
+
+            port.postMessage({
+                type: state.cancelled ? TRANSFER_CHANNELS.CANCEL : TRANSFER_CHANNELS.COMPLETE,
+                transferId,
+                totalRows: reader.totalRows,
+                totalBytes
+            });
+
+            return {
+                transferId,
+                totalRows: reader.totalRows,
+                totalBytes,
+                batches: sent,
+                cancelled: state.cancelled
+            };
+
+        } catch (error) {
+            port.postMessage({ type: TRANSFER_CHANNELS.ERROR, transferId, message: error.message });
+            throw error;
+        } finally {
+            this.transfers.delete(transferId);
+            port.close();
+        }
+    }
+
+    /**
+     * 取消传输
+     * @param {string} transferId - 传输ID
+     * @returns {boolean} 传输是否存在
+     */
+    cancel(transferId) {
+        const state = this.transfers.get(transferId);
+        if (!state) {
+            return false;
+        }
+        state.cancelled = true;
+        this.wake(state);
+        return true;
+    }
+
+    /**
+     * 取消全部进行中的传输
+     */
+    cancelAll() {
+        for (const transferId of this.transfers.keys()) {
+            this.cancel(transferId);
+        }
+    }
+
+    /**
+     * 等待确认或取消信号
+     */
+    waitForSignal(state) {
+        return new Promise(resolve => {
+            state.wake = resolve;
+        });
+    }
+
+    /**
+     * 唤醒等待中的发送循环
+     */
+    wake(state) {
+        if (state.wake) {
+            const resolve = state.wake;
+            state.wake = null;
+            resolve();
+        }
+    }
+
+    /**
+     * 将行数据包装为批次读取器，schema按全部数据推断以保证各批次一致
+     */
+    createArrayReader(rows, sampleSize) {
+        return {
+            totalRows: rows.length,
+            schema: this.dataEngine.inferSchema(rows, { sampleSize }),
+            read: async (offset, limit) => rows.slice(offset, offset + limit)
+        };
+    }
+}
+
+module.exports = ArrowTransfer;
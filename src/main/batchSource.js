@@ -0,0 +1,219 @@
+/**
+ * 批量导入来源 - 递归列出文件夹或ZIP压缩包中支持的文件，按包含/排除的通配符模式筛选
+ * ZIP中的文件只在导入时逐个解压到临时目录，列出文件不解压
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FILE_CONSTANTS } = require('../shared/constants');
+const ZipArchive = require('./zipArchive');
+
+// 默认排除的文件：系统生成的元数据和Office临时文件
+const DEFAULT_EXCLUDE = ['__MACOSX/**', '**/.*', '**/~$*'];
+
+// 可以批量导入的扩展名（SQLite数据库需要选择表，不参与批量导入）
+const BATCH_EXTENSIONS = FILE_CONSTANTS.SUPPORTED_EXTENSIONS.filter(ext => !FILE_CONSTANTS.TYPE_EXTENSIONS.sqlite.includes(ext));
+
+class BatchSource {
+    /**
+     * @param {Object} options - { include: 包含的模式（省略时包含所有支持的文件）, exclude: 排除的模式,
+     *                            extensions: 支持的扩展名，默认为除SQLite数据库外所有支持的格式 }
+     */
+    constructor(options = {}) {
+        this.include = BatchSource.normalizePatterns(options.include).map(BatchSource.globToRegExp);
+        this.exclude = [...DEFAULT_EXCLUDE, ...BatchSource.normalizePatterns(options.exclude)].map(BatchSource.globToRegExp);
+        this.extensions = options.extensions || BATCH_EXTENSIONS;
+    }
+
+    /**
+     * 列出各来源中的文件
+     * @param {Array<string>} sourcePaths - 文件夹或ZIP文件路径
+     * @returns {Promise<Object>} { files: [{ source, archive, entryName, relativePath, name, path, size }], skipped: 不支持或被排除的文件数 }
+     *                            ZIP中的文件 path 为null、archive 为压缩包路径，需要用 materialize 解压
+     */
+    async scan(sourcePaths) {
+        const files = [];
+        let skipped = 0;
+
+        for (const sourcePath of sourcePaths) {
+            const stats = await fs.promises.stat(sourcePath);
+            const found = stats.isDirectory()
+                ? await this.scanDirectory(sourcePath)
+                : await this.scanArchive(sourcePath);
+
+            found.forEach(file => {
+                if (this.matches(file.relativePath)) {
+                    files.push(file);
+                } else {
+                    skipped++;
+                }
+            });
+        }
+
+        files.sort((a, b) => a.source.localeCompare(b.source) || a.relativePath.localeCompare(b.relativePath, undefined, { numeric: true }));
+        return { files, skipped };
+    }
+
+    /**
+     * 递归列出文件夹中的文件
+     */
+    async scanDirectory(directory) {
+        const files = [];
+        const visit = async (current) => {
+            const entries = await fs.promises.readdir(current, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    await visit(fullPath);
+                } else if (entry.isFile()) {
+                    const { size } = await fs.promises.stat(fullPath);
+                    files.push({
+                        source: directory,
+                        archive: null,
+                        entryName: null,
+                        relativePath: path.relative(directory, fullPath).split(path.sep).join('/'),
+                        name: entry.name,
+                        path: fullPath,
+                        size
+                    });
+                }
+            }
+        };
+
+        await visit(directory);
+        return files;
+    }
+
+    /**
+     * 列出ZIP压缩包中的文件
+     */
+    async scanArchive(archivePath) {
+        if (path.extname(archivePath).toLowerCase() !== '.zip') {
+            throw new Error(`批量导入只支持文件夹或ZIP压缩包: ${path.basename(archivePath)}`);
+        }
+
+        const archive = new ZipArchive(archivePath);
+        try {
+            await archive.open();
+            return archive.getFiles().map(entry => {
+                const relativePath = entry.name.replace(/\\/g, '/').replace(/^\/+/, '');
+                return {
+                    source: archivePath,
+                    archive: archivePath,
+                    entryName: entry.name,
+                    relativePath,
+                    name: path.posix.basename(relativePath),
+                    path: null,
+                    size: entry.uncompressedSize
+                };
+            });
+        } finally {
+            await archive.close();
+        }
+    }
+
+    /**
+     * 判断相对路径是否为要导入的文件：扩展名受支持、匹配某个包含模式（未指定时都匹配）且不匹配排除模式
+     */
+    matches(relativePath) {
+        const extension = path.posix.extname(relativePath).toLowerCase();
+        if (!this.extensions.includes(extension)) {
+            return false;
+        }
+        if (this.include.length > 0 && !this.include.some(pattern => BatchSource.testPattern(pattern, relativePath))) {
+            return false;
+        }
+        return !this.exclude.some(pattern => BatchSource.testPattern(pattern, relativePath));
+    }
+
+    /**
+     * 取得文件的本地路径：文件夹中的文件直接返回，ZIP中的文件解压到临时目录
+     * @param {Object} file - scan 返回的文件
+     * @param {string} directory - 解压的目标目录
+     * @returns {Promise<string>} 本地文件路径
+     */
+    static async materialize(file, directory) {
+        if (!file.archive) {
+            return file.path;
+        }
+
+        // 条目名中的 .. 和绝对路径不能解压到目标目录之外
+        const targetPath = path.resolve(directory, file.relativePath);
+        if (!targetPath.startsWith(path.resolve(directory) + path.sep)) {
+            throw new Error(`ZIP条目路径无效: ${file.entryName}`);
+        }
+
+        const archive = new ZipArchive(file.archive);
+        try {
+            await archive.open();
+            const entry = archive.entries.get(file.entryName.replace(/^\//, ''));
+            if (!entry) {
+                throw new Error(`ZIP中没有找到 ${file.entryName}`);
+            }
+            await archive.extractEntry(entry, targetPath);
+            return targetPath;
+        } finally {
+            await archive.close();
+        }
+    }
+
+    /**
+     * 把逗号或换行分隔的模式文本整理为数组
+     */
+    static normalizePatterns(patterns) {
+        const list = typeof patterns === 'string' ? patterns.split(/[,\n]/) : (patterns || []);
+        return list.map(pattern => String(pattern).trim()).filter(Boolean);
+    }
+
+    /**
+     * 通配符模式转为正则：* 匹配路径段内任意字符，** 匹配任意层目录，? 匹配单个字符，{a,b} 匹配其中之一
+     * 不含 / 的模式只匹配文件名（如 *.csv 匹配任意目录下的CSV文件）
+     * @returns {Object} { regex, baseName: 是否只匹配文件名 }
+     */
+    static globToRegExp(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*') {
+                if (pattern[i + 1] === '*') {
+                    // **/ 匹配零或多层目录
+                    const slash = pattern[i + 2] === '/';
+                    source += slash ? '(?:.*/)?' : '.*';
+                    i += slash ? 2 : 1;
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '{') {
+                const close = pattern.indexOf('}', i);
+                if (close === -1) {
+                    source += '\\{';
+                } else {
+                    const options = pattern.slice(i + 1, close).split(',').map(option => option.replace(/[.+^${}()|[\]\\*?]/g, '\\$&'));
+                    source += `(?:${options.join('|')})`;
+                    i = close;
+                }
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return {
+            regex: new RegExp(`^${source}$`, 'i'),
+            baseName: !pattern.includes('/')
+        };
+    }
+
+    /**
+     * 用 globToRegExp 的结果匹配相对路径
+     */
+    static testPattern(pattern, relativePath) {
+        return pattern.regex.test(pattern.baseName ? path.posix.basename(relativePath) : relativePath);
+    }
+}
+
+BatchSource.DEFAULT_EXCLUDE = DEFAULT_EXCLUDE;
+BatchSource.BATCH_EXTENSIONS = BATCH_EXTENSIONS;
+
+module.exports = BatchSource;
@@ -7,6 +7,13 @@ const path = require('path');
 const os = require('os');
 const EventEmitter = require('events');
 
+// 热文件夹的输出格式和处理后对源文件的操作：archive 移到归档文件夹，delete 删除，keep 保留
+const HOT_FOLDER_OUTPUT_FORMATS = ['csv', 'xlsx'];
+const HOT_FOLDER_AFTER_PROCESS = ['archive', 'delete', 'keep'];
+
+// 热文件夹默认的写入稳定等待时间（毫秒）：文件大小和修改时间在这段时间内不变才开始处理
+const DEFAULT_HOT_FOLDER_SETTLE_TIME = 2000;
+
 class ConfigManager extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -36,6 +43,7 @@ class ConfigManager extends EventEmitter {
                 maxCacheSize: '2GB',
                 workerThreads: os.cpus().length,
                 chunkSize: 100000,
+                transferBatchSize: 10000,
                 enableCompression: true,
                 enableParallelProcessing: true,
                 maxConcurrentTasks: 3
@@ -57,7 +65,7 @@ class ConfigManager extends EventEmitter {
                 enableEncryption: false,
                 autoCleanup: true,
                 maxFileSize: '10GB',
-                allowedFileTypes: ['.xlsx', '.xls', '.csv'],
+                allowedFileTypes: ['.xlsx', '.xls', '.xlsb', '.ods', '.csv', '.tsv', '.json', '.jsonl', '.ndjson', '.txt', '.prn', '.parquet', '.db', '.sqlite', '.sqlite3'],
                 enableFileValidation: true
             },
             
@@ -74,12 +82,24 @@ class ConfigManager extends EventEmitter {
             // 文件处理配置
             fileProcessing: {
                 defaultExportFormat: 'xlsx',
+                parquetCompression: 'snappy',
+                parquetRowGroupSize: 122880,
+                excelRollover: 'sheet', // 超过Excel行数上限时：sheet 新建工作表，file 新建文件
+                checkpointRows: 1000000, // 大文件处理每隔多少行保存一次检查点
+                schemaSampleSize: 0,
                 preserveOriginalFormat: true,
                 enableBackup: true,
                 backupLocation: 'auto',
                 maxBackupFiles: 5
             },
             
+            // 数据工作区配置（DuckDB）
+            workspace: {
+                enabled: false,
+                fileName: 'workspace.duckdb',
+                memoryLimit: '2GB'
+            },
+
             // 快捷操作配置
             quickActions: {
                 enableCustomActions: true,
@@ -100,6 +120,15 @@ class ConfigManager extends EventEmitter {
                 minimizeToTray: false
             },
             
+            // 按数据源记录的列类型覆盖 { 数据源: { 列名: { type, nullable } } }
+            schemaOverrides: {},
+
+            // 保存的处理流程 [{ id, name, operations: 流式处理操作，见 StreamProcessor.validateOperations }]
+            recipes: [],
+
+            // 热文件夹 [{ id, name, enabled, folder, pattern, recipeId, outputFolder, outputFormat, afterProcess, archiveFolder, settleTime }]
+            hotFolders: [],
+
             // 最近使用的文件
             recentFiles: [],
             maxRecentFiles: 10,
@@ -266,6 +295,11 @@ class ConfigManager extends EventEmitter {
             if (typeof perf.chunkSize !== 'number' || perf.chunkSize < 1000) {
                 perf.chunkSize = 100000;
             }
+
+            // 验证传输批次大小
+            if (!Number.isInteger(perf.transferBatchSize) || perf.transferBatchSize < 100) {
+                perf.transferBatchSize = 10000;
+            }
         }
 
         // 验证UI配置
@@ -301,6 +335,68 @@ class ConfigManager extends EventEmitter {
             }
         }
 
+        // 验证文件处理配置
+        if (this.config.fileProcessing) {
+            const fileProcessing = this.config.fileProcessing;
+
+            // 验证Parquet压缩格式
+            if (!['snappy', 'gzip', 'zstd', 'uncompressed'].includes(fileProcessing.parquetCompression)) {
+                fileProcessing.parquetCompression = 'snappy';
+            }
+
+            // 验证Parquet行组大小
+            if (typeof fileProcessing.parquetRowGroupSize !== 'number' || fileProcessing.parquetRowGroupSize < 1024) {
+                fileProcessing.parquetRowGroupSize = 122880;
+            }
+
+            // 验证Excel行数超限处理方式
+            if (!['sheet', 'file'].includes(fileProcessing.excelRollover)) {
+                fileProcessing.excelRollover = 'sheet';
+            }
+
+            // 验证检查点间隔行数
+            if (!Number.isInteger(fileProcessing.checkpointRows) || fileProcessing.checkpointRows < 10000) {
+                fileProcessing.checkpointRows = 1000000;
+            }
+
+            // 验证类型推断抽样行数（0为全列扫描）
+            if (!Number.isInteger(fileProcessing.schemaSampleSize) || fileProcessing.schemaSampleSize < 0) {
+                fileProcessing.schemaSampleSize = 0;
+            }
+        }
+
+        // 验证列类型覆盖
+        if (typeof this.config.schemaOverrides !== 'object' || this.config.schemaOverrides === null ||
+            Array.isArray(this.config.schemaOverrides)) {
+            this.config.schemaOverrides = {};
+        }
+
+        // 验证处理流程和热文件夹
+        if (!Array.isArray(this.config.recipes)) {
+            this.config.recipes = [];
+        }
+        if (!Array.isArray(this.config.hotFolders)) {
+            this.config.hotFolders = [];
+        }
+        this.config.hotFolders = this.config.hotFolders
+            .filter(definition => definition && typeof definition.folder === 'string' && definition.folder)
+            .map(definition => this.normalizeHotFolder(definition));
+
+        // 验证工作区配置
+        if (this.config.workspace) {
+            const workspace = this.config.workspace;
+
+            if (typeof workspace.fileName !== 'string' || !workspace.fileName.trim()) {
+                workspace.fileName = 'workspace.duckdb';
+            }
+
+            // 验证内存上限（最小256MB）
+            if (typeof workspace.memoryLimit !== 'string' ||
+                this.parseMemorySize(workspace.memoryLimit) < 256 * 1024 * 1024) {
+                workspace.memoryLimit = '2GB';
+            }
+        }
+
         // 验证最近文件列表
         if (!Array.isArray(this.config.recentFiles)) {
             this.config.recentFiles = [];
@@ -601,6 +697,139 @@ class ConfigManager extends EventEmitter {
         return false;
     }
 
+    /**
+     * 获取保存的处理流程
+     */
+    getRecipes() {
+        return this.config.recipes || [];
+    }
+
+    /**
+     * 按ID获取处理流程，不存在时返回null
+     */
+    getRecipe(recipeId) {
+        return this.getRecipes().find(recipe => recipe.id === recipeId) || null;
+    }
+
+    /**
+     * 保存处理流程，带 id 时更新已有的流程
+     * @param {Object} recipe - { id, name, operations }
+     * @returns {Object} 保存后的流程
+     */
+    saveRecipe(recipe) {
+        if (!recipe || !String(recipe.name || '').trim()) {
+            throw new Error('请填写处理流程名称');
+        }
+        if (!Array.isArray(recipe.operations)) {
+            throw new Error('处理流程的操作必须是数组');
+        }
+
+        const existing = recipe.id ? this.getRecipe(recipe.id) : null;
+        const saved = {
+            ...recipe,
+            id: recipe.id || `recipe-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: String(recipe.name).trim(),
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now()
+        };
+
+        const recipes = this.getRecipes().filter(item => item.id !== saved.id);
+        recipes.push(saved);
+        this.set('recipes', recipes);
+        return saved;
+    }
+
+    /**
+     * 删除处理流程，仍被热文件夹使用时报错
+     */
+    removeRecipe(recipeId) {
+        const users = this.getHotFolders().filter(hotFolder => hotFolder.recipeId === recipeId);
+        if (users.length > 0) {
+            throw new Error(`处理流程正在被热文件夹使用: ${users.map(hotFolder => hotFolder.name).join('、')}`);
+        }
+
+        const recipes = this.getRecipes().filter(recipe => recipe.id !== recipeId);
+        if (recipes.length === this.getRecipes().length) {
+            return false;
+        }
+        this.set('recipes', recipes);
+        return true;
+    }
+
+    /**
+     * 获取热文件夹定义
+     */
+    getHotFolders() {
+        return this.config.hotFolders || [];
+    }
+
+    /**
+     * 保存热文件夹定义，带 id 时更新已有的定义
+     * @param {Object} definition - 见 normalizeHotFolder
+     * @returns {Object} 保存后的定义
+     */
+    saveHotFolder(definition) {
+        if (!definition || !definition.folder) {
+            throw new Error('请选择要监视的文件夹');
+        }
+        if (!definition.outputFolder) {
+            throw new Error('请选择输出文件夹');
+        }
+        if (!this.getRecipe(definition.recipeId)) {
+            throw new Error('请选择处理流程');
+        }
+
+        const hotFolder = this.normalizeHotFolder({
+            ...definition,
+            id: definition.id || `hot-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+        });
+
+        // 输出和归档的文件写回监视的文件夹会被再次处理
+        const folder = path.resolve(hotFolder.folder);
+        if (path.resolve(hotFolder.outputFolder) === folder ||
+            (hotFolder.afterProcess === 'archive' && path.resolve(hotFolder.archiveFolder) === folder)) {
+            throw new Error('输出文件夹和归档文件夹不能是监视的文件夹本身');
+        }
+
+        const hotFolders = this.getHotFolders().filter(item => item.id !== hotFolder.id);
+        hotFolders.push(hotFolder);
+        this.set('hotFolders', hotFolders);
+        return hotFolder;
+    }
+
+    /**
+     * 删除热文件夹定义
+     */
+    removeHotFolder(hotFolderId) {
+        const hotFolders = this.getHotFolders().filter(hotFolder => hotFolder.id !== hotFolderId);
+        if (hotFolders.length === this.getHotFolders().length) {
+            return false;
+        }
+        this.set('hotFolders', hotFolders);
+        return true;
+    }
+
+    /**
+     * 补全热文件夹定义的默认值
+     * - pattern: 文件名的通配符模式，逗号分隔
+     * - outputFormat: csv 或 xlsx，输出文件名与源文件相同
+     * - afterProcess: 处理成功后 archive 移到 archiveFolder（默认为监视文件夹下的 processed）、delete 删除、keep 保留
+     * - settleTime: 文件大小和修改时间保持不变多久（毫秒）后开始处理
+     */
+    normalizeHotFolder(definition) {
+        const settleTime = Number(definition.settleTime);
+        return {
+            ...definition,
+            name: definition.name || path.basename(definition.folder),
+            enabled: definition.enabled !== false,
+            pattern: definition.pattern || '*.csv, *.xlsx',
+            outputFormat: HOT_FOLDER_OUTPUT_FORMATS.includes(definition.outputFormat) ? definition.outputFormat : 'csv',
+            afterProcess: HOT_FOLDER_AFTER_PROCESS.includes(definition.afterProcess) ? definition.afterProcess : 'archive',
+            archiveFolder: definition.archiveFolder || path.join(definition.folder, 'processed'),
+            settleTime: Number.isFinite(settleTime) && settleTime >= 500 ? settleTime : DEFAULT_HOT_FOLDER_SETTLE_TIME
+        };
+    }
+
     /**
      * 获取配置摘要
      */
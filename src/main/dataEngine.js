@@ -6,34 +6,114 @@ const arrow = require('apache-arrow');
 const Database = require('duckdb').Database;
 const fs = require('fs').promises;
 const path = require('path');
+const ValueParser = require('../shared/valueParser');
+
+// DuckDB支持的Parquet压缩格式
+const PARQUET_CODECS = ['snappy', 'gzip', 'zstd', 'uncompressed'];
+
+// 透视支持的聚合函数
+const PIVOT_AGGREGATES = ['sum', 'count', 'avg', 'min', 'max', 'first'];
+
+// 连接类型对应的SQL关键字
+const JOIN_TYPES = {
+    inner: 'INNER',
+    left: 'LEFT',
+    right: 'RIGHT',
+    full: 'FULL OUTER'
+};
+
+// 筛选运算符别名（兼容可视化规则引擎使用的符号形式）
+const CONDITION_OPERATOR_ALIASES = {
+    '==': 'equals',
+    '=': 'equals',
+    '!=': 'not_equals',
+    '>': 'greater_than',
+    '>=': 'greater_equal',
+    '<': 'less_than',
+    '<=': 'less_equal'
+};
 
 class DataEngine {
     constructor() {
         this.db = null;
         this.connection = null;
+        this.databasePath = ':memory:';
+        this.memoryLimit = null;
+        this.tempDirectory = null;
         this.arrowTables = new Map();
         this.schemas = new Map();
     }
 
     /**
      * 初始化数据引擎
+     * @param {Object} options - { databasePath: 数据库文件路径（默认内存）, memoryLimit: 内存上限, tempDirectory: 溢出目录 }
      */
-    async initialize() {
+    async initialize(options = {}) {
+        const {
+            databasePath = ':memory:',
+            memoryLimit = null,
+            tempDirectory = null
+        } = options;
+
         try {
-            // 初始化DuckDB
-            this.db = new Database(':memory:');
+            // 初始化DuckDB（文件被其他进程占用等错误通过回调返回）
+            this.db = await new Promise((resolve, reject) => {
+                const db = new Database(databasePath, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(db);
+                    }
+                });
+            });
             this.connection = this.db.connect();
+            this.databasePath = databasePath;
             
             // 启用Arrow扩展
             await this.enableArrowExtension();
+
+            // 内存上限与溢出目录，超出内存的数据集由DuckDB写入临时文件
+            if (memoryLimit) {
+                await this.executeSQL(`SET memory_limit = ${this.formatSQLValue(memoryLimit)}`);
+                this.memoryLimit = memoryLimit;
+            }
+            if (tempDirectory) {
+                await this.executeSQL(`SET temp_directory = ${this.formatSQLValue(tempDirectory)}`);
+                this.tempDirectory = tempDirectory;
+            }
             
-            console.log('数据处理引擎初始化完成');
+            console.log(`数据处理引擎初始化完成: ${this.isWorkspace() ? databasePath : '内存模式'}`);
         } catch (error) {
             console.error('数据处理引擎初始化失败:', error);
             throw error;
         }
     }
 
+    /**
+     * 是否使用磁盘工作区
+     */
+    isWorkspace() {
+        return this.databasePath !== ':memory:';
+    }
+
+    /**
+     * 获取工作区信息
+     */
+    async getWorkspaceInfo() {
+        let size = 0;
+        if (this.isWorkspace()) {
+            size = await fs.stat(this.databasePath).then(stats => stats.size).catch(() => 0);
+        }
+
+        return {
+            mode: this.isWorkspace() ? 'workspace' : 'memory',
+            path: this.isWorkspace() ? this.databasePath : null,
+            size,
+            memoryLimit: this.memoryLimit,
+            tempDirectory: this.tempDirectory
+        };
+    }
+
     /**
      * 启用Arrow扩展
      */
@@ -53,6 +133,8 @@ class DataEngine {
 
     /**
      * 将数据转换为Arrow格式
+     * @param {Array} data - 行数据
+     * @param {Array} schema - [{name, type, nullable}]，未提供时自动推断
      */
     convertToArrow(data, schema = null) {
         try {
@@ -65,22 +147,21 @@ class DataEngine {
                 schema = this.inferSchema(data);
             }
 
-            // 创建Arrow字段
-            const fields = schema.map(col => 
-                arrow.Field.new(col.name, this.getArrowType(col.type))
-            );
-
-            // 创建Arrow Schema
-            const arrowSchema = new arrow.Schema(fields);
-
-            // 准备数据
+            // 按列构建Arrow向量，不允许为空的列出现空值或无法转换的值时报错
             const columns = {};
             schema.forEach(col => {
-                columns[col.name] = data.map(row => row[col.name]);
+                const values = data.map((row, index) => {
+                    const value = this.toArrowValue(row[col.name], col.type);
+                    if (value === null && col.nullable === false) {
+                        throw new Error(`列 ${col.name} 第 ${index + 1} 行的值 "${row[col.name] ?? ''}" 无法作为非空 ${col.type} 类型`);
+                    }
+                    return value;
+                });
+                columns[col.name] = arrow.vectorFromArray(values, this.getArrowType(col.type));
             });
 
             // 创建Arrow Table
-            const table = arrow.Table.new(columns, arrowSchema);
+            const table = new arrow.Table(columns);
             
             console.log(`Arrow表创建成功: ${table.numRows} 行, ${table.numCols} 列`);
             return table;
@@ -91,100 +172,179 @@ class DataEngine {
         }
     }
 
+    /**
+     * 将JS值转换为对应Arrow类型可接受的值，无法转换时返回null
+     */
+    toArrowValue(value, type) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        switch (type) {
+            case 'timestamp':
+                return ValueParser.toDate(value);
+            case 'int64': {
+                const number = ValueParser.toNumber(value);
+                return number === null ? null : BigInt(Math.trunc(number));
+            }
+            case 'float64':
+                return ValueParser.toNumber(value);
+            case 'bool':
+                return this.toBoolean(value);
+            case 'utf8':
+                return String(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * 转换为布尔值，无法识别时返回null
+     */
+    toBoolean(value) {
+        return ValueParser.toBoolean(value);
+    }
+
     /**
      * 推断数据schema
+     * @param {Array} data - 行数据
+     * @param {Object} options - { sampleSize: 抽样行数（0为全列扫描）, overrides: { 列名: { type, nullable } } }
      */
-    inferSchema(data) {
+    inferSchema(data, options = {}) {
         if (!data || data.length === 0) {
             return [];
         }
 
-        const firstRow = data[0];
-        const schema = [];
-
-        for (const [key, value] of Object.entries(firstRow)) {
-            const type = this.inferDataType(value, data, key);
-            schema.push({
-                name: key,
-                type: type,
-                nullable: true
-            });
-        }
+        const { columns } = this.analyzeSchema(data, options);
+        const overrides = options.overrides || {};
 
-        return schema;
+        return columns.map(column => ({
+            name: column.name,
+            type: overrides[column.name]?.type || column.type,
+            nullable: overrides[column.name]?.nullable ?? true
+        }));
     }
 
     /**
-     * 推断数据类型
+     * 分析各列的类型分布并报告类型冲突
+     * 默认扫描整列；指定sampleSize时在全表范围内均匀抽样
+     * 文本按 ValueParser 识别（¥1,234.50、12.5%、2025年6月1日等），列名像日期的列中数字按Excel序列号识别为日期
+     * @param {Array} data - 行数据
+     * @param {Object} options - { sampleSize }
+     * @returns {Object} { columns, conflicts, scannedRows, totalRows }，columns中的format为列内识别出的格式（如 currency、percent）
      */
-    inferDataType(value, data, columnName) {
-        // 检查列中的所有值来确定类型
-        const sampleSize = Math.min(100, data.length);
-        const samples = data.slice(0, sampleSize).map(row => row[columnName]);
-        
-        let hasNumber = false;
-        let hasString = false;
-        let hasDate = false;
-        let hasBoolean = false;
-        let hasNull = false;
-
-        for (const sample of samples) {
-            if (sample === null || sample === undefined || sample === '') {
-                hasNull = true;
-                continue;
-            }
+    analyzeSchema(data, options = {}) {
+        const totalRows = data.length;
+        const sampleSize = options.sampleSize > 0 ? Math.min(options.sampleSize, totalRows) : totalRows;
+        const step = totalRows / sampleSize;
+
+        const stats = new Map();
+        for (let i = 0; i < sampleSize; i++) {
+            // 均匀抽样，最后一个样本固定取末行
+            const rowIndex = i === sampleSize - 1 ? totalRows - 1 : Math.floor(i * step);
+            const row = data[rowIndex] || {};
+
+            for (const [name, value] of Object.entries(row)) {
+                if (!stats.has(name)) {
+                    stats.set(name, {
+                        counts: { null: i, number: 0, date: 0, bool: 0, string: 0 },
+                        allIntegers: true,
+                        serialDate: ValueParser.isDateColumnName(name),
+                        format: null,
+                        firstKind: null,
+                        conflictRow: null,
+                        conflictKind: null,
+                        example: null
+                    });
+                }
 
-            if (typeof sample === 'boolean') {
-                hasBoolean = true;
-            } else if (typeof sample === 'number') {
-                hasNumber = true;
-            } else if (typeof sample === 'string') {
-                // 检查是否是日期字符串
-                if (this.isDateString(sample)) {
-                    hasDate = true;
-                } else {
-                    hasString = true;
+                const stat = stats.get(name);
+                const parsed = ValueParser.parse(value, { serialDate: stat.serialDate });
+                const kind = parsed.type;
+                stat.counts[kind]++;
+                if (kind === 'null') continue;
+
+                if (kind === 'number' && !Number.isInteger(parsed.value)) {
+                    stat.allIntegers = false;
+                }
+                if (parsed.format && !stat.format) {
+                    stat.format = parsed.format;
+                }
+                if (stat.firstKind === null) {
+                    stat.firstKind = kind;
+                    stat.example = value;
+                } else if (kind !== stat.firstKind && stat.conflictRow === null) {
+                    stat.conflictRow = rowIndex;
+                    stat.conflictKind = kind;
                 }
             }
-        }
 
-        // 根据检测结果确定类型
-        if (hasDate && !hasString) {
-            return 'timestamp';
-        } else if (hasNumber && !hasString && !hasDate) {
-            return this.isIntegerColumn(samples) ? 'int64' : 'float64';
-        } else if (hasBoolean && !hasString && !hasNumber && !hasDate) {
-            return 'bool';
-        } else {
-            return 'utf8';
+            // 行中缺失的列视为空值
+            stats.forEach((stat, name) => {
+                if (!(name in row)) stat.counts.null++;
+            });
         }
+
+        const columns = [];
+        const conflicts = [];
+        stats.forEach((stat, name) => {
+            const type = this.resolveColumnType(stat.counts, stat.allIntegers);
+            const column = {
+                name,
+                type,
+                nullable: stat.counts.null > 0,
+                nullCount: stat.counts.null,
+                counts: stat.counts,
+                format: stat.format,
+                example: stat.example,
+                conflict: stat.conflictRow !== null
+            };
+            columns.push(column);
+
+            if (column.conflict) {
+                conflicts.push({
+                    column: name,
+                    counts: stat.counts,
+                    firstKind: stat.firstKind,
+                    conflictRow: stat.conflictRow,
+                    conflictKind: stat.conflictKind,
+                    conflictValue: data[stat.conflictRow][name],
+                    resolvedType: type
+                });
+            }
+        });
+
+        return { columns, conflicts, scannedRows: sampleSize, totalRows };
     }
 
     /**
-     * 检查是否是日期字符串
+     * 判断单个值的类别
+     * @param {*} value - 值
+     * @param {Object} options - { serialDate: 数字按Excel序列号视为日期 }
+     * @returns {string} null/number/date/bool/string
      */
-    isDateString(str) {
-        if (typeof str !== 'string') return false;
-        
-        // 常见日期格式的正则表达式
-        const datePatterns = [
-            /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
-            /^\d{4}\/\d{2}\/\d{2}$/, // YYYY/MM/DD
-            /^\d{2}\/\d{2}\/\d{4}$/, // MM/DD/YYYY
-            /^\d{2}-\d{2}-\d{4}$/, // MM-DD-YYYY
-            /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/, // YYYY-MM-DD HH:MM:SS
-        ];
+    classifyValue(value, options = {}) {
+        return ValueParser.parse(value, options).type;
+    }
 
-        return datePatterns.some(pattern => pattern.test(str)) && !isNaN(Date.parse(str));
+    /**
+     * 根据列内各类别的数量确定类型，混合类型统一按文本处理
+     */
+    resolveColumnType(counts, allIntegers) {
+        const { number, date, bool, string } = counts;
+
+        if (string > 0) return 'utf8';
+        if (date > 0 && number === 0 && bool === 0) return 'timestamp';
+        if (number > 0 && date === 0 && bool === 0) return allIntegers ? 'int64' : 'float64';
+        if (bool > 0 && number === 0 && date === 0) return 'bool';
+        return 'utf8';
     }
 
     /**
-     * 检查是否是整数列
+     * 检查是否是日期字符串
      */
-    isIntegerColumn(samples) {
-        return samples.every(sample => 
-            sample === null || sample === undefined || Number.isInteger(sample)
-        );
+    isDateString(str) {
+        return ValueParser.isDateString(str);
     }
 
     /**
@@ -235,7 +395,7 @@ class DataEngine {
             for (let i = 0; i < resultTable.numRows; i++) {
                 const row = {};
                 for (let j = 0; j < resultTable.numCols; j++) {
-                    const column = resultTable.getColumnAt(j);
+                    const column = resultTable.getChildAt(j);
                     const fieldName = resultTable.schema.fields[j].name;
                     row[fieldName] = column.get(i);
                 }
@@ -259,10 +419,12 @@ class DataEngine {
 
     /**
      * 执行SQL查询
+     * @param {string} sql - SQL语句，可包含 ? 占位符
+     * @param {Array} params - 按占位符顺序绑定的参数
      */
-    async executeSQL(sql, tableName = 'data') {
+    async executeSQL(sql, params = []) {
         return new Promise((resolve, reject) => {
-            this.connection.all(sql, (err, result) => {
+            this.connection.all(sql, ...params, (err, result) => {
                 if (err) {
                     console.error('SQL查询失败:', err);
                     reject(err);
@@ -344,8 +506,12 @@ class DataEngine {
             for (let i = 0; i < batch.numRows; i++) {
                 const row = [];
                 for (let j = 0; j < batch.numCols; j++) {
-                    const column = batch.getColumnAt(j);
-                    const value = column.get(i);
+                    const column = batch.getChildAt(j);
+                    let value = column.get(i);
+                    // Arrow时间戳读出为毫秒数，需还原为日期
+                    if (value !== null && arrow.DataType.isTimestamp(batch.schema.fields[j].type)) {
+                        value = new Date(Number(value));
+                    }
                     row.push(this.formatSQLValue(value));
                 }
                 values.push(`(${row.join(', ')})`);
@@ -380,10 +546,10 @@ class DataEngine {
      */
     async filterData(tableName, conditions) {
         try {
-            const whereClause = this.buildWhereClause(conditions);
-            const sql = `SELECT * FROM "${tableName}" ${whereClause}`;
-            
-            const result = await this.executeSQL(sql);
+            const { sql: whereClause, params } = this.buildWhereClause(conditions);
+            const sql = `SELECT * FROM ${this.quoteIdentifier(tableName)} ${whereClause}`;
+
+            const result = await this.executeSQL(sql, params);
             return result;
 
         } catch (error) {
@@ -393,38 +559,144 @@ class DataEngine {
     }
 
     /**
-     * 构建WHERE子句
+     * 构建参数化的WHERE子句
+     * 条件可嵌套：{ logical, conditions: [...] } 表示一个括号分组
+     * @param {Array} conditions - 条件列表，每项的 logical（and/or）决定与前一项的连接方式
+     * @returns {Object} { sql: WHERE子句（无条件时为空串）, params: 占位符参数 }
      */
     buildWhereClause(conditions) {
-        if (!conditions || conditions.length === 0) {
+        const params = [];
+        const expression = this.buildConditionGroup(conditions, params);
+
+        return {
+            sql: expression ? `WHERE ${expression}` : '',
+            params
+        };
+    }
+
+    /**
+     * 构建条件组表达式（遵循SQL优先级，AND先于OR结合）
+     */
+    buildConditionGroup(conditions, params) {
+        if (!Array.isArray(conditions) || conditions.length === 0) {
             return '';
         }
 
-        const clauses = conditions.map(condition => {
-            const { column, operator, value } = condition;
-            const formattedValue = this.formatSQLValue(value);
-            
-            switch (operator) {
-                case 'equals':
-                    return `"${column}" = ${formattedValue}`;
-                case 'not_equals':
-                    return `"${column}" != ${formattedValue}`;
-                case 'greater_than':
-                    return `"${column}" > ${formattedValue}`;
-                case 'less_than':
-                    return `"${column}" < ${formattedValue}`;
-                case 'contains':
-                    return `"${column}" LIKE '%${value}%'`;
-                case 'starts_with':
-                    return `"${column}" LIKE '${value}%'`;
-                case 'ends_with':
-                    return `"${column}" LIKE '%${value}'`;
-                default:
-                    return `"${column}" = ${formattedValue}`;
+        const parts = [];
+        conditions.forEach(item => {
+            const isGroup = Array.isArray(item.conditions);
+            const expression = isGroup ?
+                this.buildConditionGroup(item.conditions, params) :
+                this.buildConditionExpression(item, params);
+            if (!expression) return;
+
+            if (parts.length > 0) {
+                parts.push(String(item.logical).toLowerCase() === 'or' ? 'OR' : 'AND');
             }
+            parts.push(isGroup ? `(${expression})` : expression);
         });
 
-        return `WHERE ${clauses.join(' AND ')}`;
+        return parts.join(' ');
+    }
+
+    /**
+     * 构建单个条件表达式，值通过占位符绑定
+     * valueType 为 column 时与另一列比较
+     */
+    buildConditionExpression(condition, params) {
+        const { column, value, valueType } = condition;
+        if (!column) {
+            throw new Error('筛选条件缺少列名');
+        }
+
+        const operator = CONDITION_OPERATOR_ALIASES[condition.operator] || condition.operator || 'equals';
+        const field = this.quoteIdentifier(column);
+        const text = `CAST(${field} AS VARCHAR)`;
+
+        // 占位符按生成顺序压入参数，调用顺序需与SQL中出现顺序一致
+        const operand = () => {
+            if (valueType === 'column') return this.quoteIdentifier(value);
+            params.push(value);
+            return '?';
+        };
+        const textOperand = () => {
+            if (valueType === 'column') return `CAST(${this.quoteIdentifier(value)} AS VARCHAR)`;
+            params.push(value === null || value === undefined ? '' : String(value));
+            return '?';
+        };
+        const listOperand = () => {
+            const values = this.parseListValue(value);
+            params.push(...values);
+            return values.map(() => '?').join(', ');
+        };
+
+        switch (operator) {
+            case 'equals':
+                return `${field} = ${operand()}`;
+            case 'not_equals':
+                return `${field} != ${operand()}`;
+            case 'greater_than':
+                return `${field} > ${operand()}`;
+            case 'greater_equal':
+                return `${field} >= ${operand()}`;
+            case 'less_than':
+                return `${field} < ${operand()}`;
+            case 'less_equal':
+                return `${field} <= ${operand()}`;
+            case 'contains':
+                return `contains(${text}, ${textOperand()})`;
+            case 'not_contains':
+                return `NOT contains(COALESCE(${text}, ''), ${textOperand()})`;
+            case 'icontains':
+                return `contains(lower(${text}), lower(${textOperand()}))`;
+            case 'starts_with':
+                return `starts_with(${text}, ${textOperand()})`;
+            case 'ends_with':
+                return `suffix(${text}, ${textOperand()})`;
+            case 'regex':
+                return `regexp_matches(${text}, ${textOperand()})`;
+            case 'not_regex':
+                return `NOT regexp_matches(COALESCE(${text}, ''), ${textOperand()})`;
+            case 'in':
+            case 'not_in': {
+                if (this.parseListValue(value).length === 0) {
+                    return operator === 'in' ? 'FALSE' : 'TRUE';
+                }
+                return `${field} ${operator === 'in' ? 'IN' : 'NOT IN'} (${listOperand()})`;
+            }
+            case 'between':
+            case 'not_between': {
+                const [min, max] = Array.isArray(value) ? value : [value?.min, value?.max];
+                if (min === undefined || max === undefined) {
+                    throw new Error(`范围条件需要提供上下限: ${column}`);
+                }
+                params.push(min, max);
+                return `${field} ${operator === 'between' ? 'BETWEEN' : 'NOT BETWEEN'} ? AND ?`;
+            }
+            case 'is_null':
+                return `${field} IS NULL`;
+            case 'is_not_null':
+                return `${field} IS NOT NULL`;
+            case 'is_empty':
+                return `(${field} IS NULL OR trim(${text}) = '')`;
+            case 'is_not_empty':
+                return `(${field} IS NOT NULL AND trim(${text}) != '')`;
+            default:
+                throw new Error(`不支持的筛选运算符: ${condition.operator}`);
+        }
+    }
+
+    /**
+     * 解析IN条件的值列表（数组或逗号分隔的字符串）
+     */
+    parseListValue(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+        return String(value).split(',').map(item => item.trim()).filter(item => item !== '');
     }
 
     /**
@@ -501,6 +773,560 @@ class DataEngine {
         return selectParts.join(', ');
     }
 
+    /**
+     * 追加窗口计算列（累计、排名、前后行、环比、占比），保持原有行顺序
+     * @param {string} tableName - 表名
+     * @param {Object} config - { func, valueCol, partitionBy, orderBy, order, offset, resultCol }
+     */
+    async addWindowColumn(tableName, config) {
+        try {
+            const rowId = this.quoteIdentifier('__row_id');
+            const expression = this.buildWindowExpression(config, rowId);
+            const sql = `WITH source AS (SELECT *, row_number() OVER () AS ${rowId} FROM ${this.quoteIdentifier(tableName)}) ` +
+                `SELECT * EXCLUDE (${rowId}), ${expression} AS ${this.quoteIdentifier(config.resultCol)} ` +
+                `FROM source ORDER BY ${rowId}`;
+
+            return await this.runQuery(sql);
+
+        } catch (error) {
+            console.error('窗口计算失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 构建窗口函数表达式
+     * 未指定排序列时按原始行顺序；排名类函数未指定排序列时按计算列排名
+     */
+    buildWindowExpression(config, rowId) {
+        const { func, valueCol, partitionBy = [], orderBy, order = 'asc', offset = 1 } = config;
+        const number = `TRY_CAST(${this.quoteIdentifier(valueCol)} AS DOUBLE)`;
+        const isRank = func === 'rank' || func === 'dense_rank';
+        const step = Math.max(1, parseInt(offset, 10) || 1);
+
+        const partition = partitionBy.length > 0 ?
+            `PARTITION BY ${partitionBy.map(col => this.quoteIdentifier(col)).join(', ')}` : '';
+        const orderColumn = orderBy || (isRank ? valueCol : null);
+        let orderClause = `ORDER BY ${rowId}`;
+        if (orderColumn) {
+            // 相同排序值按原始行顺序排列；排名函数不追加行号，保证并列名次
+            orderClause = `ORDER BY ${this.quoteIdentifier(orderColumn)} ${order === 'desc' ? 'DESC' : 'ASC'} NULLS LAST` +
+                (isRank ? '' : `, ${rowId}`);
+        }
+        const over = `OVER (${[partition, orderClause].filter(Boolean).join(' ')})`;
+
+        switch (func) {
+            case 'cumsum':
+                return `SUM(${number}) ${over}`;
+            case 'row_number':
+                return `ROW_NUMBER() ${over}`;
+            case 'rank':
+                return `RANK() ${over}`;
+            case 'dense_rank':
+                return `DENSE_RANK() ${over}`;
+            case 'lag':
+                return `LAG(${this.quoteIdentifier(valueCol)}, ${step}) ${over}`;
+            case 'lead':
+                return `LEAD(${this.quoteIdentifier(valueCol)}, ${step}) ${over}`;
+            case 'diff':
+                return `${number} - LAG(${number}, ${step}) ${over}`;
+            case 'pct_change':
+                return `(${number} - LAG(${number}, ${step}) ${over}) / NULLIF(LAG(${number}, ${step}) ${over}, 0)`;
+            case 'percent_of_total':
+                return `${number} / NULLIF(SUM(${number}) OVER (${partition}), 0)`;
+            default:
+                throw new Error(`不支持的窗口函数: ${func}`);
+        }
+    }
+
+    /**
+     * 透视（长表转宽表），透视列的每个取值生成一列
+     * @param {string} tableName - 表名
+     * @param {Object} config - { rows: 行分组列, columns: 透视列, values: 值列, aggregate: 聚合函数 }
+     */
+    async pivotTable(tableName, config) {
+        const { rows = [], columns, values, aggregate = 'sum' } = config;
+
+        try {
+            if (!columns || !values) {
+                throw new Error('透视列和值列不能为空');
+            }
+            if (!PIVOT_AGGREGATES.includes(aggregate)) {
+                throw new Error(`不支持的聚合函数: ${aggregate}`);
+            }
+
+            const rowList = rows.map(col => this.quoteIdentifier(col));
+            const pivotColumn = this.quoteIdentifier(columns);
+            const valueColumn = this.quoteIdentifier(values);
+            // 数值聚合前先转换值列；源数据只保留参与透视的列，PIVOT会按其余列分组
+            const valueExpr = ['count', 'first'].includes(aggregate) ?
+                valueColumn : `TRY_CAST(${valueColumn} AS DOUBLE) AS ${valueColumn}`;
+            const source = `SELECT ${[...rowList, `CAST(${pivotColumn} AS VARCHAR) AS ${pivotColumn}`, valueExpr].join(', ')} ` +
+                `FROM ${this.quoteIdentifier(tableName)}`;
+            const pivot = `PIVOT source ON ${pivotColumn} USING ${aggregate}(${valueColumn})`;
+            const orderClause = rowList.length > 0 ? ` ORDER BY ${rowList.join(', ')}` : '';
+
+            return await this.runQuery(`WITH source AS (${source}) SELECT * FROM (${pivot}) AS pivoted${orderClause}`);
+
+        } catch (error) {
+            console.error('透视失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 逆透视（宽表转长表），将选定列折叠为键/值两列，保持原有行顺序
+     * @param {string} tableName - 表名
+     * @param {Object} config - { columns: 要折叠的列, keyName: 键列名, valueName: 值列名 }
+     */
+    async unpivotTable(tableName, config) {
+        const { columns = [], keyName = '字段', valueName = '值' } = config;
+
+        try {
+            if (columns.length === 0) {
+                throw new Error('逆透视列不能为空');
+            }
+
+            // 折叠列类型不一致时统一转为文本
+            const described = await this.executeSQL(`DESCRIBE SELECT * FROM ${this.quoteIdentifier(tableName)}`);
+            const types = new Set(described
+                .filter(column => columns.includes(column.column_name))
+                .map(column => column.column_type));
+            const folded = columns.map(col => this.quoteIdentifier(col));
+            const replaceClause = types.size > 1 ?
+                ` REPLACE (${folded.map(col => `CAST(${col} AS VARCHAR) AS ${col}`).join(', ')})` : '';
+
+            const rowId = this.quoteIdentifier('__row_id');
+            const key = this.quoteIdentifier(keyName);
+            const source = `SELECT *${replaceClause}, row_number() OVER () AS ${rowId} FROM ${this.quoteIdentifier(tableName)}`;
+            const unpivot = `UNPIVOT INCLUDE NULLS source ON ${folded.join(', ')} INTO NAME ${key} VALUE ${this.quoteIdentifier(valueName)}`;
+            const keyOrder = `list_position([${columns.map(col => this.formatSQLValue(col)).join(', ')}], ${key})`;
+
+            return await this.runQuery(`WITH source AS (${source}) SELECT * EXCLUDE (${rowId}) FROM (${unpivot}) AS unpivoted ORDER BY ${rowId}, ${keyOrder}`);
+
+        } catch (error) {
+            console.error('逆透视失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 连接两个表或文件（数据量超出Worker内存时使用，DuckDB按需溢出到磁盘）
+     * 结果写入新表，仅返回统计信息，由调用方分页读取或导出
+     * 与Worker哈希连接规则一致：空连接键不匹配，同名连接键合并为一列，右表其余同名列追加后缀
+     * @param {Object} left - { table: 表名 } 或 { path: Parquet/CSV文件路径 }
+     * @param {Object} right - 同上
+     * @param {Object} options - { joinType, joinKeys, outputTable, rightSuffix }
+     */
+    async joinTables(left, right, options = {}) {
+        const {
+            joinType = 'inner',
+            joinKeys = [],
+            outputTable = `join_${Date.now()}`,
+            rightSuffix = '_右表'
+        } = options;
+
+        try {
+            if (!JOIN_TYPES[joinType]) {
+                throw new Error(`不支持的连接类型: ${joinType}`);
+            }
+            if (joinKeys.length === 0) {
+                throw new Error('连接键不能为空');
+            }
+
+            const keys = joinKeys.map(key => (typeof key === 'string' ? { left: key, right: key } : key));
+            const leftSource = this.resolveJoinSource(left);
+            const rightSource = this.resolveJoinSource(right);
+            const leftColumns = await this.describeColumns(leftSource);
+            const rightColumns = await this.describeColumns(rightSource);
+            const leftColumnSet = new Set(leftColumns);
+            const sharedKeys = new Set(keys.filter(key => key.left === key.right).map(key => key.left));
+            const coalesceKeys = joinType === 'right' || joinType === 'full';
+
+            const selectList = [
+                ...leftColumns.map(column => {
+                    const name = this.quoteIdentifier(column);
+                    return sharedKeys.has(column) && coalesceKeys ?
+                        `COALESCE(l.${name}, r.${name}) AS ${name}` : `l.${name}`;
+                }),
+                ...rightColumns
+                    .filter(column => !sharedKeys.has(column))
+                    .map(column => {
+                        const name = this.quoteIdentifier(column);
+                        return leftColumnSet.has(column) ?
+                            `r.${name} AS ${this.quoteIdentifier(`${column}${rightSuffix}`)}` : `r.${name}`;
+                    })
+            ];
+            // NULL本身不相等；空字符串也不匹配，与Worker的 buildJoinKey 一致
+            const onClause = keys
+                .map(key => `l.${this.quoteIdentifier(key.left)} = r.${this.quoteIdentifier(key.right)} ` +
+                    `AND CAST(l.${this.quoteIdentifier(key.left)} AS VARCHAR) <> ''`)
+                .join(' AND ');
+
+            await this.executeSQL(`CREATE OR REPLACE TABLE ${this.quoteIdentifier(outputTable)} AS ` +
+                `SELECT ${selectList.join(', ')} FROM ${leftSource} AS l ${JOIN_TYPES[joinType]} JOIN ${rightSource} AS r ON ${onClause}`);
+
+            const [{ total }] = await this.executeSQL(`SELECT COUNT(*) AS total FROM ${this.quoteIdentifier(outputTable)}`);
+            const [{ unmatched: leftUnmatched }] = await this.executeSQL(
+                `SELECT COUNT(*) AS unmatched FROM ${leftSource} AS l ANTI JOIN ${rightSource} AS r ON ${onClause}`
+            );
+            const [{ unmatched: rightUnmatched }] = await this.executeSQL(
+                `SELECT COUNT(*) AS unmatched FROM ${rightSource} AS r ANTI JOIN ${leftSource} AS l ON ${onClause}`
+            );
+
+            console.log(`连接完成，结果写入表 ${outputTable}`);
+            return {
+                tableName: outputTable,
+                rowCount: Number(total),
+                stats: {
+                    leftUnmatched: Number(leftUnmatched),
+                    rightUnmatched: Number(rightUnmatched)
+                }
+            };
+
+        } catch (error) {
+            console.error('数据连接失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 将连接数据源解析为FROM子句可用的表达式
+     */
+    resolveJoinSource(source = {}) {
+        if (source.table) {
+            return this.quoteIdentifier(source.table);
+        }
+
+        const ext = path.extname(source.path || '').toLowerCase();
+        if (ext === '.parquet') {
+            return `read_parquet(${this.formatSQLValue(source.path)})`;
+        }
+        if (['.csv', '.tsv', '.txt'].includes(ext)) {
+            return `read_csv_auto(${this.formatSQLValue(source.path)})`;
+        }
+        throw new Error(`不支持直接连接的数据源: ${source.path || '未指定'}`);
+    }
+
+    /**
+     * 获取查询来源的列名列表
+     */
+    async describeColumns(source) {
+        const columns = await this.executeSQL(`DESCRIBE SELECT * FROM ${source}`);
+        return columns.map(column => column.column_name);
+    }
+
+    /**
+     * 获取表的schema（DuckDB类型映射为inferSchema使用的类型）
+     * @param {string} tableName - 表名
+     * @returns {Promise<Array>} [{name, type, nullable}]
+     */
+    async getTableSchema(tableName) {
+        const columns = await this.executeSQL(`DESCRIBE ${this.quoteIdentifier(tableName)}`);
+        return columns.map(column => {
+            const sqlType = String(column.column_type).toUpperCase();
+            let type = 'utf8';
+            if (/^(BIGINT|INTEGER|SMALLINT|TINYINT|HUGEINT|UBIGINT|UINTEGER|USMALLINT|UTINYINT)$/.test(sqlType)) {
+                type = 'int64';
+            } else if (/^(DOUBLE|FLOAT|REAL|DECIMAL)/.test(sqlType)) {
+                type = 'float64';
+            } else if (/^(TIMESTAMP|DATE)/.test(sqlType)) {
+                type = 'timestamp';
+            } else if (sqlType === 'BOOLEAN') {
+                type = 'bool';
+            }
+            return { name: column.column_name, type, nullable: true };
+        });
+    }
+
+    /**
+     * 按插入顺序分页读取表数据
+     * @param {string} tableName - 表名
+     * @param {number} offset - 起始行
+     * @param {number} limit - 行数
+     */
+    async readTableRows(tableName, offset, limit) {
+        return this.executeSQL(
+            `SELECT * FROM ${this.quoteIdentifier(tableName)} LIMIT ? OFFSET ?`,
+            [limit, offset]
+        );
+    }
+
+    /**
+     * 分页读取表数据，排序和筛选在DuckDB中完成（用于大数据量预览）
+     * @param {string} tableName - 表名
+     * @param {Object} options - { offset, limit, sort: { column, direction }, conditions: 见buildWhereClause }
+     * @returns {Promise<Object>} { rows, columns, totalRows, filteredRows }
+     */
+    async queryPage(tableName, options = {}) {
+        const { offset = 0, limit = 100, sort = null, conditions = [] } = options;
+        const table = this.quoteIdentifier(tableName);
+        const { sql: whereClause, params } = this.buildWhereClause(conditions);
+
+        const columns = await this.getTableSchema(tableName);
+        if (sort && !columns.some(column => column.name === sort.column)) {
+            throw new Error(`列不存在: ${sort.column}`);
+        }
+        const orderClause = sort ?
+            `ORDER BY ${this.quoteIdentifier(sort.column)} ${sort.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST` : '';
+
+        const [{ total }] = await this.executeSQL(`SELECT COUNT(*) AS total FROM ${table}`);
+        const [{ filtered }] = whereClause ?
+            await this.executeSQL(`SELECT COUNT(*) AS filtered FROM ${table} ${whereClause}`, params) :
+            [{ filtered: total }];
+
+        const rows = await this.executeSQL(
+            `SELECT * FROM ${table} ${whereClause} ${orderClause} LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return {
+            rows: rows.map(row => {
+                const normalized = {};
+                for (const [key, value] of Object.entries(row)) {
+                    normalized[key] = this.normalizeResultValue(value);
+                }
+                return normalized;
+            }),
+            columns,
+            totalRows: Number(total),
+            filteredRows: Number(filtered)
+        };
+    }
+
+    /**
+     * 将行数据注册为DuckDB表
+     * @param {Object} options - { sampleSize, overrides }，见inferSchema
+     */
+    async registerRows(tableName, rows, options = {}) {
+        const arrowTable = this.convertToArrow(rows, this.inferSchema(rows, options));
+        return this.registerArrowTable(tableName, arrowTable);
+    }
+
+    /**
+     * 分块导入行数据为DuckDB表：按第一块推断表结构（可为部分列指定类型），之后的块按同一结构追加
+     * 之后的块中有放不进已推断类型的值时先放宽列类型（整数到小数，其余到文本），出现新列时追加列，
+     * 指定了类型的列不放宽
+     * @param {string} tableName - 表名，已存在时替换
+     * @param {AsyncIterable<Array>} chunks - 行数据块
+     * @param {Object} options - { overrides: { 列名: { type } }，见inferSchema, previewRows: 返回的前几行, onChunk: (rowCount) => void }
+     * @returns {Promise<Object>} { tableName, rowCount, columns, preview }
+     */
+    async importChunks(tableName, chunks, options = {}) {
+        const { overrides = {}, previewRows = 0, onChunk = null } = options;
+        let schema = null;
+        let rowCount = 0;
+        const preview = [];
+
+        for await (const chunk of chunks) {
+            if (chunk.length === 0) {
+                continue;
+            }
+
+            if (!schema) {
+                schema = this.inferSchema(chunk, { overrides });
+                await this.registerArrowTable(tableName, this.convertToArrow(chunk, schema));
+            } else {
+                schema = await this.widenTableSchema(tableName, schema, chunk, overrides);
+                await this.insertArrowData(tableName, this.convertToArrow(chunk, schema));
+            }
+
+            if (preview.length < previewRows) {
+                preview.push(...chunk.slice(0, previewRows - preview.length));
+            }
+            rowCount += chunk.length;
+            if (onChunk) {
+                onChunk(rowCount);
+            }
+        }
+
+        return {
+            tableName,
+            rowCount,
+            columns: schema ? schema.map(column => column.name) : [],
+            preview
+        };
+    }
+
+    /**
+     * 按新一块数据放宽已导入表的列类型并追加新列（importChunks使用）
+     * @param {Array} schema - 表当前的结构 [{name, type, nullable}]
+     * @param {Array} chunk - 新一块行数据
+     * @param {Object} overrides - 指定了类型的列，保持不变
+     * @returns {Promise<Array>} 放宽后的结构
+     */
+    async widenTableSchema(tableName, schema, chunk, overrides = {}) {
+        const { columns } = this.analyzeSchema(chunk);
+        const incoming = new Map(columns.map(column => [column.name, column]));
+        const table = this.quoteIdentifier(tableName);
+
+        const widened = [];
+        for (const column of schema) {
+            const next = incoming.get(column.name);
+            // 这一块中该列全为空值时不影响类型
+            const hasValues = next && next.nullCount < chunk.length;
+            const type = hasValues && !overrides[column.name]?.type ?
+                this.widenColumnType(column.type, next.type) : column.type;
+
+            if (type !== column.type) {
+                const sqlType = this.arrowTypeToSQL(this.getArrowType(type));
+                await this.executeSQL(`ALTER TABLE ${table} ALTER COLUMN ${this.quoteIdentifier(column.name)} TYPE ${sqlType}`);
+                console.log(`列 ${column.name} 的类型由 ${column.type} 放宽为 ${type}`);
+            }
+            widened.push({ ...column, type });
+        }
+
+        // 新列追加在末尾，与按位置插入的顺序一致；之前的行为空值
+        const known = new Set(schema.map(column => column.name));
+        for (const column of columns.filter(item => !known.has(item.name))) {
+            const type = overrides[column.name]?.type || column.type;
+            const sqlType = this.arrowTypeToSQL(this.getArrowType(type));
+            await this.executeSQL(`ALTER TABLE ${table} ADD COLUMN ${this.quoteIdentifier(column.name)} ${sqlType}`);
+            widened.push({ name: column.name, type, nullable: true });
+        }
+
+        return widened;
+    }
+
+    /**
+     * 能同时容纳两种类型的值的类型：相同时不变，整数和小数为小数，其余为文本
+     */
+    widenColumnType(current, incoming) {
+        if (current === incoming) return current;
+        const numeric = ['int64', 'float64'];
+        if (numeric.includes(current) && numeric.includes(incoming)) return 'float64';
+        return 'utf8';
+    }
+
+    /**
+     * 按列名纵向合并多张表为新表：某张表缺少的列补空值，同名列类型不同时取公共类型（如整数和文本合并为文本）
+     * @param {string} tableName - 新表名，已存在时替换
+     * @param {Array<string>} sourceTables - 源表名，按顺序合并
+     * @returns {Promise<number>} 合并后的行数
+     */
+    async unionTables(tableName, sourceTables) {
+        if (sourceTables.length === 0) {
+            throw new Error('没有可合并的表');
+        }
+
+        const select = sourceTables
+            .map(source => `SELECT * FROM ${this.quoteIdentifier(source)}`)
+            .join(' UNION ALL BY NAME ');
+        await this.executeSQL(`CREATE OR REPLACE TABLE ${this.quoteIdentifier(tableName)} AS ${select}`);
+        this.arrowTables.delete(tableName);
+        this.schemas.delete(tableName);
+
+        const [{ total }] = await this.executeSQL(`SELECT COUNT(*) AS total FROM ${this.quoteIdentifier(tableName)}`);
+        return Number(total);
+    }
+
+    /**
+     * 执行用户查询，返回可直接用于预览的结果
+     */
+    async runQuery(sql) {
+        const startTime = Date.now();
+        const rows = await this.executeSQL(sql);
+        const data = rows.map(row => {
+            const normalized = {};
+            for (const [key, value] of Object.entries(row)) {
+                normalized[key] = this.normalizeResultValue(value);
+            }
+            return normalized;
+        });
+
+        return {
+            data,
+            columns: data.length > 0 ? Object.keys(data[0]) : [],
+            rowCount: data.length,
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    /**
+     * 规范化查询结果中的值（BigInt、日期等）
+     */
+    normalizeResultValue(value) {
+        if (typeof value === 'bigint') {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : value.toString();
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return value;
+    }
+
+    /**
+     * 列出DuckDB中的表及其列，用于自动补全（不含以__开头的内部表）
+     */
+    async listTables() {
+        const columns = await this.executeSQL(
+            'SELECT table_name, column_name, data_type FROM information_schema.columns ' +
+            'WHERE table_schema = \'main\' ORDER BY table_name, ordinal_position'
+        );
+
+        const tables = new Map();
+        columns.forEach(({ table_name: tableName, column_name: name, data_type: type }) => {
+            if (tableName.startsWith('__')) return;
+            if (!tables.has(tableName)) {
+                tables.set(tableName, { name: tableName, rows: 0, columns: [] });
+            }
+            tables.get(tableName).columns.push({ name, type });
+        });
+
+        for (const table of tables.values()) {
+            const [{ total }] = await this.executeSQL(`SELECT COUNT(*) AS total FROM ${this.quoteIdentifier(table.name)}`);
+            table.rows = Number(total);
+        }
+
+        return Array.from(tables.values());
+    }
+
+    /**
+     * 解析DuckDB错误信息，提取行列位置
+     * DuckDB错误格式: "Parser Error: ...\nLINE 2: SELECT * FORM t\n                 ^"
+     */
+    parseSQLError(error, sql = '') {
+        const detail = String(error && error.message ? error.message : error);
+        const lines = detail.split('\n');
+        const result = {
+            message: lines[0],
+            detail,
+            line: null,
+            column: null
+        };
+
+        const lineIndex = lines.findIndex(line => /^LINE \d+: /.test(line));
+        if (lineIndex === -1) {
+            return result;
+        }
+
+        const match = lines[lineIndex].match(/^LINE (\d+): (.*)$/);
+        result.line = parseInt(match[1], 10);
+
+        const caret = (lines[lineIndex + 1] || '').indexOf('^');
+        if (caret === -1) {
+            return result;
+        }
+
+        // DuckDB会截断过长的行并以"..."标记，需要定位片段在原始行中的偏移
+        let snippet = match[2];
+        let snippetColumn = caret - (lines[lineIndex].length - snippet.length);
+        if (snippet.startsWith('...')) {
+            snippet = snippet.slice(3);
+            snippetColumn -= 3;
+        }
+        if (snippet.endsWith('...')) {
+            snippet = snippet.slice(0, -3);
+        }
+
+        const sourceLine = sql.split('\n')[result.line - 1] || '';
+        const offset = Math.max(0, sourceLine.indexOf(snippet));
+        result.column = offset + Math.max(0, snippetColumn) + 1;
+
+        return result;
+    }
+
     /**
      * 获取表信息
      */
@@ -533,21 +1359,19 @@ class DataEngine {
     /**
      * 导出Arrow表
      */
-    async exportArrowTable(tableName, filePath, format = 'parquet') {
+    async exportArrowTable(tableName, filePath, format = 'parquet', options = {}) {
         try {
-            const arrowTable = this.arrowTables.get(tableName);
-            if (!arrowTable) {
-                throw new Error(`表 ${tableName} 不存在`);
-            }
-
             if (format === 'parquet') {
-                // 导出为Parquet格式
-                const parquetWriter = arrow.RecordBatchFileWriter.writeAll(arrowTable);
-                await fs.writeFile(filePath, parquetWriter);
+                // 由DuckDB写出真正的Parquet文件
+                await this.exportParquet(tableName, filePath, options);
             } else if (format === 'arrow') {
-                // 导出为Arrow格式
-                const arrowWriter = arrow.RecordBatchFileWriter.writeAll(arrowTable);
-                await fs.writeFile(filePath, arrowWriter);
+                const arrowTable = this.arrowTables.get(tableName);
+                if (!arrowTable) {
+                    throw new Error(`表 ${tableName} 不存在`);
+                }
+
+                // 导出为Arrow IPC文件格式
+                await fs.writeFile(filePath, arrow.tableToIPC(arrowTable, 'file'));
             } else {
                 throw new Error(`不支持的导出格式: ${format}`);
             }
@@ -561,6 +1385,97 @@ class DataEngine {
         }
     }
 
+    /**
+     * 将表导出为Parquet文件
+     * @param {Object} options - { compression: 压缩格式, rowGroupSize: 行组大小 }
+     */
+    async exportParquet(tableName, filePath, options = {}) {
+        const {
+            compression = 'snappy',
+            rowGroupSize = 122880
+        } = options;
+
+        const codec = String(compression).toLowerCase();
+        if (!PARQUET_CODECS.includes(codec)) {
+            throw new Error(`不支持的Parquet压缩格式: ${compression}`);
+        }
+
+        const groupSize = parseInt(rowGroupSize, 10);
+        if (!Number.isInteger(groupSize) || groupSize <= 0) {
+            throw new Error(`无效的行组大小: ${rowGroupSize}`);
+        }
+
+        const sql = `COPY ${this.quoteIdentifier(tableName)} TO ${this.formatSQLValue(filePath)} ` +
+            `(FORMAT PARQUET, COMPRESSION ${codec.toUpperCase()}, ROW_GROUP_SIZE ${groupSize})`;
+        await this.executeSQL(sql);
+
+        console.log(`表 ${tableName} 已导出为Parquet: ${filePath}（${codec}，行组 ${groupSize}）`);
+        return filePath;
+    }
+
+    /**
+     * 将Parquet文件导入为DuckDB表
+     */
+    async importParquet(filePath, tableName = null) {
+        try {
+            const name = tableName || path.basename(filePath, path.extname(filePath));
+            const sql = `CREATE OR REPLACE TABLE ${this.quoteIdentifier(name)} AS ` +
+                `SELECT * FROM read_parquet(${this.formatSQLValue(filePath)})`;
+            await this.executeSQL(sql);
+
+            console.log(`Parquet文件已导入为表 ${name}: ${filePath}`);
+            return name;
+
+        } catch (error) {
+            console.error('导入Parquet文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 直接读取Parquet文件中的数据（不建表）
+     */
+    async readParquet(filePath, options = {}) {
+        const {
+            offset = 0,
+            limit = null
+        } = options;
+
+        try {
+            const source = `read_parquet(${this.formatSQLValue(filePath)})`;
+            const limitClause = limit !== null ? ` LIMIT ${parseInt(limit, 10)}` : '';
+            const offsetClause = offset > 0 ? ` OFFSET ${parseInt(offset, 10)}` : '';
+
+            const result = await this.runQuery(`SELECT * FROM ${source}${limitClause}${offsetClause}`);
+            const [{ total }] = await this.executeSQL(`SELECT COUNT(*) AS total FROM ${source}`);
+
+            return {
+                ...result,
+                totalRows: Number(total)
+            };
+
+        } catch (error) {
+            console.error('读取Parquet文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 删除表
+     */
+    async dropTable(tableName) {
+        await this.executeSQL(`DROP TABLE IF EXISTS ${this.quoteIdentifier(tableName)}`);
+        this.arrowTables.delete(tableName);
+        this.schemas.delete(tableName);
+    }
+
+    /**
+     * 为SQL标识符加双引号
+     */
+    quoteIdentifier(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+
     /**
      * 清理资源
      */
@@ -568,9 +1483,11 @@ class DataEngine {
         try {
             if (this.connection) {
                 this.connection.close();
+                this.connection = null;
             }
             if (this.db) {
                 this.db.close();
+                this.db = null;
             }
             
             this.arrowTables.clear();
@@ -46,6 +46,7 @@ class FileSystemManager {
             this.configDir,
             path.join(this.cacheDir, 'data'),
             path.join(this.cacheDir, 'temp'),
+            path.join(this.cacheDir, 'checkpoints'),
             path.join(this.configDir, 'logs')
         ];
 
@@ -139,6 +140,120 @@ class FileSystemManager {
         }
     }
 
+    /**
+     * 创建临时目录，随临时文件一起清理
+     * @param {string} prefix - 目录名前缀
+     * @returns {Promise<string>} 目录路径
+     */
+    async createTempDirectory(prefix = 'p-excel-') {
+        const dir = await fs.mkdtemp(path.join(this.cacheDir, 'temp', prefix));
+        this.tempFiles.add(dir);
+        return dir;
+    }
+
+    /**
+     * 删除临时文件或临时目录
+     */
+    async removeTempFile(tempFilePath) {
+        try {
+            await fs.rm(tempFilePath, { recursive: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('删除临时文件失败:', tempFilePath, error);
+            }
+        } finally {
+            this.tempFiles.delete(tempFilePath);
+        }
+    }
+
+    /**
+     * 获取任务检查点目录（不存在时创建），存放检查点文件和排序有序段等中间数据
+     * @param {string} jobId - 任务ID
+     */
+    async getCheckpointDir(jobId) {
+        if (!/^[\w-]+$/.test(jobId)) {
+            throw new Error(`无效的任务ID: ${jobId}`);
+        }
+        const dir = path.join(this.cacheDir, 'checkpoints', jobId);
+        await fs.mkdir(dir, { recursive: true });
+        return dir;
+    }
+
+    /**
+     * 保存任务检查点（先写临时文件再重命名，中途崩溃不会留下不完整的检查点）
+     * @param {string} jobId - 任务ID
+     * @param {string} content - 检查点JSON文本
+     */
+    async saveCheckpoint(jobId, content) {
+        const dir = await this.getCheckpointDir(jobId);
+        const filePath = path.join(dir, 'checkpoint.json');
+        const tempPath = `${filePath}.tmp`;
+
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * 读取任务检查点
+     * @returns {Promise<string|null>} 检查点JSON文本，不存在时为null
+     */
+    async readCheckpoint(jobId) {
+        try {
+            return await fs.readFile(path.join(this.cacheDir, 'checkpoints', jobId, 'checkpoint.json'), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 列出全部可恢复的任务检查点（不含算子状态），按更新时间倒序
+     */
+    async listCheckpoints() {
+        const root = path.join(this.cacheDir, 'checkpoints');
+        let jobIds;
+        try {
+            jobIds = await fs.readdir(root);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const checkpoints = [];
+        for (const jobId of jobIds) {
+            try {
+                const content = await this.readCheckpoint(jobId);
+                if (content) {
+                    const checkpoint = JSON.parse(content);
+                    delete checkpoint.operators;
+                    delete checkpoint.output;
+                    checkpoints.push(checkpoint);
+                }
+            } catch (error) {
+                console.error('读取检查点失败:', jobId, error);
+            }
+        }
+        return checkpoints.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 删除任务检查点及其中间数据
+     */
+    async removeCheckpoint(jobId) {
+        const dir = await this.getCheckpointDir(jobId);
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
     /**
      * 缓存数据
      */
@@ -283,7 +398,7 @@ class FileSystemManager {
                 const stats = await fs.stat(filePath);
                 
                 if (now - stats.mtime.getTime() > maxAge) {
-                    await fs.unlink(filePath);
+                    await fs.rm(filePath, { recursive: true, force: true });
                     console.log('清理旧临时文件:', filePath);
                 }
             }
@@ -300,7 +415,7 @@ class FileSystemManager {
         try {
             for (const tempFile of this.tempFiles) {
                 try {
-                    await fs.unlink(tempFile);
+                    await fs.rm(tempFile, { recursive: true });
                     console.log('删除临时文件:', tempFile);
                 } catch (error) {
                     if (error.code !== 'ENOENT') {
@@ -0,0 +1,424 @@
+/**
+ * 热文件夹监视器 - 监视配置的文件夹，新文件写入完成后按保存的处理流程在Worker池中处理，
+ * 结果写到输出文件夹，源文件按设置归档、删除或保留，每次处理记录到日志
+ * 只监视文件夹本身，不包含子文件夹（默认的归档文件夹 processed 就在监视的文件夹下）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const BatchSource = require('./batchSource');
+
+// 内存中保留的最近处理记录数
+const DEFAULT_HISTORY_SIZE = 100;
+
+// 启动时从日志末尾读取最近记录的字节数
+const LOG_TAIL_BYTES = 256 * 1024;
+
+// 文件被其他程序占用（仍在写入）时的错误码
+const BUSY_ERROR_CODES = ['EBUSY', 'EPERM', 'EACCES'];
+
+class HotFolderWatcher extends EventEmitter {
+    /**
+     * @param {Object} options - { configManager, workerPool, logDirectory: 处理日志所在目录, historySize }
+     */
+    constructor(options = {}) {
+        super();
+        this.configManager = options.configManager;
+        this.workerPool = options.workerPool;
+        this.logPath = path.join(options.logDirectory, 'hot-folders.log');
+        this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+
+        this.folders = new Map(); // 热文件夹ID -> { definition, watcher, patterns, pending, error }
+        this.processing = new Map(); // 正在处理的文件路径 -> 热文件夹ID
+        this.handled = new Map(); // 已处理但留在原处的文件路径 -> 处理时的大小和修改时间
+        this.runs = [];
+        this.paused = false;
+        this.unwatchConfig = null;
+        this.reloading = Promise.resolve();
+    }
+
+    /**
+     * 读取最近的处理记录并开始监视，热文件夹配置变化时重新监视
+     */
+    async start() {
+        this.runs = await this.readRecentRuns();
+        this.unwatchConfig = this.configManager.watch('hotFolders', () => this.reload());
+        this.onConfigReplaced = () => this.reload();
+        this.configManager.on('configImported', this.onConfigReplaced);
+        this.configManager.on('configReset', this.onConfigReplaced);
+        await this.reload();
+    }
+
+    /**
+     * 停止监视（正在处理的文件会处理完）
+     */
+    stop() {
+        if (this.unwatchConfig) {
+            this.unwatchConfig();
+            this.unwatchConfig = null;
+            this.configManager.off('configImported', this.onConfigReplaced);
+            this.configManager.off('configReset', this.onConfigReplaced);
+        }
+        this.closeAll();
+    }
+
+    /**
+     * 暂停或恢复所有热文件夹
+     */
+    async setPaused(paused) {
+        this.paused = Boolean(paused);
+        await this.reload();
+    }
+
+    /**
+     * 按当前配置重新监视所有启用的热文件夹，配置连续变化时依次执行
+     */
+    reload() {
+        this.reloading = this.reloading
+            .then(() => this.watchAll())
+            .catch(error => console.error('重新监视热文件夹失败:', error));
+        return this.reloading;
+    }
+
+    /**
+     * 关闭已有的监视，监视所有启用的热文件夹
+     */
+    async watchAll() {
+        this.closeAll();
+        if (!this.paused) {
+            for (const definition of this.configManager.getHotFolders()) {
+                if (definition.enabled) {
+                    await this.watchFolder(definition);
+                }
+            }
+        }
+        this.emit('statusChanged', this.getStatus());
+    }
+
+    /**
+     * 关闭所有文件夹的监视和等待中的检查
+     */
+    closeAll() {
+        for (const folder of this.folders.values()) {
+            if (folder.watcher) {
+                folder.watcher.close();
+            }
+            folder.pending.forEach(check => clearTimeout(check.timer));
+        }
+        this.folders.clear();
+    }
+
+    /**
+     * 监视一个热文件夹，已有的文件（保留源文件的除外）也会被处理
+     */
+    async watchFolder(definition) {
+        const folder = {
+            definition,
+            watcher: null,
+            patterns: BatchSource.normalizePatterns(definition.pattern).map(BatchSource.globToRegExp),
+            pending: new Map(),
+            error: null
+        };
+        this.folders.set(definition.id, folder);
+
+        try {
+            folder.watcher = fs.watch(definition.folder, (eventType, fileName) => {
+                if (fileName) {
+                    this.schedule(folder, fileName.toString());
+                }
+            });
+            folder.watcher.on('error', (error) => {
+                console.error(`热文件夹监视出错 ${definition.folder}:`, error);
+                folder.watcher.close();
+                folder.watcher = null;
+                folder.error = error.message;
+                this.emit('statusChanged', this.getStatus());
+            });
+
+            // 保留源文件时，已有的文件无法区分是否处理过，只处理之后新增的文件
+            if (definition.afterProcess !== 'keep') {
+                const entries = await fs.promises.readdir(definition.folder, { withFileTypes: true });
+                entries.filter(entry => entry.isFile()).forEach(entry => this.schedule(folder, entry.name));
+            }
+
+        } catch (error) {
+            console.error(`无法监视热文件夹 ${definition.folder}:`, error);
+            folder.error = error.message;
+        }
+    }
+
+    /**
+     * 文件有变化时（重新）开始等待写入稳定
+     */
+    schedule(folder, fileName) {
+        if (!folder.patterns.some(pattern => BatchSource.testPattern(pattern, fileName))) {
+            return;
+        }
+
+        const filePath = path.join(folder.definition.folder, fileName);
+        const check = folder.pending.get(filePath);
+        if (check) {
+            clearTimeout(check.timer);
+        }
+        this.scheduleCheck(folder, filePath, check ? check.signature : null);
+    }
+
+    /**
+     * settleTime 后检查文件，signature 为上次检查时的大小和修改时间
+     */
+    scheduleCheck(folder, filePath, signature) {
+        const timer = setTimeout(() => {
+            this.checkSettled(folder, filePath, signature).catch(error => {
+                console.error(`检查热文件夹文件失败 ${filePath}:`, error);
+            });
+        }, folder.definition.settleTime);
+        folder.pending.set(filePath, { timer, signature });
+    }
+
+    /**
+     * 两次检查之间文件大小和修改时间都没有变化、且没有被其他程序占用时，认为写入已完成并开始处理
+     */
+    async checkSettled(folder, filePath, previousSignature) {
+        if (this.folders.get(folder.definition.id) !== folder) {
+            return;
+        }
+        folder.pending.delete(filePath);
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        if (!stats.isFile()) {
+            return;
+        }
+
+        const signature = `${stats.size}:${stats.mtimeMs}`;
+        if (signature !== previousSignature) {
+            this.scheduleCheck(folder, filePath, signature);
+            return;
+        }
+
+        // Windows上正在写入的文件无法以读写方式打开
+        try {
+            const handle = await fs.promises.open(filePath, 'r+');
+            await handle.close();
+        } catch (error) {
+            if (BUSY_ERROR_CODES.includes(error.code)) {
+                this.scheduleCheck(folder, filePath, null);
+                return;
+            }
+            throw error;
+        }
+
+        if (this.processing.has(filePath) || this.handled.get(filePath) === signature) {
+            return;
+        }
+        await this.processFile(folder.definition, filePath, signature);
+    }
+
+    /**
+     * 在Worker池中按处理流程处理文件，处理后按设置归档或删除源文件并记录日志
+     * 处理失败或保留源文件时记住文件的大小和修改时间，文件再次变化前不重复处理
+     */
+    async processFile(definition, filePath, signature) {
+        this.processing.set(filePath, definition.id);
+        const run = {
+            id: `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            hotFolderId: definition.id,
+            hotFolderName: definition.name,
+            recipeName: null,
+            inputFile: filePath,
+            outputFile: null,
+            movedTo: null,
+            status: 'running',
+            processedRows: 0,
+            error: null,
+            startedAt: Date.now(),
+            finishedAt: null
+        };
+        this.emit('runStarted', run);
+
+        try {
+            const recipe = this.configManager.getRecipe(definition.recipeId);
+            if (!recipe) {
+                throw new Error('热文件夹使用的处理流程不存在');
+            }
+            run.recipeName = recipe.name;
+
+            await fs.promises.mkdir(definition.outputFolder, { recursive: true });
+            const outputName = `${path.basename(filePath, path.extname(filePath))}.${definition.outputFormat}`;
+            run.outputFile = await this.getAvailablePath(definition.outputFolder, outputName);
+
+            const result = await this.workerPool.executeTask('processor', 'process-file', {
+                filePath,
+                operations: recipe.operations,
+                outputPath: run.outputFile,
+                options: { memoryLimit: this.getMemoryLimit() }
+            });
+            run.processedRows = result.processedRows;
+
+            if (definition.afterProcess === 'archive') {
+                await fs.promises.mkdir(definition.archiveFolder, { recursive: true });
+                run.movedTo = await this.getAvailablePath(definition.archiveFolder, path.basename(filePath));
+                await this.moveFile(filePath, run.movedTo);
+            } else if (definition.afterProcess === 'delete') {
+                await fs.promises.unlink(filePath);
+            } else {
+                this.handled.set(filePath, signature);
+            }
+            run.status = 'success';
+
+        } catch (error) {
+            console.error(`热文件夹处理失败 ${filePath}:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+            this.handled.set(filePath, signature);
+        } finally {
+            this.processing.delete(filePath);
+        }
+
+        run.finishedAt = Date.now();
+        await this.recordRun(run);
+        return run;
+    }
+
+    /**
+     * 目标文件夹中已有同名文件时在文件名后加时间戳
+     */
+    async getAvailablePath(directory, fileName) {
+        const target = path.join(directory, fileName);
+        try {
+            await fs.promises.access(target);
+        } catch (error) {
+            return target;
+        }
+
+        const ext = path.extname(fileName);
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+        return path.join(directory, `${path.basename(fileName, ext)}_${stamp}_${Math.random().toString(36).slice(2, 6)}${ext}`);
+    }
+
+    /**
+     * 移动文件，跨磁盘时复制后删除
+     */
+    async moveFile(source, target) {
+        try {
+            await fs.promises.rename(source, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            await fs.promises.copyFile(source, target);
+            await fs.promises.unlink(source);
+        }
+    }
+
+    /**
+     * 配置的内存上限（字节），Worker中读不到应用配置
+     */
+    getMemoryLimit() {
+        const maxMemoryUsage = this.configManager.get('performance.maxMemoryUsage');
+        return maxMemoryUsage ? this.configManager.parseMemorySize(String(maxMemoryUsage)) || null : null;
+    }
+
+    /**
+     * 追加处理记录到日志文件（每行一个JSON）并通知监听者
+     */
+    async recordRun(run) {
+        this.runs.push(run);
+        if (this.runs.length > this.historySize) {
+            this.runs.splice(0, this.runs.length - this.historySize);
+        }
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.logPath), { recursive: true });
+            await fs.promises.appendFile(this.logPath, JSON.stringify(run) + '\n', 'utf8');
+        } catch (error) {
+            console.error('写入热文件夹日志失败:', error);
+        }
+
+        this.emit('run', run);
+    }
+
+    /**
+     * 从日志文件末尾读取最近的处理记录
+     */
+    async readRecentRuns() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.logPath, 'r');
+            const { size } = await handle.stat();
+            const length = Math.min(size, LOG_TAIL_BYTES);
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, size - length);
+
+            const lines = buffer.toString('utf8').split('\n');
+            // 从文件中间开始读取时第一行不完整
+            if (length < size) {
+                lines.shift();
+            }
+            return lines.filter(Boolean).slice(-this.historySize).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            }).filter(Boolean);
+
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('读取热文件夹日志失败:', error);
+            }
+            return [];
+        } finally {
+            if (handle) {
+                await handle.close();
+            }
+        }
+    }
+
+    /**
+     * 获取最近的处理记录，最新的在前
+     */
+    getRuns(limit = null) {
+        const runs = this.runs.slice().reverse();
+        return limit ? runs.slice(0, limit) : runs;
+    }
+
+    /**
+     * 是否有正在监视的热文件夹（决定关闭窗口时是否留在托盘中）
+     */
+    isActive() {
+        return Array.from(this.folders.values()).some(folder => folder.watcher);
+    }
+
+    /**
+     * 获取各热文件夹的监视状态
+     */
+    getStatus() {
+        return this.configManager.getHotFolders().map(definition => {
+            const folder = this.folders.get(definition.id);
+            return {
+                id: definition.id,
+                name: definition.name,
+                folder: definition.folder,
+                enabled: definition.enabled,
+                paused: this.paused,
+                watching: Boolean(folder && folder.watcher),
+                error: folder ? folder.error : null,
+                pending: folder ? folder.pending.size : 0,
+                processing: Array.from(this.processing.values()).filter(id => id === definition.id).length
+            };
+        });
+    }
+}
+
+HotFolderWatcher.DEFAULT_HISTORY_SIZE = DEFAULT_HISTORY_SIZE;
+
+module.exports = HotFolderWatcher;
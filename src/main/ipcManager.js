@@ -3,11 +3,24 @@
  */
 
 const { ipcMain, BrowserWindow } = require('electron');
+const { FILE_CONSTANTS } = require('../shared/constants');
+const { TRANSFER_CHANNELS, STREAM_CHANNELS, SQLITE_CHANNELS, BATCH_CHANNELS, RECIPE_CHANNELS, HOT_FOLDER_CHANNELS } = require('../shared/ipcChannels');
+const ArrowTransfer = require('./arrowTransfer');
+const StreamProcessor = require('./streamProcessor');
+const SqliteDatabase = require('./sqliteDatabase');
+const BatchSource = require('./batchSource');
+
+// 大文件处理进度推送的最小间隔（毫秒）
+const STREAM_PROGRESS_INTERVAL = 500;
 
 class IPCManager {
     constructor() {
         this.channels = new Map();
         this.workerPool = null; // 将在后续任务中实现
+        this.dataEngine = null;
+        this.arrowTransfer = null;
+        this.fileSystemManager = null;
+        this.hotFolderWatcher = null;
         this.mainWindow = null;
     }
 
@@ -33,10 +46,54 @@ class IPCManager {
         // 文件操作
         this.registerChannel('file:open', this.handleFileOpen.bind(this));
         this.registerChannel('file:save', this.handleFileSave.bind(this));
+        this.registerChannel('file:read-parquet', this.handleReadParquet.bind(this));
+        this.registerChannel('file:export-parquet', this.handleExportParquet.bind(this));
+        this.registerChannel('file:recent', this.handleRecentFiles.bind(this));
+        this.registerChannel('file:remember', this.handleRememberFile.bind(this));
         
         // 数据处理
         this.registerChannel('data:process', this.handleDataProcess.bind(this));
+        this.registerChannel('data:window', this.handleDataWindow.bind(this));
+        this.registerChannel('data:reshape', this.handleDataReshape.bind(this));
+        this.registerChannel('data:analyze-schema', this.handleAnalyzeSchema.bind(this));
+        this.registerChannel('data:save-schema', this.handleSaveSchema.bind(this));
+        this.registerChannel('data:transfer-table', this.handleTransferTable.bind(this));
+        this.registerChannel('data:preview-register', this.handlePreviewRegister.bind(this));
+        this.registerChannel('data:preview-page', this.handlePreviewPage.bind(this));
+        this.registerChannel(TRANSFER_CHANNELS.CANCEL, this.handleTransferCancel.bind(this));
         
+        // SQL查询
+        this.registerChannel('sql:register', this.handleSQLRegister.bind(this));
+        this.registerChannel('sql:execute', this.handleSQLExecute.bind(this));
+        this.registerChannel('sql:tables', this.handleSQLTables.bind(this));
+        this.registerChannel('sql:drop', this.handleSQLDrop.bind(this));
+        this.registerChannel('sql:workspace', this.handleSQLWorkspace.bind(this));
+
+        // SQLite数据库导入导出
+        this.registerChannel(SQLITE_CHANNELS.TABLES, this.handleSqliteTables.bind(this));
+        this.registerChannel(SQLITE_CHANNELS.IMPORT, this.handleSqliteImport.bind(this));
+        this.registerChannel(SQLITE_CHANNELS.EXPORT, this.handleSqliteExport.bind(this));
+
+        // 文件夹和ZIP批量导入
+        this.registerChannel(BATCH_CHANNELS.SCAN, this.handleBatchScan.bind(this));
+        this.registerChannel(BATCH_CHANNELS.IMPORT, this.handleBatchImport.bind(this));
+
+        // 处理流程和热文件夹
+        this.registerChannel(RECIPE_CHANNELS.LIST, this.handleRecipeList.bind(this));
+        this.registerChannel(RECIPE_CHANNELS.SAVE, this.handleRecipeSave.bind(this));
+        this.registerChannel(RECIPE_CHANNELS.REMOVE, this.handleRecipeRemove.bind(this));
+        this.registerChannel(HOT_FOLDER_CHANNELS.LIST, this.handleHotFolderList.bind(this));
+        this.registerChannel(HOT_FOLDER_CHANNELS.SAVE, this.handleHotFolderSave.bind(this));
+        this.registerChannel(HOT_FOLDER_CHANNELS.REMOVE, this.handleHotFolderRemove.bind(this));
+        this.registerChannel(HOT_FOLDER_CHANNELS.PAUSE, this.handleHotFolderPause.bind(this));
+        this.registerChannel(HOT_FOLDER_CHANNELS.RUNS, this.handleHotFolderRuns.bind(this));
+
+        // 大文件流式处理（检查点与恢复）
+        this.registerChannel('stream:process', this.handleStreamProcess.bind(this));
+        this.registerChannel('stream:resume', this.handleStreamResume.bind(this));
+        this.registerChannel('stream:checkpoints', this.handleStreamCheckpoints.bind(this));
+        this.registerChannel('stream:discard', this.handleStreamDiscard.bind(this));
+
         // 系统信息
         this.registerChannel('system:info', this.handleSystemInfo.bind(this));
         this.registerChannel('system:memory', this.handleMemoryInfo.bind(this));
@@ -106,21 +163,88 @@ class IPCManager {
         this.mainWindow = window;
     }
 
+    /**
+     * 设置数据处理引擎引用
+     */
+    setDataEngine(dataEngine) {
+        this.dataEngine = dataEngine;
+        this.arrowTransfer = new ArrowTransfer(dataEngine);
+    }
+
+    /**
+     * 设置文件系统管理器引用（大文件处理的检查点存放在其缓存目录下）
+     */
+    setFileSystemManager(fileSystemManager) {
+        this.fileSystemManager = fileSystemManager;
+    }
+
+    /**
+     * 设置热文件夹监视器引用
+     */
+    setHotFolderWatcher(hotFolderWatcher) {
+        this.hotFolderWatcher = hotFolderWatcher;
+    }
+
+    /**
+     * 获取已初始化的配置管理器
+     */
+    getConfigManager() {
+        const appManager = global.appManager;
+        if (!appManager || !appManager.configManager) {
+            throw new Error('配置管理器未初始化');
+        }
+        return appManager.configManager;
+    }
+
+    /**
+     * 获取已初始化的数据处理引擎
+     */
+    getDataEngine() {
+        if (!this.dataEngine || !this.dataEngine.connection) {
+            throw new Error('数据处理引擎未初始化');
+        }
+        return this.dataEngine;
+    }
+
     // ==================== IPC处理器 ====================
 
     /**
      * 处理文件打开
+     * @param {Object} options - { directory: 选择文件夹（批量导入） }
+     * @returns {Promise<Array|null>} [{ path, name, size, isDirectory }]，ZIP文件和文件夹由渲染进程按批量导入处理
      */
-    async handleFileOpen(event) {
+    async handleFileOpen(event, options = {}) {
         try {
             const { dialog } = require('electron');
+            const fs = require('fs');
+
+            if (options.directory) {
+                const result = await dialog.showOpenDialog({
+                    title: '选择文件夹',
+                    properties: ['openDirectory', 'multiSelections']
+                });
+                if (result.canceled) {
+                    return null;
+                }
+                return result.filePaths.map(filePath => ({
+                    path: filePath,
+                    name: require('path').basename(filePath),
+                    size: 0,
+                    isDirectory: true
+                }));
+            }
             
             const result = await dialog.showOpenDialog({
                 title: '选择文件',
                 filters: [
-                    { name: 'Excel文件', extensions: ['xlsx', 'xls'] },
-                    { name: 'CSV文件', extensions: ['csv'] },
-                    { name: '所有支持的文件', extensions: ['xlsx', 'xls', 'csv'] }
+                    { name: 'Excel文件', extensions: ['xlsx', 'xls', 'xlsb', 'ods'] },
+                    { name: 'CSV文件', extensions: ['csv', 'tsv'] },
+                    { name: 'JSON文件', extensions: ['json', 'jsonl', 'ndjson'] },
+                    { name: '定宽文本', extensions: ['txt', 'prn'] },
+                    { name: 'Parquet文件', extensions: ['parquet'] },
+                    { name: 'SQLite数据库', extensions: ['db', 'sqlite', 'sqlite3'] },
+                    { name: 'ZIP压缩包（批量导入）', extensions: ['zip'] },
+                    { name: '所有支持的文件', extensions: [...FILE_CONSTANTS.SUPPORTED_EXTENSIONS.map(ext => ext.slice(1)), 'zip'] }
                 ],
                 properties: ['openFile', 'multiSelections']
             });
@@ -133,7 +257,8 @@ class IPCManager {
             return result.filePaths.map(filePath => ({
                 path: filePath,
                 name: require('path').basename(filePath),
-                size: require('fs').statSync(filePath).size
+                size: fs.statSync(filePath).size,
+                isDirectory: false
             }));
 
         } catch (error) {
@@ -144,13 +269,15 @@ class IPCManager {
 
     /**
      * 处理文件保存
+     * options.split 指定拆分方式时按列值或行数拆分输出，所选路径作为分区文件的目录和基础文件名，
+     * 拆分方式见 StreamProcessor.createPartitionWriteStream
      */
     async handleFileSave(event, data, options = {}) {
         try {
             const { dialog } = require('electron');
             const path = require('path');
             
-            const { format = 'excel' } = options;
+            const { format = 'excel', split = null } = options;
             const filters = format === 'csv' 
                 ? [{ name: 'CSV文件', extensions: ['csv'] }]
                 : [{ name: 'Excel文件', extensions: ['xlsx'] }];
@@ -165,6 +292,18 @@ class IPCManager {
                 return null;
             }
 
+            if (split) {
+                const processor = new StreamProcessor({ fileSystemManager: this.fileSystemManager });
+                const summary = await processor.writePartitionedRows(this.toRowObjects(data), result.filePath, split);
+                return {
+                    filePath: result.filePath,
+                    success: true,
+                    partitions: summary.partitions,
+                    totalRows: summary.totalRows,
+                    indexFile: summary.indexFile
+                };
+            }
+
             // 这里应该实现实际的文件保存逻辑
             // 暂时返回保存路径
             console.log('保存文件到:', result.filePath);
@@ -176,6 +315,126 @@ class IPCManager {
         }
     }
 
+    /**
+     * 将渲染进程的数据转换为行对象数组
+     * @param {Array<Object>|Object} data - 行对象数组，或预览数据 { headers, data: 行数组 }
+     */
+    toRowObjects(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        if (data && Array.isArray(data.headers) && Array.isArray(data.data)) {
+            return data.data.map(values => Object.fromEntries(data.headers.map((header, index) => [header, values[index]])));
+        }
+        throw new Error('没有可导出的数据');
+    }
+
+    /**
+     * 处理Parquet文件读取
+     */
+    async handleReadParquet(event, filePath, options = {}) {
+        try {
+            return await this.getDataEngine().readParquet(filePath, options);
+
+        } catch (error) {
+            console.error('读取Parquet文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取最近使用的文件，包含导入时记住的编码等信息
+     */
+    async handleRecentFiles(event, limit = null) {
+        try {
+            const appManager = global.appManager;
+            if (!appManager || !appManager.configManager) {
+                throw new Error('配置管理器未初始化');
+            }
+
+            return appManager.configManager.getRecentFiles(limit);
+
+        } catch (error) {
+            console.error('获取最近使用的文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 记录最近使用的文件
+     * metadata 中的 encoding 等导入设置会在下次导入同一文件时作为默认值
+     */
+    async handleRememberFile(event, filePath, metadata = {}) {
+        try {
+            const appManager = global.appManager;
+            if (!appManager || !appManager.configManager) {
+                throw new Error('配置管理器未初始化');
+            }
+
+            const stats = await require('fs').promises.stat(filePath);
+            appManager.configManager.addRecentFile(filePath, { size: stats.size, ...metadata });
+            return true;
+
+        } catch (error) {
+            console.error('记录最近使用的文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理Parquet导出
+     * 可导出传入的行数据，或通过options.tableName导出已注册的表
+     */
+    async handleExportParquet(event, data, options = {}) {
+        const dataEngine = this.getDataEngine();
+        let tempTable = null;
+
+        try {
+            const { dialog } = require('electron');
+            const appManager = global.appManager;
+            const fileConfig = (appManager && appManager.getConfig('fileProcessing')) || {};
+
+            let { filePath } = options;
+            if (!filePath) {
+                const result = await dialog.showSaveDialog({
+                    title: '导出Parquet文件',
+                    defaultPath: options.defaultName || 'processed_data.parquet',
+                    filters: [{ name: 'Parquet文件', extensions: ['parquet'] }]
+                });
+
+                if (result.canceled) {
+                    return { success: false, canceled: true };
+                }
+
+                filePath = result.filePath;
+            }
+
+            let tableName = options.tableName;
+            if (!tableName) {
+                if (!Array.isArray(data) || data.length === 0) {
+                    throw new Error('没有可导出的数据');
+                }
+                tempTable = `__export_${Date.now()}`;
+                tableName = await dataEngine.registerRows(tempTable, data);
+            }
+
+            await dataEngine.exportParquet(tableName, filePath, {
+                compression: options.compression || fileConfig.parquetCompression,
+                rowGroupSize: options.rowGroupSize || fileConfig.parquetRowGroupSize
+            });
+
+            return { success: true, filePath };
+
+        } catch (error) {
+            console.error('Parquet导出失败:', error);
+            throw error;
+        } finally {
+            if (tempTable) {
+                await dataEngine.dropTable(tempTable).catch(() => {});
+            }
+        }
+    }
+
     /**
      * 处理数据处理
      */
@@ -200,6 +459,809 @@ class IPCManager {
         }
     }
 
+    /**
+     * 处理窗口计算列（大数据量时由渲染进程调用）
+     */
+    async handleDataWindow(event, data, config) {
+        const dataEngine = this.getDataEngine();
+        const tempTable = `__window_${Date.now()}`;
+
+        try {
+            await dataEngine.registerRows(tempTable, data);
+            const result = await dataEngine.addWindowColumn(tempTable, config);
+            return result.data;
+
+        } catch (error) {
+            console.error('窗口计算失败:', error);
+            throw error;
+        } finally {
+            await dataEngine.dropTable(tempTable).catch(() => {});
+        }
+    }
+
+    /**
+     * 处理透视/逆透视（大数据量时由渲染进程调用）
+     */
+    async handleDataReshape(event, data, config) {
+        const dataEngine = this.getDataEngine();
+        const tempTable = `__reshape_${Date.now()}`;
+
+        try {
+            await dataEngine.registerRows(tempTable, data);
+            const result = config.type === 'unpivot' ?
+                await dataEngine.unpivotTable(tempTable, config) :
+                await dataEngine.pivotTable(tempTable, config);
+            return result.data;
+
+        } catch (error) {
+            console.error('透视处理失败:', error);
+            throw error;
+        } finally {
+            await dataEngine.dropTable(tempTable).catch(() => {});
+        }
+    }
+
+    /**
+     * 处理列类型分析，同时返回该数据源已保存的类型覆盖
+     */
+    async handleAnalyzeSchema(event, rows, options = {}) {
+        try {
+            if (!Array.isArray(rows) || rows.length === 0) {
+                throw new Error('没有可分析的数据');
+            }
+
+            const sampleSize = options.sampleSize ?? this.getFileProcessingConfig().schemaSampleSize;
+            const analysis = this.getDataEngine().analyzeSchema(rows, { sampleSize });
+            return {
+                ...analysis,
+                overrides: this.getSchemaOverrides(options.source)
+            };
+
+        } catch (error) {
+            console.error('分析列类型失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理列类型覆盖保存（按数据源记录）
+     */
+    async handleSaveSchema(event, source, overrides = {}) {
+        try {
+            const appManager = global.appManager;
+            if (!appManager) {
+                throw new Error('应用管理器未初始化');
+            }
+            if (!source) {
+                throw new Error('未指定数据源');
+            }
+
+            // 数据源名可能包含“.”，整体更新以免被当作配置路径
+            const allOverrides = { ...(appManager.getConfig('schemaOverrides') || {}) };
+            if (Object.keys(overrides).length > 0) {
+                allOverrides[source] = overrides;
+            } else {
+                delete allOverrides[source];
+            }
+
+            const success = await appManager.updateConfig('schemaOverrides', allOverrides);
+            return { success };
+
+        } catch (error) {
+            console.error('保存列类型失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理预览数据注册：主进程按文件路径把大文件分块导入为内部表，之后按页读取，数据不经过渲染进程传输
+     * @param {Object} source - { filePath, csv: CSV方言, header: xlsx的表头位置 }，见 StreamProcessor.streamReadFile
+     */
+    async handlePreviewRegister(event, tableName, source = {}) {
+        try {
+            if (!String(tableName).startsWith('__')) {
+                throw new Error(`预览表名必须以__开头: ${tableName}`);
+            }
+            if (!source.filePath) {
+                throw new Error('缺少预览文件路径');
+            }
+            const processor = new StreamProcessor({ fileSystemManager: this.fileSystemManager });
+            const totalRows = await this.importBatchFile(processor, source.filePath, tableName, {}, null, {
+                csv: source.csv || {},
+                header: source.header || {}
+            });
+            return { tableName, totalRows };
+
+        } catch (error) {
+            console.error('注册预览数据失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理预览分页读取（排序和筛选由DuckDB完成）
+     */
+    async handlePreviewPage(event, tableName, options = {}) {
+        try {
+            return await this.getDataEngine().queryPage(tableName, options);
+
+        } catch (error) {
+            console.error('读取预览数据失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理数据表传输：按批次读取DuckDB表并以Arrow格式发送给请求的渲染进程
+     */
+    async handleTransferTable(event, tableName, options = {}) {
+        try {
+            const dataEngine = this.getDataEngine();
+            const [{ total }] = await dataEngine.executeSQL(`SELECT COUNT(*) AS total FROM ${dataEngine.quoteIdentifier(tableName)}`);
+
+            const reader = {
+                totalRows: Number(total),
+                schema: await dataEngine.getTableSchema(tableName),
+                read: (offset, limit) => dataEngine.readTableRows(tableName, offset, limit)
+            };
+
+            const transferId = await this.transferLargeData(reader, event.sender, {
+                ...options,
+                meta: { tableName }
+            });
+            return { transferId };
+
+        } catch (error) {
+            console.error('数据表传输失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理传输取消
+     */
+    async handleTransferCancel(event, transferId) {
+        try {
+            return { success: Boolean(this.arrowTransfer && this.arrowTransfer.cancel(transferId)) };
+
+        } catch (error) {
+            console.error('取消数据传输失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取数据源已保存的列类型覆盖
+     */
+    getSchemaOverrides(source) {
+        const appManager = global.appManager;
+        if (!appManager || !source) {
+            return {};
+        }
+        return (appManager.getConfig('schemaOverrides') || {})[source] || {};
+    }
+
+    /**
+     * 获取文件处理配置
+     */
+    getFileProcessingConfig() {
+        const appManager = global.appManager;
+        return (appManager && appManager.getConfig('fileProcessing')) || {};
+    }
+
+    /**
+     * 处理SQL表注册
+     */
+    async handleSQLRegister(event, tables = []) {
+        try {
+            const dataEngine = this.getDataEngine();
+
+            for (const { name, rows, source } of tables) {
+                if (!Array.isArray(rows) || rows.length === 0) {
+                    continue;
+                }
+                await dataEngine.registerRows(name, rows, {
+                    sampleSize: this.getFileProcessingConfig().schemaSampleSize,
+                    overrides: this.getSchemaOverrides(source)
+                });
+            }
+
+            return await dataEngine.listTables();
+
+        } catch (error) {
+            console.error('注册SQL表失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理SQL查询执行
+     * 查询错误以结果形式返回，保留DuckDB给出的行列位置
+     */
+    async handleSQLExecute(event, sql) {
+        const dataEngine = this.getDataEngine();
+
+        try {
+            const result = await dataEngine.runQuery(sql);
+            return { success: true, ...result };
+
+        } catch (error) {
+            console.error('SQL查询执行失败:', error);
+            return { success: false, error: dataEngine.parseSQLError(error, sql) };
+        }
+    }
+
+    /**
+     * 处理SQL表列表获取
+     */
+    async handleSQLTables(_event) {
+        try {
+            return await this.getDataEngine().listTables();
+
+        } catch (error) {
+            console.error('获取SQL表列表失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理SQL表删除
+     */
+    async handleSQLDrop(event, tableName) {
+        try {
+            const dataEngine = this.getDataEngine();
+            await dataEngine.dropTable(tableName);
+            return await dataEngine.listTables();
+
+        } catch (error) {
+            console.error('删除SQL表失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理工作区信息获取
+     */
+    async handleSQLWorkspace(_event) {
+        try {
+            return await this.getDataEngine().getWorkspaceInfo();
+
+        } catch (error) {
+            console.error('获取工作区信息失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理SQLite表列表请求
+     * @param {string} filePath - 数据库文件
+     */
+    async handleSqliteTables(event, filePath) {
+        const database = new SqliteDatabase(filePath);
+
+        try {
+            await database.open();
+            return await database.listTables();
+
+        } catch (error) {
+            console.error('读取SQLite表列表失败:', error);
+            throw error;
+        } finally {
+            await database.close().catch(() => {});
+        }
+    }
+
+    /**
+     * 处理SQLite导入请求：分块读取表或SELECT查询的结果，逐块写入数据引擎中的表，返回前几行用于预览
+     * @param {string} filePath - 数据库文件
+     * @param {Object} options - { table 或 sql: 数据来源, tableName: 数据引擎中的表名, limit: 预览行数, chunkSize }
+     */
+    async handleSqliteImport(event, filePath, options = {}) {
+        const dataEngine = this.getDataEngine();
+        const database = new SqliteDatabase(filePath);
+        let lastProgressTime = 0;
+
+        try {
+            await database.open();
+            const query = SqliteDatabase.buildQuery(options);
+            const totalRows = await database.countRows(query);
+
+            // 表的声明类型决定对应列的类型，查询结果的列按数据推断
+            const overrides = {};
+            if (options.table) {
+                (await database.getColumns(options.table)).forEach(column => {
+                    const type = SqliteDatabase.toEngineType(column.type);
+                    if (type) {
+                        overrides[column.name] = { type };
+                    }
+                });
+            }
+
+            const path = require('path');
+            const source = options.table || path.basename(filePath, path.extname(filePath));
+            const tableName = options.tableName || `sqlite_${source}`.replace(/[^\w\u4e00-\u9fa5]/g, '_');
+
+            const result = await dataEngine.importChunks(tableName, database.readChunks(query, { chunkSize: options.chunkSize }), {
+                overrides,
+                previewRows: options.limit || 0,
+                onChunk: (importedRows) => {
+                    const now = Date.now();
+                    if (now - lastProgressTime < STREAM_PROGRESS_INTERVAL && importedRows < totalRows) {
+                        return;
+                    }
+                    lastProgressTime = now;
+                    if (!event.sender.isDestroyed()) {
+                        event.sender.send(SQLITE_CHANNELS.PROGRESS, { filePath, importedRows, totalRows });
+                    }
+                }
+            });
+
+            return {
+                tableName: result.rowCount > 0 ? tableName : null,
+                data: result.preview.map(row => {
+                    const normalized = {};
+                    for (const [key, value] of Object.entries(row)) {
+                        normalized[key] = dataEngine.normalizeResultValue(value);
+                    }
+                    return normalized;
+                }),
+                columns: result.columns,
+                rowCount: result.preview.length,
+                totalRows: result.rowCount
+            };
+
+        } catch (error) {
+            console.error('SQLite导入失败:', error);
+            throw error;
+        } finally {
+            await database.close().catch(() => {});
+        }
+    }
+
+    /**
+     * 处理SQLite导出请求：在一个事务中建表（或追加、替换）并写入全部行
+     * @param {Array} data - 行数据，options.tableName 指定数据引擎中的表时可省略
+     * @param {Object} options - { filePath: 省略时弹出保存对话框, targetTable: 写入的表名, mode: create | append | replace,
+     *                            tableName: 数据引擎中的源表（分页读取）, defaultName }
+     */
+    async handleSqliteExport(event, data, options = {}) {
+        let database = null;
+
+        try {
+            const { dialog } = require('electron');
+            const { targetTable, mode = 'create' } = options;
+            if (!SqliteDatabase.WRITE_MODES.includes(mode)) {
+                throw new Error(`不支持的写入模式: ${mode}`);
+            }
+            if (!targetTable) {
+                throw new Error('请指定目标表名');
+            }
+
+            let { filePath } = options;
+            if (!filePath) {
+                const result = await dialog.showSaveDialog({
+                    title: '导出到SQLite数据库',
+                    defaultPath: options.defaultName || 'processed_data.db',
+                    filters: [{ name: 'SQLite数据库', extensions: ['db', 'sqlite', 'sqlite3'] }]
+                });
+
+                if (result.canceled) {
+                    return { success: false, canceled: true };
+                }
+
+                filePath = result.filePath;
+            }
+
+            // 数据引擎中的表分页读取，否则使用传入的行数据
+            const pageSize = SqliteDatabase.DEFAULT_CHUNK_SIZE;
+            const readPage = options.tableName
+                ? (offset) => this.getDataEngine().readTableRows(options.tableName, offset, pageSize)
+                : (offset) => Promise.resolve(offset === 0 ? (data || []) : []);
+
+            const firstPage = await readPage(0);
+            if (firstPage.length === 0) {
+                throw new Error('没有可导出的数据');
+            }
+            const columns = SqliteDatabase.inferColumns(firstPage);
+            const columnNames = columns.map(column => column.name);
+
+            database = new SqliteDatabase(filePath, { readOnly: false });
+            await database.open();
+
+            const rows = await database.transaction(async () => {
+                await database.prepareTable(targetTable, columns, mode);
+
+                let written = 0;
+                let page = firstPage;
+                while (page.length > 0) {
+                    written += await database.insertRows(targetTable, columnNames, page);
+                    if (!options.tableName || page.length < pageSize) {
+                        break;
+                    }
+                    page = await readPage(written);
+                }
+                return written;
+            });
+
+            return { success: true, filePath, tableName: targetTable, mode, rows };
+
+        } catch (error) {
+            console.error('SQLite导出失败:', error);
+            throw error;
+        } finally {
+            if (database) {
+                await database.close().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * 处理批量导入的文件列表请求：递归列出文件夹和ZIP压缩包中支持的文件
+     * @param {Array<string>} sourcePaths - 文件夹或ZIP文件路径
+     * @param {Object} options - { include, exclude: 通配符模式，见 BatchSource }
+     */
+    async handleBatchScan(event, sourcePaths, options = {}) {
+        try {
+            return await new BatchSource(options).scan(sourcePaths);
+
+        } catch (error) {
+            console.error('列出批量导入文件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理批量导入请求：逐个读取文件（ZIP中的文件先解压到临时目录），按列名合并为数据引擎中的一张表
+     * 只传一个文件时即为单个文件的导入任务；某个文件导入失败时记录原因并继续导入其余文件，全部失败时报错
+     * @param {Array} files - handleBatchScan 返回的文件
+     * @param {Object} options - { tableName: 目标表名, sourceColumn: 来源文件列名（为空时不添加）, importId: 进度事件的标识, previewRows }
+     * @returns {Promise<Object>} { tableName, rowCount, columns, files: [{ relativePath, rows }], failed: [{ relativePath, error }], preview }
+     */
+    async handleBatchImport(event, files, options = {}) {
+        const dataEngine = this.getDataEngine();
+        const { sourceColumn = 'source_file', importId = null, previewRows = 20 } = options;
+        const tableName = (options.tableName || 'batch_import').replace(/[^\w\u4e00-\u9fa5]/g, '_');
+        const processor = new StreamProcessor({ fileSystemManager: this.fileSystemManager });
+        const parts = [];
+        let tempDirectory = null;
+        let lastProgressTime = 0;
+
+        const send = (data, force = false) => {
+            const now = Date.now();
+            if (!force && now - lastProgressTime < STREAM_PROGRESS_INTERVAL) {
+                return;
+            }
+            lastProgressTime = now;
+            if (!event.sender.isDestroyed()) {
+                event.sender.send(BATCH_CHANNELS.PROGRESS, { importId, fileCount: files.length, ...data });
+            }
+        };
+
+        try {
+            if (!files || files.length === 0) {
+                throw new Error('没有要导入的文件');
+            }
+            if (files.some(file => file.archive)) {
+                tempDirectory = await this.fileSystemManager.createTempDirectory('batch-');
+            }
+
+            const imported = [];
+            const failed = [];
+            for (let index = 0; index < files.length; index++) {
+                const file = files[index];
+                const partName = `${tableName}__part_${index}`;
+                send({ fileIndex: index, relativePath: file.relativePath, importedRows: 0 }, true);
+
+                let filePath = null;
+                try {
+                    filePath = await BatchSource.materialize(file, tempDirectory);
+                    const rows = await this.importBatchFile(processor, filePath, partName, sourceColumn ? { [sourceColumn]: file.relativePath } : {}, (importedRows) => {
+                        send({ fileIndex: index, relativePath: file.relativePath, importedRows });
+                    });
+                    if (rows > 0) {
+                        parts.push(partName);
+                    }
+                    imported.push({ relativePath: file.relativePath, rows });
+                } catch (error) {
+                    console.error(`批量导入文件失败 ${file.relativePath}:`, error);
+                    failed.push({ relativePath: file.relativePath, error: error.message });
+                    await dataEngine.dropTable(partName).catch(() => {});
+                } finally {
+                    // 解压出的文件导入后立即删除，避免临时目录占用和压缩包一样大的空间
+                    if (file.archive && filePath) {
+                        await this.fileSystemManager.removeTempFile(filePath);
+                    }
+                }
+            }
+
+            if (parts.length === 0) {
+                throw new Error(failed.length > 0 ?
+                    `所选文件均导入失败，${failed[0].relativePath}: ${failed[0].error}` : '所选文件中没有数据');
+            }
+            const rowCount = await dataEngine.unionTables(tableName, parts);
+            const preview = (await dataEngine.readTableRows(tableName, 0, previewRows)).map(row => {
+                const normalized = {};
+                for (const [key, value] of Object.entries(row)) {
+                    normalized[key] = dataEngine.normalizeResultValue(value);
+                }
+                return normalized;
+            });
+            send({ fileIndex: files.length, importedRows: rowCount, stage: 'complete' }, true);
+
+            return {
+                tableName,
+                rowCount,
+                columns: (await dataEngine.getTableSchema(tableName)).map(column => column.name),
+                files: imported,
+                failed,
+                preview
+            };
+
+        } catch (error) {
+            console.error('批量导入失败:', error);
+            throw error;
+        } finally {
+            for (const part of parts) {
+                await dataEngine.dropTable(part).catch(() => {});
+            }
+            if (tempDirectory) {
+                await this.fileSystemManager.removeTempFile(tempDirectory);
+            }
+        }
+    }
+
+    /**
+     * 把一个文件导入为数据引擎中的表，每行加上固定的列（如来源文件）
+     * Parquet由DuckDB直接读取，其他格式按 StreamProcessor.streamReadFile 分块导入
+     * @param {Object} constants - 加在每行前面的列
+     * @param {Function} onChunk - (importedRows) => void
+     * @param {Object} readOptions - 读取选项 { csv, header }，见 StreamProcessor.streamReadFile
+     * @returns {Promise<number>} 导入的行数，为0时不创建表
+     */
+    async importBatchFile(processor, filePath, tableName, constants, onChunk, readOptions = {}) {
+        const dataEngine = this.getDataEngine();
+
+        if (require('path').extname(filePath).toLowerCase() === '.parquet') {
+            const columns = Object.entries(constants)
+                .map(([name, value]) => `${dataEngine.formatSQLValue(value)} AS ${dataEngine.quoteIdentifier(name)}, `)
+                .join('');
+            await dataEngine.executeSQL(`CREATE OR REPLACE TABLE ${dataEngine.quoteIdentifier(tableName)} AS ` +
+                `SELECT ${columns}* FROM read_parquet(${dataEngine.formatSQLValue(filePath)})`);
+            const [{ total }] = await dataEngine.executeSQL(`SELECT COUNT(*) AS total FROM ${dataEngine.quoteIdentifier(tableName)}`);
+            return Number(total);
+        }
+
+        const stream = await processor.streamReadFile(filePath, readOptions);
+        const chunks = (async function* () {
+            for await (const { chunk } of stream) {
+                yield chunk.map(row => ({ ...constants, ...row }));
+            }
+        })();
+        const { rowCount } = await dataEngine.importChunks(tableName, chunks, { onChunk });
+        return rowCount;
+    }
+
+    /**
+     * 获取保存的处理流程
+     */
+    async handleRecipeList() {
+        try {
+            return this.getConfigManager().getRecipes();
+
+        } catch (error) {
+            console.error('获取处理流程失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保存处理流程，操作无效时不保存
+     * @param {Object} recipe - { id, name, operations }，operations 见 StreamProcessor.validateOperations
+     */
+    async handleRecipeSave(event, recipe = {}) {
+        try {
+            new StreamProcessor().validateOperations(recipe.operations);
+            return this.getConfigManager().saveRecipe(recipe);
+
+        } catch (error) {
+            console.error('保存处理流程失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 删除处理流程
+     */
+    async handleRecipeRemove(event, recipeId) {
+        try {
+            return this.getConfigManager().removeRecipe(recipeId);
+
+        } catch (error) {
+            console.error('删除处理流程失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取热文件夹定义和监视状态
+     * @returns {Promise<Object>} { hotFolders, recipes, status, paused }
+     */
+    async handleHotFolderList() {
+        try {
+            const configManager = this.getConfigManager();
+            return {
+                hotFolders: configManager.getHotFolders(),
+                recipes: configManager.getRecipes(),
+                status: this.hotFolderWatcher ? this.hotFolderWatcher.getStatus() : [],
+                paused: this.hotFolderWatcher ? this.hotFolderWatcher.paused : false
+            };
+
+        } catch (error) {
+            console.error('获取热文件夹失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保存热文件夹定义，监视器随配置变化重新监视
+     * @param {Object} definition - 见 ConfigManager.normalizeHotFolder
+     */
+    async handleHotFolderSave(event, definition = {}) {
+        try {
+            const stats = await require('fs').promises.stat(definition.folder);
+            if (!stats.isDirectory()) {
+                throw new Error(`不是文件夹: ${definition.folder}`);
+            }
+            return this.getConfigManager().saveHotFolder(definition);
+
+        } catch (error) {
+            console.error('保存热文件夹失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 删除热文件夹定义
+     */
+    async handleHotFolderRemove(event, hotFolderId) {
+        try {
+            return this.getConfigManager().removeHotFolder(hotFolderId);
+
+        } catch (error) {
+            console.error('删除热文件夹失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 暂停或恢复所有热文件夹
+     */
+    async handleHotFolderPause(event, paused) {
+        try {
+            if (!this.hotFolderWatcher) {
+                throw new Error('热文件夹监视器未初始化');
+            }
+            await this.hotFolderWatcher.setPaused(paused);
+            return this.hotFolderWatcher.getStatus();
+
+        } catch (error) {
+            console.error('暂停热文件夹失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取热文件夹最近的处理记录，最新的在前
+     */
+    async handleHotFolderRuns(event, limit = null) {
+        try {
+            return this.hotFolderWatcher ? this.hotFolderWatcher.getRuns(limit) : [];
+
+        } catch (error) {
+            console.error('获取热文件夹处理记录失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理大文件流式处理请求
+     * @param {string} filePath - 输入文件
+     * @param {Array} operations - 处理操作
+     * @param {string} outputPath - 输出文件
+     * @param {Object} options - { jobId, checkpoint, checkpointRows }
+     */
+    async handleStreamProcess(event, filePath, operations = [], outputPath, options = {}) {
+        try {
+            const jobId = options.jobId || `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            return await this.runStreamJob(event.sender, jobId, processor =>
+                processor.processLargeFile(filePath, operations, outputPath, { ...options, jobId }));
+
+        } catch (error) {
+            console.error('大文件处理失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理从检查点恢复任务的请求
+     */
+    async handleStreamResume(event, jobId) {
+        try {
+            return await this.runStreamJob(event.sender, jobId, processor => processor.resumeLargeFile(jobId));
+
+        } catch (error) {
+            console.error('恢复大文件处理失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理可恢复任务列表请求
+     */
+    async handleStreamCheckpoints(_event) {
+        try {
+            return this.fileSystemManager ? await this.fileSystemManager.listCheckpoints() : [];
+
+        } catch (error) {
+            console.error('获取任务检查点失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 处理放弃任务检查点请求
+     */
+    async handleStreamDiscard(event, jobId) {
+        try {
+            if (!this.fileSystemManager) {
+                throw new Error('文件系统管理器未初始化');
+            }
+            await this.fileSystemManager.removeCheckpoint(jobId);
+            return { success: true };
+
+        } catch (error) {
+            console.error('删除任务检查点失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 执行大文件处理任务，把进度和检查点事件推送给发起请求的渲染进程
+     * @param {WebContents} sender - 发起请求的渲染进程
+     * @param {string} jobId - 任务ID
+     * @param {Function} run - (processor) => Promise
+     */
+    async runStreamJob(sender, jobId, run) {
+        const processor = new StreamProcessor({ fileSystemManager: this.fileSystemManager });
+        let lastProgressTime = 0;
+
+        const send = (data) => {
+            if (!sender.isDestroyed()) {
+                sender.send(STREAM_CHANNELS.PROGRESS, { jobId, ...data });
+            }
+        };
+
+        processor.on('progress', (progress) => {
+            const now = Date.now();
+            if (now - lastProgressTime < STREAM_PROGRESS_INTERVAL && progress.progress < 100) {
+                return;
+            }
+            lastProgressTime = now;
+            send({
+                stage: 'progress',
+                progress: progress.progress,
+                processedRows: processor.processedRows
+            });
+        });
+        processor.on('checkpoint', (checkpoint) => {
+            send({ stage: 'checkpoint', rowsConsumed: checkpoint.rowsConsumed });
+        });
+        // 错误由run返回的Promise传递，这里只避免未监听的error事件抛出
+        processor.on('error', () => {});
+
+        return run(processor);
+    }
+
     /**
      * 处理系统信息获取
      */
@@ -525,55 +1587,42 @@ class IPCManager {
     }
 
     /**
-     * 传输大数据（分块传输）
+     * 传输大数据（Arrow IPC记录批次，经MessagePort发送，支持背压和取消）
+     * 传输开始后立即返回ID，批次在后台发送，渲染进程可凭ID随时取消
+     * @param {Array|Object} data - 行数据数组，或批次读取器 { totalRows, schema, read(offset, limit) }
+     * @param {WebContents} target - 接收数据的渲染进程，默认为主窗口
+     * @param {Object} options - { batchSize, maxInFlight, meta, onProgress }
+     * @returns {Promise<string>} 传输ID
      */
     async transferLargeData(data, target, options = {}) {
-        const {
-            chunkSize = 1024 * 1024, // 1MB chunks
-            onProgress = null
-        } = options;
-
         try {
-            const serializedData = JSON.stringify(data);
-            const totalSize = Buffer.byteLength(serializedData, 'utf8');
-            const chunks = [];
-            
-            // 分割数据
-            for (let i = 0; i < serializedData.length; i += chunkSize) {
-                chunks.push(serializedData.slice(i, i + chunkSize));
+            if (!this.arrowTransfer) {
+                throw new Error('数据处理引擎未初始化');
             }
 
-            const transferId = Date.now().toString();
-            
-            // 发送传输开始信号
-            this.sendToRenderer('data:transfer-start', {
-                transferId,
-                totalChunks: chunks.length,
-                totalSize
-            });
+            const webContents = target || (this.mainWindow && !this.mainWindow.isDestroyed() ? this.mainWindow.webContents : null);
+            if (!webContents || webContents.isDestroyed()) {
+                throw new Error('没有可接收数据的窗口');
+            }
 
-            // 逐块发送数据
-            for (let i = 0; i < chunks.length; i++) {
-                this.sendToRenderer('data:transfer-chunk', {
-                    transferId,
-                    chunkIndex: i,
-                    chunk: chunks[i],
-                    isLast: i === chunks.length - 1
-                });
+            const appManager = global.appManager;
+            const performanceConfig = (appManager && appManager.getConfig('performance')) || {};
+            const { transferId, done } = this.arrowTransfer.start(webContents, data, {
+                batchSize: performanceConfig.transferBatchSize,
+                sampleSize: this.getFileProcessingConfig().schemaSampleSize,
+                ...options
+            });
 
-                if (onProgress) {
-                    onProgress({
-                        transferred: i + 1,
-                        total: chunks.length,
-                        progress: Math.round(((i + 1) / chunks.length) * 100)
-                    });
+            // 出错时渲染进程已通过 ERROR 消息收到通知，这里只记录日志
+            done.then(result => {
+                if (result.cancelled) {
+                    console.log(`大数据传输已取消: ${result.batches} 个批次已发送`);
+                } else {
+                    console.log(`大数据传输完成: ${result.totalRows} 行, ${this.formatBytes(result.totalBytes)}`);
                 }
-
-                // 小延迟避免阻塞
-                await new Promise(resolve => setImmediate(resolve));
-            }
-
-            console.log(`大数据传输完成: ${this.formatBytes(totalSize)}`);
+            }).catch(error => {
+                console.error('大数据传输失败:', error);
+            });
             return transferId;
 
         } catch (error) {
@@ -598,6 +1647,10 @@ class IPCManager {
      */
     async cleanup() {
         try {
+            if (this.arrowTransfer) {
+                this.arrowTransfer.cancelAll();
+            }
+
             // 移除所有IPC监听器
             for (const channel of this.channels.keys()) {
                 ipcMain.removeHandler(channel);
@@ -0,0 +1,383 @@
+/**
+ * 行表达式 - 解析类似Excel公式的表达式，按行求值（流式处理中的计算列）
+ *
+ * 语法：
+ * - 列引用：[列名]，或不含空格和运算符的列名直接书写，如 单价、amount
+ * - 字面量：数字、"文本" 或 '文本'、TRUE、FALSE、NULL
+ * - 运算符（优先级从低到高）：比较 = <> != < <= > >=，文本连接 &，加减 + -，乘除 * / %，负号 -
+ * - 函数：见 FUNCTIONS，名称不区分大小写
+ *
+ * 算术运算把空值视为0，无法转换为数字时结果为空值；除数为0时结果为空值
+ */
+
+const ValueParser = require('../shared/valueParser');
+
+// 日期的文本形式补零（导入的日期都按UTC转换，日期的各部分也按UTC取）
+const pad = (number) => String(number).padStart(2, '0');
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+    if (isBlank(value)) return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.getTime();
+    const number = Number(String(value).trim());
+    return Number.isNaN(number) ? null : number;
+};
+
+const toText = (value) => {
+    if (isBlank(value)) return '';
+    if (value instanceof Date) {
+        const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+        const time = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+        return time === '00:00:00' ? date : `${date} ${time}`;
+    }
+    return String(value);
+};
+
+const toBoolean = (value) => {
+    if (isBlank(value)) return false;
+    if (typeof value === 'string') {
+        const text = value.trim().toLowerCase();
+        return text !== 'false' && text !== '0';
+    }
+    return Boolean(value);
+};
+
+// 文本日期和Excel序列号与导入时一样由 ValueParser 按UTC转换
+const toDate = (value) => ValueParser.toDate(value);
+
+// 数值运算：任一操作数无法转换为数字时结果为空值
+const numeric = (operation) => (...values) => {
+    const numbers = values.map(toNumber);
+    if (numbers.some(number => number === null)) return null;
+    const result = operation(...numbers);
+    return Number.isFinite(result) ? result : null;
+};
+
+// 比较：两侧都是数字时按数值比较，否则按文本比较
+const compare = (left, right) => {
+    const a = isBlank(left) ? null : toNumber(left);
+    const b = isBlank(right) ? null : toNumber(right);
+    if (a !== null && b !== null) {
+        return a - b;
+    }
+    const textA = toText(left);
+    const textB = toText(right);
+    return textA < textB ? -1 : textA > textB ? 1 : 0;
+};
+
+const BINARY_OPERATORS = {
+    '=': (a, b) => compare(a, b) === 0,
+    '<>': (a, b) => compare(a, b) !== 0,
+    '!=': (a, b) => compare(a, b) !== 0,
+    '<': (a, b) => compare(a, b) < 0,
+    '<=': (a, b) => compare(a, b) <= 0,
+    '>': (a, b) => compare(a, b) > 0,
+    '>=': (a, b) => compare(a, b) >= 0,
+    '&': (a, b) => toText(a) + toText(b),
+    '+': numeric((a, b) => a + b),
+    '-': numeric((a, b) => a - b),
+    '*': numeric((a, b) => a * b),
+    '/': numeric((a, b) => (b === 0 ? NaN : a / b)),
+    '%': numeric((a, b) => (b === 0 ? NaN : a % b))
+};
+
+// 各优先级的运算符，从低到高
+const PRECEDENCE = [
+    ['=', '<>', '!=', '<', '<=', '>', '>='],
+    ['&'],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+// 函数：[最少参数个数, 最多参数个数, 实现]；IF、AND、OR、COALESCE 按需求值参数
+const FUNCTIONS = {
+    IF: [2, 3, null],
+    AND: [1, Infinity, null],
+    OR: [1, Infinity, null],
+    COALESCE: [1, Infinity, null],
+    NOT: [1, 1, (value) => !toBoolean(value)],
+    ISBLANK: [1, 1, isBlank],
+    ABS: [1, 1, numeric(Math.abs)],
+    ROUND: [1, 2, numeric((value, digits = 0) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    })],
+    INT: [1, 1, numeric(Math.floor)],
+    MIN: [1, Infinity, numeric(Math.min)],
+    MAX: [1, Infinity, numeric(Math.max)],
+    NUMBER: [1, 1, (value) => (isBlank(value) ? null : toNumber(value))],
+    TEXT: [1, 1, toText],
+    UPPER: [1, 1, (value) => toText(value).toUpperCase()],
+    LOWER: [1, 1, (value) => toText(value).toLowerCase()],
+    TRIM: [1, 1, (value) => toText(value).trim()],
+    LEN: [1, 1, (value) => toText(value).length],
+    LEFT: [1, 2, (value, count = 1) => toText(value).slice(0, Math.max(toNumber(count) || 0, 0))],
+    RIGHT: [1, 2, (value, count = 1) => {
+        const text = toText(value);
+        return text.slice(Math.max(text.length - (toNumber(count) || 0), 0));
+    }],
+    MID: [3, 3, (value, start, count) => {
+        const from = Math.max((toNumber(start) || 1) - 1, 0);
+        return toText(value).slice(from, from + Math.max(toNumber(count) || 0, 0));
+    }],
+    CONCAT: [1, Infinity, (...values) => values.map(toText).join('')],
+    SUBSTITUTE: [3, 3, (value, search, replacement) =>
+        (toText(search) === '' ? toText(value) : toText(value).split(toText(search)).join(toText(replacement)))],
+    YEAR: [1, 1, (value) => toDate(value)?.getUTCFullYear() ?? null],
+    MONTH: [1, 1, (value) => {
+        const date = toDate(value);
+        return date ? date.getUTCMonth() + 1 : null;
+    }],
+    DAY: [1, 1, (value) => toDate(value)?.getUTCDate() ?? null],
+    DATE: [1, 1, toDate]
+};
+
+class RowExpression {
+    /**
+     * @param {string} source - 表达式文本
+     * @throws {Error} 表达式语法错误或使用了未知函数
+     */
+    constructor(source) {
+        this.source = String(source ?? '');
+        this.columns = new Set();
+        this.tokens = this.tokenize(this.source);
+        this.position = 0;
+
+        if (this.tokens.length === 0) {
+            this.fail('表达式为空');
+        }
+        this.evaluateNode = this.parseExpression(0);
+        if (this.position < this.tokens.length) {
+            this.fail(`无法识别的内容 "${this.tokens[this.position].text}"`);
+        }
+    }
+
+    /**
+     * 对一行求值
+     * @param {Object} row - 行数据
+     */
+    evaluate(row) {
+        return this.evaluateNode(row);
+    }
+
+    /**
+     * 切分记号：{ type: 'number'|'string'|'column'|'name'|'operator'|'paren'|'comma', value, text }
+     */
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9.]/.test(char)) {
+                const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+                if (!match) {
+                    this.fail(`无效的数字（位置 ${i + 1}）`);
+                }
+                tokens.push({ type: 'number', value: Number(match[0]), text: match[0] });
+                i += match[0].length;
+            } else if (char === '"' || char === '\'') {
+                // 引号内连续两个引号表示引号本身
+                let value = '';
+                let j = i + 1;
+                for (;;) {
+                    if (j >= source.length) {
+                        this.fail(`文本缺少结束引号（位置 ${i + 1}）`);
+                    }
+                    if (source[j] === char) {
+                        if (source[j + 1] !== char) break;
+                        j++;
+                    }
+                    value += source[j];
+                    j++;
+                }
+                tokens.push({ type: 'string', value, text: source.slice(i, j + 1) });
+                i = j + 1;
+            } else if (char === '[') {
+                const end = source.indexOf(']', i + 1);
+                if (end < 0) {
+                    this.fail(`列引用缺少 "]"（位置 ${i + 1}）`);
+                }
+                tokens.push({ type: 'column', value: source.slice(i + 1, end), text: source.slice(i, end + 1) });
+                i = end + 1;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: 'paren', value: char, text: char });
+                i++;
+            } else if (char === ',') {
+                tokens.push({ type: 'comma', value: char, text: char });
+                i++;
+            } else {
+                const operator = ['<>', '!=', '<=', '>='].find(op => source.startsWith(op, i)) ||
+                    ('=<>&+-*/%'.includes(char) ? char : null);
+                if (operator) {
+                    tokens.push({ type: 'operator', value: operator, text: operator });
+                    i += operator.length;
+                    continue;
+                }
+
+                // 名称：函数名、TRUE/FALSE/NULL 或不加括号的列名
+                const match = /^[^\s()[\],"'=<>!&+\-*/%]+/.exec(source.slice(i));
+                if (!match) {
+                    this.fail(`无法识别的字符 "${char}"（位置 ${i + 1}）`);
+                }
+                tokens.push({ type: 'name', value: match[0], text: match[0] });
+                i += match[0].length;
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * 解析指定优先级及更高优先级的二元运算
+     */
+    parseExpression(level) {
+        if (level >= PRECEDENCE.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseExpression(level + 1);
+        for (;;) {
+            const token = this.tokens[this.position];
+            if (!token || token.type !== 'operator' || !PRECEDENCE[level].includes(token.value)) {
+                return left;
+            }
+            this.position++;
+            const right = this.parseExpression(level + 1);
+            const operation = BINARY_OPERATORS[token.value];
+            const leftNode = left;
+            left = (row) => operation(leftNode(row), right(row));
+        }
+    }
+
+    parseUnary() {
+        const token = this.tokens[this.position];
+        if (token && token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+            this.position++;
+            const operand = this.parseUnary();
+            const apply = numeric(token.value === '-' ? value => -value : value => value);
+            return (row) => apply(operand(row));
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            this.fail('表达式不完整');
+        }
+
+        switch (token.type) {
+            case 'number':
+            case 'string': {
+                const value = token.value;
+                return () => value;
+            }
+            case 'column':
+                return this.columnNode(token.value);
+            case 'paren': {
+                if (token.value !== '(') {
+                    this.fail('多余的 ")"');
+                }
+                const inner = this.parseExpression(0);
+                this.expect(')');
+                return inner;
+            }
+            case 'name': {
+                const next = this.tokens[this.position];
+                if (next && next.type === 'paren' && next.value === '(') {
+                    this.position++;
+                    return this.parseCall(token.value);
+                }
+                const keyword = token.value.toUpperCase();
+                if (keyword === 'TRUE' || keyword === 'FALSE') {
+                    const value = keyword === 'TRUE';
+                    return () => value;
+                }
+                if (keyword === 'NULL') {
+                    return () => null;
+                }
+                return this.columnNode(token.value);
+            }
+            default:
+                return this.fail(`此处不应出现 "${token.text}"`);
+        }
+    }
+
+    /**
+     * 解析函数调用（已读过左括号）
+     */
+    parseCall(name) {
+        const upperName = name.toUpperCase();
+        const definition = FUNCTIONS[upperName];
+        if (!definition) {
+            this.fail(`未知函数 ${name}`);
+        }
+
+        const args = [];
+        const closing = this.tokens[this.position];
+        if (closing && closing.type === 'paren' && closing.value === ')') {
+            this.position++;
+        } else {
+            for (;;) {
+                args.push(this.parseExpression(0));
+                const token = this.tokens[this.position++];
+                if (token && token.type === 'comma') continue;
+                if (token && token.type === 'paren' && token.value === ')') break;
+                this.fail(`函数 ${name} 的参数缺少 ")"`);
+            }
+        }
+
+        const [minArgs, maxArgs, implementation] = definition;
+        if (args.length < minArgs || args.length > maxArgs) {
+            const expected = maxArgs === Infinity ? `至少 ${minArgs} 个` :
+                minArgs === maxArgs ? `${minArgs} 个` : `${minArgs} 到 ${maxArgs} 个`;
+            this.fail(`函数 ${name} 需要 ${expected}参数，实际为 ${args.length} 个`);
+        }
+
+        switch (upperName) {
+            case 'IF':
+                return (row) => (toBoolean(args[0](row)) ? args[1](row) : (args[2] ? args[2](row) : null));
+            case 'AND':
+                return (row) => args.every(arg => toBoolean(arg(row)));
+            case 'OR':
+                return (row) => args.some(arg => toBoolean(arg(row)));
+            case 'COALESCE':
+                return (row) => {
+                    for (const arg of args) {
+                        const value = arg(row);
+                        if (!isBlank(value)) return value;
+                    }
+                    return null;
+                };
+            default:
+                return (row) => implementation(...args.map(arg => arg(row)));
+        }
+    }
+
+    columnNode(column) {
+        this.columns.add(column);
+        return (row) => {
+            const value = row[column];
+            return value === undefined ? null : value;
+        };
+    }
+
+    expect(value) {
+        const token = this.tokens[this.position++];
+        if (!token || token.value !== value) {
+            this.fail(`缺少 "${value}"`);
+        }
+    }
+
+    fail(message) {
+        throw new Error(`表达式 "${this.source}" 有误: ${message}`);
+    }
+}
+
+module.exports = RowExpression;
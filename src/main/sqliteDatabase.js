@@ -0,0 +1,348 @@
+/**
+ * SQLite数据库读写 - 列出表和视图，按表名或SELECT语句分块读取，把行数据写入表
+ * 读取时逐行步进预处理语句，内存中只保留当前一块数据
+ */
+
+const sqlite3 = require('sqlite3');
+
+// 每块读取的行数
+const DEFAULT_CHUNK_SIZE = 10000;
+
+// 写入模式：create 表已存在时报错，append 追加到已有的表（不存在时创建），replace 删除已有的表后重建
+const WRITE_MODES = ['create', 'append', 'replace'];
+
+class SqliteDatabase {
+    /**
+     * @param {string} filePath - 数据库文件路径
+     * @param {Object} options - { readOnly: 默认只读打开，写入时传 false（文件不存在时创建） }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.readOnly = options.readOnly !== false;
+        this.db = null;
+    }
+
+    /**
+     * 打开数据库
+     */
+    async open() {
+        const mode = this.readOnly
+            ? sqlite3.OPEN_READONLY
+            : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.filePath, mode, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(db);
+                }
+            });
+        });
+    }
+
+    /**
+     * 关闭数据库
+     */
+    async close() {
+        if (!this.db) {
+            return;
+        }
+        const db = this.db;
+        this.db = null;
+        await new Promise((resolve, reject) => {
+            db.close(err => (err ? reject(err) : resolve()));
+        });
+    }
+
+    /**
+     * 执行不返回行的语句
+     * @returns {Promise<Object>} { changes, lastID }
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes, lastID: this.lastID });
+                }
+            });
+        });
+    }
+
+    /**
+     * 执行查询并返回所有行
+     */
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    /**
+     * 列出表和视图（不含sqlite_开头的系统表）
+     * @returns {Promise<Array>} [{ name, type: 'table' | 'view', columns: [{ name, type }], rows: 表的行数，视图为null }]
+     */
+    async listTables() {
+        const objects = await this.all(
+            'SELECT name, type FROM sqlite_master WHERE type IN (\'table\', \'view\') AND name NOT LIKE \'sqlite_%\' ORDER BY type, name'
+        );
+
+        const tables = [];
+        for (const { name, type } of objects) {
+            // 视图的行数需要执行整个查询，不统计
+            const rows = type === 'table'
+                ? (await this.all(`SELECT COUNT(*) AS total FROM ${SqliteDatabase.quoteIdentifier(name)}`))[0].total
+                : null;
+            tables.push({ name, type, columns: await this.getColumns(name), rows });
+        }
+        return tables;
+    }
+
+    /**
+     * 获取表或视图的列，不存在时返回空数组
+     * @returns {Promise<Array>} [{ name, type: 声明的类型 }]
+     */
+    async getColumns(name) {
+        const columns = await this.all(`PRAGMA table_info(${SqliteDatabase.quoteIdentifier(name)})`);
+        return columns.map(column => ({ name: column.name, type: column.type || '' }));
+    }
+
+    /**
+     * 生成读取语句：指定表名时读取整张表，否则使用SELECT语句
+     * @param {Object} source - { table } 或 { sql }
+     * @returns {string} SQL
+     */
+    static buildQuery(source = {}) {
+        if (source.table) {
+            return `SELECT * FROM ${SqliteDatabase.quoteIdentifier(source.table)}`;
+        }
+
+        const sql = String(source.sql || '').trim().replace(/;\s*$/, '');
+        if (!sql) {
+            throw new Error('请选择表或输入SELECT语句');
+        }
+        if (!/^(select|with)\b/i.test(sql)) {
+            throw new Error('只支持SELECT查询');
+        }
+        return sql;
+    }
+
+    /**
+     * 统计查询结果的行数
+     */
+    async countRows(query) {
+        const [{ total }] = await this.all(`SELECT COUNT(*) AS total FROM (${query})`);
+        return total;
+    }
+
+    /**
+     * 分块读取查询结果
+     * @param {string} query - SELECT语句
+     * @param {Object} options - { chunkSize: 每块行数 }
+     * @returns {AsyncGenerator<Array<Object>>} 每次产出一块行数据
+     */
+    async *readChunks(query, options = {}) {
+        const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        const statement = await new Promise((resolve, reject) => {
+            const prepared = this.db.prepare(query, (err) => (err ? reject(err) : resolve(prepared)));
+        });
+
+        try {
+            let chunk = [];
+            while (true) {
+                // 同一语句上重复调用get逐行步进
+                const row = await new Promise((resolve, reject) => {
+                    statement.get((err, result) => (err ? reject(err) : resolve(result)));
+                });
+                if (row === undefined) {
+                    break;
+                }
+
+                chunk.push(SqliteDatabase.normalizeRow(row));
+                if (chunk.length >= chunkSize) {
+                    yield chunk;
+                    chunk = [];
+                }
+            }
+            if (chunk.length > 0) {
+                yield chunk;
+            }
+        } finally {
+            await new Promise(resolve => statement.finalize(() => resolve()));
+        }
+    }
+
+    /**
+     * 准备写入的目标表
+     * @param {string} tableName - 表名
+     * @param {Array} columns - [{ name, type }]，见 inferColumns
+     * @param {string} mode - 写入模式，见 WRITE_MODES
+     * @returns {Promise<Object>} { created: 是否新建了表 }
+     */
+    async prepareTable(tableName, columns, mode = 'create') {
+        if (!WRITE_MODES.includes(mode)) {
+            throw new Error(`不支持的写入模式: ${mode}`);
+        }
+        if (!tableName) {
+            throw new Error('请指定目标表名');
+        }
+
+        const [existing] = await this.all('SELECT type FROM sqlite_master WHERE name = ?', [tableName]);
+        if (existing && existing.type !== 'table') {
+            throw new Error(`${tableName} 不是数据表`);
+        }
+
+        if (existing) {
+            if (mode === 'create') {
+                throw new Error(`表 ${tableName} 已存在`);
+            }
+            if (mode === 'append') {
+                const names = new Set((await this.getColumns(tableName)).map(column => column.name));
+                const missing = columns.filter(column => !names.has(column.name)).map(column => column.name);
+                if (missing.length > 0) {
+                    throw new Error(`表 ${tableName} 缺少列: ${missing.join(', ')}`);
+                }
+                return { created: false };
+            }
+            await this.run(`DROP TABLE ${SqliteDatabase.quoteIdentifier(tableName)}`);
+        }
+
+        const definitions = columns.map(column => `${SqliteDatabase.quoteIdentifier(column.name)} ${column.type}`);
+        await this.run(`CREATE TABLE ${SqliteDatabase.quoteIdentifier(tableName)} (${definitions.join(', ')})`);
+        return { created: true };
+    }
+
+    /**
+     * 按列名插入行数据
+     * @param {string} tableName - 表名
+     * @param {Array<string>} columnNames - 列名
+     * @param {Array<Object>} rows - 行数据
+     * @returns {Promise<number>} 写入的行数
+     */
+    async insertRows(tableName, columnNames, rows) {
+        const placeholders = columnNames.map(() => '?').join(', ');
+        const sql = `INSERT INTO ${SqliteDatabase.quoteIdentifier(tableName)} (${columnNames.map(SqliteDatabase.quoteIdentifier).join(', ')}) VALUES (${placeholders})`;
+
+        for (const row of rows) {
+            await this.run(sql, columnNames.map(name => SqliteDatabase.toSqliteValue(row[name])));
+        }
+        return rows.length;
+    }
+
+    /**
+     * 在一个事务中执行，出错时回滚（建表、删表和插入都会撤销）
+     * @param {Function} work - async () => result
+     */
+    async transaction(work) {
+        await this.run('BEGIN');
+        try {
+            const result = await work();
+            await this.run('COMMIT');
+            return result;
+        } catch (error) {
+            await this.run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * 根据行数据推断列类型：全部为整数时为INTEGER，全部为数字时为REAL，布尔值存为INTEGER，其余为TEXT
+     * @param {Array<Object>} rows - 行数据
+     * @returns {Array} [{ name, type }]
+     */
+    static inferColumns(rows) {
+        const names = new Set();
+        rows.forEach(row => Object.keys(row).forEach(name => names.add(name)));
+
+        return Array.from(names).map(name => {
+            let type = null;
+            for (const row of rows) {
+                const value = row[name];
+                if (value === null || value === undefined || value === '') {
+                    continue;
+                }
+
+                let valueType;
+                if (typeof value === 'boolean' || typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value))) {
+                    valueType = 'INTEGER';
+                } else if (typeof value === 'number') {
+                    valueType = 'REAL';
+                } else {
+                    valueType = 'TEXT';
+                }
+
+                if (type === null || (type === 'INTEGER' && valueType === 'REAL')) {
+                    type = valueType;
+                } else if (type !== valueType && !(type === 'REAL' && valueType === 'INTEGER')) {
+                    type = 'TEXT';
+                    break;
+                }
+            }
+            return { name, type: type || 'TEXT' };
+        });
+    }
+
+    /**
+     * SQLite声明类型对应的数据引擎列类型（按SQLite的类型亲和规则），无法确定时返回null
+     * @param {string} declaredType - 声明的类型，如 VARCHAR(20)、INTEGER、DECIMAL(10,2)
+     * @returns {string|null} int64、float64、bool、utf8 或 null
+     */
+    static toEngineType(declaredType) {
+        const type = String(declaredType || '').toUpperCase();
+        if (type.includes('BOOL')) return 'bool';
+        if (type.includes('INT')) return 'int64';
+        if (type.includes('CHAR') || type.includes('CLOB') || type.includes('TEXT')) return 'utf8';
+        if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB') ||
+            type.includes('NUMERIC') || type.includes('DECIMAL')) return 'float64';
+        return null;
+    }
+
+    /**
+     * 写入前转换值：布尔值转为0/1，日期转为ISO文本，对象转为JSON文本
+     */
+    static toSqliteValue(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (typeof value === 'bigint') {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : value.toString();
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
+    /**
+     * 规范化读出的行：BLOB转为Base64文本
+     */
+    static normalizeRow(row) {
+        for (const [key, value] of Object.entries(row)) {
+            if (Buffer.isBuffer(value)) {
+                row[key] = value.toString('base64');
+            }
+        }
+        return row;
+    }
+
+    /**
+     * 为SQL标识符加双引号
+     */
+    static quoteIdentifier(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+}
+
+SqliteDatabase.WRITE_MODES = WRITE_MODES;
+SqliteDatabase.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+
+module.exports = SqliteDatabase;
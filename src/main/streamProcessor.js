@@ -3,19 +3,92 @@
  */
 
 const fs = require('fs');
-const { Transform, Readable, Writable } = require('stream');
-const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Transform, Readable, Writable, Duplex } = require('stream');
+const { pipeline, finished } = require('stream/promises');
 const EventEmitter = require('events');
-const xlsx = require('xlsx');
-const csv = require('csv-parser');
+const CsvParser = require('../shared/csvParser');
+const EncodingDetector = require('../shared/encodingDetector');
+const JsonFlattener = require('../shared/jsonFlattener');
+const FixedWidthParser = require('../shared/fixedWidthParser');
+const ValueParser = require('../shared/valueParser');
+const XlsxStreamReader = require('./xlsxStreamReader');
+const XlsxStreamWriter = require('./xlsxStreamWriter');
+const RowExpression = require('./rowExpression');
+
+// 排序缓冲占内存上限的比例，其余留给读取、写出和其他任务
+const SORT_MEMORY_RATIO = 0.25;
+
+// 估算行内存占用时每个值的固定开销（字节）
+const VALUE_OVERHEAD_BYTES = 16;
+
+// 大文件处理支持的输入格式：CSV/TSV和xlsx逐段读取，其余格式（含BIFF格式的xls、xlsb）整个读入后分块
+const LARGE_FILE_FORMATS = ['csv', 'tsv', 'xlsx', 'xls', 'xlsb', 'ods', 'json', 'jsonl', 'ndjson', 'txt', 'prn'];
+
+// 流式处理支持的筛选运算符和聚合函数
+const FILTER_OPERATORS = ['equals', 'not_equals', 'greater_than', 'less_than', 'contains',
+    'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+const AGGREGATE_FUNCTIONS = ['sum', 'count', 'min', 'max', 'avg'];
+
+// 去重键集合占内存上限的比例，以及每个键（摘要字符串和集合开销）的估算字节数
+const DEDUPE_MEMORY_RATIO = 0.25;
+const DEDUPE_KEY_BYTES = 100;
+
+// 去重键摘要（MD5的base64）首字符的取值，超出内存预算时按首字符分桶
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// 默认每处理多少源数据行保存一次检查点
+const DEFAULT_CHECKPOINT_ROWS = 1000000;
+
+// 按列值拆分输出时默认的分区数上限，防止误按唯一值列拆分出海量文件
+const DEFAULT_MAX_PARTITIONS = 1000;
+
+// 拆分输出的默认分区名模板
+const DEFAULT_PARTITION_TEMPLATES = {
+    file: { columns: '{name}_{value}', rows: '{name}_{index}' },
+    sheet: { columns: '{value}', rows: 'Sheet{index}' }
+};
+
+// 中间数据（有序段、检查点）的JSON序列化：日期和无穷大带类型标记，读回时还原
+const jsonReplacer = function (key, value) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    if (raw === Infinity || raw === -Infinity) return { $number: String(raw) };
+    return value;
+};
+const jsonReviver = (key, value) => {
+    if (value && typeof value.$date === 'string') return new Date(value.$date);
+    if (value && typeof value.$number === 'string') return Number(value.$number);
+    return value;
+};
+
+// CSV字段：包含逗号、引号或换行的值加引号
+const formatCSVValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const strValue = String(value);
+    if (strValue.includes(',') || strValue.includes('"') || strValue.includes('\n')) {
+        return `"${strValue.replace(/"/g, '""')}"`;
+    }
+    return strValue;
+};
+
+// 写入一个数据块，写入完成（或出错）后返回
+const writeToStream = (stream, chunk) => new Promise((resolve, reject) => {
+    stream.write(chunk, error => (error ? reject(error) : resolve()));
+});
 
 class StreamProcessor extends EventEmitter {
     constructor(options = {}) {
         super();
         this.options = {
             chunkSize: options.chunkSize || 100000, // 10万行
-            memoryLimit: options.memoryLimit || 4 * 1024 * 1024 * 1024, // 4GB
+            memoryLimit: options.memoryLimit || this.getConfiguredMemoryLimit(),
             enableCompression: options.enableCompression || true,
+            fileSystemManager: null, // 外部排序溢出文件所用的文件系统管理器
             ...options
         };
         this.currentMemoryUsage = 0;
@@ -23,141 +96,93 @@ class StreamProcessor extends EventEmitter {
         this.totalRows = 0;
     }
 
+    /**
+     * 读取配置的内存上限（performance.maxMemoryUsage），未配置时为4GB
+     */
+    getConfiguredMemoryLimit() {
+        const appManager = global.appManager;
+        const maxMemoryUsage = appManager && appManager.getConfig('performance')?.maxMemoryUsage;
+        const bytes = maxMemoryUsage && appManager.configManager ?
+            appManager.configManager.parseMemorySize(String(maxMemoryUsage)) : 0;
+        return bytes > 0 ? bytes : 4 * 1024 * 1024 * 1024;
+    }
+
     /**
      * 流式读取Excel文件
+     * 逐段解压工作表XML并按行解码，内存占用与文件大小无关（共享字符串表除外）
+     * @param {string} filePath - xlsx文件路径
+     * @param {Object} options - { sheetName: 默认第一个工作表, header: 表头位置 { headerRow, headerRows }，见 XlsxStreamReader.readRows,
+     *                            startRow, endRow: 从0开始的工作表行号（含）, onProgress }
      */
     async streamReadExcel(filePath, options = {}) {
         const {
             sheetName = null,
+            header = {},
             startRow = 0,
             endRow = null,
             onProgress = null
         } = options;
 
-        try {
-            // 读取Excel文件
-            const workbook = xlsx.readFile(filePath, { 
-                cellDates: true,
-                cellNF: false,
-                cellText: false
-            });
-
-            const worksheet = sheetName ? 
-                workbook.Sheets[sheetName] : 
-                workbook.Sheets[workbook.SheetNames[0]];
-
-            if (!worksheet) {
-                throw new Error(`工作表不存在: ${sheetName || workbook.SheetNames[0]}`);
-            }
-
-            // 获取数据范围
-            const range = xlsx.utils.decode_range(worksheet['!ref']);
-            this.totalRows = range.e.r - range.s.r + 1;
-
-            // 创建流式读取器
-            const stream = new Readable({
-                objectMode: true,
-                read() {}
-            });
-
-            // 分块处理数据
-            const actualStartRow = Math.max(startRow, range.s.r);
-            const actualEndRow = endRow ? Math.min(endRow, range.e.r) : range.e.r;
-            
-            this.processExcelInChunks(worksheet, range, actualStartRow, actualEndRow, stream, onProgress);
-
-            return stream;
-
-        } catch (error) {
-            console.error('流式读取Excel失败:', error);
-            throw error;
-        }
-    }
+        const reader = new XlsxStreamReader(filePath);
 
-    /**
-     * 分块处理Excel数据
-     */
-    async processExcelInChunks(worksheet, range, startRow, endRow, stream, onProgress) {
         try {
-            const chunkSize = this.options.chunkSize;
-            let currentRow = startRow;
-
-            // 获取表头
-            const headers = [];
-            for (let col = range.s.c; col <= range.e.c; col++) {
-                const cellAddress = xlsx.utils.encode_cell({ r: range.s.r, c: col });
-                const cell = worksheet[cellAddress];
-                headers.push(cell ? cell.v : `Column${col + 1}`);
+            await reader.open();
+            if (sheetName && !reader.getSheetNames().includes(sheetName)) {
+                throw new Error(`工作表不存在: ${sheetName}`);
             }
 
-            while (currentRow <= endRow) {
-                const chunkEndRow = Math.min(currentRow + chunkSize - 1, endRow);
-                const chunk = [];
-
-                // 读取当前块的数据
-                for (let row = currentRow; row <= chunkEndRow; row++) {
-                    const rowData = {};
-                    for (let col = range.s.c; col <= range.e.c; col++) {
-                        const cellAddress = xlsx.utils.encode_cell({ r: row, c: col });
-                        const cell = worksheet[cellAddress];
-                        const header = headers[col - range.s.c];
-                        rowData[header] = cell ? cell.v : null;
+            const processor = this;
+            this.totalRows = 0;
+
+            const rows = reader.readRows({
+                sheetName,
+                ...header,
+                startRow,
+                endRow,
+                chunkSize: this.options.chunkSize,
+                onProgress: (progress) => {
+                    processor.totalRows = progress.totalRows || processor.processedRows;
+                    if (onProgress) {
+                        onProgress(progress);
                     }
-                    chunk.push(rowData);
+                    processor.emit('progress', progress);
                 }
+            });
 
-                // 检查内存使用
-                await this.checkMemoryUsage();
-
-                // 发送数据块
-                stream.push({
-                    type: 'data',
-                    chunk: chunk,
-                    startRow: currentRow,
-                    endRow: chunkEndRow,
-                    headers: headers
-                });
-
-                this.processedRows += chunk.length;
+            const generate = async function* () {
+                try {
+                    for await (const chunk of rows) {
+                        // 检查内存使用
+                        await processor.checkMemoryUsage();
 
-                // 报告进度
-                if (onProgress) {
-                    onProgress({
-                        processedRows: this.processedRows,
-                        totalRows: this.totalRows,
-                        progress: Math.round((this.processedRows / this.totalRows) * 100)
-                    });
+                        processor.processedRows += chunk.chunk.length;
+                        yield chunk;
+                    }
+                } finally {
+                    await reader.close();
                 }
+            };
 
-                // 发出进度事件
-                this.emit('progress', {
-                    processedRows: this.processedRows,
-                    totalRows: this.totalRows,
-                    progress: Math.round((this.processedRows / this.totalRows) * 100)
-                });
-
-                currentRow = chunkEndRow + 1;
-
-                // 让出控制权，避免阻塞
-                await new Promise(resolve => setImmediate(resolve));
-            }
-
-            // 结束流
-            stream.push(null);
+            return Readable.from(generate(), { objectMode: true });
 
         } catch (error) {
-            stream.destroy(error);
+            await reader.close();
+            console.error('流式读取Excel失败:', error);
+            throw error;
         }
     }
 
     /**
      * 流式读取CSV文件
+     * 按 chunkSize 分块输出 { type: 'data', chunk, startRow, endRow, headers }，行号为从0开始的数据行号
+     * 未指定的编码、分隔符、引号和表头从文件开头检测，引号内可以包含分隔符和换行
+     * @param {string} filePath - CSV文件路径
+     * @param {Object} options - { encoding, delimiter, quote, hasHeader, skipEmptyLines, skipRows: 跳过的数据行数（从检查点恢复）, onProgress }
      */
     async streamReadCSV(filePath, options = {}) {
         const {
-            delimiter = ',',
-            encoding = 'utf8',
             skipEmptyLines = true,
+            skipRows = 0,
             onProgress = null
         } = options;
 
@@ -167,21 +192,63 @@ class StreamProcessor extends EventEmitter {
             const fileSize = stats.size;
             let processedBytes = 0;
 
+            const dialect = await this.sniffCSVFile(filePath, options);
+            const decoder = EncodingDetector.createDecoder(dialect.encoding);
+            const parser = new CsvParser({ ...dialect, skipEmptyLines });
+
             // 创建读取流
-            const readStream = fs.createReadStream(filePath, { encoding });
-            
-            // 创建CSV解析流
-            const csvStream = csv({
-                separator: delimiter,
-                skipEmptyLines: skipEmptyLines
-            });
+            const readStream = fs.createReadStream(filePath);
+
+            const processor = this;
+            const chunkSize = this.options.chunkSize;
+            let rowIndex = 0;
+            let chunk = [];
+            let chunkStart = null;
+            let headers = null;
+
+            const pushChunk = (stream) => {
+                processor.processedRows += chunk.length;
+                stream.push({
+                    type: 'data',
+                    chunk,
+                    startRow: chunkStart,
+                    endRow: chunkStart + chunk.length - 1,
+                    headers
+                });
+                chunk = [];
+                chunkStart = null;
+            };
+
+            const addRecords = (stream, records) => {
+                for (const record of records) {
+                    if (headers === null) {
+                        headers = CsvParser.normalizeHeaders(dialect.hasHeader ? record : [], record.length);
+                        if (dialect.hasHeader) continue;
+                    }
+
+                    const index = rowIndex++;
+                    if (index < skipRows) continue;
+
+                    const row = {};
+                    headers.forEach((header, column) => {
+                        row[header] = record[column] ?? '';
+                    });
+                    if (chunkStart === null) {
+                        chunkStart = index;
+                    }
+                    chunk.push(row);
+                    if (chunk.length >= chunkSize) {
+                        pushChunk(stream);
+                    }
+                }
+            };
 
-            // 创建数据处理流
+            // 创建数据处理流：输入文件字节，输出数据块
             const processStream = new Transform({
-                objectMode: true,
-                transform(chunk, encoding, callback) {
-                    processedBytes += Buffer.byteLength(JSON.stringify(chunk));
-                    
+                readableObjectMode: true,
+                transform(bytes, encoding, callback) {
+                    processedBytes += bytes.length;
+
                     // 报告进度
                     if (onProgress) {
                         onProgress({
@@ -191,13 +258,26 @@ class StreamProcessor extends EventEmitter {
                         });
                     }
 
-                    this.push(chunk);
+                    addRecords(this, parser.push(decoder.decode(bytes, { stream: true })));
+                    callback();
+                },
+
+                flush(callback) {
+                    try {
+                        addRecords(this, parser.push(decoder.decode()).concat(parser.end()));
+                    } catch (error) {
+                        callback(error);
+                        return;
+                    }
+                    if (chunk.length > 0) {
+                        pushChunk(this);
+                    }
                     callback();
                 }
             });
 
             // 创建管道
-            const stream = pipeline(readStream, csvStream, processStream);
+            pipeline(readStream, processStream).catch(error => processStream.destroy(error));
             
             return processStream;
 
@@ -207,18 +287,170 @@ class StreamProcessor extends EventEmitter {
         }
     }
 
+    /**
+     * 按扩展名流式读取表格文件，输出与 streamReadCSV 相同格式的数据块
+     * CSV/TSV和xlsx边读边解码；JSON、定宽文本和其他表格格式（xls、xlsb、ods）整个读入后分块输出
+     * @param {string} filePath - 文件路径
+     * @param {Object} options - { csv: CSV方言（见 streamReadCSV）, header: xlsx的表头位置（见 streamReadExcel）,
+     *                            startRow: 跳过的数据行数（从检查点恢复）, onProgress }
+     */
+    async streamReadFile(filePath, options = {}) {
+        const { csv = {}, header = {}, startRow = 0, onProgress = null } = options;
+        const ext = path.extname(filePath).toLowerCase().slice(1);
+
+        if (ext === 'csv' || ext === 'tsv') {
+            return this.streamReadCSV(filePath, {
+                ...(ext === 'tsv' ? { delimiter: '\t' } : {}),
+                ...csv,
+                skipRows: startRow,
+                onProgress
+            });
+        }
+        if (ext === 'xlsx') {
+            return this.streamReadExcel(filePath, { header, startRow, onProgress });
+        }
+
+        // readDocumentRows 返回的每行都包含全部列，首行的键即为表头
+        const rows = await this.readDocumentRows(filePath, ext);
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const chunkSize = this.options.chunkSize;
+        const processor = this;
+        const generate = async function* () {
+            for (let start = startRow; start < rows.length; start += chunkSize) {
+                const chunk = rows.slice(start, start + chunkSize);
+                processor.processedRows += chunk.length;
+                yield { type: 'data', chunk, startRow: start, endRow: start + chunk.length - 1, headers };
+            }
+        };
+        return Readable.from(generate(), { objectMode: true });
+    }
+
+    /**
+     * 整个读入不能流式解码的文件：JSON/JSON Lines按记录展平，定宽文本自动检测编码和列边界（第一行为表头），
+     * 表格文件读取第一个工作表
+     * @returns {Promise<Array<Object>>} 行数据
+     */
+    async readDocumentRows(filePath, ext) {
+        const bytes = await fs.promises.readFile(filePath);
+
+        if (['json', 'jsonl', 'ndjson'].includes(ext)) {
+            const { records, columns } = JsonFlattener.parse(EncodingDetector.decode(bytes), {
+                format: ext === 'json' ? null : 'jsonl'
+            });
+            return records.map(record => Object.fromEntries(columns.map(column => [column, record[column] ?? null])));
+        }
+
+        if (['txt', 'prn'].includes(ext)) {
+            const [header = [], ...records] = FixedWidthParser.parse(EncodingDetector.decode(bytes));
+            const headers = CsvParser.normalizeHeaders(header);
+            return records.map(record => Object.fromEntries(headers.map((name, index) => [name, record[index] ?? ''])));
+        }
+
+        if (['xls', 'xlsb', 'ods'].includes(ext)) {
+            const xlsx = require('xlsx');
+            const workbook = xlsx.read(bytes, { type: 'buffer', cellNF: true });
+            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+
+            // SheetJS按本地时间生成日期，这里把日期格式的序列号按UTC转换，与xlsx流式读取一致
+            Object.keys(worksheet).filter(address => !address.startsWith('!')).forEach(address => {
+                const cell = worksheet[address];
+                if (cell.t === 'n' && cell.z && xlsx.SSF.is_date(cell.z)) {
+                    cell.t = 'd';
+                    cell.v = ValueParser.fromExcelSerial(cell.v, date1904);
+                }
+            });
+            return xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+        }
+
+        throw new Error(`不支持的文件格式: ${ext}`);
+    }
+
+    /**
+     * 确定CSV编码和方言：选项中未指定的编码、分隔符、引号和表头从文件开头的样本检测
+     * @param {string} filePath - CSV文件路径
+     * @param {Object} options - { encoding, delimiter, quote, hasHeader }
+     * @returns {Promise<Object>} { encoding, delimiter, quote, hasHeader, lineEnding }
+     */
+    async sniffCSVFile(filePath, options = {}) {
+        const { delimiter, quote, hasHeader } = options;
+        if (options.encoding && delimiter && quote !== undefined && hasHeader !== undefined) {
+            return { encoding: options.encoding, delimiter, quote, hasHeader };
+        }
+
+        const handle = await fs.promises.open(filePath, 'r');
+        let bytes;
+        let complete;
+        try {
+            const buffer = Buffer.alloc(CsvParser.SAMPLE_SIZE);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+            bytes = buffer.subarray(0, bytesRead);
+            complete = bytesRead < buffer.length;
+        } finally {
+            await handle.close();
+        }
+
+        // 样本末尾被截断的字符留在解码器中，不产生替换字符
+        const encoding = options.encoding || EncodingDetector.detect(bytes, { complete }).encoding;
+        const sample = EncodingDetector.createDecoder(encoding).decode(bytes, { stream: !complete });
+        const sniffed = CsvParser.sniff(sample, { complete });
+        return {
+            encoding,
+            delimiter: delimiter || sniffed.delimiter,
+            quote: quote ?? sniffed.quote,
+            hasHeader: hasHeader ?? sniffed.hasHeader,
+            lineEnding: sniffed.lineEnding
+        };
+    }
+
     /**
      * 流式筛选数据
      */
     createFilterStream(conditions) {
+        // Transform不会保留选项中的自定义方法，辅助函数定义为局部函数
+        // 数值比较按 ValueParser 识别（¥1,234.50、12.5%、1.2万），任一侧不是数字时不满足条件
+        const compareNumbers = (a, b) => {
+            const na = ValueParser.toNumber(a);
+            const nb = ValueParser.toNumber(b);
+            return na === null || nb === null ? NaN : na - nb;
+        };
+
+        const evaluateConditions = (row) => {
+            return conditions.every(condition => {
+                const { column, operator, value } = condition;
+                const cellValue = row[column];
+
+                switch (operator) {
+                    case 'equals':
+                        return cellValue == value;
+                    case 'not_equals':
+                        return cellValue != value;
+                    case 'greater_than':
+                        return compareNumbers(cellValue, value) > 0;
+                    case 'less_than':
+                        return compareNumbers(cellValue, value) < 0;
+                    case 'contains':
+                        return String(cellValue).includes(String(value));
+                    case 'starts_with':
+                        return String(cellValue).startsWith(String(value));
+                    case 'ends_with':
+                        return String(cellValue).endsWith(String(value));
+                    case 'is_empty':
+                        return !cellValue || cellValue === '';
+                    case 'is_not_empty':
+                        return cellValue && cellValue !== '';
+                    default:
+                        return true;
+                }
+            });
+        };
+
         return new Transform({
             objectMode: true,
             transform(chunk, encoding, callback) {
                 try {
                     if (chunk.type === 'data') {
-                        const filteredChunk = chunk.chunk.filter(row => 
-                            this.evaluateConditions(row, conditions)
-                        );
+                        const filteredChunk = chunk.chunk.filter(row => evaluateConditions(row));
                         
                         if (filteredChunk.length > 0) {
                             this.push({
@@ -233,110 +465,412 @@ class StreamProcessor extends EventEmitter {
                 } catch (error) {
                     callback(error);
                 }
-            },
-
-            evaluateConditions(row, conditions) {
-                return conditions.every(condition => {
-                    const { column, operator, value } = condition;
-                    const cellValue = row[column];
-
-                    switch (operator) {
-                        case 'equals':
-                            return cellValue == value;
-                        case 'not_equals':
-                            return cellValue != value;
-                        case 'greater_than':
-                            return Number(cellValue) > Number(value);
-                        case 'less_than':
-                            return Number(cellValue) < Number(value);
-                        case 'contains':
-                            return String(cellValue).includes(String(value));
-                        case 'starts_with':
-                            return String(cellValue).startsWith(String(value));
-                        case 'ends_with':
-                            return String(cellValue).endsWith(String(value));
-                        case 'is_empty':
-                            return !cellValue || cellValue === '';
-                        case 'is_not_empty':
-                            return cellValue && cellValue !== '';
-                        default:
-                            return true;
-                    }
-                });
             }
         });
     }
 
     /**
-     * 流式排序数据
+     * 流式排序数据（外部归并排序）
+     * 缓冲的行超过内存预算时排序后写入临时文件（一个有序段），输入结束后多路归并各段输出；
+     * 数据未超出预算时直接在内存中排序，不产生临时文件
+     * @param {Array} sortColumns - [{ column, direction: 'asc'|'desc', type: 'auto'|'number'|'date'|'string' }]
+     * @param {Object} options - { memoryBudget: 排序缓冲字节数，默认为内存上限的四分之一,
+     *                             checkpointKey, state: 检查点中的排序状态, runDirectory: 有序段目录（检查点任务） }
      */
-    createSortStream(sortColumns) {
-        const chunks = [];
-        
-        return new Transform({
+    createSortStream(sortColumns, options = {}) {
+        const processor = this;
+        const compare = this.createRowComparator(sortColumns);
+        const memoryBudget = options.memoryBudget || Math.floor(this.options.memoryLimit * SORT_MEMORY_RATIO);
+        const chunkSize = this.options.chunkSize;
+
+        let buffer = [];
+        let bufferBytes = 0;
+        let headers = options.state ? options.state.headers : [];
+        const runs = options.state ? options.state.runs.slice() : [];
+        let output = null;
+        let finishInput = null;
+        let reading = false;
+        let emittedRows = 0;
+
+        const inputFinished = new Promise(resolve => {
+            finishInput = resolve;
+        });
+
+        // 当前缓冲排序后写出为一个有序段
+        const spill = async () => {
+            const rows = buffer;
+            buffer = [];
+            bufferBytes = 0;
+            runs.push(await processor.writeSortedRun(rows, compare, options.runDirectory));
+            processor.emit('sortSpill', { runs: runs.length, rows: rows.length });
+        };
+
+        const cleanup = async () => {
+            const files = runs.splice(0).map(run => run.filePath);
+            // 检查点任务的有序段随检查点目录一起删除，输出阶段失败时仍可从最后的检查点恢复
+            if (options.runDirectory) {
+                return;
+            }
+            await Promise.all(files.map(filePath => processor.removeRunFile(filePath)));
+        };
+
+        // 输入结束：无溢出时内存排序，否则写出剩余缓冲并归并全部有序段
+        const prepareOutput = async () => {
+            if (runs.length === 0) {
+                buffer.sort(compare);
+                const rows = buffer;
+                buffer = [];
+                output = (async function* () {
+                    for (let i = 0; i < rows.length; i += chunkSize) {
+                        yield rows.slice(i, i + chunkSize);
+                    }
+                })();
+                return;
+            }
+
+            if (buffer.length > 0) {
+                await spill();
+            }
+            output = processor.mergeSortedRuns(runs.slice(), compare, chunkSize);
+        };
+
+        return new Duplex({
             objectMode: true,
-            transform(chunk, encoding, callback) {
-                if (chunk.type === 'data') {
-                    chunks.push(chunk);
+
+            write(chunk, encoding, callback) {
+                if (chunk.type === 'checkpoint') {
+                    // 阻塞算子：下游尚未收到数据，写出缓冲后记录有序段并直接保存检查点
+                    (buffer.length > 0 ? spill() : Promise.resolve())
+                        .then(() => {
+                            chunk.checkpoint.operators[options.checkpointKey] = { headers, runs: runs.slice() };
+                            return chunk.commit();
+                        })
+                        .then(() => callback(), callback);
+                    return;
                 }
-                callback();
+                if (chunk.type !== 'data') {
+                    callback();
+                    return;
+                }
+                if (headers.length === 0 && chunk.headers) {
+                    headers = chunk.headers;
+                }
+
+                chunk.chunk.forEach(row => {
+                    buffer.push(row);
+                    bufferBytes += processor.estimateRowSize(row);
+                });
+
+                if (bufferBytes < memoryBudget) {
+                    callback();
+                    return;
+                }
+                spill().then(() => callback(), callback);
+            },
+
+            final(callback) {
+                prepareOutput().then(() => {
+                    finishInput();
+                    callback();
+                }, callback);
             },
-            
-            flush(callback) {
-                try {
-                    // 合并所有数据块
-                    const allData = chunks.reduce((acc, chunk) => {
-                        return acc.concat(chunk.chunk);
-                    }, []);
-
-                    // 排序数据
-                    allData.sort((a, b) => {
-                        for (const sort of sortColumns) {
-                            const { column, direction = 'asc' } = sort;
-                            const aVal = a[column];
-                            const bVal = b[column];
-                            
-                            let comparison = 0;
-                            if (aVal < bVal) comparison = -1;
-                            else if (aVal > bVal) comparison = 1;
-                            
-                            if (comparison !== 0) {
-                                return direction === 'desc' ? -comparison : comparison;
-                            }
-                        }
-                        return 0;
-                    });
 
-                    // 分块输出排序后的数据
-                    const chunkSize = this.options?.chunkSize || 100000;
-                    for (let i = 0; i < allData.length; i += chunkSize) {
-                        const chunk = allData.slice(i, i + chunkSize);
+            read() {
+                if (reading) return;
+                reading = true;
+
+                inputFinished
+                    .then(() => output.next())
+                    .then(({ value, done }) => {
+                        reading = false;
+                        if (done) {
+                            return cleanup().then(() => this.push(null));
+                        }
                         this.push({
                             type: 'data',
-                            chunk: chunk,
-                            startRow: i,
-                            endRow: i + chunk.length - 1,
-                            headers: chunks[0]?.headers || []
+                            chunk: value,
+                            startRow: emittedRows,
+                            endRow: emittedRows + value.length - 1,
+                            headers
                         });
-                    }
+                        emittedRows += value.length;
+                    })
+                    .catch(error => {
+                        reading = false;
+                        this.destroy(error);
+                    });
+            },
 
-                    callback();
-                } catch (error) {
-                    callback(error);
+            destroy(error, callback) {
+                cleanup().then(() => callback(error), () => callback(error));
+            }
+        });
+    }
+
+    /**
+     * 创建多列、区分类型的行比较函数（空值始终排在最后）
+     * type为auto时：两值都可转为数字则按数值比较，都是日期则按时间比较，否则按文本比较
+     * @param {Array} sortColumns - [{ column, direction, type }]
+     */
+    createRowComparator(sortColumns) {
+        const collator = new Intl.Collator('zh-CN', { numeric: true });
+        const isEmpty = value => value === null || value === undefined || value === '';
+        const toNumber = value => {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+            return typeof value === 'string' ? ValueParser.toNumber(value) : null;
+        };
+        const toTime = value => {
+            if (value instanceof Date) return value.getTime();
+            const date = typeof value === 'string' ? ValueParser.parseDate(value) : null;
+            return date ? date.value.getTime() : null;
+        };
+
+        const compareValues = (a, b, type) => {
+            if (type === 'number' || type === 'auto') {
+                const na = toNumber(a);
+                const nb = toNumber(b);
+                if (na !== null && nb !== null) return na - nb;
+                if (type === 'number') {
+                    // 无法转换为数字的值排在数字之后
+                    if (na !== null || nb !== null) return na !== null ? -1 : 1;
+                }
+            }
+            if (type === 'date' || type === 'auto') {
+                const ta = toTime(a);
+                const tb = toTime(b);
+                if (ta !== null && tb !== null) return ta - tb;
+                if (type === 'date') {
+                    if (ta !== null || tb !== null) return ta !== null ? -1 : 1;
+                }
+            }
+            return collator.compare(String(a), String(b));
+        };
+
+        const keys = sortColumns.map(({ column, direction = 'asc', type = 'auto' }) => ({
+            column,
+            type,
+            sign: direction === 'desc' ? -1 : 1
+        }));
+
+        return (a, b) => {
+            for (const key of keys) {
+                const aVal = a[key.column];
+                const bVal = b[key.column];
+                const aEmpty = isEmpty(aVal);
+                const bEmpty = isEmpty(bVal);
+
+                let comparison;
+                if (aEmpty || bEmpty) {
+                    comparison = aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+                } else {
+                    comparison = compareValues(aVal, bVal, key.type) * key.sign;
                 }
+                if (comparison !== 0) return comparison;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * 估算一行数据在内存中占用的字节数
+     */
+    estimateRowSize(row) {
+        let size = VALUE_OVERHEAD_BYTES;
+        for (const key in row) {
+            const value = row[key];
+            size += VALUE_OVERHEAD_BYTES + key.length * 2;
+            size += typeof value === 'string' ? value.length * 2 : 8;
+        }
+        return size;
+    }
+
+    /**
+     * 排序一批行并写入临时文件（每行一个JSON，日期值带类型标记以便读回）
+     * @param {string} directory - 写入的目录，默认为临时目录（检查点任务写入任务目录以便恢复）
+     * @returns {Promise<Object>} { filePath, rows }
+     */
+    async writeSortedRun(rows, compare, directory = null) {
+        if (!this.options.fileSystemManager && !directory) {
+            throw new Error('数据超出排序内存预算，但未提供用于溢出的文件系统管理器');
+        }
+
+        rows.sort(compare);
+        const filePath = directory ?
+            path.join(directory, `sort-run-${Date.now()}-${Math.random().toString(36).slice(2, 11)}.jsonl`) :
+            await this.options.fileSystemManager.createTempFile('', {
+                prefix: 'sort-run-',
+                suffix: '.jsonl'
+            });
+
+        const writeStream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+
+        for (const row of rows) {
+            if (!writeStream.write(JSON.stringify(row, jsonReplacer) + '\n')) {
+                await new Promise(resolve => writeStream.once('drain', resolve));
             }
+        }
+        await new Promise((resolve, reject) => {
+            writeStream.on('error', reject);
+            writeStream.end(resolve);
         });
+
+        return { filePath, rows: rows.length };
+    }
+
+    /**
+     * 多路归并有序段，按块产出行数据
+     * 比较结果相同时先输出较早的段，保持排序稳定
+     * @param {Array} runs - writeSortedRun的结果
+     * @param {Function} compare - 行比较函数
+     * @param {number} chunkSize - 每块行数
+     */
+    async *mergeSortedRuns(runs, compare, chunkSize) {
+        const readers = runs.map(run => readline.createInterface({
+            input: fs.createReadStream(run.filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        })[Symbol.asyncIterator]());
+
+        // 最小堆，元素为 { row, index }，index为段序号
+        const heap = [];
+        const less = (a, b) => {
+            const comparison = compare(a.row, b.row);
+            return comparison !== 0 ? comparison < 0 : a.index < b.index;
+        };
+        const push = item => {
+            heap.push(item);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!less(heap[i], heap[parent])) break;
+                [heap[i], heap[parent]] = [heap[parent], heap[i]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && less(heap[left], heap[smallest])) smallest = left;
+                    if (right < heap.length && less(heap[right], heap[smallest])) smallest = right;
+                    if (smallest === i) break;
+                    [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+        const readNext = async index => {
+            const { value, done } = await readers[index].next();
+            if (!done) {
+                push({ row: JSON.parse(value, jsonReviver), index });
+            }
+        };
+
+        try {
+            for (let index = 0; index < readers.length; index++) {
+                await readNext(index);
+            }
+
+            let chunk = [];
+            while (heap.length > 0) {
+                const { row, index } = pop();
+                chunk.push(row);
+                await readNext(index);
+
+                if (chunk.length >= chunkSize) {
+                    yield chunk;
+                    chunk = [];
+                }
+            }
+            if (chunk.length > 0) {
+                yield chunk;
+            }
+        } finally {
+            await Promise.all(readers.map(reader => reader.return && reader.return()));
+        }
+    }
+
+    /**
+     * 删除有序段临时文件
+     */
+    async removeRunFile(filePath) {
+        const fileSystemManager = this.options.fileSystemManager;
+        if (fileSystemManager && fileSystemManager.removeTempFile) {
+            await fileSystemManager.removeTempFile(filePath);
+        } else {
+            await fs.promises.unlink(filePath).catch(() => {});
+        }
     }
 
     /**
      * 流式聚合数据
+     * @param {Object} options - { checkpointKey, state: 检查点中的分组状态 }
      */
-    createAggregateStream(aggregations, groupBy = []) {
+    createAggregateStream(aggregations, groupBy = [], options = {}) {
         const groups = new Map();
 
+        // Transform不会保留选项中的自定义方法，辅助函数定义为局部函数
+        const initializeAggregation = (func) => {
+            switch (func) {
+                case 'sum':
+                case 'count':
+                    return 0;
+                case 'min':
+                    return Infinity;
+                case 'max':
+                    return -Infinity;
+                case 'avg':
+                    return { sum: 0, count: 0 };
+                default:
+                    return null;
+            }
+        };
+
+        const updateAggregation = (current, value, func) => {
+            const numValue = ValueParser.toNumber(value) ?? NaN;
+
+            switch (func) {
+                case 'sum':
+                    return current + (isNaN(numValue) ? 0 : numValue);
+                case 'count':
+                    return current + 1;
+                case 'min':
+                    return Math.min(current, isNaN(numValue) ? Infinity : numValue);
+                case 'max':
+                    return Math.max(current, isNaN(numValue) ? -Infinity : numValue);
+                case 'avg': {
+                    const newSum = current.sum + (isNaN(numValue) ? 0 : numValue);
+                    const newCount = current.count + 1;
+                    return { sum: newSum, count: newCount, value: newSum / newCount };
+                }
+                default:
+                    return current;
+            }
+        };
+
+        if (options.state) {
+            options.state.forEach(([key, data, counts]) => {
+                groups.set(key, { data, counts: new Map(counts) });
+            });
+        }
+
         return new Transform({
             objectMode: true,
             transform(chunk, encoding, callback) {
+                if (chunk.type === 'checkpoint') {
+                    // 阻塞算子：下游尚未收到数据，记录分组状态后直接保存检查点
+                    chunk.checkpoint.operators[options.checkpointKey] = Array.from(groups, ([key, group]) =>
+                        [key, group.data, Array.from(group.counts)]);
+                    chunk.commit().then(() => callback(), callback);
+                    return;
+                }
+
                 try {
                     if (chunk.type === 'data') {
                         chunk.chunk.forEach(row => {
@@ -353,7 +887,7 @@ class StreamProcessor extends EventEmitter {
                                 
                                 aggregations.forEach(agg => {
                                     groupData[agg.alias || `${agg.function}_${agg.column}`] = 
-                                        this.initializeAggregation(agg.function);
+                                        initializeAggregation(agg.function);
                                 });
                                 
                                 groups.set(groupKey, {
@@ -368,11 +902,10 @@ class StreamProcessor extends EventEmitter {
                                 const alias = agg.alias || `${agg.function}_${agg.column}`;
                                 const value = row[agg.column];
                                 
-                                group.data[alias] = this.updateAggregation(
+                                group.data[alias] = updateAggregation(
                                     group.data[alias],
                                     value,
-                                    agg.function,
-                                    group.counts.get(alias) || 0
+                                    agg.function
                                 );
                                 
                                 group.counts.set(alias, (group.counts.get(alias) || 0) + 1);
@@ -401,55 +934,453 @@ class StreamProcessor extends EventEmitter {
                 } catch (error) {
                     callback(error);
                 }
-            },
+            }
+        });
+    }
 
-            initializeAggregation(func) {
-                switch (func) {
-                    case 'sum':
-                    case 'count':
-                        return 0;
-                    case 'min':
-                        return Infinity;
-                    case 'max':
-                        return -Infinity;
-                    case 'avg':
-                        return { sum: 0, count: 0 };
-                    default:
-                        return null;
-                }
-            },
+    /**
+     * 流式计算列：按顺序对每行求表达式的值，后面的计算列可以引用前面的结果
+     * @param {Array} columns - [{ column: 结果列名, expression: 表达式，语法见 RowExpression }]，结果列已存在时覆盖
+     */
+    createDeriveStream(columns) {
+        const derived = columns.map(({ column, expression }) => ({ column, expression: new RowExpression(expression) }));
 
-            updateAggregation(current, value, func, count) {
-                const numValue = Number(value);
-                
-                switch (func) {
-                    case 'sum':
-                        return current + (isNaN(numValue) ? 0 : numValue);
-                    case 'count':
-                        return current + 1;
-                    case 'min':
-                        return Math.min(current, isNaN(numValue) ? Infinity : numValue);
-                    case 'max':
-                        return Math.max(current, isNaN(numValue) ? -Infinity : numValue);
-                    case 'avg':
-                        const newSum = current.sum + (isNaN(numValue) ? 0 : numValue);
-                        const newCount = current.count + 1;
-                        return { sum: newSum, count: newCount, value: newSum / newCount };
-                    default:
-                        return current;
+        return new Transform({
+            objectMode: true,
+            transform(chunk, encoding, callback) {
+                if (chunk.type !== 'data') {
+                    callback(null, chunk);
+                    return;
+                }
+                try {
+                    const rows = chunk.chunk.map(source => {
+                        const row = { ...source };
+                        derived.forEach(({ column, expression }) => {
+                            row[column] = expression.evaluate(row);
+                        });
+                        return row;
+                    });
+                    const headers = chunk.headers ? chunk.headers.slice() : [];
+                    derived.forEach(({ column }) => {
+                        if (!headers.includes(column)) {
+                            headers.push(column);
+                        }
+                    });
+                    callback(null, { ...chunk, chunk: rows, headers });
+                } catch (error) {
+                    callback(error);
                 }
             }
         });
     }
 
+    /**
+     * 流式选择列：只保留指定的列，并按指定顺序排列
+     * @param {Array<string>} columns - 保留的列
+     */
+    createSelectStream(columns) {
+        return new Transform({
+            objectMode: true,
+            transform(chunk, encoding, callback) {
+                if (chunk.type !== 'data') {
+                    callback(null, chunk);
+                    return;
+                }
+                const missing = chunk.headers ? columns.filter(column => !chunk.headers.includes(column)) : [];
+                if (missing.length > 0) {
+                    callback(new Error(`选择的列不存在: ${missing.join(', ')}`));
+                    return;
+                }
+                const rows = chunk.chunk.map(row => {
+                    const selected = {};
+                    columns.forEach(column => {
+                        selected[column] = row[column] === undefined ? null : row[column];
+                    });
+                    return selected;
+                });
+                callback(null, { ...chunk, chunk: rows, headers: columns.slice() });
+            }
+        });
+    }
+
+    /**
+     * 流式重命名列，列的顺序不变
+     * @param {Object} mapping - { 原列名: 新列名 }
+     */
+    createRenameStream(mapping) {
+        const renames = Object.entries(mapping);
+        let checkedHeaders = null;
+
+        return new Transform({
+            objectMode: true,
+            transform(chunk, encoding, callback) {
+                if (chunk.type !== 'data') {
+                    callback(null, chunk);
+                    return;
+                }
+                const headers = chunk.headers || Object.keys(chunk.chunk[0] || {});
+
+                // 每组表头只检查一次：原列必须存在，新列名不能与未重命名的列重复
+                if (checkedHeaders !== headers) {
+                    const missing = renames.filter(([from]) => !headers.includes(from)).map(([from]) => from);
+                    if (missing.length > 0) {
+                        callback(new Error(`重命名的列不存在: ${missing.join(', ')}`));
+                        return;
+                    }
+                    const renamed = headers.map(header => mapping[header] ?? header);
+                    const duplicates = renamed.filter((header, index) => renamed.indexOf(header) !== index);
+                    if (duplicates.length > 0) {
+                        callback(new Error(`重命名后列名重复: ${[...new Set(duplicates)].join(', ')}`));
+                        return;
+                    }
+                    checkedHeaders = headers;
+                }
+
+                const renamedHeaders = headers.map(header => mapping[header] ?? header);
+                const rows = chunk.chunk.map(row => {
+                    const renamedRow = {};
+                    headers.forEach((header, index) => {
+                        renamedRow[renamedHeaders[index]] = row[header];
+                    });
+                    return renamedRow;
+                });
+                callback(null, { ...chunk, chunk: rows, headers: renamedHeaders });
+            }
+        });
+    }
+
+    /**
+     * 流式去重：保留每个键第一次出现的行，输出顺序与输入一致
+     * 已出现的键以摘要保存在内存中，超过内存预算后把已有的键和之后的行按摘要分桶写入临时文件，
+     * 输入结束后逐桶去重，再按原始行序归并输出
+     * @param {Array<string>} columns - 去重依据的列，为空时比较整行
+     * @param {Object} options - { memoryBudget: 键集合的内存预算，默认为内存上限的四分之一,
+     *                             checkpointKey, state: 检查点中的去重状态, runDirectory: 临时文件目录（检查点任务） }
+     */
+    createDedupeStream(columns = [], options = {}) {
+        const processor = this;
+        const state = options.state || null;
+        const memoryBudget = options.memoryBudget || Math.floor(this.options.memoryLimit * DEDUPE_MEMORY_RATIO);
+        const maxKeys = Math.max(Math.floor(memoryBudget / DEDUPE_KEY_BYTES), 1);
+        const chunkSize = this.options.chunkSize;
+        const tracking = options.checkpointKey !== undefined && Boolean(options.runDirectory);
+
+        let headers = state ? state.headers : null;
+        let seen = new Set();
+        // 检查点任务把新增的键追加到键文件，恢复时读回
+        let seenFile = state ? state.seenFile : null;
+        let seenBytes = state ? state.seenBytes : 0;
+        let newKeys = [];
+        // 超出预算后的分桶文件：keys 为溢出时已有的键，rows 为之后的行 [序号, 摘要, 行]
+        let buckets = null;
+        let sequence = state ? state.sequence : 0;
+        let output = null;
+        let reading = false;
+        let waitingRead = false;
+        let pendingCallback = null;
+        let emittedRows = 0;
+
+        const keyOf = (row) => {
+            const keyColumns = columns.length > 0 ? columns : headers || Object.keys(row);
+            const key = JSON.stringify(keyColumns.map(column => row[column] ?? null), jsonReplacer);
+            return crypto.createHash('md5').update(key).digest('base64');
+        };
+        const bucketOf = (digest) => BASE64_DIGITS.indexOf(digest[0]);
+
+        const createFile = async (name) => {
+            if (options.runDirectory) {
+                return path.join(options.runDirectory, `dedupe-${options.checkpointKey}-${name}`);
+            }
+            if (!processor.options.fileSystemManager) {
+                throw new Error('去重的键超出内存预算，但未提供用于溢出的文件系统管理器');
+            }
+            return processor.options.fileSystemManager.createTempFile('', {
+                prefix: `dedupe-${name}-`,
+                suffix: '.jsonl'
+            });
+        };
+
+        const openBucketStream = (bucket, bytes) => {
+            bucket.bytes = bytes;
+            bucket.stream = fs.createWriteStream(bucket.rows, { encoding: 'utf8', flags: bytes > 0 ? 'a' : 'w' });
+            bucket.stream.on('error', () => {});
+        };
+
+        // 超出预算：已有的键按桶写出后释放内存，之后的行写入分桶文件
+        const overflow = async () => {
+            buckets = [];
+            const keyLines = Array.from({ length: BASE64_DIGITS.length }, () => []);
+            for (const digest of seen) {
+                keyLines[bucketOf(digest)].push(digest);
+            }
+            seen = new Set();
+            newKeys = [];
+
+            for (let index = 0; index < keyLines.length; index++) {
+                const bucket = {
+                    keys: await createFile(`keys-${index}`),
+                    rows: await createFile(`rows-${index}`)
+                };
+                await fs.promises.writeFile(bucket.keys, keyLines[index].map(digest => digest + '\n').join(''), 'utf8');
+                openBucketStream(bucket, 0);
+                buckets.push(bucket);
+            }
+            processor.emit('dedupeSpill', { keys: keyLines.reduce((sum, lines) => sum + lines.length, 0) });
+        };
+
+        const writeRows = async (rows) => {
+            if (buckets) {
+                const lines = buckets.map(() => []);
+                rows.forEach(row => {
+                    const digest = keyOf(row);
+                    lines[bucketOf(digest)].push(JSON.stringify([sequence++, digest, row], jsonReplacer) + '\n');
+                });
+                await Promise.all(buckets.map((bucket, index) => {
+                    if (lines[index].length === 0) return null;
+                    const text = lines[index].join('');
+                    bucket.bytes += Buffer.byteLength(text);
+                    return writeToStream(bucket.stream, text);
+                }));
+                return [];
+            }
+
+            const unique = rows.filter(row => {
+                const digest = keyOf(row);
+                if (seen.has(digest)) return false;
+                seen.add(digest);
+                if (tracking) newKeys.push(digest);
+                return true;
+            });
+            if (seen.size > maxKeys) {
+                await overflow();
+            }
+            return unique;
+        };
+
+        const recordCheckpoint = async (checkpoint) => {
+            if (buckets) {
+                await Promise.all(buckets.map(bucket => processor.syncWriteStream(bucket.stream)));
+            } else if (newKeys.length > 0) {
+                seenFile = seenFile || await createFile('seen');
+                const text = newKeys.map(digest => digest + '\n').join('');
+                newKeys = [];
+                const handle = await fs.promises.open(seenFile, 'a');
+                try {
+                    await handle.write(text);
+                    await handle.sync();
+                } finally {
+                    await handle.close();
+                }
+                seenBytes += Buffer.byteLength(text);
+            }
+            checkpoint.operators[options.checkpointKey] = {
+                headers,
+                seenFile,
+                seenBytes,
+                sequence,
+                buckets: buckets && buckets.map(bucket => ({ keys: bucket.keys, rows: bucket.rows, bytes: bucket.bytes }))
+            };
+        };
+
+        const restore = async () => {
+            if (state.buckets) {
+                buckets = state.buckets.map(item => ({ keys: item.keys, rows: item.rows }));
+                for (let index = 0; index < buckets.length; index++) {
+                    await fs.promises.truncate(buckets[index].rows, state.buckets[index].bytes);
+                    openBucketStream(buckets[index], state.buckets[index].bytes);
+                }
+            } else if (seenFile) {
+                await fs.promises.truncate(seenFile, seenBytes);
+                const reader = readline.createInterface({
+                    input: fs.createReadStream(seenFile, { encoding: 'utf8' }),
+                    crlfDelay: Infinity
+                });
+                for await (const digest of reader) {
+                    if (digest) seen.add(digest);
+                }
+                if (seen.size > maxKeys) {
+                    await overflow();
+                }
+            }
+        };
+
+        // 输入结束：逐桶去重，每桶结果按序号有序，归并各桶即恢复原始行序
+        const prepareOutput = async () => {
+            const runs = [];
+            for (const bucket of buckets) {
+                bucket.stream.end();
+                await finished(bucket.stream);
+
+                const bucketSeen = new Set();
+                const keyReader = readline.createInterface({
+                    input: fs.createReadStream(bucket.keys, { encoding: 'utf8' }),
+                    crlfDelay: Infinity
+                });
+                for await (const digest of keyReader) {
+                    if (digest) bucketSeen.add(digest);
+                }
+
+                const run = { filePath: await createFile(`unique-${runs.length}`), rows: 0 };
+                const writeStream = fs.createWriteStream(run.filePath, { encoding: 'utf8' });
+                writeStream.on('error', () => {});
+                const rowReader = readline.createInterface({
+                    input: fs.createReadStream(bucket.rows, { encoding: 'utf8' }),
+                    crlfDelay: Infinity
+                });
+                let lines = [];
+                for await (const line of rowReader) {
+                    if (!line) continue;
+                    const [seq, digest] = JSON.parse(line);
+                    if (bucketSeen.has(digest)) continue;
+                    bucketSeen.add(digest);
+                    // 原样保留行的JSON，避免重复序列化
+                    lines.push(`[${seq},${line.slice(line.indexOf(',', line.indexOf(',') + 1) + 1)}\n`);
+                    run.rows++;
+                    if (lines.length >= 1000) {
+                        await writeToStream(writeStream, lines.join(''));
+                        lines = [];
+                    }
+                }
+                if (lines.length > 0) {
+                    await writeToStream(writeStream, lines.join(''));
+                }
+                writeStream.end();
+                await finished(writeStream);
+                runs.push(run);
+            }
+            buckets.runs = runs;
+            output = processor.mergeSortedRuns(runs, (a, b) => a[0] - b[0], chunkSize);
+        };
+
+        const cleanup = async () => {
+            const files = [];
+            if (buckets) {
+                buckets.forEach(bucket => {
+                    if (bucket.stream) bucket.stream.destroy();
+                    files.push(bucket.keys, bucket.rows);
+                });
+                (buckets.runs || []).forEach(run => files.push(run.filePath));
+            }
+            if (seenFile) {
+                files.push(seenFile);
+            }
+            // 检查点任务的文件随检查点目录一起删除，输出阶段失败时仍可从最后的检查点恢复
+            if (options.runDirectory) {
+                return;
+            }
+            await Promise.all(files.map(filePath => processor.removeRunFile(filePath)));
+        };
+
+        const pull = (stream) => {
+            reading = true;
+            output.next()
+                .then(({ value, done }) => {
+                    reading = false;
+                    if (done) {
+                        return cleanup().then(() => stream.push(null));
+                    }
+                    const rows = value.map(item => item[1]);
+                    stream.push({
+                        type: 'data',
+                        chunk: rows,
+                        startRow: emittedRows,
+                        endRow: emittedRows + rows.length - 1,
+                        headers
+                    });
+                    emittedRows += rows.length;
+                })
+                .catch(error => {
+                    reading = false;
+                    stream.destroy(error);
+                });
+        };
+
+        const ready = state ? restore() : Promise.resolve();
+        ready.catch(() => {});
+
+        return new Duplex({
+            objectMode: true,
+
+            write(chunk, encoding, callback) {
+                // 下游消费慢时推迟写入回调，由read释放
+                const forward = (item) => {
+                    if (this.push(item)) {
+                        callback();
+                    } else {
+                        pendingCallback = callback;
+                    }
+                };
+
+                if (chunk.type === 'checkpoint') {
+                    ready.then(() => recordCheckpoint(chunk.checkpoint))
+                        .then(() => forward(chunk), callback);
+                    return;
+                }
+                if (chunk.type !== 'data') {
+                    forward(chunk);
+                    return;
+                }
+                if (!headers && chunk.headers) {
+                    headers = chunk.headers;
+                }
+
+                ready.then(() => writeRows(chunk.chunk)).then(rows => {
+                    if (rows.length === 0) {
+                        callback();
+                        return;
+                    }
+                    forward({
+                        ...chunk,
+                        chunk: rows,
+                        startRow: emittedRows,
+                        endRow: emittedRows + rows.length - 1
+                    });
+                    emittedRows += rows.length;
+                }, callback);
+            },
+
+            final(callback) {
+                ready.then(() => (buckets ? prepareOutput() : cleanup())).then(() => {
+                    callback();
+                    if (!output) {
+                        this.push(null);
+                    } else if (waitingRead) {
+                        waitingRead = false;
+                        pull(this);
+                    }
+                }, callback);
+            },
+
+            read() {
+                if (pendingCallback) {
+                    const release = pendingCallback;
+                    pendingCallback = null;
+                    release();
+                }
+                if (output) {
+                    if (!reading) pull(this);
+                } else {
+                    waitingRead = true;
+                }
+            },
+
+            destroy(error, callback) {
+                cleanup().then(() => callback(error), () => callback(error));
+            }
+        });
+    }
+
     /**
      * 流式写入文件
+     * @param {string} filePath - 输出路径
+     * @param {string} format - 'csv' 或 'excel'
+     * @param {Object} options - 格式相关选项，见 createExcelWriteStream
      */
-    createWriteStream(filePath, format = 'csv') {
+    createWriteStream(filePath, format = 'csv', options = {}) {
         if (format === 'csv') {
-            return this.createCSVWriteStream(filePath);
+            return this.createCSVWriteStream(filePath, options);
         } else if (format === 'excel') {
-            return this.createExcelWriteStream(filePath);
+            return this.createExcelWriteStream(filePath, options);
         } else {
             throw new Error(`不支持的输出格式: ${format}`);
         }
@@ -457,37 +1388,60 @@ class StreamProcessor extends EventEmitter {
 
     /**
      * 创建CSV写入流
+     * @param {string} filePath - 输出路径
+     * @param {Object} options - { resume: 检查点中的输出状态，截断到该位置后继续追加 }
      */
-    createCSVWriteStream(filePath) {
-        const writeStream = fs.createWriteStream(filePath, { encoding: 'utf8' });
-        let headerWritten = false;
+    createCSVWriteStream(filePath, options = {}) {
+        const { resume = null } = options;
+        if (resume) {
+            fs.truncateSync(filePath, resume.bytes);
+        }
+
+        const writeStream = fs.createWriteStream(filePath, { encoding: 'utf8', flags: resume ? 'a' : 'w' });
+        const processor = this;
+        let headerWritten = resume ? resume.headerWritten : false;
+        let bytes = resume ? resume.bytes : 0;
+        let writeError = null;
+
+        writeStream.on('error', error => {
+            writeError = error;
+        });
+
+        const write = text => {
+            bytes += Buffer.byteLength(text);
+            writeStream.write(text);
+        };
 
         return new Writable({
             objectMode: true,
             write(chunk, encoding, callback) {
+                if (writeError) {
+                    callback(writeError);
+                    return;
+                }
+
+                if (chunk.type === 'checkpoint') {
+                    // 已写入的内容落盘后记录文件长度，恢复时截断到此处
+                    processor.syncWriteStream(writeStream)
+                        .then(() => {
+                            chunk.checkpoint.output = { bytes, headerWritten };
+                            return chunk.commit();
+                        })
+                        .then(() => callback(), callback);
+                    return;
+                }
+
                 try {
                     if (chunk.type === 'data' && chunk.chunk.length > 0) {
                         // 写入表头
                         if (!headerWritten && chunk.headers) {
-                            writeStream.write(chunk.headers.join(',') + '\n');
+                            write(chunk.headers.join(',') + '\n');
                             headerWritten = true;
                         }
 
                         // 写入数据行
                         chunk.chunk.forEach(row => {
-                            const values = chunk.headers.map(header => {
-                                const value = row[header];
-                                if (value === null || value === undefined) {
-                                    return '';
-                                }
-                                // 处理包含逗号或引号的值
-                                const strValue = String(value);
-                                if (strValue.includes(',') || strValue.includes('"') || strValue.includes('\n')) {
-                                    return `"${strValue.replace(/"/g, '""')}"`;
-                                }
-                                return strValue;
-                            });
-                            writeStream.write(values.join(',') + '\n');
+                            write(chunk.headers.map(header => formatCSVValue(row[header])).join(',') + '\n');
                         });
                     }
                     callback();
@@ -497,49 +1451,542 @@ class StreamProcessor extends EventEmitter {
             },
 
             final(callback) {
-                writeStream.end();
-                callback();
+                writeStream.end(() => callback(writeError));
             }
         });
     }
 
+    /**
+     * 等待写入流中已提交的数据全部写入并同步到磁盘
+     */
+    async syncWriteStream(writeStream) {
+        await new Promise((resolve, reject) => {
+            writeStream.write('', error => (error ? reject(error) : resolve()));
+        });
+        await new Promise((resolve, reject) => {
+            fs.fsync(writeStream.fd, error => (error ? reject(error) : resolve()));
+        });
+    }
+
     /**
      * 创建Excel写入流
+     * 工作表XML边写边压缩，不缓存行数据；超过Excel行数上限时按 rollover 新建工作表或文件
+     * @param {string} filePath - 输出路径
+     * @param {Object} options - { sheetName, rollover: 'sheet'|'file'（默认取 fileProcessing.excelRollover）,
+     *                             maxRowsPerSheet, headerStyle, freezeHeader, columnWidths,
+     *                             resume: 检查点中的输出状态, keepPartialOutput: 出错时保留已写出的文件 }
      */
-    createExcelWriteStream(filePath) {
-        const chunks = [];
+    createExcelWriteStream(filePath, options = {}) {
+        const { resume = null, keepPartialOutput = false, ...writerOptions } = options;
+        const fileProcessing = global.appManager?.getConfig('fileProcessing') || {};
+        const writer = new XlsxStreamWriter(filePath, {
+            rollover: fileProcessing.excelRollover || 'sheet',
+            ...writerOptions
+        });
+        const ready = resume ? writer.restore(resume) : Promise.resolve();
+        // 恢复失败经写入回调传递
+        ready.catch(() => {});
+        const processor = this;
 
         return new Writable({
             objectMode: true,
             write(chunk, encoding, callback) {
-                if (chunk.type === 'data') {
-                    chunks.push(chunk);
+                if (chunk.type === 'checkpoint') {
+                    ready.then(() => writer.checkpoint())
+                        .then(state => {
+                            chunk.checkpoint.output = state;
+                            return chunk.commit();
+                        })
+                        .then(() => callback(), callback);
+                    return;
                 }
-                callback();
+                if (chunk.type !== 'data' || chunk.chunk.length === 0) {
+                    callback();
+                    return;
+                }
+
+                const sheetsBefore = writer.files.length + (writer.file ? writer.file.sheets.length : 0);
+                ready.then(() => writer.writeRows(chunk.headers, chunk.chunk)).then(() => {
+                    const sheets = writer.files.length + (writer.file ? writer.file.sheets.length : 0);
+                    if (sheetsBefore > 0 && sheets > sheetsBefore) {
+                        processor.emit('excelRollover', {
+                            filePath: writer.file.path,
+                            sheetName: writer.sheet.name,
+                            writtenRows: writer.totalRows
+                        });
+                    }
+                    callback();
+                }, callback);
             },
 
             final(callback) {
-                try {
-                    // 合并所有数据块
-                    const allData = chunks.reduce((acc, chunk) => {
-                        return acc.concat(chunk.chunk);
-                    }, []);
-
-                    // 创建工作簿
-                    const workbook = xlsx.utils.book_new();
-                    const worksheet = xlsx.utils.json_to_sheet(allData);
-                    xlsx.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
-
-                    // 写入文件
-                    xlsx.writeFile(workbook, filePath);
+                ready.then(() => writer.close()).then(result => {
+                    processor.emit('excelWritten', result);
                     callback();
-                } catch (error) {
+                }, callback);
+            },
+
+            destroy(error, callback) {
+                if (!error) {
                     callback(error);
+                    return;
                 }
+                // 检查点任务保留已写出的部分，恢复时从检查点位置继续
+                writer.abort(!keepPartialOutput).then(() => callback(error), () => callback(error));
             }
         });
     }
 
+    /**
+     * 创建拆分输出流：按列值或固定行数把结果拆分为多个文件，或Excel工作簿中的多个工作表，
+     * 结束时写出列出每个分区及其行数的索引文件
+     * 按列值拆分到工作表时各分区的行先写入临时文件，输入结束后依次写成工作表（工作表只能顺序写出）
+     * @param {string} outputPath - 输出路径，扩展名决定格式，分区文件与索引文件写在同一目录
+     * @param {Object} split - 拆分方式
+     * @param {Array<string>} split.columns - 按这些列的值拆分，与 rows 二选一
+     * @param {number} split.rows - 按固定行数拆分时每个分区的行数
+     * @param {string} split.target - 'file' 每个分区一个文件（默认），'sheet' 每个分区一个工作表（仅Excel）
+     * @param {string} split.template - 分区名模板，可用 {name}（输出文件名）、{value}（分区值，多列以_连接）、
+     *                                  {index}（分区序号）和 {列名}
+     * @param {boolean} split.index - 是否写出索引文件 {name}_index.csv，默认写出
+     * @param {number} split.maxPartitions - 按列值拆分时的分区数上限，默认1000
+     * @param {Object} options - { resume: 检查点中的输出状态, keepPartialOutput: 出错时保留已写出的文件,
+     *                             runDirectory: 分区临时文件目录（检查点任务） }，其余选项传给各分区的写入流
+     */
+    createPartitionWriteStream(outputPath, split, options = {}) {
+        const { resume = null, keepPartialOutput = false, runDirectory = null, ...writeOptions } = options;
+        const processor = this;
+        const ext = path.extname(outputPath);
+        const format = ext.toLowerCase() === '.csv' ? 'csv' : 'excel';
+        const baseName = path.basename(outputPath, ext);
+        const directory = path.dirname(outputPath);
+        const columns = split.columns || [];
+        const byRows = columns.length === 0;
+
+        if (byRows && !(split.rows > 0)) {
+            throw new Error('拆分输出需要指定拆分列或每个分区的行数');
+        }
+        if (split.target === 'sheet' && format !== 'excel') {
+            throw new Error('只有Excel输出可以拆分为多个工作表');
+        }
+
+        const target = split.target === 'sheet' ? 'sheet' : 'file';
+        const template = split.template || DEFAULT_PARTITION_TEMPLATES[target][byRows ? 'rows' : 'columns'];
+        const maxPartitions = split.maxPartitions || DEFAULT_MAX_PARTITIONS;
+
+        // 分区按出现顺序保存：{ key, values, index, file, sheet, rows, closed }
+        const partitions = new Map();
+        const usedNames = new Set();
+        // 各分区的写入流（拆分为文件）或临时文件（按列值拆分为工作表）
+        const sinks = new Map();
+        const spills = new Map();
+        let workbook = null;
+        let workbookPartition = null;
+        let current = null;
+        let headers = null;
+
+        const uniqueName = (name) => {
+            let unique = name;
+            for (let n = 2; usedNames.has(unique.toLowerCase()); n++) {
+                unique = `${name}_${n}`;
+            }
+            usedNames.add(unique.toLowerCase());
+            return unique;
+        };
+
+        const partitionName = (values, index) => {
+            const fields = {
+                name: baseName,
+                index: String(index),
+                value: values.join('_')
+            };
+            columns.forEach((column, i) => {
+                fields[column] = values[i];
+            });
+            const name = template.replace(/\{([^{}]+)\}/g, (match, field) =>
+                Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : match);
+
+            if (target === 'sheet') {
+                return uniqueName(name.replace(/[\\/?*[\]:]/g, '_').slice(0, 31) || `Sheet${index}`);
+            }
+            // 去除文件名中的非法字符和末尾的点、空格（Windows不允许）
+            const fileName = name.replace(/[\\/:*?"<>|]|[^\u0020-\uffff]/g, '_').replace(/[. ]+$/, '').slice(0, 200);
+            return uniqueName(fileName || `${baseName}_${index}`);
+        };
+
+        const createSink = (partition, resumeState) => {
+            const sink = processor.createWriteStream(partition.file, format, {
+                ...writeOptions,
+                resume: resumeState,
+                keepPartialOutput
+            });
+            // 写入错误经写入回调传递
+            sink.on('error', () => {});
+            sinks.set(partition.key, sink);
+            return sink;
+        };
+
+        const openSpill = async (partition, resumeState) => {
+            if (!processor.options.fileSystemManager && !runDirectory) {
+                throw new Error('按列值拆分为工作表需要文件系统管理器存放临时文件');
+            }
+            let filePath;
+            if (resumeState) {
+                filePath = resumeState.path;
+                await fs.promises.truncate(filePath, resumeState.bytes);
+            } else {
+                filePath = runDirectory ?
+                    path.join(runDirectory, `partition-${partition.index}-${Math.random().toString(36).slice(2, 11)}.jsonl`) :
+                    await processor.options.fileSystemManager.createTempFile('', {
+                        prefix: 'partition-',
+                        suffix: '.jsonl'
+                    });
+            }
+            const spill = {
+                path: filePath,
+                bytes: resumeState ? resumeState.bytes : 0,
+                stream: fs.createWriteStream(filePath, { encoding: 'utf8', flags: resumeState ? 'a' : 'w' })
+            };
+            spill.stream.on('error', () => {});
+            spills.set(partition.key, spill);
+            return spill;
+        };
+
+        const openPartition = async (key, values) => {
+            if (!byRows && partitions.size >= maxPartitions) {
+                throw new Error(`拆分出的分区超过上限 ${maxPartitions} 个，请检查拆分列或调高 maxPartitions`);
+            }
+            const index = partitions.size + 1;
+            const name = partitionName(values, index);
+            const partition = {
+                key,
+                values,
+                index,
+                file: target === 'file' ? path.join(directory, name + ext) : outputPath,
+                sheet: target === 'sheet' ? name : null,
+                rows: 0,
+                closed: false
+            };
+            partitions.set(key, partition);
+
+            if (target === 'file') {
+                createSink(partition, null);
+            } else if (!byRows) {
+                await openSpill(partition, null);
+            }
+            return partition;
+        };
+
+        const writePartition = async (partition, rows) => {
+            if (target === 'file') {
+                const sink = sinks.get(partition.key);
+                await writeToStream(sink, { type: 'data', chunk: rows, headers });
+                partition.rows += rows.length;
+                // 按行数拆分时分区写满即关闭
+                if (byRows && partition.rows >= split.rows) {
+                    sink.end();
+                    await finished(sink);
+                    sinks.delete(partition.key);
+                    partition.closed = true;
+                }
+            } else if (byRows) {
+                if (workbookPartition !== partition.key) {
+                    workbook.nextSheet(partition.sheet);
+                    workbookPartition = partition.key;
+                }
+                await workbook.writeRows(headers, rows);
+                partition.rows += rows.length;
+            } else {
+                const spill = spills.get(partition.key);
+                const text = rows.map(row => JSON.stringify(row, jsonReplacer)).join('\n') + '\n';
+                await writeToStream(spill.stream, text);
+                spill.bytes += Buffer.byteLength(text);
+                partition.rows += rows.length;
+            }
+        };
+
+        const writeData = async (chunk) => {
+            headers = headers || chunk.headers;
+            const rows = chunk.chunk;
+
+            if (byRows) {
+                let offset = 0;
+                while (offset < rows.length) {
+                    if (!current || current.rows >= split.rows) {
+                        current = await openPartition(partitions.size + 1, []);
+                    }
+                    const count = Math.min(rows.length - offset, split.rows - current.rows);
+                    await writePartition(current, rows.slice(offset, offset + count));
+                    offset += count;
+                }
+                return;
+            }
+
+            // 同一块中的行按分区归组后写入，保持各分区内的行序
+            const groups = new Map();
+            for (const row of rows) {
+                const values = columns.map(column => processor.formatPartitionValue(row[column]));
+                const key = JSON.stringify(values);
+                let group = groups.get(key);
+                if (!group) {
+                    group = { values, rows: [] };
+                    groups.set(key, group);
+                }
+                group.rows.push(row);
+            }
+            for (const [key, group] of groups) {
+                const partition = partitions.get(key) || await openPartition(key, group.values);
+                await writePartition(partition, group.rows);
+            }
+        };
+
+        // 收集各分区写入流和临时文件的状态，恢复时截断到此处后继续追加
+        const checkpointState = async () => {
+            const state = {
+                headers,
+                current: current ? current.key : null,
+                partitions: [],
+                workbook: workbook ? await workbook.checkpoint() : null
+            };
+            for (const partition of partitions.values()) {
+                const item = { ...partition };
+                if (sinks.has(partition.key)) {
+                    const marker = { type: 'checkpoint', checkpoint: {}, commit: async () => {} };
+                    await writeToStream(sinks.get(partition.key), marker);
+                    item.output = marker.checkpoint.output;
+                }
+                if (spills.has(partition.key)) {
+                    const spill = spills.get(partition.key);
+                    await processor.syncWriteStream(spill.stream);
+                    item.spill = { path: spill.path, bytes: spill.bytes };
+                }
+                state.partitions.push(item);
+            }
+            return state;
+        };
+
+        const restore = async (state) => {
+            headers = state.headers;
+            for (const item of state.partitions) {
+                const { output = null, spill = null, ...partition } = item;
+                partitions.set(partition.key, partition);
+                usedNames.add((partition.sheet || path.basename(partition.file, ext)).toLowerCase());
+                if (output) {
+                    createSink(partition, output);
+                }
+                if (spill) {
+                    await openSpill(partition, spill);
+                }
+            }
+            current = state.current !== null ? partitions.get(state.current) : null;
+            if (state.workbook) {
+                await workbook.restore(state.workbook);
+                workbookPartition = current ? current.key : null;
+            }
+        };
+
+        // 按列值拆分为工作表：依次把各分区的临时文件写成工作表
+        const writeSpilledSheets = async () => {
+            for (const partition of partitions.values()) {
+                const spill = spills.get(partition.key);
+                spill.stream.end();
+                await finished(spill.stream);
+
+                workbook.nextSheet(partition.sheet);
+                const reader = readline.createInterface({
+                    input: fs.createReadStream(spill.path, { encoding: 'utf8' }),
+                    crlfDelay: Infinity
+                });
+                let rows = [];
+                for await (const line of reader) {
+                    if (line) {
+                        rows.push(JSON.parse(line, jsonReviver));
+                    }
+                    if (rows.length >= processor.options.chunkSize) {
+                        await workbook.writeRows(headers, rows);
+                        rows = [];
+                    }
+                }
+                if (rows.length > 0) {
+                    await workbook.writeRows(headers, rows);
+                }
+            }
+        };
+
+        const removeSpills = async () => {
+            const files = [...spills.values()].map(spill => {
+                spill.stream.destroy();
+                return spill.path;
+            });
+            spills.clear();
+            await Promise.all(files.map(filePath => processor.removeRunFile(filePath)));
+        };
+
+        if (target === 'sheet') {
+            workbook = new XlsxStreamWriter(outputPath, {
+                rollover: 'sheet',
+                ...writeOptions
+            });
+        }
+        const ready = resume ? restore(resume) : Promise.resolve();
+        ready.catch(() => {});
+
+        return new Writable({
+            objectMode: true,
+            write(chunk, encoding, callback) {
+                if (chunk.type === 'checkpoint') {
+                    ready.then(() => checkpointState())
+                        .then(state => {
+                            chunk.checkpoint.output = state;
+                            return chunk.commit();
+                        })
+                        .then(() => callback(), callback);
+                    return;
+                }
+                if (chunk.type !== 'data' || chunk.chunk.length === 0) {
+                    callback();
+                    return;
+                }
+                ready.then(() => writeData(chunk)).then(() => callback(), callback);
+            },
+
+            final(callback) {
+                const finish = async () => {
+                    await ready;
+                    for (const sink of sinks.values()) {
+                        sink.end();
+                        await finished(sink);
+                    }
+                    sinks.clear();
+
+                    if (workbook) {
+                        if (!byRows) {
+                            await writeSpilledSheets();
+                            await removeSpills();
+                        }
+                        if (partitions.size === 0) {
+                            workbook.nextSheet(partitionName([], 1));
+                        }
+                        await workbook.close();
+                    }
+
+                    const summary = {
+                        outputPath,
+                        partitions: [...partitions.values()].map(partition => ({
+                            values: partition.values,
+                            file: partition.file,
+                            sheet: partition.sheet,
+                            rows: partition.rows
+                        })),
+                        totalRows: [...partitions.values()].reduce((sum, partition) => sum + partition.rows, 0),
+                        indexFile: null
+                    };
+                    if (split.index !== false) {
+                        summary.indexFile = await processor.writePartitionIndex(
+                            path.join(directory, `${baseName}_index.csv`), columns, summary.partitions);
+                    }
+                    processor.emit('partitionsWritten', summary);
+                };
+                finish().then(() => callback(), callback);
+            },
+
+            destroy(error, callback) {
+                if (!error) {
+                    callback(error);
+                    return;
+                }
+                const cleanup = async () => {
+                    for (const sink of sinks.values()) {
+                        sink.destroy(error);
+                    }
+                    sinks.clear();
+                    if (workbook) {
+                        await workbook.abort(!keepPartialOutput);
+                    }
+                    if (keepPartialOutput) {
+                        // 检查点任务保留分区文件和临时文件，恢复时从检查点位置继续
+                        for (const spill of spills.values()) {
+                            spill.stream.destroy();
+                        }
+                        return;
+                    }
+                    await removeSpills();
+                    if (target === 'file') {
+                        await Promise.all([...partitions.values()].map(partition =>
+                            fs.promises.unlink(partition.file).catch(() => {})));
+                    }
+                };
+                cleanup().then(() => callback(error), () => callback(error));
+            }
+        });
+    }
+
+    /**
+     * 分区值的文本形式：空值为"(空白)"，日期按UTC格式化（导入的日期都按UTC转换），零点的日期只保留日期部分
+     */
+    formatPartitionValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '(空白)';
+        }
+        if (value instanceof Date) {
+            const pad = (number) => String(number).padStart(2, '0');
+            const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+            const time = `${pad(value.getUTCHours())}.${pad(value.getUTCMinutes())}.${pad(value.getUTCSeconds())}`;
+            return time === '00.00.00' ? date : `${date} ${time}`;
+        }
+        return String(value);
+    }
+
+    /**
+     * 写出拆分输出的索引文件，每个分区一行
+     * @returns {Promise<string>} 索引文件路径
+     */
+    async writePartitionIndex(filePath, columns, partitions) {
+        const lines = [['分区', ...columns, '文件', '工作表', '行数'].map(formatCSVValue).join(',')];
+        partitions.forEach((partition, index) => {
+            lines.push([
+                index + 1,
+                ...partition.values,
+                path.basename(partition.file),
+                partition.sheet || '',
+                partition.rows
+            ].map(formatCSVValue).join(','));
+        });
+        await fs.promises.writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+        return filePath;
+    }
+
+    /**
+     * 把内存中的行数据拆分输出（渲染进程导出时使用）
+     * @param {Array<Object>} rows - 行数据
+     * @param {string} outputPath - 输出路径
+     * @param {Object} split - 拆分方式，见 createPartitionWriteStream
+     * @returns {Promise<Object>} { outputPath, partitions: [{ values, file, sheet, rows }], totalRows, indexFile }
+     */
+    async writePartitionedRows(rows, outputPath, split) {
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const chunkSize = this.options.chunkSize;
+        let summary = null;
+        const onWritten = (result) => {
+            summary = result;
+        };
+
+        this.on('partitionsWritten', onWritten);
+        try {
+            await pipeline(
+                Readable.from((function* () {
+                    for (let offset = 0; offset < rows.length; offset += chunkSize) {
+                        yield { type: 'data', chunk: rows.slice(offset, offset + chunkSize), headers };
+                    }
+                })()),
+                this.createPartitionWriteStream(outputPath, split)
+            );
+        } finally {
+            this.off('partitionsWritten', onWritten);
+        }
+        return summary;
+    }
+
     /**
      * 检查内存使用情况
      */
@@ -567,51 +2014,275 @@ class StreamProcessor extends EventEmitter {
 
     /**
      * 处理大文件
+     * 提供 fileSystemManager 时默认启用检查点：每处理 checkpointRows 个源数据行在数据流中插入检查点标记，
+     * 标记随数据依次经过各算子，有状态的算子把自身状态记入标记；排序、聚合等阻塞算子收到标记时下游尚无数据，
+     * 由它们保存检查点，否则由输出流在已写内容落盘后保存。失败后可用 resumeLargeFile 从最近的检查点继续
+     * @param {string} filePath - 输入文件
+     * @param {Array} operations - 处理操作，见 validateOperations
+     * @param {string} outputPath - 输出文件
+     * @param {Object} options - { jobId, checkpoint: 是否启用检查点, checkpointRows: 检查点间隔行数,
+     *                             split: 拆分输出方式，见 createPartitionWriteStream,
+     *                             csv: CSV编码和方言 { encoding, delimiter, quote, hasHeader }，省略的部分自动检测,
+     *                             header: xlsx的表头位置 { headerRow, headerRows }，省略时第一行为表头 }
      */
-    async processLargeFile(filePath, operations, outputPath) {
-        try {
-            const fileExt = filePath.toLowerCase().split('.').pop();
-            let sourceStream;
+    async processLargeFile(filePath, operations, outputPath, options = {}) {
+        this.validateOperations(operations);
+        const ext = path.extname(filePath).toLowerCase().slice(1);
+        if (!LARGE_FILE_FORMATS.includes(ext)) {
+            throw new Error(`不支持的文件格式: ${ext || path.basename(filePath)}`);
+        }
+        const stats = await fs.promises.stat(filePath);
+        const job = {
+            jobId: options.jobId || `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            inputFile: filePath,
+            inputSize: stats.size,
+            inputModified: stats.mtimeMs,
+            operations,
+            outputPath,
+            split: options.split || null,
+            csv: options.csv || null,
+            header: options.header || null,
+            checkpoint: options.checkpoint !== false && Boolean(this.options.fileSystemManager),
+            checkpointRows: options.checkpointRows || this.getConfiguredCheckpointRows(),
+            createdAt: Date.now()
+        };
 
-            // 创建源数据流
-            if (fileExt === 'csv') {
-                sourceStream = await this.streamReadCSV(filePath, {
-                    onProgress: (progress) => this.emit('progress', progress)
-                });
-            } else if (['xlsx', 'xls'].includes(fileExt)) {
-                sourceStream = await this.streamReadExcel(filePath, {
-                    onProgress: (progress) => this.emit('progress', progress)
-                });
-            } else {
-                throw new Error(`不支持的文件格式: ${fileExt}`);
+        return this.runLargeFileJob(job, null);
+    }
+
+    /**
+     * 检查处理操作，有任何无效的操作时在开始处理前抛出错误
+     * - filter: { conditions: [{ column, operator, value }] }
+     * - sort: { columns: [{ column, direction, type }] }
+     * - aggregate: { aggregations: [{ column, function }], groupBy: [列名] }
+     * - derive: { columns: [{ column, expression }] }，表达式语法见 RowExpression
+     * - select: { columns: [列名] }
+     * - rename: { columns: { 原列名: 新列名 } }
+     * - dedupe: { columns: [列名] }，省略时比较整行
+     * @param {Array} operations - 处理操作
+     */
+    validateOperations(operations) {
+        if (!Array.isArray(operations)) {
+            throw new Error('处理操作必须是数组');
+        }
+
+        const isColumnList = (value) => Array.isArray(value) && value.length > 0 &&
+            value.every(column => typeof column === 'string' && column !== '');
+        const problems = [];
+
+        operations.forEach((operation, index) => {
+            const type = operation && operation.type;
+            const report = (message) => problems.push(`第 ${index + 1} 个操作（${type}）${message}`);
+
+            switch (type) {
+                case 'filter':
+                    if (!Array.isArray(operation.conditions)) {
+                        report('缺少筛选条件 conditions');
+                    } else {
+                        operation.conditions
+                            .filter(condition => !FILTER_OPERATORS.includes(condition && condition.operator))
+                            .forEach(condition => report(`的筛选运算符无效: ${condition && condition.operator}`));
+                    }
+                    break;
+                case 'sort':
+                    if (!Array.isArray(operation.columns) || operation.columns.length === 0 ||
+                        !operation.columns.every(column => column && column.column)) {
+                        report('需要排序列 columns: [{ column, direction }]');
+                    }
+                    break;
+                case 'aggregate':
+                    if (!Array.isArray(operation.aggregations) || operation.aggregations.length === 0) {
+                        report('缺少聚合 aggregations');
+                    } else {
+                        operation.aggregations
+                            .filter(aggregation => !AGGREGATE_FUNCTIONS.includes(aggregation && aggregation.function))
+                            .forEach(aggregation => report(`的聚合函数无效: ${aggregation && aggregation.function}`));
+                    }
+                    if (operation.groupBy !== undefined && !Array.isArray(operation.groupBy)) {
+                        report('的分组列 groupBy 必须是数组');
+                    }
+                    break;
+                case 'derive':
+                    if (!Array.isArray(operation.columns) || operation.columns.length === 0) {
+                        report('需要计算列 columns: [{ column, expression }]');
+                        break;
+                    }
+                    operation.columns.forEach(item => {
+                        if (!item || typeof item.column !== 'string' || item.column === '') {
+                            report('的计算列缺少列名 column');
+                            return;
+                        }
+                        try {
+                            new RowExpression(item.expression);
+                        } catch (error) {
+                            report(`的计算列 ${item.column}: ${error.message}`);
+                        }
+                    });
+                    break;
+                case 'select':
+                    if (!isColumnList(operation.columns)) {
+                        report('需要列名数组 columns');
+                    } else if (new Set(operation.columns).size !== operation.columns.length) {
+                        report('的列名重复');
+                    }
+                    break;
+                case 'rename': {
+                    const mapping = operation.columns;
+                    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+                        report('需要列名映射 columns: { 原列名: 新列名 }');
+                    } else if (!isColumnList(Object.values(mapping))) {
+                        report('的新列名必须是非空文本');
+                    }
+                    break;
+                }
+                case 'dedupe':
+                    if (operation.columns !== undefined &&
+                        !(Array.isArray(operation.columns) && (operation.columns.length === 0 || isColumnList(operation.columns)))) {
+                        report('的去重列 columns 必须是列名数组');
+                    }
+                    break;
+                default:
+                    problems.push(`第 ${index + 1} 个操作的类型不受支持: ${type}`);
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`处理操作无效：${problems.join('；')}`);
+        }
+    }
+
+    /**
+     * 从最近的检查点继续处理中断的任务
+     * @param {string} jobId - 任务ID
+     */
+    async resumeLargeFile(jobId) {
+        const fileSystemManager = this.options.fileSystemManager;
+        if (!fileSystemManager) {
+            throw new Error('未提供文件系统管理器，无法恢复任务');
+        }
+
+        const content = await fileSystemManager.readCheckpoint(jobId);
+        if (!content) {
+            throw new Error(`任务检查点不存在: ${jobId}`);
+        }
+        const checkpoint = JSON.parse(content, jsonReviver);
+        const { job } = checkpoint;
+
+        // 输入文件变化后检查点中的读取位置不再有效
+        const stats = await fs.promises.stat(job.inputFile);
+        if (stats.size !== job.inputSize || stats.mtimeMs !== job.inputModified) {
+            throw new Error(`输入文件在任务中断后已被修改，无法从检查点恢复: ${job.inputFile}`);
+        }
+
+        return this.runLargeFileJob(job, checkpoint);
+    }
+
+    /**
+     * 执行大文件处理任务
+     * @param {Object} job - 任务描述
+     * @param {Object|null} checkpoint - 恢复时为读取的检查点
+     */
+    async runLargeFileJob(job, checkpoint) {
+        const { jobId, inputFile: filePath, operations, outputPath } = job;
+        const operators = checkpoint ? checkpoint.operators : {};
+        const sourcePosition = checkpoint ? checkpoint.sourcePosition : 0;
+        this.processedRows = checkpoint ? checkpoint.processedRows : 0;
+        let partitions = null;
+        const onPartitionsWritten = (summary) => {
+            partitions = summary;
+        };
+        this.on('partitionsWritten', onPartitionsWritten);
+
+        try {
+            let runDirectory = null;
+            if (job.checkpoint) {
+                runDirectory = await this.options.fileSystemManager.getCheckpointDir(jobId);
+                // 首个检查点在开始前保存，任务在第一个间隔内失败也可以按原参数重新开始
+                if (!checkpoint) {
+                    await this.saveCheckpoint(job, {
+                        sourcePosition: 0,
+                        rowsConsumed: 0,
+                        processedRows: 0,
+                        operators: {},
+                        output: null
+                    });
+                }
             }
 
+            // 创建源数据流，恢复时从检查点记录的位置开始读取
+            // xlsx逐段解压读取；xls、xlsb是BIFF二进制格式，不是ZIP，和其他格式一样整个读入
+            const sourceStream = await this.streamReadFile(filePath, {
+                csv: job.csv || {},
+                header: job.header || {},
+                startRow: sourcePosition,
+                onProgress: (progress) => this.emit('progress', progress)
+            });
+
             // 创建处理流管道
             const streams = [sourceStream];
+            if (job.checkpoint) {
+                streams.push(this.createCheckpointStream(job, checkpoint));
+            }
 
             // 添加操作流
-            operations.forEach(operation => {
+            operations.forEach((operation, index) => {
                 switch (operation.type) {
                     case 'filter':
                         streams.push(this.createFilterStream(operation.conditions));
                         break;
                     case 'sort':
-                        streams.push(this.createSortStream(operation.columns));
+                        streams.push(this.createSortStream(operation.columns, {
+                            checkpointKey: index,
+                            state: operators[index],
+                            runDirectory
+                        }));
                         break;
                     case 'aggregate':
-                        streams.push(this.createAggregateStream(operation.aggregations, operation.groupBy));
+                        streams.push(this.createAggregateStream(operation.aggregations, operation.groupBy, {
+                            checkpointKey: index,
+                            state: operators[index]
+                        }));
+                        break;
+                    case 'derive':
+                        streams.push(this.createDeriveStream(operation.columns));
+                        break;
+                    case 'select':
+                        streams.push(this.createSelectStream(operation.columns));
+                        break;
+                    case 'rename':
+                        streams.push(this.createRenameStream(operation.columns));
+                        break;
+                    case 'dedupe':
+                        streams.push(this.createDedupeStream(operation.columns, {
+                            checkpointKey: index,
+                            state: operators[index],
+                            runDirectory
+                        }));
                         break;
                 }
             });
 
             // 添加输出流
-            const outputFormat = outputPath.toLowerCase().split('.').pop();
-            streams.push(this.createWriteStream(outputPath, outputFormat === 'csv' ? 'csv' : 'excel'));
+            const outputOptions = {
+                resume: checkpoint ? checkpoint.output : null,
+                keepPartialOutput: job.checkpoint
+            };
+            if (job.split) {
+                streams.push(this.createPartitionWriteStream(outputPath, job.split, { ...outputOptions, runDirectory }));
+            } else {
+                const outputFormat = outputPath.toLowerCase().split('.').pop();
+                streams.push(this.createWriteStream(outputPath, outputFormat === 'csv' ? 'csv' : 'excel', outputOptions));
+            }
 
             // 执行流管道
             await pipeline(...streams);
 
+            if (job.checkpoint) {
+                await this.options.fileSystemManager.removeCheckpoint(jobId);
+            }
+
             this.emit('complete', {
+                jobId,
                 inputFile: filePath,
                 outputFile: outputPath,
                 processedRows: this.processedRows
@@ -619,17 +2290,103 @@ class StreamProcessor extends EventEmitter {
 
             return {
                 success: true,
+                jobId,
+                resumed: Boolean(checkpoint),
                 inputFile: filePath,
                 outputFile: outputPath,
-                processedRows: this.processedRows
+                processedRows: this.processedRows,
+                partitions
             };
 
         } catch (error) {
+            error.jobId = jobId;
+            error.resumable = job.checkpoint;
             this.emit('error', error);
             throw error;
+        } finally {
+            this.off('partitionsWritten', onPartitionsWritten);
         }
     }
 
+    /**
+     * 创建检查点标记流（紧跟在数据源之后）
+     * 每累计 checkpointRows 行以及输入结束时，在数据块之后插入 { type: 'checkpoint', checkpoint, commit }
+     */
+    createCheckpointStream(job, checkpoint) {
+        const processor = this;
+        let sourcePosition = checkpoint ? checkpoint.sourcePosition : 0;
+        let rowsConsumed = checkpoint ? checkpoint.rowsConsumed : 0;
+        let pendingRows = 0;
+
+        const createMarker = () => {
+            const state = {
+                sourcePosition,
+                rowsConsumed,
+                processedRows: processor.processedRows,
+                operators: {},
+                output: null
+            };
+            return {
+                type: 'checkpoint',
+                checkpoint: state,
+                commit: () => processor.saveCheckpoint(job, state)
+            };
+        };
+
+        return new Transform({
+            objectMode: true,
+            transform(chunk, encoding, callback) {
+                this.push(chunk);
+                if (chunk.type === 'data') {
+                    // 源数据块的行号：CSV为数据行号，Excel为工作表行号，恢复时从下一行读取
+                    sourcePosition = chunk.endRow + 1;
+                    rowsConsumed += chunk.chunk.length;
+                    pendingRows += chunk.chunk.length;
+                    if (pendingRows >= job.checkpointRows) {
+                        pendingRows = 0;
+                        this.push(createMarker());
+                    }
+                }
+                callback();
+            },
+
+            flush(callback) {
+                // 输入结束时再保存一次，排序、聚合的输出阶段失败后无需重新读取输入
+                this.push(createMarker());
+                callback();
+            }
+        });
+    }
+
+    /**
+     * 保存检查点
+     * @param {Object} job - 任务描述
+     * @param {Object} state - { sourcePosition, rowsConsumed, processedRows, operators, output }
+     */
+    async saveCheckpoint(job, state) {
+        const checkpoint = {
+            jobId: job.jobId,
+            job,
+            ...state,
+            updatedAt: Date.now()
+        };
+        await this.options.fileSystemManager.saveCheckpoint(job.jobId, JSON.stringify(checkpoint, jsonReplacer));
+        this.emit('checkpoint', {
+            jobId: job.jobId,
+            rowsConsumed: state.rowsConsumed,
+            updatedAt: checkpoint.updatedAt
+        });
+    }
+
+    /**
+     * 读取配置的检查点间隔行数（fileProcessing.checkpointRows）
+     */
+    getConfiguredCheckpointRows() {
+        const appManager = global.appManager;
+        const checkpointRows = appManager && appManager.getConfig('fileProcessing')?.checkpointRows;
+        return checkpointRows > 0 ? checkpointRows : DEFAULT_CHECKPOINT_ROWS;
+    }
+
     /**
      * 获取处理统计信息
      */
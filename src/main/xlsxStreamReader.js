@@ -0,0 +1,510 @@
+/**
+ * XLSX流式读取器 - 不加载整个工作簿，逐段解压工作表XML并按行解码
+ * 只在内存中保留共享字符串表和样式中的日期格式，工作表数据边读边产出
+ */
+
+const path = require('path');
+const ZipArchive = require('./zipArchive');
+const ValueParser = require('../shared/valueParser');
+
+// 内置的日期/时间数字格式编号
+const BUILTIN_DATE_FORMATS = new Set([
+    14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+    45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58
+]);
+
+// XML实体
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+class XlsxStreamReader {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.archive = new ZipArchive(filePath);
+        this.entries = this.archive.entries;
+        this.sheets = [];
+        this.sharedStrings = [];
+        this.dateStyles = new Set();
+        this.date1904 = false;
+    }
+
+    /**
+     * 打开文件：读取ZIP目录、工作簿结构、样式和共享字符串
+     */
+    async open() {
+        await this.archive.open();
+
+        const workbook = await this.readEntryText('xl/workbook.xml');
+        const relations = await this.readRelations('xl/_rels/workbook.xml.rels', 'xl');
+        this.date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbook);
+        this.sheets = Array.from(workbook.matchAll(/<sheet\b([^>]*)\/?>/g)).map(match => {
+            const attributes = this.parseAttributes(match[1]);
+            return {
+                name: attributes.name,
+                path: relations.get(attributes['r:id'])
+            };
+        }).filter(sheet => sheet.path && this.entries.has(sheet.path));
+
+        if (this.entries.has('xl/styles.xml')) {
+            this.readDateStyles(await this.readEntryText('xl/styles.xml'));
+        }
+        if (this.entries.has('xl/sharedStrings.xml')) {
+            await this.readSharedStrings();
+        }
+    }
+
+    /**
+     * 关闭文件
+     */
+    async close() {
+        await this.archive.close();
+    }
+
+    /**
+     * 获取工作表名称列表
+     */
+    getSheetNames() {
+        return this.sheets.map(sheet => sheet.name);
+    }
+
+    /**
+     * 逐块读取工作表行
+     * 表头位置与网页版的表头选项相同（见 headerLayout.normalizeHeaderOptions），行号从工作表中出现的第一行算起，
+     * 表头之前的行跳过；startRow/endRow为工作表中从0开始的行号（含），表头行不计入数据
+     * @param {Object} options - { sheetName, headerRow: 表头起始行号（从1开始）, headerRows: 表头行数，0表示没有表头,
+     *                            startRow, endRow, chunkSize, onProgress }
+     */
+    async *readRows(options = {}) {
+        const {
+            sheetName = null,
+            headerRow = 1,
+            headerRows = 1,
+            startRow = 0,
+            endRow = null,
+            chunkSize = 100000,
+            onProgress = null
+        } = options;
+
+        const sheet = sheetName ? this.sheets.find(item => item.name === sheetName) : this.sheets[0];
+        if (!sheet) {
+            throw new Error(`工作表不存在: ${sheetName || '(第一个工作表)'}`);
+        }
+
+        const entry = this.entries.get(sheet.path);
+        const { stream, counter } = await this.openEntryStream(entry);
+        let headers = null;
+        const headerLines = [];
+        let headerStart = null;
+        let columnCount = 0;
+        let totalRows = 0;
+        let chunk = [];
+        let chunkStart = null;
+        let chunkEnd = null;
+        let lastRow = -1;
+        let processedRows = 0;
+        let text = '';
+        let inSheetData = false;
+        let finished = false;
+
+        const reportProgress = () => {
+            if (onProgress) {
+                onProgress({
+                    processedRows,
+                    totalRows,
+                    processedBytes: counter.bytes,
+                    totalBytes: entry.compressedSize,
+                    progress: entry.compressedSize > 0 ?
+                        Math.min(100, Math.round((counter.bytes / entry.compressedSize) * 100)) : 100
+                });
+            }
+        };
+
+        try {
+            for await (const data of stream) {
+                text += data;
+
+                if (!inSheetData) {
+                    // 由dimension估计列数和数据行数（不含表头）
+                    const dimension = text.match(/<dimension\b[^>]*\bref="([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?"/);
+                    if (dimension) {
+                        columnCount = this.columnIndex(dimension[3] || dimension[1]) + 1;
+                        const firstRow = parseInt(dimension[2], 10) - 1;
+                        const lastSheetRow = Math.min(parseInt(dimension[4] || dimension[2], 10) - 1, endRow ?? Infinity);
+                        totalRows = Math.max(0, lastSheetRow - Math.max(firstRow + headerRow - 1 + headerRows, startRow) + 1);
+                    }
+                    const start = text.indexOf('<sheetData');
+                    if (start === -1) continue;
+                    inSheetData = true;
+                    text = text.slice(start);
+                }
+
+                // 每段数据只查找一次工作表数据的结尾，其后的 <rowBreaks> 等不是数据行
+                const dataEnd = text.indexOf('</sheetData>');
+                let position = 0;
+                for (;;) {
+                    const rowStart = text.indexOf('<row', position);
+                    if (dataEnd !== -1 && (rowStart === -1 || dataEnd < rowStart)) {
+                        finished = true;
+                        break;
+                    }
+                    if (rowStart === -1) break;
+
+                    const tagEnd = text.indexOf('>', rowStart);
+                    if (tagEnd === -1) break;
+
+                    let rowEnd;
+                    let content = '';
+                    if (text[tagEnd - 1] === '/') {
+                        rowEnd = tagEnd + 1;
+                    } else {
+                        const closeIndex = text.indexOf('</row>', tagEnd);
+                        if (closeIndex === -1) break;
+                        content = text.slice(tagEnd + 1, closeIndex);
+                        rowEnd = closeIndex + 6;
+                    }
+
+                    const attributes = this.parseAttributes(text.slice(rowStart + 4, text[tagEnd - 1] === '/' ? tagEnd - 1 : tagEnd));
+                    const rowIndex = attributes.r ? parseInt(attributes.r, 10) - 1 : lastRow + 1;
+                    lastRow = rowIndex;
+                    position = rowEnd;
+
+                    const cells = this.parseCells(content);
+                    if (headers === null) {
+                        if (headerStart === null) headerStart = rowIndex + headerRow - 1;
+                        if (rowIndex < headerStart) continue;
+                        if (rowIndex < headerStart + headerRows) {
+                            headerLines.push(cells);
+                            if (rowIndex < headerStart + headerRows - 1) continue;
+                            headers = this.buildHeaders(headerLines, columnCount);
+                            continue;
+                        }
+                        // 表头的最后几行缺失（空行）或没有表头时，这一行已是数据
+                        headers = this.buildHeaders(headerLines, columnCount);
+                    }
+                    if (rowIndex < startRow) continue;
+                    if (endRow !== null && rowIndex > endRow) {
+                        finished = true;
+                        break;
+                    }
+
+                    // 数据行的列数超出表头时补充列名
+                    cells.forEach((value, column) => {
+                        while (column >= headers.length) {
+                            headers.push(`Column${headers.length + 1}`);
+                        }
+                    });
+
+                    const row = {};
+                    headers.forEach((header, column) => {
+                        row[header] = cells.has(column) ? cells.get(column) : null;
+                    });
+                    if (chunkStart === null) chunkStart = rowIndex;
+                    chunkEnd = rowIndex;
+                    chunk.push(row);
+                    processedRows++;
+
+                    if (chunk.length >= chunkSize) {
+                        yield { type: 'data', chunk, startRow: chunkStart, endRow: rowIndex, headers: headers.slice() };
+                        reportProgress();
+                        chunk = [];
+                        chunkStart = null;
+                    }
+                }
+
+                text = text.slice(position);
+                if (finished) break;
+            }
+
+            if (chunk.length > 0) {
+                yield { type: 'data', chunk, startRow: chunkStart, endRow: chunkEnd, headers: headers.slice() };
+            }
+            reportProgress();
+
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * 解析一行中的单元格
+     * @returns {Map<number, any>} 列号 → 值
+     */
+    parseCells(content) {
+        const cells = new Map();
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let nextColumn = 0;
+        let match;
+
+        while ((match = cellPattern.exec(content)) !== null) {
+            const attributes = this.parseAttributes(match[1]);
+            const column = attributes.r ? this.columnIndex(attributes.r) : nextColumn;
+            nextColumn = column + 1;
+
+            const value = this.decodeCellValue(attributes, match[2] || '');
+            if (value !== null) {
+                cells.set(column, value);
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * 按单元格类型解码值
+     */
+    decodeCellValue(attributes, inner) {
+        const type = attributes.t || 'n';
+
+        if (type === 'inlineStr') {
+            const inline = inner.match(/<is>([\s\S]*?)<\/is>/);
+            return inline ? this.readRichText(inline[1]) : null;
+        }
+
+        const valueMatch = inner.match(/<v>([\s\S]*?)<\/v>/);
+        if (!valueMatch) return null;
+        const raw = valueMatch[1];
+
+        switch (type) {
+            case 's':
+                return this.sharedStrings[parseInt(raw, 10)] ?? null;
+            case 'str':
+            case 'e':
+                return this.decodeXml(raw);
+            case 'b':
+                return raw === '1';
+            case 'd': {
+                const date = new Date(raw);
+                return isNaN(date.getTime()) ? this.decodeXml(raw) : date;
+            }
+            default: {
+                const number = Number(raw);
+                if (!Number.isFinite(number)) return this.decodeXml(raw);
+                return this.dateStyles.has(parseInt(attributes.s || '0', 10)) ? this.serialToDate(number) : number;
+            }
+        }
+    }
+
+    /**
+     * 由表头行生成列名（空白或重复的列名自动补全）
+     * 多行表头按网页版 headerLayout.flattenHeaders 的规则展平为"父级_子级"；合并单元格记录在工作表数据之后，
+     * 流式读取时还没有，上层的空白单元格按左侧列沿用父级名称
+     * @param {Array<Map>} lines - 表头各行的单元格，没有表头时为空数组
+     */
+    buildHeaders(lines, columnCount) {
+        const count = Math.max(columnCount, ...lines.flatMap(cells => Array.from(cells.keys()).map(column => column + 1)), 0);
+        const grid = lines.map(cells => Array.from({ length: count }, (_, column) => {
+            const value = cells.get(column);
+            return value === undefined || value === null ? '' : (value instanceof Date ? value.toISOString() : String(value));
+        }));
+        for (let r = grid.length - 2; r >= 0; r--) {
+            for (let c = 1; c < count; c++) {
+                if (grid[r][c] === '' && grid[r + 1][c] !== '' &&
+                    grid[r][c - 1] !== '' && grid[r + 1][c - 1] !== '') {
+                    grid[r][c] = grid[r][c - 1];
+                }
+            }
+        }
+
+        const used = new Set();
+        const headers = [];
+
+        for (let column = 0; column < count; column++) {
+            const parts = [];
+            grid.forEach(line => {
+                if (line[column] !== '' && parts[parts.length - 1] !== line[column]) {
+                    parts.push(line[column]);
+                }
+            });
+            let header = parts.length === 0 ? `Column${column + 1}` : parts.join('_');
+            if (used.has(header)) {
+                let suffix = 2;
+                while (used.has(`${header}_${suffix}`)) suffix++;
+                header = `${header}_${suffix}`;
+            }
+            used.add(header);
+            headers.push(header);
+        }
+        return headers;
+    }
+
+    /**
+     * Excel日期序列号转换为日期，与其他导入路径一样按UTC转换（见 ValueParser.fromExcelSerial）
+     */
+    serialToDate(serial) {
+        return ValueParser.fromExcelSerial(serial, this.date1904);
+    }
+
+    /**
+     * 列字母（可带行号，如 "AB12"）转换为从0开始的列号
+     */
+    columnIndex(reference) {
+        let index = 0;
+        for (const char of reference) {
+            const code = char.charCodeAt(0);
+            if (code < 65 || code > 90) break;
+            index = index * 26 + (code - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * 解析XML标签属性
+     */
+    parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([\w:]+)\s*=\s*"([^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            attributes[match[1]] = this.decodeXml(match[2]);
+        }
+        return attributes;
+    }
+
+    /**
+     * 提取富文本中的文字（忽略拼音注音）
+     */
+    readRichText(xml) {
+        const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        let result = '';
+        for (const match of text.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) {
+            result += match[1];
+        }
+        return this.decodeXml(result);
+    }
+
+    /**
+     * 解码XML实体和OOXML的 _xHHHH_ 转义
+     */
+    decodeXml(text) {
+        if (text.indexOf('&') === -1 && text.indexOf('_x') === -1) {
+            return text;
+        }
+        return text
+            .replace(/_x([0-9A-Fa-f]{4})_/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&(#x[0-9A-Fa-f]+|#\d+|\w+);/g, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                    return String.fromCodePoint(code);
+                }
+                return XML_ENTITIES[entity] ?? match;
+            });
+    }
+
+    /**
+     * 从样式表中找出日期格式的单元格样式
+     */
+    readDateStyles(xml) {
+        const customFormats = new Map();
+        for (const match of xml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+            const attributes = this.parseAttributes(match[1]);
+            customFormats.set(parseInt(attributes.numFmtId, 10), attributes.formatCode || '');
+        }
+
+        const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+        if (!cellXfs) return;
+
+        Array.from(cellXfs[1].matchAll(/<xf\b([^>]*?)\/?>/g)).forEach((match, index) => {
+            const formatId = parseInt(this.parseAttributes(match[1]).numFmtId || '0', 10);
+            const isDate = customFormats.has(formatId) ?
+                this.isDateFormat(customFormats.get(formatId)) : BUILTIN_DATE_FORMATS.has(formatId);
+            if (isDate) {
+                this.dateStyles.add(index);
+            }
+        });
+    }
+
+    /**
+     * 自定义数字格式是否为日期/时间格式
+     */
+    isDateFormat(formatCode) {
+        // 去掉引号内文字、转义字符和颜色/条件等方括号内容（保留[h]、[mm]等经过时间）
+        const code = formatCode
+            .split(';')[0]
+            .replace(/"[^"]*"/g, '')
+            .replace(/\\./g, '')
+            .replace(/\[(?![hms]+\])[^\]]*\]/gi, '');
+        return /[dmyhs]/i.test(code);
+    }
+
+    /**
+     * 流式读取共享字符串表
+     */
+    async readSharedStrings() {
+        const { stream } = await this.openEntryStream(this.entries.get('xl/sharedStrings.xml'));
+        let text = '';
+
+        try {
+            for await (const data of stream) {
+                text += data;
+                let position = 0;
+                for (;;) {
+                    const start = text.indexOf('<si', position);
+                    if (start === -1) break;
+                    const tagEnd = text.indexOf('>', start);
+                    if (tagEnd === -1) break;
+
+                    if (text[tagEnd - 1] === '/') {
+                        this.sharedStrings.push('');
+                        position = tagEnd + 1;
+                        continue;
+                    }
+                    const end = text.indexOf('</si>', tagEnd);
+                    if (end === -1) break;
+
+                    this.sharedStrings.push(this.readRichText(text.slice(tagEnd + 1, end)));
+                    position = end + 5;
+                }
+                text = text.slice(position);
+            }
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * 读取关系文件，返回 id → ZIP内路径
+     */
+    async readRelations(entryName, baseDir) {
+        const relations = new Map();
+        if (!this.entries.has(entryName)) {
+            return relations;
+        }
+
+        const xml = await this.readEntryText(entryName);
+        for (const match of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+            const attributes = this.parseAttributes(match[1]);
+            const target = attributes.Target.startsWith('/') ?
+                attributes.Target.slice(1) :
+                path.posix.normalize(`${baseDir}/${attributes.Target}`);
+            relations.set(attributes.Id, target);
+        }
+        return relations;
+    }
+
+    /**
+     * 完整读取一个（较小的）ZIP条目为文本
+     */
+    async readEntryText(entryName) {
+        const entry = this.entries.get(entryName);
+        if (!entry) {
+            throw new Error(`文件不是有效的xlsx工作簿，缺少 ${entryName}`);
+        }
+
+        const { stream } = await this.openEntryStream(entry);
+        let text = '';
+        for await (const data of stream) {
+            text += data;
+        }
+        return text;
+    }
+
+    /**
+     * 打开ZIP条目的解压文本流
+     * @returns {Promise<Object>} { stream, counter: { bytes: 已读取的压缩字节数 } }
+     */
+    async openEntryStream(entry) {
+        const { stream, counter } = await this.archive.openEntryStream(entry);
+        stream.setEncoding('utf8');
+        return { stream, counter };
+    }
+}
+
+module.exports = XlsxStreamReader;
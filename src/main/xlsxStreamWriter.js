@@ -0,0 +1,782 @@
+/**
+ * XLSX流式写入器 - 边写边压缩工作表XML，不在内存中保留行数据
+ * 字符串以内联形式写入（不建共享字符串表），ZIP条目使用数据描述符，写完后再补CRC和长度
+ * 达到Excel行数上限时按配置切换到新工作表或新文件
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+const { once } = require('events');
+
+// Excel单个工作表的最大行数（含表头）
+const EXCEL_MAX_ROWS = 1048576;
+
+// 单元格文本的最大长度
+const EXCEL_MAX_CELL_LENGTH = 32767;
+
+// 工作表名的最大长度
+const SHEET_NAME_MAX_LENGTH = 31;
+
+// 自动列宽的范围（字符数）
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+// 样式编号，对应 styles.xml 中 cellXfs 的顺序
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+// ZIP结构签名
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+
+// 通用标志：第3位表示大小和CRC在数据描述符中，第11位表示文件名为UTF-8
+const ZIP_FLAGS = 0x0808;
+const ZIP32_LIMIT = 0xffffffff;
+
+// Excel日期序列号的起点（1899-12-30）
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const WORKSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+class XlsxStreamWriter {
+    /**
+     * @param {string} filePath - 输出文件路径
+     * @param {Object} options - 写入选项
+     * @param {string} options.sheetName - 工作表名，默认 Sheet1
+     * @param {string} options.rollover - 超出行数上限时 'sheet' 新建工作表或 'file' 新建文件
+     * @param {number} options.maxRowsPerSheet - 每个工作表的最大行数（含表头），不超过Excel上限
+     * @param {boolean} options.headerStyle - 表头加粗并填充底色
+     * @param {boolean} options.freezeHeader - 冻结表头行
+     * @param {Object|string} options.columnWidths - { 列名: 宽度 } 或 'auto'（按首批数据估算）
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.options = {
+            sheetName: 'Sheet1',
+            rollover: 'sheet',
+            maxRowsPerSheet: EXCEL_MAX_ROWS,
+            headerStyle: true,
+            freezeHeader: true,
+            columnWidths: 'auto',
+            ...options
+        };
+        this.options.maxRowsPerSheet = Math.min(Math.max(this.options.maxRowsPerSheet, 2), EXCEL_MAX_ROWS);
+
+        this.headers = null;
+        this.file = null;
+        this.sheet = null;
+        this.files = [];
+        this.totalRows = 0;
+        this.columnLetters = [];
+        // 工作表命名的起点：name 为基础名，从第 index 个工作表起按序号续名
+        this.sheetBase = { name: this.options.sheetName, index: 0 };
+        this.nextSheetName = null;
+    }
+
+    /**
+     * 写入一批行
+     * @param {Array<string>} headers - 列名（首次写入时确定，之后的批次沿用）
+     * @param {Array<Object>} rows - 行数据
+     */
+    async writeRows(headers, rows) {
+        if (!this.headers) {
+            this.headers = headers && headers.length > 0 ? headers : Object.keys(rows[0] || {});
+            this.columnLetters = this.headers.map((header, index) => this.columnName(index));
+        }
+
+        let offset = 0;
+        while (offset < rows.length) {
+            if (!this.sheet || this.nextSheetName !== null || this.sheet.rowCount >= this.options.maxRowsPerSheet) {
+                await this.startSheet(rows.slice(offset, offset + 1000));
+            }
+
+            const count = Math.min(rows.length - offset, this.options.maxRowsPerSheet - this.sheet.rowCount);
+            const parts = [];
+            for (let i = offset; i < offset + count; i++) {
+                parts.push(this.rowXml(rows[i], ++this.sheet.rowCount));
+            }
+            await this.writeEntryData(parts.join(''));
+
+            offset += count;
+            this.totalRows += count;
+        }
+    }
+
+    /**
+     * 之后写入的行从名为 name 的新工作表开始（按列值拆分为多个工作表时使用）
+     * 该工作表超过行数上限时，续表以 name 加序号命名
+     * @param {string} name - 工作表名
+     */
+    nextSheet(name) {
+        this.nextSheetName = name;
+    }
+
+    /**
+     * 结束写入：关闭当前工作表并写出工作簿结构
+     * @returns {Promise<Object>} { files: [{ path, sheets }], totalRows }
+     */
+    async close() {
+        if (!this.file) {
+            // 没有数据时也输出一个只有表头的工作簿
+            if (!this.headers) {
+                this.headers = [];
+            }
+            await this.startSheet([]);
+        }
+        await this.finishFile();
+
+        return {
+            files: this.files,
+            totalRows: this.totalRows
+        };
+    }
+
+    /**
+     * 中止写入，关闭文件
+     * @param {boolean} removeFiles - 是否删除未完成的文件和已写出的拆分文件
+     */
+    async abort(removeFiles = true) {
+        const paths = this.files.map(file => file.path);
+        if (this.file) {
+            const file = this.file;
+            this.file = null;
+            this.sheet = null;
+            if (file.entry) {
+                file.entry.deflate.destroy();
+            }
+            // 文件可能尚未打开，等流关闭后再删除，否则删除后才创建出空文件
+            if (!file.stream.closed) {
+                await new Promise(resolve => file.stream.destroy().once('close', resolve));
+            }
+            paths.push(file.path);
+        }
+        this.files = [];
+        if (removeFiles) {
+            await Promise.all(paths.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+        }
+    }
+
+    /**
+     * 生成检查点：将已写入的数据完整落盘并返回可用于恢复的写入状态
+     * 当前条目以 Z_FULL_FLUSH 结束在字节边界，恢复时新的deflate流可直接接在其后继续写
+     * @returns {Promise<Object>} 写入状态，传给 restore 恢复
+     */
+    async checkpoint() {
+        const file = this.file;
+        const state = {
+            headers: this.headers,
+            totalRows: this.totalRows,
+            files: this.files,
+            sheet: this.sheet ? { ...this.sheet } : null,
+            sheetBase: this.sheetBase,
+            nextSheetName: this.nextSheetName,
+            file: null
+        };
+        if (!file) {
+            return state;
+        }
+
+        const entry = file.entry;
+        if (entry) {
+            await new Promise(resolve => entry.deflate.flush(zlib.constants.Z_FULL_FLUSH, resolve));
+            // 等待压缩输出全部交给文件流（文件流背压时deflate处于暂停状态）
+            while (entry.deflate.readableLength > 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+        await new Promise((resolve, reject) => {
+            file.stream.write(Buffer.alloc(0), error => (error ? reject(error) : resolve()));
+        });
+        await new Promise((resolve, reject) => {
+            fs.fsync(file.stream.fd, error => (error ? reject(error) : resolve()));
+        });
+
+        const entryState = item => ({
+            name: item.name.toString('utf8'),
+            time: item.time,
+            date: item.date,
+            offset: item.offset,
+            crc: item.crc,
+            size: item.size,
+            compressedSize: item.compressedSize
+        });
+        state.file = {
+            index: this.files.length,
+            offset: file.offset,
+            sheets: file.sheets.slice(),
+            entries: file.entries.map(entryState),
+            entry: entry ? entryState(entry) : null
+        };
+        return state;
+    }
+
+    /**
+     * 从检查点恢复写入状态：截断文件到检查点位置后继续追加
+     * @param {Object} state - checkpoint 的返回值
+     */
+    async restore(state) {
+        this.headers = state.headers;
+        this.columnLetters = (this.headers || []).map((header, index) => this.columnName(index));
+        this.totalRows = state.totalRows;
+        this.files = state.files;
+        this.sheet = state.sheet;
+        this.sheetBase = state.sheetBase || this.sheetBase;
+        this.nextSheetName = state.nextSheetName ?? null;
+
+        if (!state.file) {
+            return;
+        }
+
+        this.openFile(state.file.index, state.file.offset);
+        await fs.promises.truncate(this.file.path, state.file.offset);
+
+        const restoreEntry = item => ({ ...item, name: Buffer.from(item.name, 'utf8') });
+        this.file.sheets = state.file.sheets;
+        this.file.entries = state.file.entries.map(restoreEntry);
+        if (state.file.entry) {
+            this.attachDeflate(restoreEntry(state.file.entry));
+        }
+    }
+
+    /**
+     * 开始新工作表，必要时先切换到新文件
+     * @param {Array<Object>} sampleRows - 用于估算列宽的行
+     */
+    async startSheet(sampleRows) {
+        if (this.sheet) {
+            await this.finishSheet();
+        }
+
+        if (!this.file || this.options.rollover === 'file') {
+            if (this.file) {
+                await this.finishFile();
+            }
+            this.openFile(this.files.length);
+        }
+
+        const index = this.file.sheets.length;
+        const number = this.options.rollover === 'sheet' ? index : this.files.length;
+        if (this.nextSheetName !== null) {
+            this.sheetBase = { name: this.nextSheetName, index: number };
+            this.nextSheetName = null;
+        }
+        const name = this.uniqueSheetName(this.sheetName(number - this.sheetBase.index));
+        this.file.sheets.push(name);
+        this.sheet = { name, rowCount: 0 };
+
+        await this.startEntry(`xl/worksheets/sheet${index + 1}.xml`);
+        await this.writeEntryData(this.sheetHeaderXml(sampleRows));
+
+        this.sheet.rowCount = 1;
+        if (this.headers.length > 0) {
+            await this.writeEntryData(this.headerRowXml());
+        }
+    }
+
+    /**
+     * 结束当前工作表
+     */
+    async finishSheet() {
+        await this.writeEntryData('</sheetData></worksheet>');
+        await this.finishEntry();
+        this.sheet = null;
+    }
+
+    /**
+     * 打开输出文件
+     * @param {number} index - 文件序号，第一个文件使用原路径，之后为 name_2.xlsx、name_3.xlsx ...
+     * @param {number} offset - 大于0时追加写入已有文件（从检查点恢复）
+     */
+    openFile(index, offset = 0) {
+        let filePath = this.filePath;
+        if (index > 0) {
+            const ext = path.extname(this.filePath);
+            filePath = path.join(path.dirname(this.filePath), `${path.basename(this.filePath, ext)}_${index + 1}${ext}`);
+        }
+
+        const file = {
+            path: filePath,
+            stream: fs.createWriteStream(filePath, { flags: offset > 0 ? 'a' : 'w' }),
+            offset,
+            entries: [],
+            sheets: [],
+            entry: null,
+            error: null
+        };
+        // 写入错误在下一次写入时抛出
+        file.stream.on('error', error => {
+            file.error = error;
+        });
+        this.file = file;
+    }
+
+    /**
+     * 写出工作簿结构文件和ZIP中央目录，关闭当前文件
+     */
+    async finishFile() {
+        if (this.sheet) {
+            await this.finishSheet();
+        }
+
+        const file = this.file;
+        const parts = {
+            '[Content_Types].xml': this.contentTypesXml(file.sheets.length),
+            '_rels/.rels': this.rootRelsXml(),
+            'xl/workbook.xml': this.workbookXml(file.sheets),
+            'xl/_rels/workbook.xml.rels': this.workbookRelsXml(file.sheets.length),
+            'xl/styles.xml': this.stylesXml()
+        };
+        for (const [name, content] of Object.entries(parts)) {
+            await this.startEntry(name);
+            await this.writeEntryData(content);
+            await this.finishEntry();
+        }
+
+        await this.writeCentralDirectory();
+        file.stream.end();
+        await once(file.stream, 'finish');
+
+        this.files.push({ path: file.path, sheets: file.sheets });
+        this.file = null;
+    }
+
+    /**
+     * 开始一个压缩条目：写本地文件头，之后的数据经deflate写入文件
+     */
+    async startEntry(name) {
+        const file = this.file;
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = this.dosDateTime(new Date());
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt16LE(nameBuffer.length, 26);
+
+        const entry = {
+            name: nameBuffer,
+            time,
+            date,
+            offset: file.offset,
+            crc: 0xffffffff,
+            size: 0,
+            compressedSize: 0
+        };
+
+        await this.writeRaw(Buffer.concat([header, nameBuffer]));
+        this.attachDeflate(entry);
+    }
+
+    /**
+     * 为条目创建deflate流，压缩输出直接写入文件
+     */
+    attachDeflate(entry) {
+        const file = this.file;
+        entry.deflate = zlib.createDeflateRaw({ level: 6 });
+        entry.deflate.on('data', chunk => {
+            entry.compressedSize += chunk.length;
+            file.offset += chunk.length;
+            if (!file.stream.write(chunk)) {
+                entry.deflate.pause();
+                file.stream.once('drain', () => entry.deflate.resume());
+            }
+        });
+        entry.finished = once(entry.deflate, 'end');
+
+        file.entry = entry;
+    }
+
+    /**
+     * 向当前条目写入数据，遵循deflate的背压
+     */
+    async writeEntryData(text) {
+        if (this.file.error) {
+            throw this.file.error;
+        }
+        const entry = this.file.entry;
+        const buffer = Buffer.from(text, 'utf8');
+        entry.crc = this.updateCrc(entry.crc, buffer);
+        entry.size += buffer.length;
+
+        if (entry.size > ZIP32_LIMIT) {
+            throw new Error(`工作表 ${this.sheet ? this.sheet.name : ''} 超过4GB，请减少每个工作表的行数`);
+        }
+
+        if (!entry.deflate.write(buffer)) {
+            await once(entry.deflate, 'drain');
+        }
+    }
+
+    /**
+     * 结束当前条目：等待压缩数据写完，再写数据描述符
+     */
+    async finishEntry() {
+        const file = this.file;
+        const entry = file.entry;
+        entry.deflate.end();
+        await entry.finished;
+
+        entry.crc = (entry.crc ^ 0xffffffff) >>> 0;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.writeRaw(descriptor);
+
+        file.entries.push(entry);
+        file.entry = null;
+    }
+
+    /**
+     * 写出中央目录和目录结束记录
+     */
+    async writeCentralDirectory() {
+        const file = this.file;
+        const start = file.offset;
+
+        if (start > ZIP32_LIMIT) {
+            throw new Error('输出文件超过4GB，请将超限时的处理方式设置为新建文件');
+        }
+
+        const records = file.entries.map(entry => {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(ZIP_FLAGS, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            return Buffer.concat([header, entry.name]);
+        });
+        const directory = Buffer.concat(records);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(EOCD_SIGNATURE, 0);
+        end.writeUInt16LE(file.entries.length, 8);
+        end.writeUInt16LE(file.entries.length, 10);
+        end.writeUInt32LE(directory.length, 12);
+        end.writeUInt32LE(start, 16);
+
+        await this.writeRaw(Buffer.concat([directory, end]));
+    }
+
+    /**
+     * 直接写入文件（不压缩）
+     */
+    async writeRaw(buffer) {
+        const file = this.file;
+        if (file.error) {
+            throw file.error;
+        }
+        file.offset += buffer.length;
+        if (!file.stream.write(buffer)) {
+            await once(file.stream, 'drain');
+        }
+    }
+
+    /**
+     * 工作表XML开头：冻结窗格、列宽，直到 <sheetData>
+     */
+    sheetHeaderXml(sampleRows) {
+        const parts = [XML_DECLARATION, `<worksheet xmlns="${WORKSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`];
+
+        if (this.options.freezeHeader && this.headers.length > 0) {
+            parts.push('<sheetViews><sheetView workbookViewId="0">' +
+                '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+                '</sheetView></sheetViews>');
+        }
+
+        const widths = this.columnWidths(sampleRows);
+        if (widths.length > 0) {
+            parts.push('<cols>');
+            widths.forEach(({ index, width }) => {
+                parts.push(`<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`);
+            });
+            parts.push('</cols>');
+        }
+
+        parts.push('<sheetData>');
+        return parts.join('');
+    }
+
+    /**
+     * 计算列宽
+     * @returns {Array<{index, width}>}
+     */
+    columnWidths(sampleRows) {
+        const { columnWidths } = this.options;
+
+        if (columnWidths && typeof columnWidths === 'object') {
+            return this.headers
+                .map((header, index) => ({ index, width: Number(columnWidths[header]) }))
+                .filter(({ width }) => width > 0);
+        }
+
+        if (columnWidths !== 'auto') {
+            return [];
+        }
+
+        return this.headers.map((header, index) => {
+            let width = this.textWidth(header);
+            sampleRows.forEach(row => {
+                const value = row[header];
+                if (value !== null && value !== undefined) {
+                    width = Math.max(width, value instanceof Date ? 19 : this.textWidth(String(value)));
+                }
+            });
+            return { index, width: Math.min(Math.max(width + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH) };
+        });
+    }
+
+    /**
+     * 估算文本显示宽度，中日韩等全角字符按两个字符计
+     */
+    textWidth(text) {
+        let width = 0;
+        for (const char of text) {
+            width += char.codePointAt(0) > 0x2e80 ? 2 : 1;
+        }
+        return width;
+    }
+
+    /**
+     * 表头行XML
+     */
+    headerRowXml() {
+        const style = this.options.headerStyle ? STYLE_HEADER : 0;
+        const cells = this.headers.map((header, index) =>
+            this.stringCellXml(`${this.columnLetters[index]}1`, header, style));
+        return `<row r="1">${cells.join('')}</row>`;
+    }
+
+    /**
+     * 数据行XML
+     */
+    rowXml(row, rowNumber) {
+        const cells = [];
+        for (let i = 0; i < this.headers.length; i++) {
+            const cell = this.cellXml(`${this.columnLetters[i]}${rowNumber}`, row[this.headers[i]]);
+            if (cell) {
+                cells.push(cell);
+            }
+        }
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    }
+
+    /**
+     * 单元格XML，空值不输出
+     */
+    cellXml(ref, value) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : this.stringCellXml(ref, String(value), 0);
+        }
+
+        if (typeof value === 'bigint') {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? `<c r="${ref}"><v>${number}</v></c>` : this.stringCellXml(ref, value.toString(), 0);
+        }
+
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) {
+                return '';
+            }
+            return `<c r="${ref}" s="${STYLE_DATE}"><v>${this.dateToSerial(value)}</v></c>`;
+        }
+
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return this.stringCellXml(ref, text, 0);
+    }
+
+    /**
+     * 内联字符串单元格
+     */
+    stringCellXml(ref, text, style) {
+        if (text.length > EXCEL_MAX_CELL_LENGTH) {
+            text = text.slice(0, EXCEL_MAX_CELL_LENGTH);
+        }
+        const styleAttribute = style ? ` s="${style}"` : '';
+        const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+        return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t${space}>${this.escapeXml(text)}</t></is></c>`;
+    }
+
+    /**
+     * 日期转Excel日期序列号，按UTC转换（与读取时的 ValueParser.fromExcelSerial 对称）
+     */
+    dateToSerial(date) {
+        return (date.getTime() - EXCEL_EPOCH) / DAY_MS;
+    }
+
+    /**
+     * 列序号转列名（0 -> A, 26 -> AA）
+     */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * 生成工作表名：去除非法字符并截断，第二个起加序号
+     */
+    sheetName(index) {
+        const base = String(this.sheetBase.name || 'Sheet1').replace(/[\\/?*[\]:]/g, '_') || 'Sheet1';
+        if (index === 0) {
+            return base.slice(0, SHEET_NAME_MAX_LENGTH);
+        }
+        const suffix = `_${index + 1}`;
+        return base.slice(0, SHEET_NAME_MAX_LENGTH - suffix.length) + suffix;
+    }
+
+    /**
+     * 工作表名在工作簿内不区分大小写地唯一，重名时加序号
+     */
+    uniqueSheetName(name) {
+        const used = new Set(this.file.sheets.map(sheet => sheet.toLowerCase()));
+        let unique = name;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            const suffix = `_${n}`;
+            unique = name.slice(0, SHEET_NAME_MAX_LENGTH - suffix.length) + suffix;
+        }
+        return unique;
+    }
+
+    /**
+     * XML转义，并去除XML不允许的控制字符
+     */
+    escapeXml(text) {
+        return text
+            .replace(/[^\t\n\r\u0020-\ufffd]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 增量计算CRC32（初值0xffffffff，结束时取反）
+     */
+    updateCrc(crc, buffer) {
+        if (typeof zlib.crc32 === 'function') {
+            return (zlib.crc32(buffer, (crc ^ 0xffffffff) >>> 0) ^ 0xffffffff) >>> 0;
+        }
+        for (let i = 0; i < buffer.length; i++) {
+            crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    }
+
+    /**
+     * ZIP使用的DOS日期时间
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    contentTypesXml(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+            'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('');
+        return XML_DECLARATION +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets +
+            '</Types>';
+    }
+
+    rootRelsXml() {
+        return XML_DECLARATION +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>';
+    }
+
+    workbookXml(sheets) {
+        const entries = sheets.map((name, i) =>
+            `<sheet name="${this.escapeXml(name).replace(/"/g, '&quot;')}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+        return XML_DECLARATION +
+            `<workbook xmlns="${WORKSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+            `<sheets>${entries}</sheets>` +
+            '</workbook>';
+    }
+
+    workbookRelsXml(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+        return XML_DECLARATION +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets +
+            `<Relationship Id="rId${sheetCount + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    /**
+     * 样式表：0 默认，1 表头（加粗、浅灰底色），2 日期时间
+     */
+    stylesXml() {
+        return XML_DECLARATION +
+            `<styleSheet xmlns="${WORKSHEET_NS}">` +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFE7E6E6"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+}
+
+XlsxStreamWriter.EXCEL_MAX_ROWS = EXCEL_MAX_ROWS;
+
+module.exports = XlsxStreamWriter;
@@ -0,0 +1,205 @@
+/**
+ * ZIP读取 - 读取中央目录（支持ZIP64），按条目流式解压，不把整个压缩包读入内存
+ * 供XLSX流式读取和ZIP批量导入使用
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+
+// ZIP结构签名
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// 通用标志位：文件名为UTF-8编码
+const UTF8_FLAG = 0x0800;
+
+class ZipArchive {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fileHandle = null;
+        this.entries = new Map();
+    }
+
+    /**
+     * 打开文件并读取中央目录
+     */
+    async open() {
+        this.fileHandle = await fs.promises.open(this.filePath, 'r');
+        await this.readCentralDirectory();
+    }
+
+    /**
+     * 关闭文件
+     */
+    async close() {
+        if (this.fileHandle) {
+            await this.fileHandle.close();
+            this.fileHandle = null;
+        }
+    }
+
+    /**
+     * 列出文件条目（不含目录）
+     * @returns {Array<Object>} [{ name, method, compressedSize, uncompressedSize, localHeaderOffset }]
+     */
+    getFiles() {
+        return Array.from(this.entries.values()).filter(entry => !entry.name.endsWith('/'));
+    }
+
+    /**
+     * 打开ZIP条目的解压字节流
+     * @returns {Promise<Object>} { stream, counter: { bytes: 已读取的压缩字节数 } }
+     */
+    async openEntryStream(entry) {
+        const header = Buffer.alloc(30);
+        await this.fileHandle.read(header, 0, 30, entry.localHeaderOffset);
+        if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`ZIP条目头损坏: ${entry.name}`);
+        }
+
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`不支持的ZIP压缩方式: ${entry.method}`);
+        }
+
+        const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const counter = { bytes: 0 };
+        const streams = [
+            fs.createReadStream(this.filePath, {
+                start: dataStart,
+                end: Math.max(dataStart, dataStart + entry.compressedSize - 1),
+                highWaterMark: 256 * 1024
+            }),
+            new Transform({
+                transform(data, encoding, callback) {
+                    counter.bytes += data.length;
+                    callback(null, data);
+                }
+            })
+        ];
+        if (entry.method === 8) {
+            streams.push(zlib.createInflateRaw());
+        }
+
+        // 提前结束读取时销毁最后一个流，pipeline会一并关闭前面的流
+        const stream = pipeline(...streams, () => {});
+        return { stream, counter };
+    }
+
+    /**
+     * 把条目解压到文件，上级目录不存在时创建
+     * @param {Object} entry - 条目
+     * @param {string} targetPath - 目标文件路径
+     */
+    async extractEntry(entry, targetPath) {
+        await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+        const { stream } = await this.openEntryStream(entry);
+        await pipelineAsync(stream, fs.createWriteStream(targetPath));
+    }
+
+    /**
+     * 读取ZIP中央目录（支持ZIP64）
+     */
+    async readCentralDirectory() {
+        const { size } = await this.fileHandle.stat();
+        const tailSize = Math.min(size, 65557);
+        const tail = Buffer.alloc(tailSize);
+        await this.fileHandle.read(tail, 0, tailSize, size - tailSize);
+
+        let eocd = -1;
+        for (let i = tailSize - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('找不到ZIP目录，文件不是有效的ZIP格式');
+        }
+
+        let entryCount = tail.readUInt16LE(eocd + 10);
+        let directorySize = tail.readUInt32LE(eocd + 12);
+        let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        if (directoryOffset === 0xFFFFFFFF && eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+            const zip64Offset = Number(tail.readBigUInt64LE(eocd - 12));
+            const record = Buffer.alloc(56);
+            await this.fileHandle.read(record, 0, 56, zip64Offset);
+            if (record.readUInt32LE(0) === ZIP64_EOCD_SIGNATURE) {
+                entryCount = Number(record.readBigUInt64LE(32));
+                directorySize = Number(record.readBigUInt64LE(40));
+                directoryOffset = Number(record.readBigUInt64LE(48));
+            }
+        }
+
+        const directory = Buffer.alloc(directorySize);
+        await this.fileHandle.read(directory, 0, directorySize, directoryOffset);
+
+        let offset = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('ZIP目录损坏');
+            }
+
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+            const entry = {
+                name: this.decodeName(nameBytes, flags),
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                uncompressedSize: directory.readUInt32LE(offset + 24),
+                localHeaderOffset: directory.readUInt32LE(offset + 42)
+            };
+            this.applyZip64Extra(entry, directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength));
+
+            this.entries.set(entry.name.replace(/^\//, ''), entry);
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    /**
+     * 解码条目名：标记为UTF-8或本身是合法UTF-8时按UTF-8，否则按GBK（Windows中文系统压缩的文件名）
+     */
+    decodeName(bytes, flags) {
+        if (flags & UTF8_FLAG) {
+            return bytes.toString('utf8');
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('gbk').decode(bytes);
+        }
+    }
+
+    /**
+     * 用ZIP64扩展字段中的值替换溢出的大小和偏移
+     */
+    applyZip64Extra(entry, extra) {
+        let offset = 0;
+        while (offset + 4 <= extra.length) {
+            const id = extra.readUInt16LE(offset);
+            const length = extra.readUInt16LE(offset + 2);
+            if (id === 0x0001) {
+                let position = offset + 4;
+                ['uncompressedSize', 'compressedSize', 'localHeaderOffset'].forEach(field => {
+                    if (entry[field] === 0xFFFFFFFF && position + 8 <= offset + 4 + length) {
+                        entry[field] = Number(extra.readBigUInt64LE(position));
+                        position += 8;
+                    }
+                });
+                return;
+            }
+            offset += 4 + length;
+        }
+    }
+}
+
+module.exports = ZipArchive;
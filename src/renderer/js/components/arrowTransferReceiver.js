@@ -0,0 +1,195 @@
+/**
+ * Arrow传输接收器 - 接收主进程经MessagePort发送的Arrow记录批次并重组为Arrow表
+ * 每处理完一个批次回复确认，主进程据此控制发送速度；依赖全局Arrow（apache-arrow）
+ */
+
+class ArrowTransferReceiver {
+    constructor(options = {}) {
+        this.options = {
+            onStart: options.onStart || null,
+            onBatch: options.onBatch || null,
+            onComplete: options.onComplete || null,
+            onCancel: options.onCancel || null,
+            onError: options.onError || null
+        };
+
+        this.transfers = new Map();
+        this.handleWindowMessage = this.handleWindowMessage.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 初始化接收器
+     */
+    init() {
+        // preload将传输开始消息和端口转发到页面
+        window.addEventListener('message', this.handleWindowMessage);
+    }
+
+    /**
+     * 处理传输开始
+     */
+    handleWindowMessage(event) {
+        if (event.source !== window || !event.data || event.data.type !== 'data:transfer-start') return;
+
+        const port = event.ports && event.ports[0];
+        if (!port) return;
+
+        const info = event.data.info;
+        const transfer = {
+            info,
+            port,
+            batches: [],
+            receivedRows: 0,
+            startTime: Date.now()
+        };
+        this.transfers.set(info.transferId, transfer);
+
+        // 设置onmessage会自动启动端口
+        port.onmessage = (e) => this.handlePortMessage(transfer, e.data);
+
+        this.emit('onStart', info);
+    }
+
+    /**
+     * 处理端口消息
+     */
+    handlePortMessage(transfer, message) {
+        switch (message.type) {
+            case 'data:transfer-chunk':
+                this.receiveBatch(transfer, message);
+                break;
+            case 'data:transfer-complete':
+                this.finish(transfer);
+                this.emit('onComplete', this.getTable(transfer), this.getStats(transfer));
+                break;
+            case 'data:transfer-cancel':
+                this.finish(transfer);
+                this.emit('onCancel', this.getTable(transfer), this.getStats(transfer));
+                break;
+            case 'data:transfer-error':
+                this.finish(transfer);
+                this.emit('onError', new Error(message.message), transfer.info);
+                break;
+        }
+    }
+
+    /**
+     * 解码一个批次并确认
+     */
+    receiveBatch(transfer, message) {
+        let table;
+        try {
+            table = Arrow.tableFromIPC(message.bytes);
+        } catch (error) {
+            this.cancel(transfer.info.transferId);
+            this.emit('onError', new Error(`数据批次解析失败: ${error.message}`), transfer.info);
+            return;
+        }
+
+        transfer.batches.push(...table.batches);
+        transfer.receivedRows += table.numRows;
+
+        this.emit('onBatch', this.getTable(transfer), {
+            ...this.getStats(transfer),
+            batchIndex: message.index
+        });
+
+        transfer.port.postMessage({ type: 'data:transfer-ack', index: message.index });
+    }
+
+    /**
+     * 取消传输
+     * @param {string} transferId - 传输ID
+     */
+    cancel(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (transfer) {
+            transfer.port.postMessage({ type: 'data:transfer-cancel' });
+        }
+    }
+
+    /**
+     * 已接收的数据（由已到达的批次组成，不复制数据）
+     */
+    getTable(transfer) {
+        return new Arrow.Table(transfer.batches);
+    }
+
+    /**
+     * 传输统计
+     */
+    getStats(transfer) {
+        return {
+            ...transfer.info,
+            receivedRows: transfer.receivedRows,
+            progress: transfer.info.totalRows > 0 ?
+                Math.round((transfer.receivedRows / transfer.info.totalRows) * 100) : 100,
+            elapsed: Date.now() - transfer.startTime
+        };
+    }
+
+    /**
+     * 结束传输并关闭端口
+     */
+    finish(transfer) {
+        transfer.port.close();
+        this.transfers.delete(transfer.info.transferId);
+    }
+
+    /**
+     * 触发回调
+     */
+    emit(name, ...args) {
+        if (this.options[name]) {
+            this.options[name](...args);
+        }
+    }
+
+    /**
+     * 将Arrow表的部分行转换为行数组（用于表格预览）
+     * @param {Arrow.Table} table - Arrow表
+     * @param {number} start - 起始行
+     * @param {number} end - 结束行（不含）
+     * @returns {{headers: Array<string>, rows: Array<Array>}}
+     */
+    static toPreviewRows(table, start, end) {
+        const headers = table.schema.fields.map(field => field.name);
+        const timestamps = new Set(table.schema.fields
+            .filter(field => Arrow.DataType.isTimestamp(field.type) || Arrow.DataType.isDate(field.type))
+            .map(field => field.name));
+        const rows = table.slice(start, end).toArray().map(row => {
+            const values = row.toJSON();
+            return headers.map(header => {
+                const value = values[header];
+                if (value !== null && timestamps.has(header)) {
+                    return new Date(Number(value)).toISOString();
+                }
+                if (typeof value === 'bigint') {
+                    const number = Number(value);
+                    return Number.isSafeInteger(number) ? number : value.toString();
+                }
+                return value ?? '';
+            });
+        });
+        return { headers, rows };
+    }
+
+    /**
+     * 销毁接收器，取消全部进行中的传输
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleWindowMessage);
+        for (const transferId of this.transfers.keys()) {
+            this.cancel(transferId);
+        }
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArrowTransferReceiver;
+} else {
+    window.ArrowTransferReceiver = ArrowTransferReceiver;
+}
@@ -0,0 +1,176 @@
+/**
+ * 批量导入对话框 - 列出文件夹或ZIP压缩包中的文件，按通配符模式筛选，
+ * 选择合并为一张表（带来源文件列）或作为批量处理队列中的单独任务导入
+ */
+
+// 列表中最多显示的文件数
+const MAX_LISTED_FILES = 200;
+
+class BatchImportDialog {
+    constructor() {
+        this.modal = null;
+        this.sources = [];
+        this.files = [];
+        this.resolve = null;
+    }
+
+    /**
+     * 打开对话框，等待用户确认
+     * @param {Array} sources - [{ path, name }] 文件夹或ZIP文件
+     * @returns {Promise<Object|null>} { files, mode: 'merge' | 'separate', tableName, sourceColumn }，取消时为null
+     */
+    open(sources) {
+        this.finish(null);
+        this.sources = sources;
+        this.files = [];
+
+        const defaultName = sources.length === 1
+            ? sources[0].name.replace(/\.zip$/i, '').replace(/[^\w\u4e00-\u9fa5]/g, '_')
+            : 'batch_import';
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal modal-open';
+        this.modal.innerHTML = `
+            <div class="modal-box max-w-3xl">
+                <h3 class="font-bold text-lg">批量导入：${this.escapeHtml(sources.map(source => source.name).join('、'))}</h3>
+                <div class="grid grid-cols-2 gap-4 mt-4">
+                    <label class="form-control">
+                        <span class="label-text">包含（逗号分隔，留空为全部）</span>
+                        <input type="text" class="input input-bordered input-sm font-mono" data-field="include" placeholder="*.csv, 2024/**" />
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text">排除</span>
+                        <input type="text" class="input input-bordered input-sm font-mono" data-field="exclude" placeholder="**/backup/**" />
+                    </label>
+                </div>
+                <div class="flex items-center gap-2 mt-2">
+                    <button class="btn btn-sm" data-action="scan">重新筛选</button>
+                    <span class="text-sm text-base-content/70" data-role="summary">正在列出文件...</span>
+                </div>
+                <div class="overflow-y-auto max-h-60 mt-2 border border-base-300 rounded">
+                    <ul class="font-mono text-xs leading-5 p-2" data-role="files"></ul>
+                </div>
+                <div class="mt-4 space-y-1">
+                    <label class="label cursor-pointer justify-start gap-3 py-1">
+                        <input type="radio" class="radio radio-sm" name="batch-mode" value="merge" checked />
+                        <span class="label-text">合并为一张表</span>
+                        <input type="text" class="input input-bordered input-xs font-mono w-40" data-field="tableName" value="${this.escapeHtml(defaultName)}" />
+                        <span class="label-text">来源文件列</span>
+                        <input type="text" class="input input-bordered input-xs font-mono w-32" data-field="sourceColumn" value="source_file" />
+                    </label>
+                    <label class="label cursor-pointer justify-start gap-3 py-1">
+                        <input type="radio" class="radio radio-sm" name="batch-mode" value="separate" />
+                        <span class="label-text">每个文件作为批量处理队列中的一个任务，分别导入</span>
+                    </label>
+                </div>
+                <div class="modal-action">
+                    <button class="btn" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm" disabled>导入</button>
+                </div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'scan') {
+                this.scan();
+            } else if (action === 'cancel') {
+                this.finish(null);
+            } else if (action === 'confirm') {
+                this.finish({
+                    files: this.files,
+                    mode: this.modal.querySelector('[name="batch-mode"]:checked').value,
+                    tableName: this.modal.querySelector('[data-field="tableName"]').value.trim() || defaultName,
+                    sourceColumn: this.modal.querySelector('[data-field="sourceColumn"]').value.trim()
+                });
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && ['include', 'exclude'].includes(e.target.dataset.field)) {
+                this.scan();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+        this.scan();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 按当前的包含/排除模式列出文件
+     */
+    async scan() {
+        const summary = this.modal.querySelector('[data-role="summary"]');
+        const confirmButton = this.modal.querySelector('[data-action="confirm"]');
+        summary.textContent = '正在列出文件...';
+        confirmButton.disabled = true;
+
+        try {
+            const { files, skipped } = await window.electronAPI.scanBatch(this.sources.map(source => source.path), {
+                include: this.modal.querySelector('[data-field="include"]').value,
+                exclude: this.modal.querySelector('[data-field="exclude"]').value
+            });
+            if (!this.modal) {
+                return;
+            }
+
+            this.files = files;
+            const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+            summary.textContent = `共 ${files.length} 个文件（${this.formatFileSize(totalSize)}），跳过 ${skipped} 个不支持或被排除的文件`;
+            this.modal.querySelector('[data-role="files"]').innerHTML = files.slice(0, MAX_LISTED_FILES)
+                .map(file => `<li>${this.escapeHtml(file.relativePath)}</li>`)
+                .join('') + (files.length > MAX_LISTED_FILES ? `<li class="text-base-content/50">…… 另有 ${files.length - MAX_LISTED_FILES} 个文件</li>` : '');
+            confirmButton.disabled = files.length === 0;
+
+        } catch (error) {
+            if (this.modal) {
+                summary.textContent = `列出文件失败: ${error.message}`;
+            }
+        }
+    }
+
+    /**
+     * 格式化文件大小
+     */
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     */
+    finish(result) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchImportDialog;
+} else {
+    window.BatchImportDialog = BatchImportDialog;
+}
@@ -11,6 +11,7 @@ class BatchProcessor {
             showProgress: options.showProgress !== false,
             onComplete: options.onComplete || null,
             onError: options.onError || null,
+            onCheckpointsLoaded: options.onCheckpointsLoaded || null,
             ...options
         };
         
@@ -20,6 +21,11 @@ class BatchProcessor {
         this.failed = [];
         this.isRunning = false;
         this.totalTasks = 0;
+
+        // 大文件处理任务：可恢复的检查点和按任务ID分发的进度回调
+        this.checkpoints = [];
+        this.streamListeners = new Map();
+        this.largeFileProcessor = this.largeFileProcessor.bind(this);
         
         this.init();
     }
@@ -30,6 +36,7 @@ class BatchProcessor {
     init() {
         this.createUI();
         this.bindEvents();
+        this.initCheckpoints();
     }
 
     /**
@@ -102,6 +109,11 @@ class BatchProcessor {
                         <h4 class="section-title">失败</h4>
                         <div class="queue-list failed-list"></div>
                     </div>
+
+                    <div class="queue-section">
+                        <h4 class="section-title">可恢复任务</h4>
+                        <div class="queue-list resumable-list"></div>
+                    </div>
                 </div>
             </div>
         `;
@@ -122,7 +134,8 @@ class BatchProcessor {
             waitingList: this.container.querySelector('.waiting-list'),
             processingList: this.container.querySelector('.processing-list'),
             completedList: this.container.querySelector('.completed-list'),
-            failedList: this.container.querySelector('.failed-list')
+            failedList: this.container.querySelector('.failed-list'),
+            resumableList: this.container.querySelector('.resumable-list')
         };
     }
 
@@ -149,6 +162,218 @@ class BatchProcessor {
         this.elements.concurrentInput.addEventListener('change', (e) => {
             this.options.maxConcurrent = parseInt(e.target.value) || 1;
         });
+
+        this.elements.resumableList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-job-id]');
+            if (!button) return;
+
+            if (button.classList.contains('resume-checkpoint')) {
+                this.resumeCheckpoint(button.dataset.jobId);
+            } else if (button.classList.contains('discard-checkpoint')) {
+                this.confirmDiscard(button);
+            }
+        });
+    }
+
+    /**
+     * 初始化检查点：监听大文件处理进度并加载上次中断的任务
+     */
+    initCheckpoints() {
+        if (!window.electronAPI || !window.electronAPI.listCheckpoints) return;
+
+        window.electronAPI.onStreamProgress((data) => {
+            const listener = this.streamListeners.get(data.jobId);
+            if (listener) {
+                listener(data);
+            }
+        });
+        this.loadCheckpoints();
+    }
+
+    /**
+     * 加载可恢复的任务
+     */
+    async loadCheckpoints() {
+        try {
+            this.checkpoints = await window.electronAPI.listCheckpoints();
+            this.renderCheckpoints();
+
+            if (this.options.onCheckpointsLoaded) {
+                this.options.onCheckpointsLoaded(this.checkpoints);
+            }
+        } catch (error) {
+            console.error('加载可恢复任务失败:', error);
+        }
+    }
+
+    /**
+     * 渲染可恢复任务列表（正在执行的任务不显示）
+     */
+    renderCheckpoints() {
+        const activeJobs = new Set([...this.queue, ...this.processing].map(task => task.data.jobId));
+
+        this.elements.resumableList.innerHTML = this.checkpoints
+            .filter(checkpoint => !activeJobs.has(checkpoint.jobId))
+            .map(checkpoint => `
+                <div class="task-item">
+                    <div class="task-info">
+                        <div class="task-name">${this.escapeHtml(this.getFileName(checkpoint.job.inputFile))} → ${this.escapeHtml(this.getFileName(checkpoint.job.outputPath))}</div>
+                        <div class="task-details">
+                            <span class="task-type">已处理 ${checkpoint.rowsConsumed.toLocaleString()} 行</span>
+                            <span class="task-status">${new Date(checkpoint.updatedAt).toLocaleString()}</span>
+                        </div>
+                    </div>
+                    <div class="task-actions">
+                        <button class="btn btn-xs btn-primary resume-checkpoint" data-job-id="${checkpoint.jobId}">继续</button>
+                        <button class="btn btn-xs btn-ghost discard-checkpoint" data-job-id="${checkpoint.jobId}">放弃</button>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * 添加大文件处理任务（主进程流式处理，定期保存检查点）
+     * @param {Object} job - { filePath, operations, outputPath, name }
+     */
+    addLargeFileTask(job) {
+        return this.addTask({
+            name: job.name || this.getFileName(job.filePath),
+            type: 'largeFile',
+            data: {
+                jobId: `job-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+                filePath: job.filePath,
+                operations: job.operations || [],
+                outputPath: job.outputPath
+            },
+            processor: this.largeFileProcessor
+        });
+    }
+
+    /**
+     * 从检查点继续任务
+     */
+    resumeCheckpoint(jobId) {
+        const checkpoint = this.checkpoints.find(item => item.jobId === jobId);
+        if (!checkpoint) return;
+
+        this.addTask({
+            name: `${this.getFileName(checkpoint.job.inputFile)}（继续）`,
+            type: 'largeFile',
+            data: {
+                jobId,
+                filePath: checkpoint.job.inputFile,
+                operations: checkpoint.job.operations,
+                outputPath: checkpoint.job.outputPath
+            },
+            processor: this.largeFileProcessor
+        });
+        this.renderCheckpoints();
+    }
+
+    /**
+     * 放弃按钮需点击两次：第一次变为确认状态，3秒内再次点击才放弃
+     * @param {HTMLElement} button - 放弃按钮
+     */
+    confirmDiscard(button) {
+        if (button.dataset.confirming) {
+            this.discardCheckpoint(button);
+            return;
+        }
+
+        button.dataset.confirming = 'true';
+        button.textContent = '确认放弃';
+        button.title = '放弃后该任务只能从头开始处理';
+        setTimeout(() => {
+            delete button.dataset.confirming;
+            button.textContent = '放弃';
+            button.title = '';
+        }, 3000);
+    }
+
+    /**
+     * 放弃检查点（删除检查点和中间数据）
+     * @param {HTMLElement} button - 该任务的放弃按钮
+     */
+    async discardCheckpoint(button) {
+        try {
+            await window.electronAPI.discardCheckpoint(button.dataset.jobId);
+        } catch (error) {
+            // 删除失败时保留该任务，在任务行中显示原因
+            const status = button.closest('.task-item').querySelector('.task-status');
+            status.textContent = `删除检查点失败: ${error.message}`;
+            status.classList.add('status-failed');
+            return;
+        }
+        await this.loadCheckpoints();
+    }
+
+    /**
+     * 大文件任务处理器：存在该任务的检查点时从检查点继续，否则从头处理
+     */
+    async largeFileProcessor(data, options = {}) {
+        this.streamListeners.set(data.jobId, (progress) => {
+            if (progress.stage === 'progress' && options.onProgress) {
+                options.onProgress({ progress: progress.progress });
+            }
+        });
+
+        try {
+            if (this.checkpoints.some(checkpoint => checkpoint.jobId === data.jobId)) {
+                return await window.electronAPI.resumeLargeFile(data.jobId);
+            }
+            return await window.electronAPI.processLargeFile(data.filePath, data.operations, data.outputPath, {
+                jobId: data.jobId
+            });
+        } finally {
+            this.streamListeners.delete(data.jobId);
+            // 失败的任务会留下检查点，刷新后可从列表或重试继续
+            await this.loadCheckpoints();
+        }
+    }
+
+    /**
+     * 添加批量导入任务：文件夹或ZIP中的每个文件一个任务，分别导入为数据引擎中以相对路径命名的表
+     * @param {Array} files - 主进程列出的文件，见 scanBatch
+     * @param {Object} options - { sourceColumn: 来源文件列名，为空时不添加 }
+     */
+    addImportTasks(files, options = {}) {
+        return this.addTasks(files.map(file => ({
+            name: file.relativePath,
+            type: 'import',
+            data: {
+                file,
+                tableName: file.relativePath.replace(/\.[^./]+$/, '').replace(/[^\w\u4e00-\u9fa5]/g, '_'),
+                sourceColumn: options.sourceColumn || ''
+            },
+            processor: this.importProcessor
+        })));
+    }
+
+    /**
+     * 批量导入任务处理器
+     */
+    async importProcessor(data) {
+        return window.electronAPI.importBatch([data.file], {
+            tableName: data.tableName,
+            sourceColumn: data.sourceColumn,
+            previewRows: 0
+        });
+    }
+
+    /**
+     * 从路径中取文件名
+     */
+    getFileName(filePath) {
+        return String(filePath || '').split(/[\\/]/).pop();
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -154,6 +154,31 @@ class SettingsPanel {
                                         </label>
                                     </div>
                                 </div>
+
+                                <div class="setting-group">
+                                    <h3 class="group-title">数据工作区</h3>
+
+                                    <div class="setting-item">
+                                        <label class="setting-checkbox">
+                                            <input type="checkbox" data-config="workspace.enabled">
+                                            <span class="checkbox-text">启用持久化工作区</span>
+                                            <span class="checkbox-description">将导入的数据表保存在配置目录下的DuckDB文件中，重启后仍可查询</span>
+                                        </label>
+                                    </div>
+
+                                    <div class="setting-item">
+                                        <label class="setting-label">
+                                            <span class="label-text">查询内存上限</span>
+                                            <span class="label-description">超出上限的数据集将溢出到磁盘临时目录处理</span>
+                                        </label>
+                                        <select class="setting-input" data-config="workspace.memoryLimit">
+                                            <option value="1GB">1GB</option>
+                                            <option value="2GB">2GB</option>
+                                            <option value="4GB">4GB</option>
+                                            <option value="8GB">8GB</option>
+                                        </select>
+                                    </div>
+                                </div>
                             </div>
                             
                             <!-- 界面设置 -->
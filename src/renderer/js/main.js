@@ -6,6 +6,12 @@ class P_ExcelRenderer {
     constructor() {
         this.files = [];
         this.currentData = null;
+        this.currentTable = null;
+        this.transferReceiver = null;
+        this.batchProcessor = null;
+        this.batchImportDialog = null;
+        this.batchImportId = null;
+        this.sqlConsole = null;
         this.isProcessing = false;
         
         this.initializeEventListeners();
@@ -25,6 +31,7 @@ class P_ExcelRenderer {
         uploadArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
         uploadArea.addEventListener('drop', this.handleDrop.bind(this));
         fileInput.addEventListener('change', this.handleFileSelect.bind(this));
+        document.getElementById('btn-open-folder')?.addEventListener('click', this.openFolderDialog.bind(this));
 
         // 快捷操作按钮
         document.getElementById('btn-filter-month')?.addEventListener('click', this.filterCurrentMonth.bind(this));
@@ -36,9 +43,11 @@ class P_ExcelRenderer {
         // 导出按钮
         document.getElementById('btn-export-excel')?.addEventListener('click', this.exportExcel.bind(this));
         document.getElementById('btn-export-csv')?.addEventListener('click', this.exportCSV.bind(this));
+        document.getElementById('export-split-mode')?.addEventListener('change', this.updateSplitControls.bind(this));
 
         // 菜单事件
         window.addEventListener('menu-open-file', this.openFileDialog.bind(this));
+        window.addEventListener('menu-open-folder', this.openFolderDialog.bind(this));
         window.addEventListener('menu-save', this.saveFile.bind(this));
         window.addEventListener('menu-about', this.showAbout.bind(this));
 
@@ -47,6 +56,88 @@ class P_ExcelRenderer {
             window.electronAPI.onProgressUpdate(this.updateProgress.bind(this));
             window.electronAPI.onFileProcessed(this.handleFileProcessed.bind(this));
             window.electronAPI.onError(this.handleError.bind(this));
+
+            // 主进程以Arrow批次传输的大数据，边接收边更新预览
+            this.transferReceiver = new ArrowTransferReceiver({
+                onBatch: this.handleTransferBatch.bind(this),
+                onComplete: this.handleTransferComplete.bind(this),
+                onCancel: (table, stats) => this.updateStatus(`数据传输已取消，已接收 ${stats.receivedRows.toLocaleString()} 行`),
+                onError: this.handleError.bind(this)
+            });
+
+            // 批量处理队列，上次中断的大文件任务可从检查点继续
+            this.batchProcessor = new BatchProcessor(document.getElementById('batch-container'), {
+                onCheckpointsLoaded: this.handleCheckpointsLoaded.bind(this)
+            });
+
+            // 文件夹和ZIP批量导入
+            this.batchImportDialog = new BatchImportDialog();
+            window.electronAPI.onBatchProgress(this.handleBatchProgress.bind(this));
+
+            // 热文件夹在主进程中自动处理新文件，处理完成时提示
+            window.electronAPI.onHotFolderRun(this.handleHotFolderRun.bind(this));
+
+            this.initializeSqlConsole();
+        }
+    }
+
+    /**
+     * 加载SQL查询控制台（与网页版共用的ES模块），查询数据引擎中已导入的表
+     * 桌面版的文件在添加时由主进程导入数据引擎（见 importFileTable），不经渲染进程注册数据源
+     * 查询结果显示在数据预览中，预览整张表时以Arrow批次传输
+     */
+    async initializeSqlConsole() {
+        try {
+            const { default: SqlConsole } = await import('../../js/ui/sqlConsole.js');
+            this.sqlConsole = new SqlConsole();
+            this.sqlConsole.setOnResult(this.showQueryResult.bind(this));
+            this.sqlConsole.setOnPreview((tableName) => {
+                window.electronAPI.transferTable(tableName).catch(this.handleError.bind(this));
+            });
+        } catch (error) {
+            console.error('SQL查询控制台加载失败:', error);
+        }
+    }
+
+    /**
+     * 在数据预览中显示SQL查询结果的前20行，完整结果作为当前数据，可以继续处理和导出
+     */
+    showQueryResult(rows, sql) {
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const result = {
+            headers,
+            data: rows.map(row => headers.map(header => row[header])),
+            fileName: sql.length > 60 ? `${sql.slice(0, 60)}…` : sql,
+            totalRows: rows.length,
+            totalColumns: headers.length
+        };
+        this.currentData = result;
+        this.showDataPreview({ ...result, data: result.data.slice(0, 20) });
+        this.showQuickActions();
+    }
+
+    /**
+     * 热文件夹处理完一个文件
+     */
+    handleHotFolderRun(run) {
+        const fileName = run.inputFile.split(/[\\/]/).pop();
+        if (run.status === 'success') {
+            this.showNotification(`热文件夹 ${run.hotFolderName}：${fileName} 已处理，共 ${run.processedRows.toLocaleString()} 行`, 'success');
+        } else {
+            this.showNotification(`热文件夹 ${run.hotFolderName}：${fileName} 处理失败: ${run.error}`, 'error');
+        }
+    }
+
+    /**
+     * 可恢复任务加载完成：有未完成的任务时显示批量处理区域并提示
+     */
+    handleCheckpointsLoaded(checkpoints) {
+        if (checkpoints.length === 0) return;
+
+        const section = document.getElementById('batch-section');
+        if (section.classList.contains('hidden')) {
+            section.classList.remove('hidden');
+            this.showNotification(`有 ${checkpoints.length} 个未完成的大文件任务，可在批量处理中继续`, 'info');
         }
     }
 
@@ -93,7 +184,12 @@ class P_ExcelRenderer {
         event.preventDefault();
         event.currentTarget.classList.remove('drag-over');
         
-        const files = Array.from(event.dataTransfer.files);
+        // 拖入的文件夹标记为目录，按批量导入处理
+        const items = Array.from(event.dataTransfer.items || []).filter(item => item.kind === 'file');
+        const files = Array.from(event.dataTransfer.files).map((file, index) => {
+            const entry = items[index] && items[index].webkitGetAsEntry ? items[index].webkitGetAsEntry() : null;
+            return entry && entry.isDirectory ? { path: file.path, name: file.name, size: 0, isDirectory: true } : file;
+        });
         this.processFiles(files);
     }
 
@@ -114,6 +210,16 @@ class P_ExcelRenderer {
             return;
         }
 
+        // 文件夹和ZIP压缩包先选择要导入的文件
+        const batchSources = files.filter(file => this.isBatchSource(file));
+        if (batchSources.length > 0) {
+            await this.importBatch(batchSources);
+            files = files.filter(file => !this.isBatchSource(file));
+            if (files.length === 0) {
+                return;
+            }
+        }
+
         try {
             this.isProcessing = true;
             this.showLoadingOverlay(true);
@@ -140,11 +246,100 @@ class P_ExcelRenderer {
         }
     }
 
+    /**
+     * 是否为批量导入的来源（文件夹或ZIP压缩包）
+     */
+    isBatchSource(file) {
+        return Boolean(file.isDirectory) || file.name.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * 批量导入文件夹或ZIP压缩包：合并为一张表，或加入批量处理队列逐个导入
+     * @param {Array} sources - [{ path, name }]
+     */
+    async importBatch(sources) {
+        if (!this.batchImportDialog || sources.some(source => !source.path)) {
+            this.showNotification('文件夹和ZIP压缩包需要在桌面版中导入', 'error');
+            return;
+        }
+
+        const options = await this.batchImportDialog.open(sources);
+        if (!options) {
+            return;
+        }
+
+        if (options.mode === 'separate') {
+            document.getElementById('batch-section').classList.remove('hidden');
+            this.batchProcessor.addImportTasks(options.files, { sourceColumn: options.sourceColumn });
+            this.showNotification(`已添加 ${options.files.length} 个导入任务`, 'info');
+            return;
+        }
+
+        try {
+            this.isProcessing = true;
+            this.showLoadingOverlay(true);
+            this.batchImportId = `import-${Date.now()}`;
+
+            const result = await window.electronAPI.importBatch(options.files, {
+                tableName: options.tableName,
+                sourceColumn: options.sourceColumn,
+                importId: this.batchImportId
+            });
+
+            const preview = {
+                fileName: result.tableName,
+                totalRows: result.rowCount,
+                totalColumns: result.columns.length,
+                headers: result.columns,
+                data: result.preview.map(row => result.columns.map(column => row[column]))
+            };
+            this.files.push({
+                id: Date.now() + Math.random(),
+                name: `${result.tableName}（${result.files.length} 个文件）`,
+                size: options.files.reduce((sum, file) => sum + file.size, 0),
+                type: 'batch',
+                file: null,
+                processed: true,
+                data: null,
+                preview
+            });
+            this.currentData = preview;
+            this.showDataPreview(preview);
+            this.updateFileList();
+            this.showQuickActions();
+            this.showNotification(`已合并 ${result.files.length} 个文件，共 ${result.rowCount.toLocaleString()} 行`, 'success');
+            if (result.failed.length > 0) {
+                const names = result.failed.map(item => `${item.relativePath}（${item.error}）`).join('、');
+                this.showNotification(`${result.failed.length} 个文件导入失败: ${names}`, 'warning');
+            }
+            this.sqlConsole?.refreshTables().catch(error => console.error('刷新数据表失败:', error));
+
+        } catch (error) {
+            console.error('批量导入失败:', error);
+            this.handleError(error);
+        } finally {
+            this.batchImportId = null;
+            this.isProcessing = false;
+            this.showLoadingOverlay(false);
+            this.updateStatus('就绪');
+        }
+    }
+
+    /**
+     * 合并导入的进度：显示当前文件和已导入的行数
+     */
+    handleBatchProgress(data) {
+        if (!data.importId || data.importId !== this.batchImportId || data.stage === 'complete') {
+            return;
+        }
+        this.updateStatus(`正在导入 ${data.fileIndex + 1}/${data.fileCount}: ${data.relativePath}（${data.importedRows.toLocaleString()} 行）`);
+    }
+
     /**
      * 验证文件格式
      */
     isValidFile(file) {
-        const validExtensions = ['.xlsx', '.xls', '.csv'];
+        const validExtensions = ['.xlsx', '.xls', '.csv', '.parquet'];
         const fileName = file.name.toLowerCase();
         return validExtensions.some(ext => fileName.endsWith(ext));
     }
@@ -164,6 +359,9 @@ class P_ExcelRenderer {
         };
 
         this.files.push(fileInfo);
+        if (file.path) {
+            await this.importFileTable(fileInfo);
+        }
         
         // 如果是第一个文件，自动预览
         if (this.files.length === 1) {
@@ -171,12 +369,50 @@ class P_ExcelRenderer {
         }
     }
 
+    /**
+     * 把文件导入为数据引擎中以文件名命名的表（与合并导入相同，由主进程按路径分块读取），
+     * 导入后可在SQL控制台中查询，预览使用导入的前几行
+     */
+    async importFileTable(fileInfo) {
+        const usedNames = new Set(this.files.map(file => file.tableName).filter(Boolean));
+        // 与主进程相同的表名规则，以便检查重名
+        const baseName = fileInfo.name.replace(/\.[^.]+$/, '').replace(/[^\w\u4e00-\u9fa5]/g, '_') || 'table';
+        let tableName = baseName;
+        for (let counter = 1; usedNames.has(tableName); counter++) {
+            tableName = `${baseName}_${counter}`;
+        }
+
+        try {
+            this.updateStatus(`正在导入 ${fileInfo.name}...`);
+            const result = await window.electronAPI.importBatch([
+                { path: fileInfo.file.path, relativePath: fileInfo.name, size: fileInfo.size }
+            ], { tableName, sourceColumn: null });
+
+            fileInfo.tableName = result.tableName;
+            fileInfo.preview = {
+                fileName: fileInfo.name,
+                totalRows: result.rowCount,
+                totalColumns: result.columns.length,
+                headers: result.columns,
+                data: result.preview.map(row => result.columns.map(column => row[column]))
+            };
+            this.sqlConsole?.refreshTables().catch(error => console.error('刷新数据表失败:', error));
+
+        } catch (error) {
+            console.error(`导入文件失败 ${fileInfo.name}:`, error);
+            this.showNotification(`${fileInfo.name} 导入数据引擎失败: ${error.message}`, 'warning');
+        }
+    }
+
     /**
      * 获取文件类型
      */
     getFileType(fileName) {
         const ext = fileName.toLowerCase().split('.').pop();
-        return ext === 'csv' ? 'csv' : 'excel';
+        if (ext === 'csv' || ext === 'parquet') {
+            return ext;
+        }
+        return 'excel';
     }
 
     /**
@@ -211,7 +447,7 @@ class P_ExcelRenderer {
         div.innerHTML = `
             <div class="file-info">
                 <div class="file-icon ${file.type}">
-                    ${file.type === 'excel' ? 'XLS' : 'CSV'}
+                    ${file.type === 'excel' ? 'XLS' : file.type.toUpperCase()}
                 </div>
                 <div class="file-details">
                     <h4>${file.name}</h4>
@@ -248,9 +484,8 @@ class P_ExcelRenderer {
             this.showLoadingOverlay(true);
             this.updateStatus('正在加载文件预览...');
 
-            // 这里应该调用主进程的文件解析功能
-            // 暂时使用模拟数据
-            const previewData = await this.mockFilePreview(file);
+            // 合并导入的表和导入数据引擎的文件在导入时已取得预览，其他文件暂时使用模拟数据
+            const previewData = file.preview || await this.mockFilePreview(file);
             
             this.currentData = previewData;
             this.showDataPreview(previewData);
@@ -338,6 +573,39 @@ class P_ExcelRenderer {
         container.appendChild(table);
     }
 
+    /**
+     * 处理收到的数据批次：首个批次到达即显示预览，之后只更新进度
+     */
+    handleTransferBatch(table, stats) {
+        if (stats.batchIndex === 0) {
+            this.showTransferPreview(table, stats);
+        }
+        this.updateStatus(`正在接收数据 ${stats.progress}%（${stats.receivedRows.toLocaleString()} / ${stats.totalRows.toLocaleString()} 行）`);
+    }
+
+    /**
+     * 处理数据传输完成
+     */
+    handleTransferComplete(table, stats) {
+        this.currentTable = table;
+        this.showTransferPreview(table, stats);
+        this.updateStatus(`数据接收完成：${stats.totalRows.toLocaleString()} 行，用时 ${stats.elapsed}ms`);
+    }
+
+    /**
+     * 以Arrow表的前20行显示数据预览
+     */
+    showTransferPreview(table, stats) {
+        const { headers, rows } = ArrowTransferReceiver.toPreviewRows(table, 0, 20);
+        this.showDataPreview({
+            headers,
+            data: rows,
+            fileName: stats.tableName || '查询结果',
+            totalRows: stats.totalRows,
+            totalColumns: headers.length
+        });
+    }
+
     /**
      * 显示快捷操作
      */
@@ -504,6 +772,70 @@ class P_ExcelRenderer {
      */
     showExportSection() {
         document.getElementById('export-section').classList.remove('hidden');
+
+        // 拆分列的候选为当前数据的列
+        const columnSelect = document.getElementById('export-split-columns');
+        if (columnSelect && this.currentData) {
+            const selected = new Set(Array.from(columnSelect.selectedOptions, option => option.value));
+            columnSelect.innerHTML = '';
+            this.currentData.headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                option.selected = selected.has(header);
+                columnSelect.appendChild(option);
+            });
+        }
+    }
+
+    /**
+     * 按拆分方式显示对应的选项
+     */
+    updateSplitControls() {
+        const mode = document.getElementById('export-split-mode').value;
+        document.getElementById('export-split-columns').classList.toggle('hidden', mode !== 'columns');
+        document.getElementById('export-split-rows').classList.toggle('hidden', mode !== 'rows');
+        document.getElementById('export-split-target').classList.toggle('hidden', !mode);
+        document.getElementById('export-split-template').classList.toggle('hidden', !mode);
+    }
+
+    /**
+     * 读取拆分输出选项，不拆分时返回null
+     * @param {string} format - 'excel' 或 'csv'，CSV只能拆分为文件
+     */
+    getSplitOptions(format) {
+        const mode = document.getElementById('export-split-mode')?.value;
+        if (!mode) {
+            return null;
+        }
+
+        const split = {
+            target: format === 'excel' ? document.getElementById('export-split-target').value : 'file',
+            template: document.getElementById('export-split-template').value.trim() || undefined
+        };
+        if (mode === 'columns') {
+            split.columns = Array.from(document.getElementById('export-split-columns').selectedOptions, option => option.value);
+            if (split.columns.length === 0) {
+                throw new Error('请选择用于拆分的列');
+            }
+        } else {
+            split.rows = parseInt(document.getElementById('export-split-rows').value, 10);
+            if (!(split.rows > 0)) {
+                throw new Error('请输入每个分区的行数');
+            }
+        }
+        return split;
+    }
+
+    /**
+     * 导出完成提示，拆分输出时提示分区数
+     */
+    notifyExported(result, label) {
+        if (result && result.partitions) {
+            this.showNotification(`${label}已拆分为 ${result.partitions.length} 个分区，共 ${result.totalRows.toLocaleString()} 行`, 'success');
+        } else {
+            this.showNotification(`${label}导出成功`, 'success');
+        }
     }
 
     /**
@@ -514,11 +846,15 @@ class P_ExcelRenderer {
             this.updateStatus('正在导出Excel文件...');
             
             if (window.electronAPI) {
-                await window.electronAPI.saveFile(this.currentData, { format: 'excel' });
+                const result = await window.electronAPI.saveFile(this.currentData, {
+                    format: 'excel',
+                    split: this.getSplitOptions('excel')
+                });
+                if (result) {
+                    this.notifyExported(result, 'Excel文件');
+                }
             }
             
-            this.showNotification('Excel文件导出成功', 'success');
-            
         } catch (error) {
             this.handleError(error);
         } finally {
@@ -534,11 +870,15 @@ class P_ExcelRenderer {
             this.updateStatus('正在导出CSV文件...');
             
             if (window.electronAPI) {
-                await window.electronAPI.saveFile(this.currentData, { format: 'csv' });
+                const result = await window.electronAPI.saveFile(this.currentData, {
+                    format: 'csv',
+                    split: this.getSplitOptions('csv')
+                });
+                if (result) {
+                    this.notifyExported(result, 'CSV文件');
+                }
             }
             
-            this.showNotification('CSV文件导出成功', 'success');
-            
         } catch (error) {
             this.handleError(error);
         } finally {
@@ -550,7 +890,13 @@ class P_ExcelRenderer {
      * 删除文件
      */
     removeFile(fileId) {
+        const removed = this.files.find(f => f.id == fileId);
         this.files = this.files.filter(f => f.id != fileId);
+        if (removed && removed.tableName) {
+            window.electronAPI.dropSQLTable(removed.tableName)
+                .then(() => this.sqlConsole?.refreshTables())
+                .catch(error => console.error('删除数据表失败:', error));
+        }
         this.updateFileList();
         
         if (this.files.length === 0) {
@@ -584,6 +930,22 @@ class P_ExcelRenderer {
         }
     }
 
+    /**
+     * 打开文件夹对话框（批量导入）
+     */
+    async openFolderDialog() {
+        if (window.electronAPI) {
+            try {
+                const folders = await window.electronAPI.openFile({ directory: true });
+                if (folders && folders.length > 0) {
+                    this.processFiles(folders);
+                }
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+    }
+
     /**
      * 保存文件
      */
@@ -668,9 +1030,11 @@ class P_ExcelRenderer {
         const notification = document.createElement('div');
         notification.className = `alert ${alertClass} fixed top-4 right-4 w-auto max-w-md z-50`;
         notification.innerHTML = `
-            <span>${message}</span>
+            <span></span>
             <button class="btn btn-sm btn-ghost" onclick="this.parentElement.remove()">×</button>
         `;
+        // 消息中可能含有文件名和错误信息，按文本显示
+        notification.querySelector('span').textContent = message;
 
         document.body.appendChild(notification);
 
@@ -7,12 +7,56 @@ const { contextBridge, ipcRenderer } = require('electron');
 // 暴露安全的API给渲染进程
 contextBridge.exposeInMainWorld('electronAPI', {
     // 文件操作
-    openFile: () => ipcRenderer.invoke('file:open'),
+    openFile: (options) => ipcRenderer.invoke('file:open', options),
     saveFile: (data, options) => ipcRenderer.invoke('file:save', data, options),
+    readParquet: (filePath, options) => ipcRenderer.invoke('file:read-parquet', filePath, options),
+    exportParquet: (data, options) => ipcRenderer.invoke('file:export-parquet', data, options),
+    getRecentFiles: (limit) => ipcRenderer.invoke('file:recent', limit),
+    rememberFile: (filePath, metadata) => ipcRenderer.invoke('file:remember', filePath, metadata),
     
     // 数据处理
     processData: (data, rules) => ipcRenderer.invoke('data:process', data, rules),
+    computeWindowColumn: (data, config) => ipcRenderer.invoke('data:window', data, config),
+    reshapeData: (data, config) => ipcRenderer.invoke('data:reshape', data, config),
+    analyzeSchema: (rows, options) => ipcRenderer.invoke('data:analyze-schema', rows, options),
+    saveSchemaOverrides: (source, overrides) => ipcRenderer.invoke('data:save-schema', source, overrides),
+    transferTable: (tableName, options) => ipcRenderer.invoke('data:transfer-table', tableName, options),
+    cancelTransfer: (transferId) => ipcRenderer.invoke('data:transfer-cancel', transferId),
+    registerPreviewFile: (tableName, source) => ipcRenderer.invoke('data:preview-register', tableName, source),
+    getPreviewPage: (tableName, options) => ipcRenderer.invoke('data:preview-page', tableName, options),
     
+    // SQL查询
+    registerSQLTables: (tables) => ipcRenderer.invoke('sql:register', tables),
+    executeSQL: (sql) => ipcRenderer.invoke('sql:execute', sql),
+    getSQLTables: () => ipcRenderer.invoke('sql:tables'),
+    dropSQLTable: (tableName) => ipcRenderer.invoke('sql:drop', tableName),
+    getSQLWorkspace: () => ipcRenderer.invoke('sql:workspace'),
+
+    // SQLite数据库
+    getSqliteTables: (filePath) => ipcRenderer.invoke('sqlite:tables', filePath),
+    importSqlite: (filePath, options) => ipcRenderer.invoke('sqlite:import', filePath, options),
+    exportSqlite: (data, options) => ipcRenderer.invoke('sqlite:export', data, options),
+
+    // 文件夹和ZIP批量导入
+    scanBatch: (sourcePaths, options) => ipcRenderer.invoke('batch:scan', sourcePaths, options),
+    importBatch: (files, options) => ipcRenderer.invoke('batch:import', files, options),
+
+    // 处理流程和热文件夹
+    getRecipes: () => ipcRenderer.invoke('recipe:list'),
+    saveRecipe: (recipe) => ipcRenderer.invoke('recipe:save', recipe),
+    removeRecipe: (recipeId) => ipcRenderer.invoke('recipe:remove', recipeId),
+    getHotFolders: () => ipcRenderer.invoke('hot-folder:list'),
+    saveHotFolder: (definition) => ipcRenderer.invoke('hot-folder:save', definition),
+    removeHotFolder: (hotFolderId) => ipcRenderer.invoke('hot-folder:remove', hotFolderId),
+    pauseHotFolders: (paused) => ipcRenderer.invoke('hot-folder:pause', paused),
+    getHotFolderRuns: (limit) => ipcRenderer.invoke('hot-folder:runs', limit),
+
+    // 大文件处理（检查点与恢复）
+    processLargeFile: (filePath, operations, outputPath, options) => ipcRenderer.invoke('stream:process', filePath, operations, outputPath, options),
+    resumeLargeFile: (jobId) => ipcRenderer.invoke('stream:resume', jobId),
+    listCheckpoints: () => ipcRenderer.invoke('stream:checkpoints'),
+    discardCheckpoint: (jobId) => ipcRenderer.invoke('stream:discard', jobId),
+
     // 系统信息
     getSystemInfo: () => ipcRenderer.invoke('system:info'),
     getMemoryUsage: () => ipcRenderer.invoke('system:memory'),
@@ -33,6 +77,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onError: (callback) => {
         ipcRenderer.on('error:occurred', (event, error) => callback(error));
     },
+
+    onStreamProgress: (callback) => {
+        ipcRenderer.on('stream:progress', (event, data) => callback(data));
+    },
+
+    onSqliteProgress: (callback) => {
+        ipcRenderer.on('sqlite:progress', (event, data) => callback(data));
+    },
+
+    onBatchProgress: (callback) => {
+        ipcRenderer.on('batch:progress', (event, data) => callback(data));
+    },
+
+    onHotFolderRun: (callback) => {
+        ipcRenderer.on('hot-folder:run', (event, run) => callback(run));
+    },
+
+    onHotFolderStatus: (callback) => {
+        ipcRenderer.on('hot-folder:status', (event, status) => callback(status));
+    },
     
     // 移除监听器
     removeAllListeners: (channel) => {
@@ -57,6 +121,10 @@ ipcRenderer.on('menu:open-file', () => {
     window.dispatchEvent(new CustomEvent('menu-open-file'));
 });
 
+ipcRenderer.on('menu:open-folder', () => {
+    window.dispatchEvent(new CustomEvent('menu-open-folder'));
+});
+
 ipcRenderer.on('menu:save', () => {
     window.dispatchEvent(new CustomEvent('menu-save'));
 });
@@ -65,6 +133,11 @@ ipcRenderer.on('menu:about', () => {
     window.dispatchEvent(new CustomEvent('menu-about'));
 });
 
+// 大数据传输：MessagePort无法经contextBridge传递，转发到页面由ArrowTransferReceiver接收
+ipcRenderer.on('data:transfer-start', (event, info) => {
+    window.postMessage({ type: 'data:transfer-start', info }, '*', event.ports);
+});
+
 // 页面加载完成后的初始化
 window.addEventListener('DOMContentLoaded', () => {
     console.log('P_Excel桌面版渲染进程已加载');
@@ -12,7 +12,7 @@ const APP_CONSTANTS = {
 // 文件处理常量
 const FILE_CONSTANTS = {
     // 支持的文件格式
-    SUPPORTED_EXTENSIONS: ['.xlsx', '.xls', '.csv'],
+    SUPPORTED_EXTENSIONS: ['.xlsx', '.xls', '.xlsb', '.ods', '.csv', '.tsv', '.json', '.jsonl', '.ndjson', '.txt', '.prn', '.parquet', '.db', '.sqlite', '.sqlite3'],
     
     // 文件大小限制
     MAX_FILE_SIZE: 10 * 1024 * 1024 * 1024, // 10GB
@@ -26,7 +26,21 @@ const FILE_CONSTANTS = {
     // 文件类型
     FILE_TYPES: {
         EXCEL: 'excel',
-        CSV: 'csv'
+        CSV: 'csv',
+        JSON: 'json',
+        FIXED_WIDTH: 'fixed-width',
+        PARQUET: 'parquet',
+        SQLITE: 'sqlite'
+    },
+
+    // 各文件类型的扩展名（.txt/.prn 按定宽文本处理）
+    TYPE_EXTENSIONS: {
+        excel: ['.xlsx', '.xls', '.xlsb', '.ods'],
+        csv: ['.csv', '.tsv'],
+        json: ['.json', '.jsonl', '.ndjson'],
+        'fixed-width': ['.txt', '.prn'],
+        parquet: ['.parquet'],
+        sqlite: ['.db', '.sqlite', '.sqlite3']
     }
 };
 
@@ -208,6 +222,7 @@ const PROCESSING_TYPES = {
 const EXPORT_FORMATS = {
     EXCEL: 'xlsx',
     CSV: 'csv',
+    PARQUET: 'parquet',
     JSON: 'json',
     XML: 'xml'
 };
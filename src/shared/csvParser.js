@@ -0,0 +1,321 @@
+/**
+ * CSV解析器 - 符合RFC 4180的增量解析器，主进程、Worker和网页版共用
+ * 引号内可以包含分隔符和换行，引号内连续两个引号表示引号本身；CRLF、LF、CR均视为记录结束
+ * 文本可以分多次传入，记录跨越两次传入时在后一次返回
+ */
+
+// 自动检测时尝试的分隔符和引号，结果相同时靠前的优先
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+const CSV_QUOTES = ['"', '\''];
+
+// 检测方言使用的样本大小（字符）和记录数
+const SNIFF_SAMPLE_SIZE = 64 * 1024;
+const SNIFF_MAX_RECORDS = 200;
+
+// 解析状态
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+class CsvParser {
+    /**
+     * @param {Object} options - 解析选项
+     * @param {string} options.delimiter - 分隔符，默认逗号
+     * @param {string} options.quote - 引号字符，默认双引号，为空字符串时不识别引号
+     * @param {boolean} options.skipEmptyLines - 跳过空行，默认跳过
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote ?? '"';
+        this.skipEmptyLines = options.skipEmptyLines !== false;
+
+        this.state = FIELD_START;
+        this.field = '';
+        this.record = [];
+        // 当前记录中是否有带引号的字段（只有 "" 的行是一个空字符串值，不是空行）
+        this.quoted = false;
+        this.recordCount = 0;
+        this.skipLineFeed = false;
+        this.atStart = true;
+    }
+
+    /**
+     * 解析一段文本
+     * @param {string} text - 文本
+     * @returns {Array<Array<string>>} 本次已完整的记录
+     */
+    push(text) {
+        const records = [];
+        const { delimiter, quote } = this;
+        const length = text.length;
+        let i = 0;
+
+        // 去除开头的BOM
+        if (this.atStart && length > 0) {
+            this.atStart = false;
+            if (text.charCodeAt(0) === 0xfeff) {
+                i = 1;
+            }
+        }
+
+        while (i < length) {
+            // CR之后紧跟的LF属于同一个换行
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (text[i] === '\n') {
+                    i++;
+                    continue;
+                }
+            }
+
+            if (this.state === QUOTED) {
+                const end = text.indexOf(quote, i);
+                if (end < 0) {
+                    this.field += text.slice(i);
+                    break;
+                }
+                this.field += text.slice(i, end);
+                this.state = QUOTE_IN_QUOTED;
+                i = end + 1;
+                continue;
+            }
+
+            if (this.state === QUOTE_IN_QUOTED) {
+                if (text[i] === quote) {
+                    this.field += quote;
+                    this.state = QUOTED;
+                    i++;
+                    continue;
+                }
+                // 结束引号之后到分隔符之前的字符按普通文本接在字段后
+                this.state = UNQUOTED;
+            }
+
+            if (this.state === FIELD_START && quote && text[i] === quote) {
+                this.state = QUOTED;
+                this.quoted = true;
+                i++;
+                continue;
+            }
+
+            let end = i;
+            while (end < length) {
+                const char = text[end];
+                if (char === delimiter || char === '\n' || char === '\r') break;
+                end++;
+            }
+            this.field += text.slice(i, end);
+            this.state = UNQUOTED;
+            i = end;
+
+            if (i < length) {
+                if (text[i] === delimiter) {
+                    this.record.push(this.field);
+                    this.field = '';
+                    this.state = FIELD_START;
+                } else {
+                    this.endRecord(records);
+                    this.skipLineFeed = text[i] === '\r';
+                }
+                i++;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * 输入结束
+     * @returns {Array<Array<string>>} 剩余的记录
+     * @throws {Error} 引号没有闭合
+     */
+    end() {
+        const records = [];
+        if (this.state === QUOTED) {
+            throw new Error(`CSV第 ${this.recordCount + 1} 条记录中的引号没有闭合`);
+        }
+        if (this.state !== FIELD_START || this.record.length > 0) {
+            this.endRecord(records);
+        }
+        return records;
+    }
+
+    /**
+     * 结束当前记录
+     */
+    endRecord(records) {
+        this.record.push(this.field);
+        const record = this.record;
+        const quoted = this.quoted;
+        this.field = '';
+        this.record = [];
+        this.quoted = false;
+        this.state = FIELD_START;
+
+        if (this.skipEmptyLines && !quoted && record.length === 1 && record[0].trim() === '') {
+            return;
+        }
+        this.recordCount++;
+        records.push(record);
+    }
+
+    /**
+     * 解析完整的文本
+     * @param {string} text - CSV文本
+     * @param {Object} options - 同构造函数
+     * @returns {Array<Array<string>>} 全部记录
+     */
+    static parse(text, options = {}) {
+        const parser = new CsvParser(options);
+        const records = parser.push(text);
+        return records.concat(parser.end());
+    }
+
+    /**
+     * 检测方言：分别按各候选分隔符和引号解析样本，选择每条记录字段数最一致的组合
+     * @param {string} sample - 文件开头的文本
+     * @param {Object} options - { complete: 样本是否为全文，否则忽略最后一条可能不完整的记录 }
+     * @returns {Object} { delimiter, quote, lineEnding: 'crlf'|'lf'|'cr', hasHeader }
+     */
+    static sniff(sample, options = {}) {
+        const text = sample.length > SNIFF_SAMPLE_SIZE ? sample.slice(0, SNIFF_SAMPLE_SIZE) : sample;
+        const complete = options.complete !== false && text.length === sample.length;
+        let best = { delimiter: ',', quote: '"', score: 0, records: [] };
+
+        for (const quote of CSV_QUOTES) {
+            for (const delimiter of CSV_DELIMITERS) {
+                const parser = new CsvParser({ delimiter, quote });
+                let records = parser.push(text);
+                if (complete) {
+                    try {
+                        records = records.concat(parser.end());
+                    } catch (error) {
+                        // 引号没有闭合，说明引号字符不对
+                        continue;
+                    }
+                }
+                records = records.slice(0, SNIFF_MAX_RECORDS);
+
+                const score = CsvParser.scoreRecords(records);
+                if (score > best.score) {
+                    best = { delimiter, quote, score, records };
+                }
+            }
+        }
+
+        const lineEnding = /\r\n|\n|\r/.exec(text);
+        return {
+            delimiter: best.delimiter,
+            quote: best.quote,
+            lineEnding: !lineEnding ? 'lf' : lineEnding[0] === '\r\n' ? 'crlf' : lineEnding[0] === '\r' ? 'cr' : 'lf',
+            hasHeader: best.records.length > 0 ? CsvParser.detectHeader(best.records) : true
+        };
+    }
+
+    /**
+     * 字段数一致性评分：字段数为众数的记录所占比例，单列时为0
+     */
+    static scoreRecords(records) {
+        if (records.length === 0) {
+            return 0;
+        }
+        const counts = new Map();
+        records.forEach(record => counts.set(record.length, (counts.get(record.length) || 0) + 1));
+        let mode = 0;
+        let frequency = 0;
+        counts.forEach((count, fields) => {
+            if (count > frequency || (count === frequency && fields > mode)) {
+                mode = fields;
+                frequency = count;
+            }
+        });
+        return mode < 2 ? 0 : frequency / records.length;
+    }
+
+    /**
+     * 判断首行是否为表头：逐列比较首行与其余行的值类型和长度，多数列不一致时为表头
+     * 无法判断时（例如全是文本列），首行各值非空、互不相同且不是数字则视为表头
+     * @param {Array<Array<string>>} records - 样本记录
+     * @returns {boolean}
+     */
+    static detectHeader(records) {
+        const [header, ...rows] = records;
+        if (rows.length === 0) {
+            return true;
+        }
+
+        let votes = 0;
+        header.forEach((value, column) => {
+            const values = rows.slice(0, 50)
+                .map(row => row[column])
+                .filter(item => item !== undefined && item.trim() !== '');
+            if (values.length === 0) {
+                return;
+            }
+
+            const kinds = new Map();
+            values.forEach(item => {
+                const kind = CsvParser.valueKind(item);
+                kinds.set(kind, (kinds.get(kind) || 0) + 1);
+            });
+            const [majority] = [...kinds.entries()].sort((a, b) => b[1] - a[1])[0];
+
+            if (majority !== 'text') {
+                votes += CsvParser.valueKind(value) !== majority ? 1 : -1;
+            } else {
+                const lengths = new Set(values.map(item => item.length));
+                if (lengths.size === 1) {
+                    votes += lengths.has(value.length) ? -1 : 1;
+                }
+            }
+        });
+
+        if (votes !== 0) {
+            return votes > 0;
+        }
+        const names = header.map(value => value.trim());
+        return names.every(name => name !== '' && CsvParser.valueKind(name) === 'text') &&
+            new Set(names).size === names.length;
+    }
+
+    /**
+     * 值的大致类型：number、date、bool 或 text，由 ValueParser 识别
+     */
+    static valueKind(value) {
+        // 网页版中 ValueParser 是全局类，Node中按需加载
+        const parser = typeof ValueParser !== 'undefined' ? ValueParser : require('./valueParser');
+        return parser.kind(value);
+    }
+
+    /**
+     * 整理表头：空列名为 Column_N，重复的列名加序号
+     * @param {Array<string>} record - 表头记录
+     * @param {number} columnCount - 列数，多于表头时补齐
+     * @returns {Array<string>}
+     */
+    static normalizeHeaders(record, columnCount = record.length) {
+        const headers = [];
+        const used = new Set();
+        for (let i = 0; i < Math.max(record.length, columnCount); i++) {
+            const name = record[i] !== undefined && record[i].trim() !== '' ? record[i].trim() : `Column_${i + 1}`;
+            let unique = name;
+            for (let n = 1; used.has(unique); n++) {
+                unique = `${name}_${n}`;
+            }
+            used.add(unique);
+            headers.push(unique);
+        }
+        return headers;
+    }
+}
+
+CsvParser.DELIMITERS = CSV_DELIMITERS;
+CsvParser.SAMPLE_SIZE = SNIFF_SAMPLE_SIZE;
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvParser;
+} else {
+    window.CsvParser = CsvParser;
+}
@@ -0,0 +1,260 @@
+/**
+ * 文本编码检测 - 根据BOM和字节分布判断CSV/TXT文件的编码，主进程、Worker和网页版共用
+ * 依次判断：BOM、无BOM的UTF-16（零字节位置）、合法的UTF-8，
+ * 其余按GB18030、Big5、Shift-JIS的字节结构统计常用字区间所占比例，都不像时按Windows-1252处理
+ */
+
+/**
+ * 支持的编码及显示名称，键为 TextDecoder 的编码标签
+ */
+const ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE',
+    'gb18030': 'GB18030（简体中文）',
+    'big5': 'Big5（繁体中文）',
+    'shift_jis': 'Shift-JIS（日文）',
+    'windows-1252': 'Windows-1252（西欧）'
+};
+
+// 检测使用的样本字节数
+const DETECT_SAMPLE_SIZE = 64 * 1024;
+
+// 多字节编码的常用字比例低于该值时不采用
+const MIN_MULTIBYTE_SCORE = 0.5;
+
+/**
+ * 多字节编码的字节结构
+ * - lead: 双字节首字节范围；trail: 尾字节范围
+ * - common(lead, trail): 是否落在常用字或全角标点区
+ * - single: 额外的合法单字节范围（Shift-JIS半角片假名）
+ * - fourByte: 是否支持GB18030四字节序列
+ */
+const MULTIBYTE_ENCODINGS = [
+    {
+        encoding: 'gb18030',
+        lead: [[0x81, 0xfe]],
+        trail: [[0x40, 0x7e], [0x80, 0xfe]],
+        // GB2312 一级汉字（最常用的3755字）和全角标点
+        common: (lead, trail) => trail >= 0xa1 && ((lead >= 0xb0 && lead <= 0xd7) || (lead >= 0xa1 && lead <= 0xa3)),
+        fourByte: true
+    },
+    {
+        encoding: 'big5',
+        lead: [[0xa1, 0xf9]],
+        trail: [[0x40, 0x7e], [0xa1, 0xfe]],
+        // 常用国字和标点符号
+        common: (lead) => lead >= 0xa1 && lead <= 0xc6
+    },
+    {
+        encoding: 'shift_jis',
+        lead: [[0x81, 0x9f], [0xe0, 0xfc]],
+        trail: [[0x40, 0x7e], [0x80, 0xfc]],
+        // 标点、平假名、片假名和JIS第一水准汉字
+        common: (lead) => (lead >= 0x81 && lead <= 0x83) || (lead >= 0x88 && lead <= 0x98),
+        single: [[0xa1, 0xdf]]
+    }
+];
+
+const inRanges = (byte, ranges) => ranges.some(([min, max]) => byte >= min && byte <= max);
+
+class EncodingDetector {
+    /**
+     * 检测编码
+     * @param {Uint8Array} bytes - 文件开头的字节
+     * @param {Object} options - { complete: 是否为全文，否则末尾被截断的多字节字符不算错误 }
+     * @returns {Object} { encoding, confidence: 0-1, bom: 是否有BOM }
+     */
+    static detect(bytes, options = {}) {
+        const sample = bytes.length > DETECT_SAMPLE_SIZE ? bytes.subarray(0, DETECT_SAMPLE_SIZE) : bytes;
+        const complete = options.complete !== false && sample.length === bytes.length;
+
+        if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+            return { encoding: 'utf-8', confidence: 1, bom: true };
+        }
+        if (sample[0] === 0xff && sample[1] === 0xfe) {
+            return { encoding: 'utf-16le', confidence: 1, bom: true };
+        }
+        if (sample[0] === 0xfe && sample[1] === 0xff) {
+            return { encoding: 'utf-16be', confidence: 1, bom: true };
+        }
+
+        const utf16 = EncodingDetector.detectUTF16(sample);
+        if (utf16) {
+            return { ...utf16, bom: false };
+        }
+
+        const utf8 = EncodingDetector.checkUTF8(sample, complete);
+        if (utf8.valid) {
+            return { encoding: 'utf-8', confidence: utf8.multibyte > 0 ? 1 : 0.9, bom: false };
+        }
+
+        let best = { encoding: 'windows-1252', confidence: 0 };
+        for (const candidate of MULTIBYTE_ENCODINGS) {
+            const score = EncodingDetector.scoreMultibyte(sample, candidate, complete);
+            if (score > best.confidence) {
+                best = { encoding: candidate.encoding, confidence: score };
+            }
+        }
+        if (best.confidence < MIN_MULTIBYTE_SCORE) {
+            best = { encoding: 'windows-1252', confidence: 0.5 };
+        }
+        return { ...best, bom: false };
+    }
+
+    /**
+     * 无BOM的UTF-16：ASCII字符的高字节为零，零字节集中在奇数或偶数位置
+     */
+    static detectUTF16(sample) {
+        const pairs = Math.floor(sample.length / 2);
+        if (pairs < 2) {
+            return null;
+        }
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i + 1 < sample.length; i += 2) {
+            if (sample[i] === 0) evenZeros++;
+            if (sample[i + 1] === 0) oddZeros++;
+        }
+
+        if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+            return { encoding: 'utf-16le', confidence: Math.min(1, oddZeros / pairs + 0.3) };
+        }
+        if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+            return { encoding: 'utf-16be', confidence: Math.min(1, evenZeros / pairs + 0.3) };
+        }
+        return null;
+    }
+
+    /**
+     * 检查是否为合法的UTF-8
+     * @returns {Object} { valid, multibyte: 多字节字符数 }
+     */
+    static checkUTF8(sample, complete) {
+        let multibyte = 0;
+        let i = 0;
+
+        while (i < sample.length) {
+            const byte = sample[i];
+            if (byte < 0x80) {
+                i++;
+                continue;
+            }
+
+            let length;
+            if (byte >= 0xc2 && byte <= 0xdf) length = 2;
+            else if (byte >= 0xe0 && byte <= 0xef) length = 3;
+            else if (byte >= 0xf0 && byte <= 0xf4) length = 4;
+            else return { valid: false, multibyte };
+
+            if (i + length > sample.length) {
+                // 样本末尾截断的字符
+                return { valid: !complete, multibyte };
+            }
+            for (let j = 1; j < length; j++) {
+                if ((sample[i + j] & 0xc0) !== 0x80) {
+                    return { valid: false, multibyte };
+                }
+            }
+
+            multibyte++;
+            i += length;
+        }
+
+        return { valid: true, multibyte };
+    }
+
+    /**
+     * 按多字节编码的结构扫描样本，返回常用字所占比例，非法序列按两倍扣分
+     */
+    static scoreMultibyte(sample, candidate, complete) {
+        let characters = 0;
+        let common = 0;
+        let errors = 0;
+        let i = 0;
+
+        while (i < sample.length) {
+            const byte = sample[i];
+            if (byte < 0x80) {
+                i++;
+                continue;
+            }
+            if (candidate.single && inRanges(byte, candidate.single)) {
+                characters++;
+                i++;
+                continue;
+            }
+            if (i + 1 >= sample.length) {
+                if (complete) errors++;
+                break;
+            }
+
+            const next = sample[i + 1];
+            if (candidate.fourByte && next >= 0x30 && next <= 0x39) {
+                // GB18030 四字节序列：首字节 0x81-0xFE，0x30-0x39，0x81-0xFE，0x30-0x39
+                const valid = i + 3 < sample.length &&
+                    inRanges(byte, candidate.lead) &&
+                    sample[i + 2] >= 0x81 && sample[i + 2] <= 0xfe &&
+                    sample[i + 3] >= 0x30 && sample[i + 3] <= 0x39;
+                if (valid) {
+                    characters++;
+                } else if (complete || i + 3 < sample.length) {
+                    errors++;
+                }
+                i += 4;
+                continue;
+            }
+
+            if (inRanges(byte, candidate.lead) && inRanges(next, candidate.trail)) {
+                characters++;
+                if (candidate.common(byte, next)) {
+                    common++;
+                }
+                i += 2;
+            } else {
+                errors++;
+                i++;
+            }
+        }
+
+        if (characters + errors === 0) {
+            return 0;
+        }
+        return Math.max(0, (common - errors * 2) / (characters + errors));
+    }
+
+    /**
+     * 创建解码器，可用 decode(chunk, { stream: true }) 逐块解码，BOM会被去除
+     * @param {string} encoding - 编码，ENCODINGS 之外 TextDecoder 支持的标签也可以使用
+     * @returns {TextDecoder}
+     */
+    static createDecoder(encoding) {
+        try {
+            return new TextDecoder(encoding);
+        } catch (error) {
+            throw new Error(`不支持的文本编码: ${encoding}`);
+        }
+    }
+
+    /**
+     * 解码
+     * @param {Uint8Array|ArrayBuffer} bytes - 字节
+     * @param {string} encoding - 编码，省略时自动检测
+     * @returns {string} 文本
+     */
+    static decode(bytes, encoding = null) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        return EncodingDetector.createDecoder(encoding || EncodingDetector.detect(data).encoding).decode(data);
+    }
+}
+
+EncodingDetector.ENCODINGS = ENCODINGS;
+EncodingDetector.SAMPLE_SIZE = DETECT_SAMPLE_SIZE;
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EncodingDetector;
+} else {
+    window.EncodingDetector = EncodingDetector;
+}
@@ -0,0 +1,138 @@
+/**
+ * 定宽文本解析器 - 按列起始位置切分定宽文本（如银行对账单），主进程、Worker和网页版共用
+ * 位置按显示宽度计算：全角字符（中日韩文字、全角标点）占两列，与GBK等编码下的字节宽度和等宽字体下的对齐一致
+ */
+
+// 自动检测列边界使用的行数
+const DETECT_LINES = 200;
+
+// 占两列的字符范围
+const WIDE_RANGES = [
+    [0x1100, 0x115f],
+    [0x2e80, 0x303e],
+    [0x3041, 0x33ff],
+    [0x3400, 0x4dbf],
+    [0x4e00, 0x9fff],
+    [0xa000, 0xa4cf],
+    [0xac00, 0xd7a3],
+    [0xf900, 0xfaff],
+    [0xfe30, 0xfe4f],
+    [0xff00, 0xff60],
+    [0xffe0, 0xffe6],
+    [0x20000, 0x3fffd]
+];
+
+class FixedWidthParser {
+    /**
+     * 字符的显示宽度
+     * @param {string} char - 单个字符（可以是代理对）
+     * @returns {number} 1或2
+     */
+    static charWidth(char) {
+        const code = char.codePointAt(0);
+        return WIDE_RANGES.some(([min, max]) => code >= min && code <= max) ? 2 : 1;
+    }
+
+    /**
+     * 把一行拆成字符及其起始列
+     * @param {string} line - 行文本
+     * @returns {Array<Object>} [{ char, column, width }]
+     */
+    static toCells(line) {
+        const cells = [];
+        let column = 0;
+        for (const char of line) {
+            const width = FixedWidthParser.charWidth(char);
+            cells.push({ char, column, width });
+            column += width;
+        }
+        return cells;
+    }
+
+    /**
+     * 校验列边界：去掉非正整数和重复值并排序
+     * @param {Array<number>|string} boundaries - 除第一列外各列的起始位置（从0开始），也可以是逗号分隔的文本
+     * @returns {Array<number>}
+     */
+    static normalizeBoundaries(boundaries) {
+        const list = typeof boundaries === 'string' ? boundaries.split(/[,，\s]+/) : (boundaries || []);
+        const positions = list.map(value => parseInt(value, 10)).filter(value => Number.isInteger(value) && value > 0);
+        return Array.from(new Set(positions)).sort((a, b) => a - b);
+    }
+
+    /**
+     * 推测列边界：所有行在某一列之前都是空格、从该列开始至少一行有字符时，该列为一列的起始位置
+     * @param {Array<string>} lines - 样本行
+     * @returns {Array<number>} 列边界
+     */
+    static detectBoundaries(lines) {
+        const occupied = [];
+        lines.slice(0, DETECT_LINES).forEach(line => {
+            FixedWidthParser.toCells(line).forEach(({ char, column, width }) => {
+                if (char.trim() !== '') {
+                    for (let i = 0; i < width; i++) {
+                        occupied[column + i] = true;
+                    }
+                }
+            });
+        });
+
+        const boundaries = [];
+        for (let column = 1; column < occupied.length; column++) {
+            if (occupied[column] && !occupied[column - 1]) {
+                boundaries.push(column);
+            }
+        }
+        return boundaries;
+    }
+
+    /**
+     * 按列边界切分一行，跨越边界的全角字符归入它开始的列，各字段去除首尾空格
+     * @param {string} line - 行文本
+     * @param {Array<number>} boundaries - 列边界
+     * @returns {Array<string>} 字段
+     */
+    static splitLine(line, boundaries) {
+        const fields = new Array(boundaries.length + 1).fill('');
+        let field = 0;
+        FixedWidthParser.toCells(line).forEach(({ char, column }) => {
+            while (field < boundaries.length && column >= boundaries[field]) {
+                field++;
+            }
+            fields[field] += char;
+        });
+        return fields.map(value => value.trim());
+    }
+
+    /**
+     * 拆分行，空行跳过
+     * @param {string} text - 文本
+     * @returns {Array<string>}
+     */
+    static splitLines(text) {
+        return text.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).filter(line => line.trim() !== '');
+    }
+
+    /**
+     * 解析定宽文本
+     * @param {string} text - 文本
+     * @param {Object} options - { boundaries: 列边界，省略时自动检测 }
+     * @returns {Array<Array<string>>} 记录
+     */
+    static parse(text, options = {}) {
+        const lines = FixedWidthParser.splitLines(text);
+        const boundaries = options.boundaries
+            ? FixedWidthParser.normalizeBoundaries(options.boundaries)
+            : FixedWidthParser.detectBoundaries(lines);
+        return lines.map(line => FixedWidthParser.splitLine(line, boundaries));
+    }
+}
+
+FixedWidthParser.DETECT_LINES = DETECT_LINES;
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FixedWidthParser;
+} else {
+    window.FixedWidthParser = FixedWidthParser;
+}
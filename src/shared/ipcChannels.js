@@ -9,7 +9,11 @@ const FILE_CHANNELS = {
     PARSE: 'file:parse',
     EXPORT: 'file:export',
     DELETE: 'file:delete',
-    INFO: 'file:info'
+    INFO: 'file:info',
+    READ_PARQUET: 'file:read-parquet',
+    EXPORT_PARQUET: 'file:export-parquet',
+    RECENT: 'file:recent',
+    REMEMBER: 'file:remember'
 };
 
 // 数据处理通道
@@ -19,7 +23,65 @@ const DATA_CHANNELS = {
     SORT: 'data:sort',
     MERGE: 'data:merge',
     TRANSFORM: 'data:transform',
-    VALIDATE: 'data:validate'
+    VALIDATE: 'data:validate',
+    WINDOW: 'data:window',
+    RESHAPE: 'data:reshape',
+    ANALYZE_SCHEMA: 'data:analyze-schema',
+    SAVE_SCHEMA: 'data:save-schema',
+    TRANSFER_TABLE: 'data:transfer-table',
+    PREVIEW_REGISTER: 'data:preview-register',
+    PREVIEW_PAGE: 'data:preview-page'
+};
+
+// SQL查询通道
+const SQL_CHANNELS = {
+    REGISTER: 'sql:register',
+    EXECUTE: 'sql:execute',
+    TABLES: 'sql:tables',
+    DROP: 'sql:drop',
+    WORKSPACE: 'sql:workspace'
+};
+
+// SQLite数据库导入导出通道
+const SQLITE_CHANNELS = {
+    TABLES: 'sqlite:tables',
+    IMPORT: 'sqlite:import',
+    EXPORT: 'sqlite:export',
+    PROGRESS: 'sqlite:progress'
+};
+
+// 文件夹和ZIP批量导入通道
+const BATCH_CHANNELS = {
+    SCAN: 'batch:scan',
+    IMPORT: 'batch:import',
+    PROGRESS: 'batch:progress'
+};
+
+// 处理流程（保存的流式处理操作）通道
+const RECIPE_CHANNELS = {
+    LIST: 'recipe:list',
+    SAVE: 'recipe:save',
+    REMOVE: 'recipe:remove'
+};
+
+// 热文件夹通道
+const HOT_FOLDER_CHANNELS = {
+    LIST: 'hot-folder:list',
+    SAVE: 'hot-folder:save',
+    REMOVE: 'hot-folder:remove',
+    PAUSE: 'hot-folder:pause',
+    RUNS: 'hot-folder:runs',
+    RUN: 'hot-folder:run',
+    STATUS: 'hot-folder:status'
+};
+
+// 大文件流式处理通道
+const STREAM_CHANNELS = {
+    PROCESS: 'stream:process',
+    RESUME: 'stream:resume',
+    CHECKPOINTS: 'stream:checkpoints',
+    DISCARD: 'stream:discard',
+    PROGRESS: 'stream:progress'
 };
 
 // 系统信息通道
@@ -105,6 +167,7 @@ const ERROR_CHANNELS = {
 // 菜单事件通道
 const MENU_CHANNELS = {
     OPEN_FILE: 'menu:open-file',
+    OPEN_FOLDER: 'menu:open-folder',
     SAVE: 'menu:save',
     SAVE_AS: 'menu:save-as',
     EXPORT: 'menu:export',
@@ -129,10 +192,11 @@ const LOG_CHANNELS = {
     CLEAR: 'log:clear'
 };
 
-// 数据传输通道（大数据分块传输）
+// 数据传输通道（Arrow记录批次经MessagePort传输，START之外的名称用作端口消息类型）
 const TRANSFER_CHANNELS = {
     START: 'data:transfer-start',
     CHUNK: 'data:transfer-chunk',
+    ACK: 'data:transfer-ack',
     COMPLETE: 'data:transfer-complete',
     ERROR: 'data:transfer-error',
     CANCEL: 'data:transfer-cancel'
@@ -166,6 +230,12 @@ const QUICK_ACTION_CHANNELS = {
 const ALL_CHANNELS = {
     FILE: FILE_CHANNELS,
     DATA: DATA_CHANNELS,
+    SQL: SQL_CHANNELS,
+    SQLITE: SQLITE_CHANNELS,
+    BATCH: BATCH_CHANNELS,
+    RECIPE: RECIPE_CHANNELS,
+    HOT_FOLDER: HOT_FOLDER_CHANNELS,
+    STREAM: STREAM_CHANNELS,
     SYSTEM: SYSTEM_CHANNELS,
     CONFIG: CONFIG_CHANNELS,
     WINDOW: WINDOW_CHANNELS,
@@ -217,6 +287,12 @@ function getChannelsByPrefix(prefix) {
 module.exports = {
     FILE_CHANNELS,
     DATA_CHANNELS,
+    SQL_CHANNELS,
+    SQLITE_CHANNELS,
+    BATCH_CHANNELS,
+    RECIPE_CHANNELS,
+    HOT_FOLDER_CHANNELS,
+    STREAM_CHANNELS,
     SYSTEM_CHANNELS,
     CONFIG_CHANNELS,
     WINDOW_CHANNELS,
@@ -0,0 +1,168 @@
+/**
+ * JSON展平 - 把JSON数组或JSON Lines中的记录展平为一行一条的表格数据，主进程、Worker和网页版共用
+ * 嵌套对象按路径展开为列，如 {"user":{"name":"a"}} 得到列 user.name；
+ * 数组默认保留为JSON文本，开启 expandArrays 后按下标展开，如 tags[0]、items[1].sku
+ */
+
+// 路径分隔符
+const DEFAULT_SEPARATOR = '.';
+
+class JsonFlattener {
+    /**
+     * 解析JSON或JSON Lines文本
+     * @param {string} text - 文本
+     * @param {Object} options - 选项
+     * @param {string} options.format - 'json' 或 'jsonl'，省略时自动判断
+     * @param {string} options.recordPath - 记录数组所在的路径，如 "data.items"，省略时自动查找
+     * @param {string} options.separator - 路径分隔符，默认 "."
+     * @param {boolean} options.expandArrays - 是否按下标展开数组
+     * @returns {Object} { format, records: 展平后的记录, columns: 所有记录的列名（按出现顺序） }
+     */
+    static parse(text, options = {}) {
+        const content = text.replace(/^\uFEFF/, '');
+        let format = options.format;
+        let root;
+
+        // 未指定格式时整体能解析为JSON的按JSON处理，否则按行解析
+        if (format !== 'jsonl') {
+            try {
+                root = JSON.parse(content);
+                format = 'json';
+            } catch (error) {
+                // 以 [ 开头的不会是JSON Lines
+                if (format === 'json' || content.trimStart().startsWith('[')) {
+                    throw new Error(`JSON格式错误: ${error.message}`);
+                }
+                format = 'jsonl';
+            }
+        }
+
+        const values = format === 'jsonl'
+            ? JsonFlattener.parseLines(content)
+            : JsonFlattener.findRecords(root, options.recordPath);
+
+        const records = values.map(value => JsonFlattener.flatten(value, options));
+        return { format, records, columns: JsonFlattener.collectColumns(records) };
+    }
+
+    /**
+     * 解析JSON Lines文本，空行跳过
+     * @throws {Error} 第一个格式错误的行
+     */
+    static parseLines(text) {
+        const values = [];
+        text.split(/\r\n|\n|\r/).forEach((line, index) => {
+            const value = JsonFlattener.parseLine(line, index + 1);
+            if (value !== undefined) {
+                values.push(value);
+            }
+        });
+        return values;
+    }
+
+    /**
+     * 解析JSON Lines中的一行
+     * @param {string} line - 行文本
+     * @param {number} lineNumber - 行号，用于错误信息
+     * @returns {*} 解析结果，空行为undefined
+     */
+    static parseLine(line, lineNumber) {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            return undefined;
+        }
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`JSON Lines第 ${lineNumber} 行格式错误: ${error.message}`);
+        }
+    }
+
+    /**
+     * 找出记录数组
+     * 指定路径时取该路径的值；根为数组时直接使用；根为对象且只有一个值为对象数组的属性时使用该属性，
+     * 否则整个对象作为一条记录
+     * @returns {Array} 记录
+     */
+    static findRecords(root, recordPath = null) {
+        let value = root;
+        if (recordPath) {
+            for (const key of recordPath.split('.')) {
+                if (value === null || typeof value !== 'object' || !(key in value)) {
+                    throw new Error(`JSON中没有找到路径: ${recordPath}`);
+                }
+                value = value[key];
+            }
+            return Array.isArray(value) ? value : [value];
+        }
+
+        if (Array.isArray(value)) {
+            return value;
+        }
+        if (value !== null && typeof value === 'object') {
+            const arrays = Object.values(value).filter(item =>
+                Array.isArray(item) && item.length > 0 && item.every(record => record !== null && typeof record === 'object' && !Array.isArray(record))
+            );
+            if (arrays.length === 1) {
+                return arrays[0];
+            }
+        }
+        return [value];
+    }
+
+    /**
+     * 展平一条记录
+     * @param {*} value - 记录，非对象的值放在 value 列
+     * @param {Object} options - { separator, expandArrays }
+     * @returns {Object} 列名到基本类型值的映射，空对象和空数组为null
+     */
+    static flatten(value, options = {}) {
+        const separator = options.separator || DEFAULT_SEPARATOR;
+        const expandArrays = Boolean(options.expandArrays);
+        const result = {};
+
+        const visit = (current, path) => {
+            if (Array.isArray(current)) {
+                if (!expandArrays || current.length === 0) {
+                    result[path || 'value'] = current.length === 0 ? null : JSON.stringify(current);
+                    return;
+                }
+                current.forEach((item, index) => visit(item, `${path}[${index}]`));
+                return;
+            }
+
+            if (current !== null && typeof current === 'object') {
+                const keys = Object.keys(current);
+                if (keys.length === 0) {
+                    if (path) {
+                        result[path] = null;
+                    }
+                    return;
+                }
+                keys.forEach(key => visit(current[key], path ? `${path}${separator}${key}` : key));
+                return;
+            }
+
+            result[path || 'value'] = current === undefined ? null : current;
+        };
+
+        visit(value, '');
+        return result;
+    }
+
+    /**
+     * 合并所有记录的列名，保持首次出现的顺序
+     */
+    static collectColumns(records) {
+        const columns = new Set();
+        records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+        return Array.from(columns);
+    }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonFlattener;
+} else {
+    window.JsonFlattener = JsonFlattener;
+}
@@ -0,0 +1,374 @@
+/**
+ * 值解析器 - 把文本识别为数字、日期或布尔值，主进程、Worker和网页版共用
+ * 数字支持千分位、货币符号（¥ $ € £、元）、百分号/千分号、万/亿、会计格式的括号负数和全角字符
+ * 日期支持ISO、YYYY/MM/DD、YYYY.MM.DD、2025年6月1日、MM/DD/YYYY，以及日期列中的Excel序列号
+ * 解析结果保留原文，转换后无法还原原文的值（如 ¥1,234.50、12.5%）显示时应使用原文
+ */
+
+// Excel序列号的有效范围：1（1900-01-01）到 2958465（9999-12-31）
+const EXCEL_SERIAL_MIN = 1;
+const EXCEL_SERIAL_MAX = 2958465;
+
+// 按列名推断时，只有1950到2100年之间的序列号才视为日期，避免“时间(分钟)”这类列中的小数字被当成1900年的日期
+const SERIAL_GUESS_MIN = 18264;
+const SERIAL_GUESS_MAX = 73051;
+
+// 1970-01-01 对应的Excel序列号（1900日期系统）和1904日期系统的起点
+const EXCEL_EPOCH_SERIAL = 25569;
+const EXCEL_1904_EPOCH = Date.UTC(1904, 0, 1);
+const MS_PER_DAY = 86400000;
+
+// 超过这个位数的整数（身份证号、订单号等）按文本处理，避免精度丢失
+const MAX_INTEGER_DIGITS = 15;
+
+// 货币前缀和单位后缀
+const CURRENCY_PREFIX = /^(?:[¥$€£]|RMB|CNY|USD|US\$|HK\$)\s*/i;
+const UNIT_SUFFIX = /\s*(万元|亿元|%|‰|万|亿|元)$/;
+const UNIT_EXPONENTS = { '%': -2, '‰': -3, '万': 4, '亿': 8, '万元': 4, '亿元': 8, '元': 0 };
+const NUMBER_CORE = /^(?:(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?$/i;
+
+// 日期部分，其后的文本作为时间解析
+const ISO_DATE = /^(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?=$|[T\s])(.*)$/i;
+const CHINESE_DATE = /^(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*[日号]?(.*)$/;
+const US_DATE = /^(\d{1,2})([-/])(\d{1,2})\2(\d{4})(?=$|\s)(.*)$/;
+
+// 时间部分：14:30、14:30:05.123、14时30分5秒、14点30分，可带时区
+const COLON_TIME = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const CHINESE_TIME = /^(\d{1,2})\s*[时点]\s*(?:(\d{1,2})\s*分\s*(?:(\d{1,2})\s*秒)?)?$/;
+
+// 可能是日期的列名
+const DATE_COLUMN_NAME = /日期|时间|(^|[^a-z])(date|time|datetime|timestamp)([^a-z]|$)/i;
+
+const TRUE_TEXTS = ['true', '1', 'yes', 'y', '是'];
+const FALSE_TEXTS = ['false', '0', 'no', 'n', '否'];
+
+class ValueParser {
+    /**
+     * 解析单个值
+     * @param {*} input - 原始值，通常为文本
+     * @param {Object} options - { serialDate: 1950到2100年范围内的数字按Excel序列号解析为日期（日期列）, date1904: 使用1904日期系统,
+     *                            dayFirst: 无法区分时 01/02/2025 按日/月/年解析 }
+     * @returns {Object} { value: 转换后的值, type: null/number/date/bool/string, format: 识别出的格式,
+     *                     text: 原文, formatted: 转换后的值无法还原为原文，显示时应使用原文 }
+     */
+    static parse(input, options = {}) {
+        if (input === null || input === undefined) {
+            return { value: null, type: 'null', format: null, text: '', formatted: false };
+        }
+        if (input instanceof Date) {
+            const valid = !isNaN(input.getTime());
+            return { value: valid ? input : null, type: valid ? 'date' : 'null', format: null, text: '', formatted: false };
+        }
+        if (typeof input === 'boolean') {
+            return { value: input, type: 'bool', format: null, text: String(input), formatted: false };
+        }
+        if (typeof input === 'number') {
+            if (!Number.isFinite(input)) {
+                return { value: null, type: 'null', format: null, text: String(input), formatted: false };
+            }
+            if (options.serialDate && ValueParser.isLikelySerialDate(input)) {
+                return { value: ValueParser.fromExcelSerial(input, options.date1904), type: 'date', format: 'excel-serial', text: String(input), formatted: true };
+            }
+            return { value: input, type: 'number', format: 'number', text: String(input), formatted: false };
+        }
+
+        const text = String(input);
+        const trimmed = text.trim();
+        if (trimmed === '') {
+            return { value: null, type: 'null', format: null, text, formatted: false };
+        }
+
+        if (/^(true|false)$/i.test(trimmed)) {
+            return { value: trimmed.toLowerCase() === 'true', type: 'bool', format: null, text, formatted: false };
+        }
+
+        const number = ValueParser.parseNumber(trimmed);
+        if (number) {
+            if (options.serialDate && number.format === 'number' && ValueParser.isLikelySerialDate(number.value)) {
+                return { value: ValueParser.fromExcelSerial(number.value, options.date1904), type: 'date', format: 'excel-serial', text, formatted: true };
+            }
+            return { value: number.value, type: 'number', format: number.format, text, formatted: trimmed !== String(number.value) };
+        }
+
+        const date = ValueParser.parseDate(trimmed, options);
+        if (date) {
+            return { value: date.value, type: 'date', format: date.format, text, formatted: date.format !== 'iso' };
+        }
+
+        return { value: text, type: 'string', format: null, text, formatted: false };
+    }
+
+    /**
+     * 解析数字文本
+     * 以0开头的多位整数（编码）和超过15位的整数（证件号）不视为数字
+     * @returns {Object|null} { value, format: number/thousands/scientific/currency/percent/permille/unit }
+     */
+    static parseNumber(input) {
+        let text = ValueParser.toHalfWidth(String(input)).trim();
+        if (!/\d/.test(text)) {
+            return null;
+        }
+
+        let negative = false;
+        let format = 'number';
+
+        // 会计格式：(1,234.00) 表示负数
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            format = 'currency';
+            text = text.slice(1, -1).trim();
+        }
+
+        const readSign = () => {
+            const sign = /^([-+])\s*/.exec(text);
+            if (sign) {
+                negative = sign[1] === '-' ? !negative : negative;
+                text = text.slice(sign[0].length);
+            }
+        };
+
+        readSign();
+        const currency = CURRENCY_PREFIX.exec(text);
+        if (currency) {
+            format = 'currency';
+            text = text.slice(currency[0].length);
+            readSign();
+        }
+
+        let exponentShift = 0;
+        const unit = UNIT_SUFFIX.exec(text);
+        if (unit) {
+            exponentShift = UNIT_EXPONENTS[unit[1]];
+            text = text.slice(0, unit.index);
+            if (unit[1].endsWith('元')) {
+                format = 'currency';
+            } else if (format !== 'currency') {
+                format = unit[1] === '%' ? 'percent' : unit[1] === '‰' ? 'permille' : 'unit';
+            }
+        }
+
+        if (!NUMBER_CORE.test(text)) {
+            return null;
+        }
+
+        const [mantissa, exponent = '0'] = text.replace(/,/g, '').toLowerCase().split('e');
+        if (format === 'number') {
+            const integerPart = mantissa.split('.')[0];
+            if (/^0\d/.test(integerPart) || (integerPart.length > MAX_INTEGER_DIGITS && !text.includes('.'))) {
+                return null;
+            }
+            if (text.includes(',')) {
+                format = 'thousands';
+            } else if (/e/i.test(text)) {
+                format = 'scientific';
+            }
+        }
+
+        // 用指数移位而不是乘除，避免 1.1万 变成 11000.000000000002
+        const value = Number(`${mantissa}e${Number(exponent) + exponentShift}`);
+        if (!Number.isFinite(value)) {
+            return null;
+        }
+        return { value: negative ? -value : value, format };
+    }
+
+    /**
+     * 解析日期文本，不带时区的日期时间按UTC解释，避免导入后日期因时区偏移一天
+     * @param {string} input - 日期文本
+     * @param {Object} options - { dayFirst }
+     * @returns {Object|null} { value: Date, format: iso/ymd/chinese/mdy/dmy }
+     */
+    static parseDate(input, options = {}) {
+        const text = ValueParser.toHalfWidth(String(input)).trim();
+        let year, month, day, rest, format;
+
+        let match = ISO_DATE.exec(text);
+        if (match) {
+            [, year, , month, day, rest] = match;
+            format = match[2] === '-' ? 'iso' : 'ymd';
+        } else if ((match = CHINESE_DATE.exec(text))) {
+            [, year, month, day, rest] = match;
+            format = 'chinese';
+        } else if ((match = US_DATE.exec(text))) {
+            let first, second;
+            [, first, , second, year, rest] = match;
+            // 第一段大于12时只能是日
+            const dayFirst = Number(first) > 12 || (options.dayFirst && Number(second) <= 12);
+            [month, day] = dayFirst ? [second, first] : [first, second];
+            format = dayFirst ? 'dmy' : 'mdy';
+        } else {
+            return null;
+        }
+
+        year = Number(year);
+        month = Number(month);
+        day = Number(day);
+        if (month < 1 || month > 12 || day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) {
+            return null;
+        }
+
+        const time = ValueParser.parseTime(rest.replace(/^T/i, ''));
+        if (!time) {
+            return null;
+        }
+
+        const utc = Date.UTC(year, month - 1, day, time.hours, time.minutes, time.seconds, time.milliseconds);
+        const value = new Date(utc - time.offsetMinutes * 60000);
+        // Date.UTC 会把0-99年映射到1900年代
+        if (year < 100) {
+            value.setUTCFullYear(year);
+        }
+        return { value, format };
+    }
+
+    /**
+     * 解析日期后面的时间部分，没有时间时为零点
+     * @returns {Object|null} { hours, minutes, seconds, milliseconds, offsetMinutes }
+     */
+    static parseTime(input) {
+        const text = input.trim();
+        const time = { hours: 0, minutes: 0, seconds: 0, milliseconds: 0, offsetMinutes: 0 };
+        if (text === '') {
+            return time;
+        }
+
+        let match = COLON_TIME.exec(text);
+        if (match) {
+            time.milliseconds = match[4] ? Number(match[4].padEnd(3, '0')) : 0;
+            if (match[5] && match[5].toUpperCase() !== 'Z') {
+                const offset = match[5].replace(':', '');
+                time.offsetMinutes = (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5)));
+            }
+        } else if (!(match = CHINESE_TIME.exec(text))) {
+            return null;
+        }
+
+        time.hours = Number(match[1]);
+        time.minutes = Number(match[2] || 0);
+        time.seconds = Number(match[3] || 0);
+        if (time.hours > 23 || time.minutes > 59 || time.seconds > 59) {
+            return null;
+        }
+        return time;
+    }
+
+    /**
+     * 是否在Excel日期序列号的有效范围内
+     */
+    static isExcelSerial(value) {
+        return typeof value === 'number' && value >= EXCEL_SERIAL_MIN && value <= EXCEL_SERIAL_MAX;
+    }
+
+    /**
+     * 是否像常见日期的Excel序列号（1950到2100年），用于按列名推断日期
+     */
+    static isLikelySerialDate(value) {
+        return typeof value === 'number' && value >= SERIAL_GUESS_MIN && value < SERIAL_GUESS_MAX;
+    }
+
+    /**
+     * Excel序列号转为日期（UTC），小数部分为一天中的时间
+     * 1900日期系统沿用了Lotus把1900年当作闰年的错误，60（1900-02-29）之前的序列号需要多算一天
+     * @param {number} serial - 序列号
+     * @param {boolean} date1904 - 使用1904日期系统（旧版Mac Excel）
+     * @returns {Date}
+     */
+    static fromExcelSerial(serial, date1904 = false) {
+        if (date1904) {
+            return new Date(EXCEL_1904_EPOCH + Math.round(serial * MS_PER_DAY));
+        }
+        const days = serial < 61 ? serial - EXCEL_EPOCH_SERIAL + 1 : serial - EXCEL_EPOCH_SERIAL;
+        return new Date(Math.round(days * MS_PER_DAY));
+    }
+
+    /**
+     * 根据列名判断是否可能是日期列（这类列中的数字按Excel序列号解析）
+     */
+    static isDateColumnName(name) {
+        return typeof name === 'string' && DATE_COLUMN_NAME.test(name);
+    }
+
+    /**
+     * 是否为可识别的日期文本
+     */
+    static isDateString(value) {
+        return typeof value === 'string' && ValueParser.parseDate(value) !== null;
+    }
+
+    /**
+     * 文本的大致类型：number、date、bool 或 text
+     */
+    static kind(value) {
+        const { type } = ValueParser.parse(value);
+        return type === 'string' || type === 'null' ? 'text' : type;
+    }
+
+    /**
+     * 转换为数字，无法识别时返回null
+     */
+    static toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value === 'boolean') return Number(value);
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+
+        const number = ValueParser.parseNumber(value);
+        return number ? number.value : null;
+    }
+
+    /**
+     * 转换为日期，无法识别时返回null
+     * Excel序列号范围内的数字按序列号解析，更大的数字视为毫秒时间戳
+     */
+    static toDate(value, options = {}) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return null;
+            return ValueParser.isExcelSerial(value) ? ValueParser.fromExcelSerial(value, options.date1904) : new Date(value);
+        }
+
+        const text = String(value).trim();
+        const date = ValueParser.parseDate(text, options);
+        if (date) return date.value;
+
+        const number = ValueParser.parseNumber(text);
+        if (number) return ValueParser.toDate(number.value, options);
+
+        const time = Date.parse(text);
+        return isNaN(time) ? null : new Date(time);
+    }
+
+    /**
+     * 转换为布尔值，无法识别时返回null
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim().toLowerCase();
+        if (TRUE_TEXTS.includes(text)) return true;
+        if (FALSE_TEXTS.includes(text)) return false;
+        return null;
+    }
+
+    /**
+     * 全角数字、字母和符号转为半角（￥保留为货币符号）
+     */
+    static toHalfWidth(text) {
+        return text
+            .replace(/[\uFF01-\uFF5E]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+            .replace(/\u3000/g, ' ')
+            .replace(/\uFFE5/g, '¥');
+    }
+}
+
+ValueParser.EXCEL_SERIAL_MAX = EXCEL_SERIAL_MAX;
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValueParser;
+} else {
+    window.ValueParser = ValueParser;
+}
@@ -6,6 +6,12 @@ const { parentPort, workerData } = require('worker_threads');
 const xlsx = require('xlsx');
 const fs = require('fs');
 const path = require('path');
+const CsvParser = require('../shared/csvParser');
+const EncodingDetector = require('../shared/encodingDetector');
+const JsonFlattener = require('../shared/jsonFlattener');
+const FixedWidthParser = require('../shared/fixedWidthParser');
+const ValueParser = require('../shared/valueParser');
+const { FILE_CONSTANTS } = require('../shared/constants');
 
 class DataParserWorker {
     constructor() {
@@ -41,6 +47,12 @@ class DataParserWorker {
             case 'parse-csv':
                 await this.parseCSVFile(data, id);
                 break;
+            case 'parse-json':
+                await this.parseJSONFile(data, id);
+                break;
+            case 'parse-fixed-width':
+                await this.parseFixedWidthFile(data, id);
+                break;
             case 'parse-chunk':
                 await this.parseDataChunk(data, id);
                 break;
@@ -65,13 +77,14 @@ class DataParserWorker {
             this.isProcessing = true;
             this.sendProgress({ stage: 'reading', progress: 0 }, messageId);
 
-            // 读取Excel文件
+            // 读取Excel文件；SheetJS按本地时间生成日期，这里保留序列号和数字格式，日期由 parseWorksheet 按UTC转换
             const workbook = xlsx.readFile(filePath, {
-                cellDates: true,
-                cellNF: false,
+                cellDates: false,
+                cellNF: true,
                 cellText: false,
                 sheetStubs: false
             });
+            const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
 
             this.sendProgress({ stage: 'parsing', progress: 25 }, messageId);
 
@@ -87,6 +100,7 @@ class DataParserWorker {
                 const sheetData = await this.parseWorksheet(worksheet, {
                     ...options,
                     sheetName,
+                    date1904,
                     onProgress: (progress) => {
                         const totalProgress = 25 + (progress / sheetNames.length) * 70;
                         this.sendProgress({ 
@@ -112,7 +126,8 @@ class DataParserWorker {
                     fileName: path.basename(filePath),
                     fileSize: fs.statSync(filePath).size,
                     sheetCount: sheetNames.length,
-                    totalRows: Object.values(results).reduce((sum, sheet) => sum + sheet.data.length, 0)
+                    totalRows: Object.values(results).reduce((sum, sheet) => sum + sheet.data.length, 0),
+                    mergedRangeCount: Object.values(results).reduce((sum, sheet) => sum + sheet.mergedRanges.length, 0)
                 }
             }, messageId);
 
@@ -125,16 +140,21 @@ class DataParserWorker {
 
     /**
      * 解析工作表
+     * options.expandMerges 为 true 时先把合并单元格的值填入合并范围内的每个单元格
      */
     async parseWorksheet(worksheet, options = {}) {
         const {
             startRow = 0,
             endRow = null,
             columns = null,
+            expandMerges = false,
+            date1904 = false,
             onProgress = null
         } = options;
 
         try {
+            const mergedRanges = expandMerges ? this.expandMergedCells(worksheet) : [];
+
             // 获取数据范围
             const range = xlsx.utils.decode_range(worksheet['!ref'] || 'A1:A1');
             const totalRows = range.e.r - range.s.r + 1;
@@ -153,6 +173,7 @@ class DataParserWorker {
                 headers;
 
             const data = [];
+            const originalText = {};
             const actualStartRow = Math.max(startRow, range.s.r + 1); // 跳过表头
             const actualEndRow = endRow ? Math.min(endRow, range.e.r) : range.e.r;
 
@@ -178,14 +199,20 @@ class DataParserWorker {
                             // 日期类型
                             value = cell.v;
                         } else if (cell.t === 'n') {
-                            // 数字类型
-                            value = cell.v;
+                            // 数字类型，日期格式的数字是Excel序列号
+                            value = cell.z && xlsx.SSF.is_date(cell.z) ?
+                                ValueParser.fromExcelSerial(cell.v, date1904) : cell.v;
                         } else if (cell.t === 'b') {
                             // 布尔类型
                             value = cell.v;
                         } else {
-                            // 文本类型
-                            value = String(cell.v);
+                            // 文本类型，识别其中的数字和日期（如 ¥1,234.50、2025年6月1日）
+                            const parsed = ValueParser.parse(String(cell.v), { serialDate: ValueParser.isDateColumnName(header) });
+                            value = parsed.type === 'string' ? parsed.text : parsed.value;
+                            if (parsed.formatted) {
+                                if (!originalText[data.length]) originalText[data.length] = {};
+                                originalText[data.length][header] = parsed.text;
+                            }
                         }
                     }
                     
@@ -210,12 +237,14 @@ class DataParserWorker {
                 data,
                 headers: selectedColumns,
                 totalRows: data.length,
+                originalText,
                 range: {
                     startRow: actualStartRow,
                     endRow: actualEndRow,
                     startCol: range.s.c,
                     endCol: range.e.c
-                }
+                },
+                mergedRanges
             };
 
         } catch (error) {
@@ -224,6 +253,38 @@ class DataParserWorker {
         }
     }
 
+    /**
+     * 展开合并单元格：左上角单元格复制到合并范围内的其他单元格，左上角为空的合并范围不处理
+     * @returns {Array} 展开的合并范围 [{ range: 如 "A3:A6", value, cells: 填充的单元格数 }]
+     */
+    expandMergedCells(worksheet) {
+        const expanded = [];
+
+        for (const merge of worksheet['!merges'] || []) {
+            const source = worksheet[xlsx.utils.encode_cell(merge.s)];
+            if (!source || source.v === undefined || source.v === null || source.v === '') {
+                continue;
+            }
+
+            let cells = 0;
+            for (let row = merge.s.r; row <= merge.e.r; row++) {
+                for (let col = merge.s.c; col <= merge.e.c; col++) {
+                    if (row === merge.s.r && col === merge.s.c) {
+                        continue;
+                    }
+                    worksheet[xlsx.utils.encode_cell({ r: row, c: col })] = { ...source };
+                    cells++;
+                }
+            }
+
+            if (cells > 0) {
+                expanded.push({ range: xlsx.utils.encode_range(merge), value: source.v, cells });
+            }
+        }
+
+        return expanded;
+    }
+
     /**
      * 解析CSV文件
      */
@@ -235,60 +296,59 @@ class DataParserWorker {
             this.sendProgress({ stage: 'reading', progress: 0 }, messageId);
 
             const {
-                delimiter = ',',
-                encoding = 'utf8',
                 skipEmptyLines = true,
                 maxRows = null
             } = options;
 
-            // 读取文件内容
-            const fileContent = fs.readFileSync(filePath, encoding);
-            const lines = fileContent.split('\n').filter(line => 
-                !skipEmptyLines || line.trim() !== ''
-            );
+            const fileSize = fs.statSync(filePath).size;
+            const dialect = await this.resolveCSVDialect(filePath, options);
+            const decoder = EncodingDetector.createDecoder(dialect.encoding);
+            const parser = new CsvParser({ ...dialect, skipEmptyLines });
 
             this.sendProgress({ stage: 'parsing', progress: 25 }, messageId);
 
-            if (lines.length === 0) {
-                throw new Error('CSV文件为空');
-            }
-
-            // 解析表头
-            const headers = lines[0].split(delimiter).map(header => header.trim().replace(/^"|"$/g, ''));
-            
-            // 解析数据行
+            let headers = null;
             const data = [];
-            const totalLines = maxRows ? Math.min(lines.length - 1, maxRows) : lines.length - 1;
-
-            for (let i = 1; i <= totalLines; i++) {
-                const line = lines[i];
-                if (!line || line.trim() === '') continue;
-
-                const values = this.parseCSVLine(line, delimiter);
-                const rowData = {};
+            const originalText = {};
+
+            // 逐块解析，引号内的换行会跨块保留在同一字段中；达到maxRows时返回false
+            const addRecords = (records) => {
+                for (const record of records) {
+                    if (!headers) {
+                        headers = CsvParser.normalizeHeaders(dialect.hasHeader ? record : [], record.length);
+                        if (dialect.hasHeader) continue;
+                    }
+                    if (maxRows && data.length >= maxRows) {
+                        return false;
+                    }
 
-                headers.forEach((header, index) => {
-                    const value = values[index] || null;
-                    rowData[header] = this.parseCSVValue(value);
-                });
+                    data.push(this.buildRow(headers, record, data.length, originalText));
+                }
+                return true;
+            };
 
-                data.push(rowData);
+            let processedBytes = 0;
+            let complete = true;
+            for await (const chunk of fs.createReadStream(filePath)) {
+                processedBytes += chunk.length;
+                if (!addRecords(parser.push(decoder.decode(chunk, { stream: true })))) {
+                    complete = false;
+                    break;
+                }
 
                 // 报告进度
-                if (i % 1000 === 0) {
-                    const progress = 25 + (i / totalLines) * 70;
-                    this.sendProgress({ 
-                        stage: 'parsing', 
-                        progress,
-                        processedRows: i,
-                        totalRows: totalLines
-                    }, messageId);
-                }
+                this.sendProgress({
+                    stage: 'parsing',
+                    progress: 25 + (processedBytes / Math.max(fileSize, 1)) * 70,
+                    processedRows: data.length
+                }, messageId);
+            }
+            if (complete) {
+                addRecords(parser.push(decoder.decode()).concat(parser.end()));
+            }
 
-                // 让出控制权
-                if (i % 10000 === 0) {
-                    await new Promise(resolve => setImmediate(resolve));
-                }
+            if (!headers) {
+                throw new Error('CSV文件为空');
             }
 
             this.sendProgress({ stage: 'complete', progress: 100 }, messageId);
@@ -300,14 +360,16 @@ class DataParserWorker {
                     'Sheet1': {
                         data,
                         headers,
-                        totalRows: data.length
+                        totalRows: data.length,
+                        originalText
                     }
                 },
                 metadata: {
                     fileName: path.basename(filePath),
-                    fileSize: fs.statSync(filePath).size,
+                    fileSize,
                     sheetCount: 1,
-                    totalRows: data.length
+                    totalRows: data.length,
+                    dialect
                 }
             }, messageId);
 
@@ -319,87 +381,293 @@ class DataParserWorker {
     }
 
     /**
-     * 解析CSV行
+     * 确定CSV编码和方言：选项中未指定的编码、分隔符、引号和表头从文件开头的样本检测
      */
-    parseCSVLine(line, delimiter) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // 转义的引号
-                    current += '"';
-                    i += 2;
-                } else {
-                    // 开始或结束引号
-                    inQuotes = !inQuotes;
-                    i++;
+    async resolveCSVDialect(filePath, options = {}) {
+        const { quote, hasHeader } = options;
+        const delimiter = options.delimiter || (path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : undefined);
+        if (options.encoding && delimiter && quote !== undefined && hasHeader !== undefined) {
+            return { encoding: options.encoding, delimiter, quote, hasHeader };
+        }
+
+        // 样本末尾被截断的字符留在解码器中，不产生替换字符
+        const { bytes, complete } = await this.readFileSample(filePath, CsvParser.SAMPLE_SIZE);
+        const encoding = options.encoding || EncodingDetector.detect(bytes, { complete }).encoding;
+        const sample = EncodingDetector.createDecoder(encoding).decode(bytes, { stream: !complete });
+        const sniffed = CsvParser.sniff(sample, { complete });
+        return {
+            encoding,
+            delimiter: delimiter || sniffed.delimiter,
+            quote: quote ?? sniffed.quote,
+            hasHeader: hasHeader ?? sniffed.hasHeader,
+            lineEnding: sniffed.lineEnding
+        };
+    }
+
+    /**
+     * 解析JSON或JSON Lines文件，嵌套对象按路径展开为列
+     * options: { format: 'json' | 'jsonl'，省略时按扩展名和内容判断, recordPath, separator, expandArrays, encoding, maxRows }
+     */
+    async parseJSONFile(data, messageId) {
+        const { filePath, options = {} } = data;
+
+        try {
+            this.isProcessing = true;
+            this.sendProgress({ stage: 'reading', progress: 0 }, messageId);
+
+            const fileSize = fs.statSync(filePath).size;
+            const { format, records, columns } = await this.readJSONRecords(filePath, options, (processedBytes, processedRows) => {
+                this.sendProgress({
+                    stage: 'parsing',
+                    progress: 25 + (processedBytes / Math.max(fileSize, 1)) * 70,
+                    processedRows
+                }, messageId);
+            });
+
+            // 各记录的列不同时补齐缺少的列
+            const rows = records.map(record => {
+                const rowData = {};
+                columns.forEach(column => {
+                    rowData[column] = record[column] ?? null;
+                });
+                return rowData;
+            });
+
+            this.sendProgress({ stage: 'complete', progress: 100 }, messageId);
+
+            this.sendResult({
+                success: true,
+                data: {
+                    'Sheet1': {
+                        data: rows,
+                        headers: columns,
+                        totalRows: rows.length
+                    }
+                },
+                metadata: {
+                    fileName: path.basename(filePath),
+                    fileSize,
+                    sheetCount: 1,
+                    totalRows: rows.length,
+                    format
                 }
-            } else if (char === delimiter && !inQuotes) {
-                // 字段分隔符
-                values.push(current);
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
+            }, messageId);
+
+        } catch (error) {
+            this.sendError(error, messageId);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * 读取JSON记录：JSON Lines逐行流式解析，JSON整体读入后解析
+     * @returns {Promise<Object>} { format, records: 展平后的记录, columns }
+     */
+    async readJSONRecords(filePath, options = {}, onProgress = null) {
+        const { maxRows = null } = options;
+        const ext = path.extname(filePath).toLowerCase();
+        const format = options.format || (['.jsonl', '.ndjson'].includes(ext) ? 'jsonl' : null);
+
+        if (format !== 'jsonl') {
+            const bytes = await fs.promises.readFile(filePath);
+            const result = JsonFlattener.parse(EncodingDetector.decode(bytes, options.encoding), { ...options, format });
+            if (maxRows && result.records.length > maxRows) {
+                result.records = result.records.slice(0, maxRows);
             }
+            return result;
         }
 
-        // 添加最后一个字段
-        values.push(current);
+        const records = [];
+        const encoding = options.encoding || await this.detectFileEncoding(filePath);
+        for await (const { line, lineNumber, processedBytes } of this.readTextLines(filePath, encoding)) {
+            const value = JsonFlattener.parseLine(line, lineNumber);
+            if (value === undefined) {
+                continue;
+            }
+            if (maxRows && records.length >= maxRows) {
+                break;
+            }
+            records.push(JsonFlattener.flatten(value, options));
+            if (onProgress && records.length % 10000 === 0) {
+                onProgress(processedBytes, records.length);
+            }
+        }
+
+        return { format: 'jsonl', records, columns: JsonFlattener.collectColumns(records) };
+    }
+
+    /**
+     * 解析定宽文本文件
+     * options: { encoding, boundaries: 列起始位置，省略时按文件开头的行检测, hasHeader: 默认第一行为表头, maxRows }
+     */
+    async parseFixedWidthFile(data, messageId) {
+        const { filePath, options = {} } = data;
+
+        try {
+            this.isProcessing = true;
+            this.sendProgress({ stage: 'reading', progress: 0 }, messageId);
+
+            const { hasHeader = true, maxRows = null } = options;
+            const fileSize = fs.statSync(filePath).size;
+            const { encoding, boundaries } = await this.resolveFixedWidthLayout(filePath, options);
+
+            this.sendProgress({ stage: 'parsing', progress: 25 }, messageId);
+
+            let headers = null;
+            const rows = [];
+            const originalText = {};
+            for await (const { line, processedBytes } of this.readTextLines(filePath, encoding)) {
+                if (line.trim() === '') {
+                    continue;
+                }
+
+                const fields = FixedWidthParser.splitLine(line, boundaries);
+                if (!headers) {
+                    headers = CsvParser.normalizeHeaders(hasHeader ? fields : [], fields.length);
+                    if (hasHeader) continue;
+                }
+                if (maxRows && rows.length >= maxRows) {
+                    break;
+                }
+
+                rows.push(this.buildRow(headers, fields, rows.length, originalText));
+
+                if (rows.length % 10000 === 0) {
+                    this.sendProgress({
+                        stage: 'parsing',
+                        progress: 25 + (processedBytes / Math.max(fileSize, 1)) * 70,
+                        processedRows: rows.length
+                    }, messageId);
+                }
+            }
+
+            if (!headers) {
+                throw new Error('定宽文本文件为空');
+            }
+
+            this.sendProgress({ stage: 'complete', progress: 100 }, messageId);
+
+            this.sendResult({
+                success: true,
+                data: {
+                    'Sheet1': {
+                        data: rows,
+                        headers,
+                        totalRows: rows.length,
+                        originalText
+                    }
+                },
+                metadata: {
+                    fileName: path.basename(filePath),
+                    fileSize,
+                    sheetCount: 1,
+                    totalRows: rows.length,
+                    encoding,
+                    boundaries
+                }
+            }, messageId);
 
-        return values;
+        } catch (error) {
+            this.sendError(error, messageId);
+        } finally {
+            this.isProcessing = false;
+        }
     }
 
     /**
-     * 解析CSV值
+     * 确定定宽文本的编码和列边界：未指定的从文件开头的样本检测
      */
-    parseCSVValue(value) {
-        if (!value || value === '') {
-            return null;
+    async resolveFixedWidthLayout(filePath, options = {}) {
+        if (options.encoding && options.boundaries) {
+            return { encoding: options.encoding, boundaries: FixedWidthParser.normalizeBoundaries(options.boundaries) };
         }
 
-        // 移除首尾引号
-        const trimmed = value.trim().replace(/^"|"$/g, '');
+        const { bytes, complete } = await this.readFileSample(filePath, EncodingDetector.SAMPLE_SIZE);
+        const encoding = options.encoding || EncodingDetector.detect(bytes, { complete }).encoding;
+        if (options.boundaries) {
+            return { encoding, boundaries: FixedWidthParser.normalizeBoundaries(options.boundaries) };
+        }
 
-        // 尝试解析为数字
-        if (/^-?\d+\.?\d*$/.test(trimmed)) {
-            const num = Number(trimmed);
-            return isNaN(num) ? trimmed : num;
+        // 样本最后一行可能被截断，不参与检测
+        const lines = FixedWidthParser.splitLines(EncodingDetector.createDecoder(encoding).decode(bytes, { stream: !complete }));
+        if (!complete) {
+            lines.pop();
         }
+        return { encoding, boundaries: FixedWidthParser.detectBoundaries(lines) };
+    }
 
-        // 尝试解析为布尔值
-        if (trimmed.toLowerCase() === 'true') return true;
-        if (trimmed.toLowerCase() === 'false') return false;
+    /**
+     * 从文件开头的样本检测编码
+     */
+    async detectFileEncoding(filePath) {
+        const { bytes, complete } = await this.readFileSample(filePath, EncodingDetector.SAMPLE_SIZE);
+        return EncodingDetector.detect(bytes, { complete }).encoding;
+    }
+
+    /**
+     * 逐行读取文本文件，CRLF、LF、CR均视为行结束
+     * @returns {AsyncGenerator<Object>} { line, lineNumber: 从1开始, processedBytes: 已读取的字节数 }
+     */
+    async *readTextLines(filePath, encoding) {
+        const decoder = EncodingDetector.createDecoder(encoding);
+        let carry = '';
+        let lineNumber = 0;
+        let processedBytes = 0;
+
+        for await (const chunk of fs.createReadStream(filePath)) {
+            processedBytes += chunk.length;
+            let text = carry + decoder.decode(chunk, { stream: true });
+
+            // 块末尾的CR可能和下一块开头的LF组成CRLF，留到下一块再判断
+            const pendingCR = text.endsWith('\r');
+            if (pendingCR) {
+                text = text.slice(0, -1);
+            }
 
-        // 尝试解析为日期
-        if (this.isDateString(trimmed)) {
-            const date = new Date(trimmed);
-            return isNaN(date.getTime()) ? trimmed : date;
+            const lines = text.split(/\r\n|\n|\r/);
+            carry = lines.pop() + (pendingCR ? '\r' : '');
+            for (const line of lines) {
+                yield { line, lineNumber: ++lineNumber, processedBytes };
+            }
         }
 
-        return trimmed;
+        const rest = (carry + decoder.decode()).split(/\r\n|\n|\r/);
+        for (const line of rest) {
+            yield { line, lineNumber: ++lineNumber, processedBytes };
+        }
+    }
+
+    /**
+     * 读取文件开头的字节
+     * @returns {Promise<Object>} { bytes, complete: 是否已读完整个文件 }
+     */
+    async readFileSample(filePath, size) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(size);
+            const { bytesRead } = await handle.read(buffer, 0, size, 0);
+            return { bytes: buffer.subarray(0, bytesRead), complete: bytesRead < size };
+        } finally {
+            await handle.close();
+        }
     }
 
     /**
-     * 检查是否是日期字符串
+     * 按表头把一条记录解析为行对象
+     * 转换后无法还原原文的值（如 ¥1,234.50、2025年6月1日）把原文记录在 originalText[行号][列名]，供显示使用
      */
-    isDateString(str) {
-        const datePatterns = [
-            /^\d{4}-\d{2}-\d{2}$/,
-            /^\d{4}\/\d{2}\/\d{2}$/,
-            /^\d{2}\/\d{2}\/\d{4}$/,
-            /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/
-        ];
-
-        return datePatterns.some(pattern => pattern.test(str));
+    buildRow(headers, fields, rowIndex, originalText) {
+        const rowData = {};
+        headers.forEach((header, index) => {
+            const parsed = ValueParser.parse(fields[index], { serialDate: ValueParser.isDateColumnName(header) });
+            rowData[header] = parsed.type === 'string' ? parsed.value.trim() : parsed.value;
+            if (parsed.formatted) {
+                if (!originalText[rowIndex]) originalText[rowIndex] = {};
+                originalText[rowIndex][header] = parsed.text.trim();
+            }
+        });
+        return rowData;
     }
 
     /**
@@ -444,9 +712,9 @@ class DataParserWorker {
             const stats = fs.statSync(filePath);
             const fileExt = path.extname(filePath).toLowerCase();
 
-            // 检查文件格式
-            const supportedFormats = ['.xlsx', '.xls', '.csv'];
-            if (!supportedFormats.includes(fileExt)) {
+            // 检查文件格式（Parquet由数据引擎读取，不在Worker中解析）
+            const format = this.getFileFormat(filePath);
+            if (!format || format === FILE_CONSTANTS.FILE_TYPES.PARQUET) {
                 throw new Error(`不支持的文件格式: ${fileExt}`);
             }
 
@@ -458,10 +726,10 @@ class DataParserWorker {
 
             // 尝试读取文件头部验证格式
             let isValid = false;
-            if (fileExt === '.csv') {
-                isValid = await this.validateCSVFile(filePath);
-            } else {
+            if (format === FILE_CONSTANTS.FILE_TYPES.EXCEL) {
                 isValid = await this.validateExcelFile(filePath);
+            } else {
+                isValid = await this.validateTextFile(filePath);
             }
 
             this.sendResult({
@@ -481,12 +749,13 @@ class DataParserWorker {
     }
 
     /**
-     * 验证CSV文件
+     * 验证CSV、JSON、定宽文本等文本文件：第一行不为空
      */
-    async validateCSVFile(filePath) {
+    async validateTextFile(filePath) {
         try {
-            const buffer = fs.readFileSync(filePath, { encoding: 'utf8', flag: 'r' });
-            const firstLine = buffer.split('\n')[0];
+            const { bytes, complete } = await this.readFileSample(filePath, CsvParser.SAMPLE_SIZE);
+            const encoding = EncodingDetector.detect(bytes, { complete }).encoding;
+            const firstLine = EncodingDetector.createDecoder(encoding).decode(bytes, { stream: true }).split(/\r\n|\n|\r/)[0];
             return firstLine && firstLine.trim().length > 0;
         } catch (error) {
             return false;
@@ -523,16 +792,50 @@ class DataParserWorker {
                 sheets: []
             };
 
-            if (fileExt === '.csv') {
+            const format = this.getFileFormat(filePath);
+            if (format === FILE_CONSTANTS.FILE_TYPES.JSON) {
+                const { format: jsonFormat, records, columns } = await this.readJSONRecords(filePath);
+                fileInfo.jsonFormat = jsonFormat;
+                fileInfo.sheets = [{ name: 'Sheet1', rows: records.length, columns: columns.length }];
+            } else if (format === FILE_CONSTANTS.FILE_TYPES.FIXED_WIDTH) {
+                // 定宽文本文件信息，第一行按表头计
+                const { encoding, boundaries } = await this.resolveFixedWidthLayout(filePath);
+                let lines = 0;
+                for await (const { line } of this.readTextLines(filePath, encoding)) {
+                    if (line.trim() !== '') lines++;
+                }
+
+                fileInfo.encoding = encoding;
+                fileInfo.sheets = [{
+                    name: 'Sheet1',
+                    rows: Math.max(lines - 1, 0),
+                    columns: boundaries.length + 1
+                }];
+            } else if (format === FILE_CONSTANTS.FILE_TYPES.CSV) {
                 // CSV文件信息
-                const content = fs.readFileSync(filePath, 'utf8');
-                const lines = content.split('\n').filter(line => line.trim());
-                const headers = lines[0] ? lines[0].split(',').length : 0;
-                
+                const dialect = await this.resolveCSVDialect(filePath);
+                const decoder = EncodingDetector.createDecoder(dialect.encoding);
+                const parser = new CsvParser(dialect);
+                let records = 0;
+                let columns = 0;
+                const count = (batch) => {
+                    batch.forEach(record => {
+                        if (records === 0) columns = record.length;
+                        records++;
+                    });
+                };
+
+                for await (const chunk of fs.createReadStream(filePath)) {
+                    count(parser.push(decoder.decode(chunk, { stream: true })));
+                }
+                count(parser.push(decoder.decode()));
+                count(parser.end());
+
+                fileInfo.encoding = dialect.encoding;
                 fileInfo.sheets = [{
                     name: 'Sheet1',
-                    rows: lines.length - 1,
-                    columns: headers
+                    rows: dialect.hasHeader ? Math.max(records - 1, 0) : records,
+                    columns
                 }];
             } else {
                 // Excel文件信息
@@ -557,6 +860,16 @@ class DataParserWorker {
         }
     }
 
+    /**
+     * 按扩展名判断文件类型
+     * @returns {string|null} FILE_CONSTANTS.FILE_TYPES 中的值
+     */
+    getFileFormat(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const entry = Object.entries(FILE_CONSTANTS.TYPE_EXTENSIONS).find(([, extensions]) => extensions.includes(ext));
+        return entry ? entry[0] : null;
+    }
+
     /**
      * 发送进度更新
      */
@@ -623,4 +936,6 @@ if (parentPort) {
             timestamp: Date.now()
         }
     });
-}
\ No newline at end of file
+}
+
+module.exports = DataParserWorker;
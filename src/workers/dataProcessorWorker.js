@@ -3,6 +3,8 @@
  */
 
 const { parentPort, workerData } = require('worker_threads');
+const StreamProcessor = require('../main/streamProcessor');
+const FileSystemManager = require('../main/fileSystemManager');
 
 class DataProcessorWorker {
     constructor() {
@@ -56,6 +58,9 @@ class DataProcessorWorker {
             case 'fill-empty-values':
                 await this.fillEmptyValues(data, id);
                 break;
+            case 'process-file':
+                await this.processFile(data, id);
+                break;
             default:
                 throw new Error(`未知的消息类型: ${type}`);
         }
@@ -118,6 +123,41 @@ class DataProcessorWorker {
         }
     }
 
+    /**
+     * 按处理操作流式处理文件并写出结果（热文件夹的处理流程在这里执行）
+     * 排序、去重等溢出的临时文件写入缓存目录，处理结束后删除
+     */
+    async processFile(data, messageId) {
+        const { filePath, operations, outputPath, options = {} } = data;
+        const fileSystemManager = new FileSystemManager();
+
+        try {
+            this.isProcessing = true;
+            this.sendProgress({ stage: 'processing', progress: 0 }, messageId);
+            await fileSystemManager.ensureDirectories();
+
+            // Worker中没有应用配置，内存上限由主进程传入
+            const processorOptions = { fileSystemManager };
+            if (options.memoryLimit) {
+                processorOptions.memoryLimit = options.memoryLimit;
+            }
+            const processor = new StreamProcessor(processorOptions);
+            const result = await processor.processLargeFile(filePath, operations, outputPath, {
+                ...options,
+                checkpoint: false
+            });
+
+            this.sendProgress({ stage: 'complete', progress: 100 }, messageId);
+            this.sendResult(result, messageId);
+
+        } catch (error) {
+            this.sendError(error, messageId);
+        } finally {
+            await fileSystemManager.cleanupTempFiles();
+            this.isProcessing = false;
+        }
+    }
+
     /**
      * 评估筛选条件
      */
@@ -330,20 +370,18 @@ class DataProcessorWorker {
             this.sendProgress({ stage: 'merging', progress: 0 }, messageId);
 
             let result;
+            let joinStats = null;
             
             switch (mergeType) {
                 case 'inner':
-                    result = await this.innerJoin(datasets, joinKeys);
-                    break;
                 case 'left':
-                    result = await this.leftJoin(datasets, joinKeys);
-                    break;
                 case 'right':
-                    result = await this.rightJoin(datasets, joinKeys);
-                    break;
-                case 'full':
-                    result = await this.fullJoin(datasets, joinKeys);
+                case 'full': {
+                    const joined = await this.hashJoin(datasets, joinKeys, mergeType, options, messageId);
+                    result = joined.rows;
+                    joinStats = joined.stats;
                     break;
+                }
                 case 'union':
                     result = await this.unionData(datasets);
                     break;
@@ -362,7 +400,8 @@ class DataProcessorWorker {
                 metadata: {
                     mergeType,
                     inputDatasets: datasets.length,
-                    resultRows: result.length
+                    resultRows: result.length,
+                    joinStats
                 }
             }, messageId);
 
@@ -374,89 +413,176 @@ class DataProcessorWorker {
     }
 
     /**
-     * 内连接
+     * 哈希连接
+     * 在较小的一侧按连接键建立哈希索引，另一侧逐行探测；输出按左表行顺序排列
+     * 连接键为空的行不参与匹配；右表中与左表同名的非键列追加后缀
+     * @param {Array} datasets - [左表, 右表]
+     * @param {Array} joinKeys - 列名，或 { left, right } 指定两侧不同的列名
+     * @param {string} joinType - inner/left/right/full
+     * @param {Object} options - { rightSuffix: 同名列后缀 }
+     * @returns {Object} { rows, stats }
      */
-    async innerJoin(datasets, joinKeys) {
+    async hashJoin(datasets, joinKeys, joinType, options = {}, messageId = null) {
         if (datasets.length < 2) {
-            throw new Error('内连接至少需要两个数据集');
+            throw new Error('连接至少需要两个数据集');
         }
 
         const [leftDataset, rightDataset] = datasets;
-        const result = [];
-
-        for (const leftRow of leftDataset) {
-            for (const rightRow of rightDataset) {
-                if (this.matchJoinKeys(leftRow, rightRow, joinKeys)) {
-                    result.push({ ...leftRow, ...rightRow });
-                }
+        const keys = this.normalizeJoinKeys(joinKeys);
+        const leftKeyColumns = keys.map(key => key.left);
+        const rightKeyColumns = keys.map(key => key.right);
+
+        // 在较小的一侧建立索引
+        const buildLeft = leftDataset.length < rightDataset.length;
+        const buildRows = buildLeft ? leftDataset : rightDataset;
+        const buildColumns = buildLeft ? leftKeyColumns : rightKeyColumns;
+        const probeRows = buildLeft ? rightDataset : leftDataset;
+        const probeColumns = buildLeft ? rightKeyColumns : leftKeyColumns;
+
+        const index = new Map();
+        for (let i = 0; i < buildRows.length; i++) {
+            const key = this.buildJoinKey(buildRows[i], buildColumns);
+            if (key === null) continue;
+            if (!index.has(key)) {
+                index.set(key, []);
             }
+            index.get(key).push(i);
         }
 
-        return result;
-    }
+        // 记录左表每行匹配到的右表行号，以及右表各行是否被匹配
+        const leftMatches = new Array(leftDataset.length);
+        const rightMatched = new Uint8Array(rightDataset.length);
+        let matchedPairs = 0;
+
+        for (let p = 0; p < probeRows.length; p++) {
+            const key = this.buildJoinKey(probeRows[p], probeColumns);
+            const hits = key === null ? null : index.get(key);
+
+            if (hits) {
+                for (const b of hits) {
+                    const leftIndex = buildLeft ? b : p;
+                    const rightIndex = buildLeft ? p : b;
+                    if (!leftMatches[leftIndex]) {
+                        leftMatches[leftIndex] = [];
+                    }
+                    leftMatches[leftIndex].push(rightIndex);
+                    rightMatched[rightIndex] = 1;
+                    matchedPairs++;
+                }
+            }
 
-    /**
-     * 左连接
-     */
-    async leftJoin(datasets, joinKeys) {
-        if (datasets.length < 2) {
-            throw new Error('左连接至少需要两个数据集');
+            // 报告进度
+            if (p % 10000 === 0) {
+                this.sendProgress({
+                    stage: 'merging',
+                    progress: (p / probeRows.length) * 90,
+                    processedRows: p + 1,
+                    totalRows: probeRows.length,
+                    matchedRows: matchedPairs
+                }, messageId);
+                await new Promise(resolve => setImmediate(resolve));
+            }
         }
 
-        const [leftDataset, rightDataset] = datasets;
-        const result = [];
-
-        for (const leftRow of leftDataset) {
-            let matched = false;
-            
-            for (const rightRow of rightDataset) {
-                if (this.matchJoinKeys(leftRow, rightRow, joinKeys)) {
-                    result.push({ ...leftRow, ...rightRow });
-                    matched = true;
+        const combine = this.createJoinCombiner(leftDataset, rightDataset, keys, options.rightSuffix);
+        const keepLeft = joinType === 'left' || joinType === 'full';
+        const keepRight = joinType === 'right' || joinType === 'full';
+        const rows = [];
+        let leftUnmatched = 0;
+        let rightUnmatched = 0;
+
+        for (let l = 0; l < leftDataset.length; l++) {
+            const matches = leftMatches[l];
+            if (matches) {
+                for (const r of matches) {
+                    rows.push(combine(leftDataset[l], rightDataset[r]));
                 }
+            } else {
+                leftUnmatched++;
+                if (keepLeft) rows.push(combine(leftDataset[l], null));
             }
-            
-            if (!matched) {
-                result.push(leftRow);
+        }
+
+        for (let r = 0; r < rightDataset.length; r++) {
+            if (!rightMatched[r]) {
+                rightUnmatched++;
+                if (keepRight) rows.push(combine(null, rightDataset[r]));
             }
         }
 
-        return result;
+        return {
+            rows,
+            stats: {
+                leftRows: leftDataset.length,
+                rightRows: rightDataset.length,
+                matchedPairs,
+                leftUnmatched,
+                rightUnmatched,
+                buildSide: buildLeft ? 'left' : 'right'
+            }
+        };
     }
 
     /**
-     * 右连接
+     * 规范化连接键为 { left, right } 形式
      */
-    async rightJoin(datasets, joinKeys) {
-        if (datasets.length < 2) {
-            throw new Error('右连接至少需要两个数据集');
+    normalizeJoinKeys(joinKeys) {
+        if (!Array.isArray(joinKeys) || joinKeys.length === 0) {
+            throw new Error('连接键不能为空');
         }
 
-        const [leftDataset, rightDataset] = datasets;
-        return await this.leftJoin([rightDataset, leftDataset], joinKeys);
+        return joinKeys.map(key => (typeof key === 'string' ? { left: key, right: key } : key));
     }
 
     /**
-     * 全连接
+     * 生成复合连接键，任一键列为空（null、undefined、空字符串或无效日期）时返回null（不参与匹配）
+     * 日期按时间戳比较，不受显示格式和时区影响
      */
-    async fullJoin(datasets, joinKeys) {
-        const leftResult = await this.leftJoin(datasets, joinKeys);
-        const rightResult = await this.rightJoin(datasets, joinKeys);
-        
-        // 合并结果并去重
-        const combined = [...leftResult, ...rightResult];
-        const unique = [];
-        const seen = new Set();
-
-        for (const row of combined) {
-            const key = JSON.stringify(row);
-            if (!seen.has(key)) {
-                seen.add(key);
-                unique.push(row);
+    buildJoinKey(row, columns) {
+        const values = [];
+        for (const column of columns) {
+            let value = row[column];
+            if (value instanceof Date) {
+                value = isNaN(value.getTime()) ? null : { date: value.getTime() };
             }
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+            values.push(value);
+        }
+        if (columns.length === 1) {
+            return values[0].date !== undefined ? `date:${values[0].date}` : `${typeof values[0]}:${values[0]}`;
         }
+        return JSON.stringify(values);
+    }
 
-        return unique;
+    /**
+     * 创建行合并函数，保证输出各行列集合一致
+     * 同名连接键只保留一列（左表缺失时取右表的值），右表其余同名列追加后缀
+     */
+    createJoinCombiner(leftDataset, rightDataset, keys, rightSuffix = '_右表') {
+        const leftColumns = Object.keys(leftDataset[0] || {});
+        const leftColumnSet = new Set(leftColumns);
+        const sharedKeys = new Set(keys.filter(key => key.left === key.right).map(key => key.left));
+        const rightColumns = Object.keys(rightDataset[0] || {})
+            .filter(column => !sharedKeys.has(column))
+            .map(column => [column, leftColumnSet.has(column) ? `${column}${rightSuffix}` : column]);
+
+        return (leftRow, rightRow) => {
+            const row = {};
+            for (const column of leftColumns) {
+                row[column] = leftRow ? leftRow[column] : null;
+            }
+            if (!leftRow) {
+                sharedKeys.forEach(column => {
+                    row[column] = rightRow[column];
+                });
+            }
+            for (const [column, outputName] of rightColumns) {
+                row[outputName] = rightRow ? rightRow[column] : null;
+            }
+            return row;
+        };
     }
 
     /**
@@ -486,17 +612,6 @@ class DataProcessorWorker {
         return datasets.reduce((acc, dataset) => acc.concat(dataset), []);
     }
 
-    /**
-     * 匹配连接键
-     */
-    matchJoinKeys(leftRow, rightRow, joinKeys) {
-        return joinKeys.every(key => {
-            const leftKey = typeof key === 'string' ? key : key.left;
-            const rightKey = typeof key === 'string' ? key : key.right;
-            return leftRow[leftKey] === rightRow[rightKey];
-        });
-    }
-
     /**
      * 聚合数据
      */
@@ -915,4 +1030,6 @@ if (parentPort) {
             timestamp: Date.now()
         }
     });
-}
\ No newline at end of file
+}
+
+module.exports = DataProcessorWorker;
@@ -0,0 +1,38 @@
+/**
+ * 测试用临时目录：每个用例前创建，用例结束后连同其中的文件一起删除
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 在当前 describe 中注册临时目录的创建和清理
+ * @param {string} name - 目录名前缀中的用途，如 sort 生成 p-excel-sort-XXXXXX
+ * @returns {Object} { path: 当前用例的目录, file(...parts): 目录中的文件路径, fileSystemManager: 在目录中分配临时文件的文件系统管理器 }
+ */
+function useTempDirectory(name) {
+    let count = 0;
+    const directory = {
+        path: null,
+        file: (...parts) => path.join(directory.path, ...parts),
+        // 与 FileSystemManager 的临时文件接口一致，只分配路径，由调用方写入
+        fileSystemManager: {
+            createTempFile: async (content, { prefix = 'p-excel-', suffix = '.tmp' } = {}) => directory.file(`${prefix}${count++}${suffix}`),
+            removeTempFile: async (filePath) => fs.promises.rm(filePath, { force: true })
+        }
+    };
+
+    beforeEach(async () => {
+        directory.path = await fs.promises.mkdtemp(path.join(os.tmpdir(), `p-excel-${name}-`));
+        count = 0;
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory.path, { recursive: true, force: true });
+    });
+
+    return directory;
+}
+
+module.exports = { useTempDirectory };
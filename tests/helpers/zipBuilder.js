@@ -0,0 +1,109 @@
+/**
+ * 测试用的ZIP构造：按条目拼出本地头、数据、中央目录和目录结尾，可选写成ZIP64结构
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 构造ZIP
+ * @param {Array<Object>} entries - [{ name, data, method: 0存储或8压缩（默认8）, nameBytes: 不带UTF-8标志的原始文件名字节 }]
+ * @param {Object} options - { zip64: 中央目录中的大小和偏移写为0xFFFFFFFF并放在ZIP64扩展字段和ZIP64目录结尾中 }
+ * @returns {Buffer}
+ */
+function buildZip(entries, options = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const data = Buffer.from(entry.data);
+        const method = entry.method ?? 8;
+        const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+        const name = entry.nameBytes ? Buffer.from(entry.nameBytes) : Buffer.from(entry.name, 'utf8');
+        const flags = entry.nameBytes ? 0 : 0x0800;
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const extra = Buffer.alloc(options.zip64 ? 28 : 0);
+        if (options.zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(data.length), 4);
+            extra.writeBigUInt64LE(BigInt(compressed.length), 12);
+            extra.writeBigUInt64LE(BigInt(offset), 20);
+        }
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(45, 4);
+        central.writeUInt16LE(45, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(options.zip64 ? 0xffffffff : compressed.length, 20);
+        central.writeUInt32LE(options.zip64 ? 0xffffffff : data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(extra.length, 30);
+        central.writeUInt32LE(options.zip64 ? 0xffffffff : offset, 42);
+        centrals.push(central, name, extra);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const tail = [];
+    if (options.zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(entries.length), 24);
+        record.writeBigUInt64LE(BigInt(entries.length), 32);
+        record.writeBigUInt64LE(BigInt(directory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        tail.push(record, locator);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(options.zip64 ? 0xffff : entries.length, 8);
+    end.writeUInt16LE(options.zip64 ? 0xffff : entries.length, 10);
+    end.writeUInt32LE(options.zip64 ? 0xffffffff : directory.length, 12);
+    end.writeUInt32LE(options.zip64 ? 0xffffffff : offset, 16);
+    tail.push(end);
+
+    return Buffer.concat([...locals, directory, ...tail]);
+}
+
+module.exports = { buildZip, crc32 };
@@ -0,0 +1,114 @@
+/**
+ * 网页版表头布局的测试：选择表头行、展平多行表头和推测表头位置
+ * headerLayout.js 是ES模块，由 babel.config.js 转换后加载
+ */
+
+const {
+    normalizeHeaderOptions,
+    splitHeaderRows,
+    flattenHeaders,
+    detectHeaderLayout,
+    MAX_HEADER_ROWS
+} = require('../../src/js/core/headerLayout.js');
+
+describe('headerLayout', () => {
+    describe('normalizeHeaderOptions', () => {
+        test('fills defaults and clamps the header row count', () => {
+            expect(normalizeHeaderOptions()).toEqual({ headerRow: 1, headerRows: 1 });
+            expect(normalizeHeaderOptions({ headerRow: '3', headerRows: '0' })).toEqual({ headerRow: 3, headerRows: 0 });
+            expect(normalizeHeaderOptions({ headerRow: 0, headerRows: 9 })).toEqual({ headerRow: 1, headerRows: MAX_HEADER_ROWS });
+        });
+    });
+
+    describe('flattenHeaders', () => {
+        test('joins parent and child names and drops repeated names in a column', () => {
+            expect(flattenHeaders([
+                ['地区', '销售额', '', '利润'],
+                ['地区', '线上', '线下', '']
+            ])).toEqual(['地区', '销售额_线上', '销售额_线下', '利润']);
+        });
+
+        test('fills merged parent cells from merge ranges', () => {
+            const merges = [
+                { s: { r: 0, c: 0 }, e: { r: 1, c: 0 } },
+                { s: { r: 0, c: 1 }, e: { r: 0, c: 2 } }
+            ];
+            expect(flattenHeaders([
+                ['门店', '一季度', null, '备注'],
+                [null, '收入', '成本', null]
+            ], merges)).toEqual(['门店', '一季度_收入', '一季度_成本', '备注']);
+        });
+
+        test('only carries a blank parent to the right when the left column also has a child', () => {
+            expect(flattenHeaders([
+                ['编号', '', '金额', ''],
+                ['', '名称', '含税', '不含税']
+            ])).toEqual(['编号', '名称', '金额_含税', '金额_不含税']);
+        });
+
+        test('fills the middle level first for three header rows', () => {
+            expect(flattenHeaders([
+                ['2025', '', ''],
+                ['上半年', '', '下半年'],
+                ['收入', '成本', '收入']
+            ])).toEqual(['2025_上半年_收入', '2025_上半年_成本', '2025_下半年_收入']);
+        });
+    });
+
+    describe('splitHeaderRows', () => {
+        const rows = [
+            ['2025年销售报表'],
+            [],
+            ['地区', '销售额', null],
+            [null, '线上', '线下'],
+            ['华东', 1, 2],
+            ['华北', 3, 4]
+        ];
+
+        test('skips rows above the header and shifts merges to the header', () => {
+            const merges = [{ s: { r: 2, c: 1 }, e: { r: 2, c: 2 } }];
+            expect(splitHeaderRows(rows, { headerRow: 3, headerRows: 2 }, merges)).toEqual({
+                headers: ['地区', '销售额_线上', '销售额_线下'],
+                dataRows: [['华东', 1, 2], ['华北', 3, 4]]
+            });
+        });
+
+        test('returns blank names for every column without a header', () => {
+            expect(splitHeaderRows(rows, { headerRow: 5, headerRows: 0 })).toEqual({
+                headers: ['', '', ''],
+                dataRows: [['华东', 1, 2], ['华北', 3, 4]]
+            });
+        });
+    });
+
+    describe('detectHeaderLayout', () => {
+        test('skips title rows before the first wide row', () => {
+            expect(detectHeaderLayout([
+                ['月度报表'],
+                ['导出时间：2025-06-01'],
+                ['名称', '数量', '单价', '金额'],
+                ['苹果', 1, 2, 2]
+            ])).toEqual({ headerRow: 3, headerRows: 1 });
+        });
+
+        test('extends the header below horizontally merged parents and vertical merges', () => {
+            const rows = [
+                ['销售报表'],
+                ['门店', '一季度', null, '备注'],
+                [null, '收入', '成本', null],
+                ['一店', 1, 2, '']
+            ];
+            const merges = [
+                { s: { r: 0, c: 0 }, e: { r: 0, c: 3 } },
+                { s: { r: 1, c: 0 }, e: { r: 2, c: 0 } },
+                { s: { r: 1, c: 1 }, e: { r: 1, c: 2 } }
+            ];
+            expect(detectHeaderLayout(rows, merges)).toEqual({ headerRow: 2, headerRows: 2 });
+        });
+
+        test('does not treat a merged header cell over repeated values as a parent', () => {
+            const merges = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 1 } }];
+            expect(detectHeaderLayout([['名称', null, '数量'], [1, 1, 5], [2, 2, 6]], merges)).toEqual({ headerRow: 1, headerRows: 1 });
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * BatchSource 的文件列出、通配符筛选和ZIP条目解压测试
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BatchSource = require('../../src/main/batchSource');
+const { buildZip } = require('../helpers/zipBuilder');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('BatchSource', () => {
+    const directory = useTempDirectory('batch');
+
+    const writeFiles = async (root, files) => {
+        for (const file of files) {
+            const filePath = path.join(root, ...file.split('/'));
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, 'a,b\n1,2\n');
+        }
+    };
+
+    describe('globToRegExp', () => {
+        const matches = (pattern, relativePath) =>
+            BatchSource.testPattern(BatchSource.globToRegExp(pattern), relativePath);
+
+        test.each([
+            ['*.csv', '2025/06/销售.CSV', true],
+            ['*.csv', '销售.xlsx', false],
+            ['2025/*.csv', '2025/一月.csv', true],
+            ['2025/*.csv', '2025/06/一月.csv', false],
+            ['2025/**/*.csv', '2025/一月.csv', true],
+            ['2025/**/*.csv', '2025/06/01/一月.csv', true],
+            ['data_??.csv', 'data_01.csv', true],
+            ['data_??.csv', 'data_001.csv', false],
+            ['*.{csv,xlsx}', 'a.xlsx', true],
+            ['report(1).csv', 'report(1).csv', true],
+            ['**/~$*', '2025/~$销售.xlsx', true]
+        ])('%s matching %s is %s', (pattern, relativePath, expected) => {
+            expect(matches(pattern, relativePath)).toBe(expected);
+        });
+    });
+
+    test('lists supported files in a folder, applying include and default exclude patterns', async () => {
+        await writeFiles(directory.path, ['b/二月.csv', 'a/一月.xlsx', 'a/10月.csv', 'a/2月.csv', 'notes.docx', '.hidden.csv', 'a/~$一月.xlsx', 'app.sqlite']);
+
+        const all = await new BatchSource().scan([directory.path]);
+        expect(all.files.map(file => file.relativePath)).toEqual(['a/2月.csv', 'a/10月.csv', 'a/一月.xlsx', 'b/二月.csv']);
+        expect(all.skipped).toBe(4);
+        expect(all.files[0]).toMatchObject({ source: directory.path, archive: null, name: '2月.csv', path: directory.file('a', '2月.csv'), size: 8 });
+
+        const csv = await new BatchSource({ include: '*.csv', exclude: 'b/**' }).scan([directory.path]);
+        expect(csv.files.map(file => file.relativePath)).toEqual(['a/2月.csv', 'a/10月.csv']);
+    });
+
+    test('lists ZIP entries without extracting them and rejects other files', async () => {
+        const archivePath = directory.file('batch.zip');
+        await fs.promises.writeFile(archivePath, buildZip([
+            { name: '__MACOSX/._一月.csv', data: 'x' },
+            { name: '数据/一月.csv', data: 'a,b\n1,2\n' },
+            { name: '数据/说明.md', data: '# 说明' }
+        ]));
+
+        const { files, skipped } = await new BatchSource().scan([archivePath]);
+        expect(files).toEqual([{
+            source: archivePath,
+            archive: archivePath,
+            entryName: '数据/一月.csv',
+            relativePath: '数据/一月.csv',
+            name: '一月.csv',
+            path: null,
+            size: 8
+        }]);
+        expect(skipped).toBe(2);
+
+        await fs.promises.writeFile(directory.file('数据.rar'), '');
+        await expect(new BatchSource().scan([directory.file('数据.rar')]))
+            .rejects.toThrow('批量导入只支持文件夹或ZIP压缩包: 数据.rar');
+    });
+
+    describe('materialize', () => {
+        test('returns folder files as they are and extracts ZIP entries into the target directory', async () => {
+            expect(await BatchSource.materialize({ archive: null, path: '/data/一月.csv' }, directory.path)).toBe('/data/一月.csv');
+
+            const archivePath = directory.file('batch.zip');
+            await fs.promises.writeFile(archivePath, buildZip([{ name: '数据/一月.csv', data: 'a,b\n1,2\n' }]));
+            const [file] = (await new BatchSource().scan([archivePath])).files;
+            const target = directory.file('extract');
+
+            const filePath = await BatchSource.materialize(file, target);
+            expect(filePath).toBe(path.join(target, '数据', '一月.csv'));
+            expect(await fs.promises.readFile(filePath, 'utf8')).toBe('a,b\n1,2\n');
+        });
+
+        test.each(['../../outside.csv', '数据/../../outside.csv', '/'])('refuses to extract %s outside the target directory', async (entryName) => {
+            const archivePath = directory.file('evil.zip');
+            await fs.promises.writeFile(archivePath, buildZip([{ name: entryName, data: 'x' }]));
+            const file = { archive: archivePath, entryName, relativePath: entryName.replace(/^\/+/, '') };
+
+            await expect(BatchSource.materialize(file, directory.file('extract')))
+                .rejects.toThrow(`ZIP条目路径无效: ${entryName}`);
+            expect(fs.existsSync(directory.file('outside.csv'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * DataEngine.importChunks 的测试：DuckDB 连接替换为记录SQL的假连接
+ */
+
+jest.mock('duckdb', () => ({ Database: class {} }));
+
+const DataEngine = require('../../src/main/dataEngine');
+
+describe('DataEngine.importChunks', () => {
+    let engine;
+    let statements;
+
+    beforeEach(() => {
+        statements = [];
+        engine = new DataEngine();
+        engine.connection = {
+            all(sql, ...rest) {
+                statements.push(sql);
+                rest[rest.length - 1](null, []);
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function* chunksOf(...chunks) {
+        yield* chunks;
+    }
+
+    test('widens a numeric column to VARCHAR when a later chunk has text', async () => {
+        const result = await engine.importChunks('订单', chunksOf(
+            [{ 编号: 1, 数量: 5 }, { 编号: 2, 数量: 7 }],
+            [{ 编号: 3, 数量: 'N/A' }]
+        ));
+
+        expect(result.rowCount).toBe(3);
+        expect(statements[0]).toBe('CREATE OR REPLACE TABLE "订单" ("编号" BIGINT, "数量" BIGINT)');
+        expect(statements).toContain('ALTER TABLE "订单" ALTER COLUMN "数量" TYPE VARCHAR');
+        expect(statements[statements.length - 1]).toBe('INSERT INTO "订单" VALUES (3, \'N/A\')');
+    });
+
+    test('widens integers to DOUBLE and appends columns first seen in a later chunk', async () => {
+        const result = await engine.importChunks('订单', chunksOf(
+            [{ 编号: 1, 单价: 5 }],
+            [{ 编号: 2, 单价: 2.5, 备注: '加急' }]
+        ));
+
+        expect(result.columns).toEqual(['编号', '单价', '备注']);
+        expect(statements).toContain('ALTER TABLE "订单" ALTER COLUMN "单价" TYPE DOUBLE');
+        expect(statements).toContain('ALTER TABLE "订单" ADD COLUMN "备注" VARCHAR');
+        expect(statements[statements.length - 1]).toBe('INSERT INTO "订单" VALUES (2, 2.5, \'加急\')');
+    });
+
+    test('keeps overridden column types and blank-only chunks unchanged', async () => {
+        await engine.importChunks('订单', chunksOf(
+            [{ 编号: 1, 数量: 5 }],
+            [{ 编号: 2, 数量: '' }],
+            [{ 编号: 'A3', 数量: 6 }]
+        ), { overrides: { 编号: { type: 'int64' } } });
+
+        expect(statements.filter(sql => sql.startsWith('ALTER TABLE'))).toEqual([]);
+        expect(statements[statements.length - 1]).toBe('INSERT INTO "订单" VALUES (NULL, 6)');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * DataEngine.joinTables 的SQL构建测试：连接键规则与Worker哈希连接一致
+ */
+
+jest.mock('duckdb', () => ({ Database: class {} }));
+
+const DataEngine = require('../../src/main/dataEngine');
+
+describe('DataEngine.joinTables', () => {
+    let engine;
+    let statements;
+
+    beforeEach(() => {
+        statements = [];
+        engine = new DataEngine();
+        engine.connection = {
+            all(sql, ...rest) {
+                statements.push(sql);
+                let rows = [];
+                if (sql.startsWith('DESCRIBE')) {
+                    rows = (sql.includes('"订单"') ? ['客户', '金额'] : ['客户', '名称']).map(name => ({ column_name: name }));
+                } else if (sql.includes('COUNT(*)')) {
+                    rows = [{ total: 3, unmatched: 1 }];
+                }
+                rest[rest.length - 1](null, rows);
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('never matches NULL or empty keys, also when counting unmatched rows', async () => {
+        const result = await engine.joinTables({ table: '订单' }, { table: '客户' }, {
+            joinType: 'left',
+            joinKeys: ['客户'],
+            outputTable: '结果'
+        });
+
+        const onClause = 'ON l."客户" = r."客户" AND CAST(l."客户" AS VARCHAR) <> \'\'';
+        expect(statements).toContain('CREATE OR REPLACE TABLE "结果" AS SELECT l."客户", l."金额", r."名称" ' +
+            `FROM "订单" AS l LEFT JOIN "客户" AS r ${onClause}`);
+        expect(statements).toContain(`SELECT COUNT(*) AS unmatched FROM "订单" AS l ANTI JOIN "客户" AS r ${onClause}`);
+        expect(result).toEqual({ tableName: '结果', rowCount: 3, stats: { leftUnmatched: 1, rightUnmatched: 1 } });
+    });
+
+    test('coalesces shared keys for right and full joins', async () => {
+        await engine.joinTables({ table: '订单' }, { table: '客户' }, { joinType: 'full', joinKeys: ['客户'], outputTable: '结果' });
+
+        expect(statements.find(sql => sql.startsWith('CREATE'))).toContain('SELECT COALESCE(l."客户", r."客户") AS "客户", l."金额", r."名称" ');
+    });
+
+    test('rejects unknown join types and missing keys', async () => {
+        await expect(engine.joinTables({ table: '订单' }, { table: '客户' }, { joinType: 'cross', joinKeys: ['客户'] }))
+            .rejects.toThrow('不支持的连接类型: cross');
+        await expect(engine.joinTables({ table: '订单' }, { table: '客户' })).rejects.toThrow('连接键不能为空');
+    });
+});
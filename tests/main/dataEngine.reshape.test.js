@@ -0,0 +1,82 @@
+/**
+ * DataEngine 透视和逆透视的SQL构建测试
+ */
+
+jest.mock('duckdb', () => ({ Database: class {} }));
+
+const DataEngine = require('../../src/main/dataEngine');
+
+describe('DataEngine pivot and unpivot', () => {
+    let engine;
+    let statements;
+    let described;
+
+    beforeEach(() => {
+        statements = [];
+        described = [];
+        engine = new DataEngine();
+        engine.connection = {
+            all(sql, ...rest) {
+                statements.push(sql);
+                rest[rest.length - 1](null, sql.startsWith('DESCRIBE') ? described : []);
+            }
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('pivots numeric values with TRY_CAST and orders by the row columns', async () => {
+        await engine.pivotTable('销售', { rows: ['地区', '门店'], columns: '月份', values: '金额' });
+
+        expect(statements).toEqual(['WITH source AS (SELECT "地区", "门店", CAST("月份" AS VARCHAR) AS "月份", ' +
+            'TRY_CAST("金额" AS DOUBLE) AS "金额" FROM "销售") ' +
+            'SELECT * FROM (PIVOT source ON "月份" USING sum("金额")) AS pivoted ORDER BY "地区", "门店"']);
+    });
+
+    test('keeps the raw value column for count and first', async () => {
+        await engine.pivotTable('销售', { columns: '月份', values: '客户', aggregate: 'count' });
+
+        expect(statements).toEqual(['WITH source AS (SELECT CAST("月份" AS VARCHAR) AS "月份", "客户" FROM "销售") ' +
+            'SELECT * FROM (PIVOT source ON "月份" USING count("客户")) AS pivoted']);
+    });
+
+    test('rejects missing columns and unknown aggregates before querying', async () => {
+        await expect(engine.pivotTable('销售', { rows: ['地区'], values: '金额' })).rejects.toThrow('透视列和值列不能为空');
+        await expect(engine.pivotTable('销售', { columns: '月份', values: '金额', aggregate: 'median' }))
+            .rejects.toThrow('不支持的聚合函数: median');
+        expect(statements).toEqual([]);
+    });
+
+    test('unpivots in row order and column order', async () => {
+        described = [
+            { column_name: '地区', column_type: 'VARCHAR' },
+            { column_name: '一月', column_type: 'DOUBLE' },
+            { column_name: '二月', column_type: 'DOUBLE' }
+        ];
+
+        await engine.unpivotTable('销售', { columns: ['一月', '二月'], keyName: '月份', valueName: '金额' });
+
+        expect(statements[1]).toBe('WITH source AS (SELECT *, row_number() OVER () AS "__row_id" FROM "销售") ' +
+            'SELECT * EXCLUDE ("__row_id") FROM (UNPIVOT INCLUDE NULLS source ON "一月", "二月" INTO NAME "月份" VALUE "金额") AS unpivoted ' +
+            'ORDER BY "__row_id", list_position([\'一月\', \'二月\'], "月份")');
+    });
+
+    test('casts folded columns to text when their types differ', async () => {
+        described = [
+            { column_name: '数量', column_type: 'BIGINT' },
+            { column_name: '备注', column_type: 'VARCHAR' }
+        ];
+
+        await engine.unpivotTable('销售', { columns: ['数量', '备注'] });
+
+        expect(statements[1]).toContain('SELECT * REPLACE (CAST("数量" AS VARCHAR) AS "数量", CAST("备注" AS VARCHAR) AS "备注"), row_number()');
+        expect(statements[1]).toContain('INTO NAME "字段" VALUE "值"');
+    });
+
+    test('needs at least one column to unpivot', async () => {
+        await expect(engine.unpivotTable('销售', {})).rejects.toThrow('逆透视列不能为空');
+    });
+});
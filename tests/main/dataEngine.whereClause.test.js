@@ -0,0 +1,95 @@
+/**
+ * DataEngine WHERE 子句构建的测试：嵌套分组、占位符参数和标识符转义
+ */
+
+jest.mock('duckdb', () => ({ Database: class {} }));
+
+const DataEngine = require('../../src/main/dataEngine');
+
+describe('DataEngine.buildWhereClause', () => {
+    const engine = new DataEngine();
+
+    test('returns an empty clause without conditions', () => {
+        expect(engine.buildWhereClause([])).toEqual({ sql: '', params: [] });
+        expect(engine.buildWhereClause(undefined)).toEqual({ sql: '', params: [] });
+    });
+
+    test('binds values as parameters in the order they appear', () => {
+        const { sql, params } = engine.buildWhereClause([
+            { column: '地区', operator: '==', value: '华东' },
+            { column: '金额', operator: 'between', value: [100, 200], logical: 'and' },
+            { column: '客户', operator: 'contains', value: "O'Brien", logical: 'or' }
+        ]);
+
+        expect(sql).toBe('WHERE "地区" = ? AND "金额" BETWEEN ? AND ? OR contains(CAST("客户" AS VARCHAR), ?)');
+        expect(params).toEqual(['华东', 100, 200, "O'Brien"]);
+    });
+
+    test('wraps nested groups in parentheses and skips empty groups', () => {
+        const { sql, params } = engine.buildWhereClause([
+            { column: '状态', operator: 'equals', value: '已付' },
+            {
+                logical: 'and',
+                conditions: [
+                    { column: '地区', operator: 'in', value: '华东, 华北' },
+                    {
+                        logical: 'or',
+                        conditions: [
+                            { column: '金额', operator: '>', value: 1000 },
+                            { column: '备注', operator: 'is_empty', logical: 'and' }
+                        ]
+                    }
+                ]
+            },
+            { logical: 'or', conditions: [] }
+        ]);
+
+        expect(sql).toBe('WHERE "状态" = ? AND ("地区" IN (?, ?) OR ("金额" > ? AND ("备注" IS NULL OR trim(CAST("备注" AS VARCHAR)) = \'\')))');
+        expect(params).toEqual(['已付', '华东', '华北', 1000]);
+    });
+
+    test('compares with another column without binding a value', () => {
+        const { sql, params } = engine.buildWhereClause([
+            { column: '实收', operator: '<', value: '应收', valueType: 'column' }
+        ]);
+
+        expect(sql).toBe('WHERE "实收" < "应收"');
+        expect(params).toEqual([]);
+    });
+
+    test('escapes quotes in column names instead of splicing them into the SQL', () => {
+        const { sql, params } = engine.buildWhereClause([
+            { column: 'a" = 1 OR "b', operator: 'equals', value: '1; DROP TABLE t' },
+            { column: '单价', operator: 'less_than', value: 'x" OR TRUE --', valueType: 'column' }
+        ]);
+
+        expect(sql).toBe('WHERE "a"" = 1 OR ""b" = ? AND "单价" < "x"" OR TRUE --"');
+        expect(params).toEqual(['1; DROP TABLE t']);
+    });
+
+    test('treats empty value lists as always false or always true', () => {
+        expect(engine.buildWhereClause([{ column: '地区', operator: 'in', value: '' }]).sql).toBe('WHERE FALSE');
+        expect(engine.buildWhereClause([{ column: '地区', operator: 'not_in', value: [] }]).sql).toBe('WHERE TRUE');
+    });
+
+    test('rejects conditions without a column, unknown operators and open ranges', () => {
+        expect(() => engine.buildWhereClause([{ operator: 'equals', value: 1 }])).toThrow('筛选条件缺少列名');
+        expect(() => engine.buildWhereClause([{ column: '金额', operator: 'like', value: 1 }])).toThrow('不支持的筛选运算符: like');
+        expect(() => engine.buildWhereClause([{ column: '金额', operator: 'between', value: { min: 1 } }]))
+            .toThrow('范围条件需要提供上下限: 金额');
+    });
+
+    test('filterData passes the bound parameters to the connection', async () => {
+        const calls = [];
+        engine.connection = {
+            all(sql, ...rest) {
+                const callback = rest.pop();
+                calls.push({ sql, params: rest });
+                callback(null, []);
+            }
+        };
+
+        await engine.filterData('订单', [{ column: '地区', operator: 'not_equals', value: '华东' }]);
+        expect(calls).toEqual([{ sql: 'SELECT * FROM "订单" WHERE "地区" != ?', params: ['华东'] }]);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * DataEngine 窗口计算列的SQL构建测试
+ */
+
+jest.mock('duckdb', () => ({ Database: class {} }));
+
+const DataEngine = require('../../src/main/dataEngine');
+
+describe('DataEngine.buildWindowExpression', () => {
+    const engine = new DataEngine();
+    const rowId = '"__row_id"';
+    const build = (config) => engine.buildWindowExpression(config, rowId);
+
+    test('keeps the original row order when no order column is given', () => {
+        expect(build({ func: 'cumsum', valueCol: '金额' }))
+            .toBe('SUM(TRY_CAST("金额" AS DOUBLE)) OVER (ORDER BY "__row_id")');
+        expect(build({ func: 'row_number', valueCol: '金额', partitionBy: ['地区', '门店'] }))
+            .toBe('ROW_NUMBER() OVER (PARTITION BY "地区", "门店" ORDER BY "__row_id")');
+    });
+
+    test('breaks order ties by row number except for ranks', () => {
+        expect(build({ func: 'cumsum', valueCol: '金额', orderBy: '日期', order: 'desc' }))
+            .toBe('SUM(TRY_CAST("金额" AS DOUBLE)) OVER (ORDER BY "日期" DESC NULLS LAST, "__row_id")');
+        expect(build({ func: 'rank', valueCol: '金额', order: 'desc' }))
+            .toBe('RANK() OVER (ORDER BY "金额" DESC NULLS LAST)');
+        expect(build({ func: 'dense_rank', valueCol: '金额', partitionBy: ['地区'], orderBy: '数量' }))
+            .toBe('DENSE_RANK() OVER (PARTITION BY "地区" ORDER BY "数量" ASC NULLS LAST)');
+    });
+
+    test('builds lag, lead and differences with the given offset', () => {
+        expect(build({ func: 'lag', valueCol: '金额', offset: 2 })).toBe('LAG("金额", 2) OVER (ORDER BY "__row_id")');
+        expect(build({ func: 'lead', valueCol: '金额', offset: 'x' })).toBe('LEAD("金额", 1) OVER (ORDER BY "__row_id")');
+
+        const number = 'TRY_CAST("金额" AS DOUBLE)';
+        const over = 'OVER (ORDER BY "__row_id")';
+        expect(build({ func: 'diff', valueCol: '金额' })).toBe(`${number} - LAG(${number}, 1) ${over}`);
+        expect(build({ func: 'pct_change', valueCol: '金额' }))
+            .toBe(`(${number} - LAG(${number}, 1) ${over}) / NULLIF(LAG(${number}, 1) ${over}, 0)`);
+    });
+
+    test('divides by the partition total for percent of total', () => {
+        expect(build({ func: 'percent_of_total', valueCol: '金额' }))
+            .toBe('TRY_CAST("金额" AS DOUBLE) / NULLIF(SUM(TRY_CAST("金额" AS DOUBLE)) OVER (), 0)');
+        expect(build({ func: 'percent_of_total', valueCol: '金额', partitionBy: ['地区'] }))
+            .toBe('TRY_CAST("金额" AS DOUBLE) / NULLIF(SUM(TRY_CAST("金额" AS DOUBLE)) OVER (PARTITION BY "地区"), 0)');
+    });
+
+    test('rejects unknown functions', () => {
+        expect(() => build({ func: 'median', valueCol: '金额' })).toThrow('不支持的窗口函数: median');
+    });
+
+    test('addWindowColumn appends the column and restores the row order', async () => {
+        const statements = [];
+        engine.connection = {
+            all(sql, ...rest) {
+                statements.push(sql);
+                rest[rest.length - 1](null, [{ 金额: 5, 累计: 5 }]);
+            }
+        };
+
+        const result = await engine.addWindowColumn('订单', { func: 'cumsum', valueCol: '金额', resultCol: '累计' });
+
+        expect(statements).toEqual(['WITH source AS (SELECT *, row_number() OVER () AS "__row_id" FROM "订单") ' +
+            'SELECT * EXCLUDE ("__row_id"), SUM(TRY_CAST("金额" AS DOUBLE)) OVER (ORDER BY "__row_id") AS "累计" ' +
+            'FROM source ORDER BY "__row_id"']);
+        expect(result.data).toEqual([{ 金额: 5, 累计: 5 }]);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * HotFolderWatcher 等待文件写入稳定的测试：两次检查之间大小和修改时间不变才开始处理
+ */
+
+const fs = require('fs');
+const HotFolderWatcher = require('../../src/main/hotFolderWatcher');
+const BatchSource = require('../../src/main/batchSource');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('HotFolderWatcher settle checks', () => {
+    const directory = useTempDirectory('hot-folder');
+    let watcher;
+    let folder;
+    let processed;
+
+    beforeEach(() => {
+        watcher = new HotFolderWatcher({ configManager: {}, workerPool: {}, logDirectory: directory.path });
+        processed = [];
+        jest.spyOn(watcher, 'processFile').mockImplementation(async (definition, filePath, signature) => {
+            processed.push({ filePath, signature });
+        });
+
+        const definition = { id: 'hf-1', folder: directory.path, pattern: '*.csv', settleTime: 60000, afterProcess: 'archive' };
+        folder = {
+            definition,
+            watcher: null,
+            patterns: BatchSource.normalizePatterns(definition.pattern).map(BatchSource.globToRegExp),
+            pending: new Map(),
+            error: null
+        };
+        watcher.folders.set(definition.id, folder);
+    });
+
+    afterEach(() => {
+        watcher.closeAll();
+        jest.restoreAllMocks();
+    });
+
+    // 代替计时器到期：取出等待中的检查并立即执行
+    const runPendingCheck = async (filePath) => {
+        const check = folder.pending.get(filePath);
+        clearTimeout(check.timer);
+        await watcher.checkSettled(folder, filePath, check.signature);
+    };
+
+    const signatureOf = async (filePath) => {
+        const stats = await fs.promises.stat(filePath);
+        return `${stats.size}:${stats.mtimeMs}`;
+    };
+
+    test('only schedules files matching the pattern and restarts the wait on every change', () => {
+        watcher.schedule(folder, '说明.txt');
+        expect(folder.pending.size).toBe(0);
+
+        watcher.schedule(folder, '订单.csv');
+        const first = folder.pending.get(directory.file('订单.csv'));
+        watcher.schedule(folder, '订单.csv');
+        const second = folder.pending.get(directory.file('订单.csv'));
+
+        expect(folder.pending.size).toBe(1);
+        expect(second.timer).not.toBe(first.timer);
+        expect(second.signature).toBeNull();
+    });
+
+    test('processes a file after two checks see the same size and time', async () => {
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, 'a,b\n1,2\n');
+
+        watcher.schedule(folder, '订单.csv');
+        await runPendingCheck(filePath);
+        const signature = await signatureOf(filePath);
+        expect(folder.pending.get(filePath).signature).toBe(signature);
+        expect(processed).toEqual([]);
+
+        await runPendingCheck(filePath);
+        expect(processed).toEqual([{ filePath, signature }]);
+        expect(folder.pending.size).toBe(0);
+    });
+
+    test('keeps waiting while the file is still growing', async () => {
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, 'a,b\n');
+        const before = await signatureOf(filePath);
+        await fs.promises.appendFile(filePath, '1,2\n');
+
+        await watcher.checkSettled(folder, filePath, before);
+
+        expect(processed).toEqual([]);
+        expect(folder.pending.get(filePath).signature).toBe(await signatureOf(filePath));
+    });
+
+    test('skips files that disappeared, are being processed or were already handled unchanged', async () => {
+        await watcher.checkSettled(folder, directory.file('已删除.csv'), null);
+
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, 'a,b\n');
+        const signature = await signatureOf(filePath);
+
+        watcher.processing.set(filePath, 'hf-1');
+        await watcher.checkSettled(folder, filePath, signature);
+        watcher.processing.clear();
+
+        watcher.handled.set(filePath, signature);
+        await watcher.checkSettled(folder, filePath, signature);
+
+        expect(processed).toEqual([]);
+        expect(folder.pending.size).toBe(0);
+    });
+
+    test('ignores checks for folders that were unwatched in the meantime', async () => {
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, 'a,b\n');
+        watcher.folders.delete('hf-1');
+
+        await watcher.checkSettled(folder, filePath, await signatureOf(filePath));
+        expect(processed).toEqual([]);
+    });
+
+    test('retries later while another program holds the file open for writing', async () => {
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, 'a,b\n');
+        const signature = await signatureOf(filePath);
+        const busy = Object.assign(new Error('resource busy or locked'), { code: 'EBUSY' });
+        jest.spyOn(fs.promises, 'open').mockRejectedValueOnce(busy);
+
+        await watcher.checkSettled(folder, filePath, signature);
+
+        expect(processed).toEqual([]);
+        expect(folder.pending.get(filePath).signature).toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * IPCManager.handleBatchImport 的测试：数据引擎替换为假对象，按文件导入的结果由 importBatchFile 模拟
+ */
+
+jest.mock('electron', () => ({ ipcMain: {}, BrowserWindow: {}, MessageChannelMain: class {} }));
+jest.mock('sqlite3', () => ({}));
+
+const IPCManager = require('../../src/main/ipcManager');
+
+describe('IPCManager.handleBatchImport', () => {
+    let manager;
+    let dataEngine;
+    const event = { sender: { isDestroyed: () => false, send: jest.fn() } };
+    const files = [
+        { path: '/data/一月.csv', relativePath: '一月.csv' },
+        { path: '/data/损坏.xlsx', relativePath: '损坏.xlsx' },
+        { path: '/data/二月.csv', relativePath: '二月.csv' }
+    ];
+
+    beforeEach(() => {
+        dataEngine = {
+            connection: {},
+            unionTables: jest.fn(async (tableName, parts) => parts.length * 10),
+            readTableRows: jest.fn(async () => []),
+            getTableSchema: jest.fn(async () => [{ name: 'source_file' }, { name: '金额' }]),
+            dropTable: jest.fn(async () => {}),
+            normalizeResultValue: value => value
+        };
+        manager = new IPCManager();
+        manager.dataEngine = dataEngine;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records a failing file and keeps importing the rest', async () => {
+        jest.spyOn(manager, 'importBatchFile').mockImplementation(async (processor, filePath) => {
+            if (filePath.endsWith('损坏.xlsx')) {
+                throw new Error('文件已损坏');
+            }
+            return 10;
+        });
+
+        const result = await manager.handleBatchImport(event, files, { tableName: '销售' });
+
+        expect(dataEngine.unionTables).toHaveBeenCalledWith('销售', ['销售__part_0', '销售__part_2']);
+        expect(result.rowCount).toBe(20);
+        expect(result.files.map(file => file.relativePath)).toEqual(['一月.csv', '二月.csv']);
+        expect(result.failed).toEqual([{ relativePath: '损坏.xlsx', error: '文件已损坏' }]);
+        expect(dataEngine.dropTable).toHaveBeenCalledWith('销售__part_1');
+    });
+
+    test('fails when every file fails', async () => {
+        jest.spyOn(manager, 'importBatchFile').mockRejectedValue(new Error('文件已损坏'));
+
+        await expect(manager.handleBatchImport(event, files, { tableName: '销售' }))
+            .rejects.toThrow('所选文件均导入失败，一月.csv: 文件已损坏');
+        expect(dataEngine.unionTables).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * IPCManager.handlePreviewRegister 的测试：主进程按文件路径读取并分块导入预览表，数据引擎替换为假对象
+ */
+
+jest.mock('electron', () => ({ ipcMain: {}, BrowserWindow: {}, MessageChannelMain: class {} }));
+jest.mock('sqlite3', () => ({}));
+
+const fs = require('fs');
+const IPCManager = require('../../src/main/ipcManager');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('IPCManager.handlePreviewRegister', () => {
+    const directory = useTempDirectory('preview');
+    let manager;
+    let imported;
+
+    beforeEach(() => {
+        imported = [];
+        manager = new IPCManager();
+        manager.dataEngine = {
+            connection: {},
+            importChunks: jest.fn(async (tableName, chunks) => {
+                for await (const chunk of chunks) {
+                    imported.push(...chunk);
+                }
+                return { tableName, rowCount: imported.length };
+            })
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('imports the file with the confirmed CSV dialect instead of receiving rows', async () => {
+        const filePath = directory.file('订单.csv');
+        await fs.promises.writeFile(filePath, '名称;数量\n苹果;5\n梨;12\n');
+
+        const result = await manager.handlePreviewRegister({}, '__preview', { filePath, csv: { delimiter: ';' } });
+
+        expect(result).toEqual({ tableName: '__preview', totalRows: 2 });
+        expect(manager.dataEngine.importChunks).toHaveBeenCalledWith('__preview', expect.anything(), expect.anything());
+        expect(imported).toEqual([{ 名称: '苹果', 数量: '5' }, { 名称: '梨', 数量: '12' }]);
+    });
+
+    test('only registers internal tables from a file path', async () => {
+        await expect(manager.handlePreviewRegister({}, '订单', { filePath: directory.file('订单.csv') }))
+            .rejects.toThrow('预览表名必须以__开头: 订单');
+        await expect(manager.handlePreviewRegister({}, '__preview', {}))
+            .rejects.toThrow('缺少预览文件路径');
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * RowExpression 的求值测试
+ */
+
+const RowExpression = require('../../src/main/rowExpression');
+
+describe('RowExpression', () => {
+    const evaluate = (source, row = {}) => new RowExpression(source).evaluate(row);
+
+    test('evaluates arithmetic, concatenation and comparison', () => {
+        expect(evaluate('单价 * 数量 + 1', { 单价: 2.5, 数量: 4 })).toBe(11);
+        expect(evaluate('[名称] & "-" & 数量', { 名称: '苹果', 数量: 3 })).toBe('苹果-3');
+        expect(evaluate('数量 >= 10', { 数量: 12 })).toBe(true);
+        expect(evaluate('数量 / 0', { 数量: 12 })).toBeNull();
+    });
+
+    test('reads date parts in UTC like the importers', () => {
+        const row = { 日期: new Date('2025-06-01T00:30:00.000Z') };
+
+        expect(evaluate('YEAR(日期)', row)).toBe(2025);
+        expect(evaluate('MONTH(日期)', row)).toBe(6);
+        expect(evaluate('DAY(日期)', row)).toBe(1);
+        expect(evaluate('CONCAT(日期)', row)).toBe('2025-06-01 00:30:00');
+        expect(evaluate('DAY(日期)', { 日期: '2025/06/01' })).toBe(1);
+        expect(evaluate('MONTH(日期)', { 日期: 45809.5 })).toBe(6);
+        expect(evaluate('DATE(日期)', { 日期: '不是日期' })).toBeNull();
+    });
+});
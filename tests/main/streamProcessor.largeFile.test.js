@@ -0,0 +1,72 @@
+/**
+ * StreamProcessor.processLargeFile 的输入格式测试
+ */
+
+const fs = require('fs');
+const xlsx = require('xlsx');
+const StreamProcessor = require('../../src/main/streamProcessor');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('StreamProcessor.processLargeFile', () => {
+    const directory = useTempDirectory('large-file');
+
+    const writeWorkbook = (fileName, bookType, rows) => {
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Sheet1');
+        const filePath = directory.file(fileName);
+        xlsx.writeFile(workbook, filePath, { bookType });
+        return filePath;
+    };
+
+    const rows = [
+        { 名称: '苹果', 数量: 5 },
+        { 名称: '梨', 数量: 12 },
+        { 名称: '桃', 数量: 30 }
+    ];
+    const filter = [{ type: 'filter', conditions: [{ column: '数量', operator: 'greater_than', value: 10 }] }];
+
+    test.each([
+        ['legacy.xls', 'biff8'],
+        ['binary.xlsb', 'xlsb'],
+        ['modern.xlsx', 'xlsx']
+    ])('reads %s and applies operations', async (fileName, bookType) => {
+        const inputPath = writeWorkbook(fileName, bookType, rows);
+        const outputPath = directory.file('out.csv');
+
+        const result = await new StreamProcessor().processLargeFile(inputPath, filter, outputPath, { checkpoint: false });
+
+        expect(result.success).toBe(true);
+        const lines = (await fs.promises.readFile(outputPath, 'utf8')).trim().split(/\r?\n/);
+        expect(lines).toEqual(['名称,数量', '梨,12', '桃,30']);
+    });
+
+    test.each([
+        ['legacy.xls', 'biff8'],
+        ['modern.xlsx', 'xlsx']
+    ])('converts date cells in %s as UTC', async (fileName, bookType) => {
+        const worksheet = xlsx.utils.aoa_to_sheet([['日期'], [45809.5]]);
+        worksheet.A2.z = 'yyyy-mm-dd hh:mm';
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
+        const inputPath = directory.file(fileName);
+        xlsx.writeFile(workbook, inputPath, { bookType });
+
+        const stream = await new StreamProcessor().streamReadFile(inputPath);
+        const values = [];
+        for await (const item of stream) {
+            if (item.type === 'data') values.push(...item.chunk.map(row => row['日期']));
+        }
+
+        expect(values).toHaveLength(1);
+        expect(values[0]).toBeInstanceOf(Date);
+        expect(values[0].toISOString()).toBe('2025-06-01T12:00:00.000Z');
+    });
+
+    test('rejects unsupported formats before reading the file', async () => {
+        const inputPath = directory.file('notes.docx');
+        await fs.promises.writeFile(inputPath, 'not a table');
+
+        await expect(new StreamProcessor().processLargeFile(inputPath, filter, directory.file('out.csv')))
+            .rejects.toThrow('不支持的文件格式: docx');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * StreamProcessor 的计算列、选择列、重命名和去重算子测试
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const StreamProcessor = require('../../src/main/streamProcessor');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+const run = async (stream, chunks) => {
+    const output = [];
+    let headers = null;
+    const input = Readable.from(chunks.map((chunk, index) => ({ type: 'data', chunk, startRow: index, headers: Object.keys(chunk[0]) })));
+    await pipeline(input, stream, async function (source) {
+        for await (const item of source) {
+            output.push(...item.chunk);
+            headers = item.headers;
+        }
+    });
+    return { rows: output, headers };
+};
+
+describe('StreamProcessor column operators', () => {
+    const processor = new StreamProcessor();
+    const chunks = [[{ 名称: '苹果', 单价: '3.5', 数量: 4 }], [{ 名称: '梨', 单价: '2', 数量: 10 }]];
+
+    test('derives columns that can refer to earlier derived columns', async () => {
+        const { rows, headers } = await run(processor.createDeriveStream([
+            { column: '金额', expression: '单价 * 数量' },
+            { column: '说明', expression: '名称 & ":" & 金额' }
+        ]), chunks);
+
+        expect(headers).toEqual(['名称', '单价', '数量', '金额', '说明']);
+        expect(rows.map(row => row['说明'])).toEqual(['苹果:14', '梨:20']);
+    });
+
+    test('selects and reorders columns', async () => {
+        const { rows, headers } = await run(processor.createSelectStream(['数量', '名称']), chunks);
+        expect(headers).toEqual(['数量', '名称']);
+        expect(rows).toEqual([{ 数量: 4, 名称: '苹果' }, { 数量: 10, 名称: '梨' }]);
+
+        await expect(run(processor.createSelectStream(['颜色']), chunks)).rejects.toThrow('选择的列不存在: 颜色');
+    });
+
+    test('renames columns in place and rejects missing or clashing names', async () => {
+        const { rows, headers } = await run(processor.createRenameStream({ 名称: '品名' }), chunks);
+        expect(headers).toEqual(['品名', '单价', '数量']);
+        expect(rows[0]).toEqual({ 品名: '苹果', 单价: '3.5', 数量: 4 });
+
+        await expect(run(processor.createRenameStream({ 颜色: '色' }), chunks)).rejects.toThrow('重命名的列不存在: 颜色');
+        await expect(run(processor.createRenameStream({ 名称: '数量' }), chunks)).rejects.toThrow('重命名后列名重复: 数量');
+    });
+});
+
+describe('StreamProcessor.createDedupeStream', () => {
+    const directory = useTempDirectory('dedupe');
+
+    const chunks = [
+        [{ 编号: 1, 名称: '苹果' }, { 编号: 2, 名称: '梨' }, { 编号: 1, 名称: '苹果' }],
+        [{ 编号: 3, 名称: '苹果' }, { 编号: 2, 名称: '梨' }],
+        [{ 编号: 4, 名称: '桃' }, { 编号: 3, 名称: '苹果' }, { 编号: 5, 名称: '梨' }]
+    ];
+
+    test('keeps the first row of each key in input order', async () => {
+        const processor = new StreamProcessor();
+
+        const whole = await run(processor.createDedupeStream(), chunks);
+        expect(whole.rows.map(row => row['编号'])).toEqual([1, 2, 3, 4, 5]);
+
+        const byName = await run(processor.createDedupeStream(['名称']), chunks);
+        expect(byName.rows.map(row => row['编号'])).toEqual([1, 2, 4]);
+    });
+
+    test('gives the same result after spilling keys to bucket files and removes them', async () => {
+        const processor = new StreamProcessor({ chunkSize: 2, fileSystemManager: directory.fileSystemManager });
+        const spills = [];
+        processor.on('dedupeSpill', info => spills.push(info));
+
+        const { rows } = await run(processor.createDedupeStream(['名称'], { memoryBudget: 1 }), chunks);
+
+        expect(spills.length).toBeGreaterThan(0);
+        expect(rows.map(row => row['编号'])).toEqual([1, 2, 4]);
+        expect(await fs.promises.readdir(directory.path)).toEqual([]);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * StreamProcessor 拆分输出的测试
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const StreamProcessor = require('../../src/main/streamProcessor');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('StreamProcessor.writePartitionedRows', () => {
+    const directory = useTempDirectory('partition');
+
+    const rows = [
+        { 地区: '华东', 日期: new Date('2025-06-01T00:00:00Z'), 金额: 1 },
+        { 地区: '华北', 日期: new Date('2025-06-01T00:00:00Z'), 金额: 2 },
+        { 地区: '华东', 日期: new Date('2025-06-02T12:00:00Z'), 金额: 3 },
+        { 地区: '', 日期: null, 金额: 4 }
+    ];
+    const read = (fileName) => fs.promises.readFile(directory.file(fileName), 'utf8');
+
+    test('writes one file per column value and an index file', async () => {
+        const result = await new StreamProcessor().writePartitionedRows(rows, directory.file('销售.csv'), { columns: ['地区'] });
+
+        expect(result.totalRows).toBe(4);
+        expect(result.partitions.map(partition => [partition.values, path.basename(partition.file), partition.rows])).toEqual([
+            [['华东'], '销售_华东.csv', 2],
+            [['华北'], '销售_华北.csv', 1],
+            [['(空白)'], '销售_(空白).csv', 1]
+        ]);
+        expect(await read('销售_index.csv')).toBe('分区,地区,文件,工作表,行数\n' +
+            '1,华东,销售_华东.csv,,2\n2,华北,销售_华北.csv,,1\n3,(空白),销售_(空白).csv,,1\n');
+        expect((await read('销售_华东.csv')).trim().split(/\r?\n/).map(line => line.split(',')[2])).toEqual(['金额', '1', '3']);
+    });
+
+    test('names partition files with a template and can skip the index', async () => {
+        const result = await new StreamProcessor().writePartitionedRows(rows, directory.file('销售.csv'), {
+            columns: ['地区'], template: '{value}-{name}', index: false
+        });
+
+        expect(result.indexFile).toBeNull();
+        expect(result.partitions.map(partition => path.basename(partition.file)))
+            .toEqual(['华东-销售.csv', '华北-销售.csv', '(空白)-销售.csv']);
+    });
+
+    test('names date partitions in UTC', async () => {
+        const result = await new StreamProcessor().writePartitionedRows(rows, directory.file('按日.csv'), {
+            columns: ['日期'], template: '{name}-{value}', index: false
+        });
+
+        expect(result.indexFile).toBeNull();
+        expect(result.partitions.map(partition => path.basename(partition.file)))
+            .toEqual(['按日-2025-06-01.csv', '按日-2025-06-02 12.00.00.csv', '按日-(空白).csv']);
+    });
+
+    test('splits by a fixed number of rows', async () => {
+        const result = await new StreamProcessor().writePartitionedRows(rows, directory.file('分块.csv'), { rows: 3 });
+        expect(result.partitions.map(partition => [path.basename(partition.file), partition.rows]))
+            .toEqual([['分块_1.csv', 3], ['分块_2.csv', 1]]);
+    });
+
+    test('writes column partitions as worksheets of one workbook', async () => {
+        const outputPath = directory.file('销售.xlsx');
+        const result = await new StreamProcessor({ fileSystemManager: directory.fileSystemManager })
+            .writePartitionedRows(rows, outputPath, { columns: ['地区'], target: 'sheet', index: false });
+
+        expect(result.partitions.map(partition => [partition.sheet, partition.rows])).toEqual([['华东', 2], ['华北', 1], ['(空白)', 1]]);
+        const workbook = xlsx.readFile(outputPath);
+        expect(workbook.SheetNames).toEqual(['华东', '华北', '(空白)']);
+        expect(xlsx.utils.sheet_to_json(workbook.Sheets['华东']).map(row => row['金额'])).toEqual([1, 3]);
+        expect(await fs.promises.readdir(directory.path)).toEqual(['销售.xlsx']);
+    });
+
+    test('stops and removes written files when there are too many partitions', async () => {
+        await expect(new StreamProcessor().writePartitionedRows(rows, directory.file('多.csv'), { columns: ['金额'], maxPartitions: 2 }))
+            .rejects.toThrow('拆分出的分区超过上限 2 个，请检查拆分列或调高 maxPartitions');
+        expect(await fs.promises.readdir(directory.path)).toEqual([]);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * StreamProcessor 外部归并排序的测试：用很小的内存预算强制写出有序段
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const StreamProcessor = require('../../src/main/streamProcessor');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('StreamProcessor.createSortStream', () => {
+    const directory = useTempDirectory('sort');
+
+    const sortRows = async (processor, chunks, sortColumns, options = {}) => {
+        const input = Readable.from(chunks.map((chunk, index) => ({ type: 'data', chunk, startRow: index, headers: Object.keys(chunk[0]) })));
+        const output = [];
+        for await (const item of input.pipe(processor.createSortStream(sortColumns, options))) {
+            output.push(...item.chunk);
+        }
+        return output;
+    };
+
+    const chunks = [
+        [{ 名称: '桃', 数量: '30', 日期: new Date('2025-06-03T00:00:00Z') }, { 名称: '梨', 数量: '', 日期: new Date('2025-06-01T00:00:00Z') }],
+        [{ 名称: '苹果', 数量: '5', 日期: new Date('2025-06-02T00:00:00Z') }, { 名称: '杏', 数量: '1200', 日期: new Date('2025-06-05T00:00:00Z') }],
+        [{ 名称: '李', 数量: '5', 日期: new Date('2025-06-04T00:00:00Z') }, { 名称: '枣', 数量: '12', 日期: new Date('2025-06-06T00:00:00Z') }]
+    ];
+
+    test('merges spilled runs in order, keeps ties stable and removes the run files', async () => {
+        const processor = new StreamProcessor({ chunkSize: 2, fileSystemManager: directory.fileSystemManager });
+        const spills = [];
+        processor.on('sortSpill', info => spills.push(info));
+
+        const rows = await sortRows(processor, chunks, [{ column: '数量', direction: 'asc' }], { memoryBudget: 1 });
+
+        expect(spills).toHaveLength(3);
+        expect(rows.map(row => row['名称'])).toEqual(['苹果', '李', '枣', '桃', '杏', '梨']);
+        expect(rows[0]['日期']).toEqual(new Date('2025-06-02T00:00:00Z'));
+        expect(await fs.promises.readdir(directory.path)).toEqual([]);
+    });
+
+    test('sorts in memory without run files when the data fits the budget', async () => {
+        const processor = new StreamProcessor({ chunkSize: 4 });
+        const rows = await sortRows(processor, chunks, [{ column: '日期', direction: 'desc', type: 'date' }]);
+
+        expect(rows.map(row => row['名称'])).toEqual(['枣', '杏', '李', '桃', '苹果', '梨']);
+    });
+
+    test('sorts by several columns with explicit types', () => {
+        const compare = new StreamProcessor().createRowComparator([
+            { column: '部门', type: 'string' },
+            { column: '金额', direction: 'desc', type: 'number' }
+        ]);
+        const rows = [
+            { 部门: '销售2', 金额: '¥1,000' },
+            { 部门: '销售10', 金额: '' },
+            { 部门: '销售2', 金额: '¥20,000' },
+            { 部门: '销售10', 金额: '300' },
+            { 部门: '销售10', 金额: '1.2万' }
+        ];
+
+        expect(rows.sort(compare)).toEqual([
+            { 部门: '销售2', 金额: '¥20,000' },
+            { 部门: '销售2', 金额: '¥1,000' },
+            { 部门: '销售10', 金额: '1.2万' },
+            { 部门: '销售10', 金额: '300' },
+            { 部门: '销售10', 金额: '' }
+        ]);
+    });
+
+    test('needs a file system manager to spill', async () => {
+        await expect(new StreamProcessor().writeSortedRun([{ a: 1 }], () => 0))
+            .rejects.toThrow('数据超出排序内存预算，但未提供用于溢出的文件系统管理器');
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * XlsxStreamReader 的读取测试，工作簿由 SheetJS 写出
+ */
+
+const xlsx = require('xlsx');
+const XlsxStreamReader = require('../../src/main/xlsxStreamReader');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('XlsxStreamReader', () => {
+    const directory = useTempDirectory('xlsx-reader');
+
+    const writeWorkbook = (sheets, options = {}) => {
+        const workbook = xlsx.utils.book_new();
+        Object.entries(sheets).forEach(([name, rows]) => {
+            const worksheet = xlsx.utils.aoa_to_sheet(rows);
+            (options.dateCells || []).forEach(address => {
+                if (worksheet[address]) worksheet[address].z = 'yyyy-mm-dd hh:mm';
+            });
+            xlsx.utils.book_append_sheet(workbook, worksheet, name);
+        });
+        if (options.date1904) {
+            workbook.Workbook = { WBProps: { date1904: true } };
+        }
+        const filePath = directory.file('book.xlsx');
+        xlsx.writeFile(workbook, filePath, { bookType: 'xlsx', bookSST: true });
+        return filePath;
+    };
+
+    const readAll = async (filePath, options = {}) => {
+        const reader = new XlsxStreamReader(filePath);
+        await reader.open();
+        const chunks = [];
+        try {
+            for await (const item of reader.readRows(options)) {
+                chunks.push(item);
+            }
+        } finally {
+            await reader.close();
+        }
+        return chunks;
+    };
+
+    test('reads shared strings, numbers, booleans and blank cells by header', async () => {
+        const filePath = writeWorkbook({ 订单: [['名称', '数量', '已付'], ['苹果', 5, true], ['梨', null, false]] });
+
+        const [chunk] = await readAll(filePath);
+        expect(chunk.headers).toEqual(['名称', '数量', '已付']);
+        expect(chunk.chunk).toEqual([
+            { 名称: '苹果', 数量: 5, 已付: true },
+            { 名称: '梨', 数量: null, 已付: false }
+        ]);
+    });
+
+    test('reads the named sheet in chunks from startRow to endRow', async () => {
+        const rows = [['序号'], ...Array.from({ length: 10 }, (_, i) => [i + 1])];
+        const filePath = writeWorkbook({ 封面: [['说明']], 数据: rows });
+
+        const reader = new XlsxStreamReader(filePath);
+        await reader.open();
+        expect(reader.getSheetNames()).toEqual(['封面', '数据']);
+        await reader.close();
+
+        const chunks = await readAll(filePath, { sheetName: '数据', startRow: 3, endRow: 8, chunkSize: 4 });
+        expect(chunks.map(item => item.chunk.map(row => row['序号']))).toEqual([[3, 4, 5, 6], [7, 8]]);
+        await expect(readAll(filePath, { sheetName: '缺失' })).rejects.toThrow('工作表不存在: 缺失');
+    });
+
+    test('skips title rows and flattens a two-row header from the chosen header row', async () => {
+        const filePath = writeWorkbook({ 销售: [
+            ['2025年销售报表'],
+            ['地区', '销售额', null],
+            [null, '线上', '线下'],
+            ['华东', 1, 2],
+            ['华北', 3, 4]
+        ] });
+
+        const [chunk] = await readAll(filePath, { headerRow: 2, headerRows: 2 });
+        expect(chunk.headers).toEqual(['地区', '销售额_线上', '销售额_线下']);
+        expect(chunk.chunk).toEqual([
+            { 地区: '华东', 销售额_线上: 1, 销售额_线下: 2 },
+            { 地区: '华北', 销售额_线上: 3, 销售额_线下: 4 }
+        ]);
+    });
+
+    test('reads every row as data without a header', async () => {
+        const filePath = writeWorkbook({ Sheet1: [['苹果', 5], ['梨', 12]] });
+
+        const [chunk] = await readAll(filePath, { headerRows: 0 });
+        expect(chunk.headers).toEqual(['Column1', 'Column2']);
+        expect(chunk.chunk).toEqual([{ Column1: '苹果', Column2: 5 }, { Column1: '梨', Column2: 12 }]);
+    });
+
+    test.each([
+        ['1900', false, 45809.5],
+        ['1904', true, 44347.5]
+    ])('converts date-formatted serials of the %s date system in UTC', async (label, date1904, serial) => {
+        const filePath = writeWorkbook({ Sheet1: [['日期'], [serial]] }, { dateCells: ['A2'], date1904 });
+
+        const [chunk] = await readAll(filePath);
+        expect(chunk.chunk[0]['日期'].toISOString()).toBe('2025-06-01T12:00:00.000Z');
+    });
+});
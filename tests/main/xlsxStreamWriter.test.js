@@ -0,0 +1,102 @@
+/**
+ * XlsxStreamWriter 的写入测试：输出用 SheetJS 和 XlsxStreamReader 读回校验
+ */
+
+const fs = require('fs');
+const xlsx = require('xlsx');
+const XlsxStreamWriter = require('../../src/main/xlsxStreamWriter');
+const XlsxStreamReader = require('../../src/main/xlsxStreamReader');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('XlsxStreamWriter', () => {
+    const directory = useTempDirectory('xlsx-writer');
+
+    const readBack = async (filePath) => {
+        const reader = new XlsxStreamReader(filePath);
+        await reader.open();
+        const rows = [];
+        try {
+            for await (const item of reader.readRows()) {
+                rows.push(...item.chunk);
+            }
+        } finally {
+            await reader.close();
+        }
+        return rows;
+    };
+
+    test('writes dates as UTC serials that read back unchanged', async () => {
+        const filePath = directory.file('dates.xlsx');
+        const date = new Date('2025-06-01T12:00:00.000Z');
+        const writer = new XlsxStreamWriter(filePath);
+        await writer.writeRows(['名称', '日期'], [{ 名称: '苹果', 日期: date }]);
+        await writer.close();
+
+        const workbook = xlsx.readFile(filePath);
+        expect(workbook.Sheets.Sheet1.B2.v).toBe(45809.5);
+
+        const rows = await readBack(filePath);
+        expect(rows[0]['日期'].toISOString()).toBe(date.toISOString());
+    });
+
+    test('rolls over to a new sheet at maxRowsPerSheet', async () => {
+        const filePath = directory.file('rollover.xlsx');
+        const writer = new XlsxStreamWriter(filePath, { maxRowsPerSheet: 3 });
+        await writer.writeRows(['序号'], [1, 2, 3, 4, 5].map(value => ({ 序号: value })));
+        const result = await writer.close();
+
+        expect(result.totalRows).toBe(5);
+        const workbook = xlsx.readFile(filePath);
+        expect(workbook.SheetNames).toHaveLength(3);
+        expect(workbook.SheetNames.map(name => xlsx.utils.sheet_to_json(workbook.Sheets[name]).map(row => row['序号'])))
+            .toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('rolls over to numbered files with rollover file', async () => {
+        const filePath = directory.file('拆分.xlsx');
+        const writer = new XlsxStreamWriter(filePath, { rollover: 'file', maxRowsPerSheet: 3, sheetName: '数据' });
+        await writer.writeRows(['序号'], [1, 2, 3, 4, 5].map(value => ({ 序号: value })));
+        const result = await writer.close();
+
+        expect(result).toEqual({
+            files: [
+                { path: filePath, sheets: ['数据'] },
+                { path: directory.file('拆分_2.xlsx'), sheets: ['数据_2'] },
+                { path: directory.file('拆分_3.xlsx'), sheets: ['数据_3'] }
+            ],
+            totalRows: 5
+        });
+        expect(await readBack(directory.file('拆分_2.xlsx'))).toEqual([{ 序号: 3 }, { 序号: 4 }]);
+    });
+
+    test('sets given column widths and estimates the rest from the first rows', async () => {
+        const widthsOf = (filePath) => (xlsx.readFile(filePath, { cellStyles: true }).Sheets.Sheet1['!cols'] || []).map(col => col && col.width);
+
+        const fixed = directory.file('fixed.xlsx');
+        let writer = new XlsxStreamWriter(fixed, { columnWidths: { 名称: 30, 备注: 0 } });
+        await writer.writeRows(['名称', '备注'], [{ 名称: '苹果', 备注: '' }]);
+        await writer.close();
+        expect(widthsOf(fixed)).toEqual([30]);
+
+        const auto = directory.file('auto.xlsx');
+        writer = new XlsxStreamWriter(auto);
+        await writer.writeRows(['名称', '日期', 'x'], [{ 名称: '红富士苹果礼盒装', 日期: new Date(), x: 1 }]);
+        await writer.close();
+        expect(widthsOf(auto)).toEqual([18, 21, 8]);
+    });
+
+    test('stops with an error when a sheet or the file would exceed the ZIP32 limit', async () => {
+        let writer = new XlsxStreamWriter(directory.file('sheet.xlsx'));
+        await writer.writeRows(['序号'], [{ 序号: 1 }]);
+        writer.file.entry.size = 0xffffffff;
+        await expect(writer.writeRows(['序号'], [{ 序号: 2 }])).rejects.toThrow('工作表 Sheet1 超过4GB，请减少每个工作表的行数');
+        await writer.abort();
+
+        writer = new XlsxStreamWriter(directory.file('file.xlsx'));
+        await writer.writeRows(['序号'], [{ 序号: 1 }]);
+        writer.file.offset += 0xffffffff;
+        await expect(writer.close()).rejects.toThrow('输出文件超过4GB，请将超限时的处理方式设置为新建文件');
+        await writer.abort();
+        expect(await fs.promises.readdir(directory.path)).toEqual([]);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * ZipArchive 的目录读取和解压测试
+ */
+
+const fs = require('fs');
+const ZipArchive = require('../../src/main/zipArchive');
+const { buildZip } = require('../helpers/zipBuilder');
+const { useTempDirectory } = require('../helpers/tempDirectory');
+
+describe('ZipArchive', () => {
+    const directory = useTempDirectory('zip');
+
+    const entries = [
+        { name: 'data/', data: '', method: 0 },
+        { name: 'data/一月.csv', data: '名称,数量\n苹果,5\n', method: 8 },
+        { name: 'readme.txt', data: 'stored', method: 0 }
+    ];
+
+    const openZip = async (buffer) => {
+        const filePath = directory.file('test.zip');
+        await fs.promises.writeFile(filePath, buffer);
+        const archive = new ZipArchive(filePath);
+        await archive.open();
+        return archive;
+    };
+
+    const readEntry = async (archive, name) => {
+        const { stream } = await archive.openEntryStream(archive.entries.get(name));
+        const parts = [];
+        for await (const part of stream) {
+            parts.push(part);
+        }
+        return Buffer.concat(parts).toString('utf8');
+    };
+
+    test.each([
+        ['a regular', false],
+        ['a ZIP64', true]
+    ])('reads %s central directory and inflates entries', async (label, zip64) => {
+        const archive = await openZip(buildZip(entries, { zip64 }));
+        try {
+            expect(archive.getFiles().map(entry => [entry.name, entry.uncompressedSize]))
+                .toEqual([['data/一月.csv', Buffer.byteLength(entries[1].data)], ['readme.txt', 6]]);
+            expect(await readEntry(archive, 'data/一月.csv')).toBe(entries[1].data);
+            expect(await readEntry(archive, 'readme.txt')).toBe('stored');
+        } finally {
+            await archive.close();
+        }
+    });
+
+    test('decodes GBK file names without the UTF-8 flag', async () => {
+        const gbkName = Buffer.from('b1a8b1ed2fd2bbd4c22e637376', 'hex');
+        const archive = await openZip(buildZip([{ name: '', nameBytes: gbkName, data: 'a,b\n' }]));
+        try {
+            expect(archive.getFiles().map(entry => entry.name)).toEqual(['报表/一月.csv']);
+        } finally {
+            await archive.close();
+        }
+    });
+
+    test('extracts an entry into missing directories', async () => {
+        const archive = await openZip(buildZip(entries));
+        const targetPath = directory.file('out', 'nested', '一月.csv');
+        try {
+            await archive.extractEntry(archive.entries.get('data/一月.csv'), targetPath);
+        } finally {
+            await archive.close();
+        }
+        expect(await fs.promises.readFile(targetPath, 'utf8')).toBe(entries[1].data);
+    });
+
+    test('rejects files that are not ZIP archives', async () => {
+        const filePath = directory.file('plain.zip');
+        await fs.promises.writeFile(filePath, 'not a zip');
+        const archive = new ZipArchive(filePath);
+        await expect(archive.open()).rejects.toThrow('找不到ZIP目录，文件不是有效的ZIP格式');
+        await archive.close();
+    });
+});
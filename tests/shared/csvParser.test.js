@@ -0,0 +1,82 @@
+/**
+ * CsvParser 的解析和方言检测测试
+ */
+
+const CsvParser = require('../../src/shared/csvParser');
+
+describe('CsvParser.parse', () => {
+    test('handles quoted delimiters, escaped quotes and embedded line breaks', () => {
+        const text = '名称,备注\r\n"苹果, 红","他说""好"""\n"多行\r\n文本",x\r末行,y';
+        expect(CsvParser.parse(text)).toEqual([
+            ['名称', '备注'],
+            ['苹果, 红', '他说"好"'],
+            ['多行\r\n文本', 'x'],
+            ['末行', 'y']
+        ]);
+    });
+
+    test('skips empty lines unless asked to keep them', () => {
+        expect(CsvParser.parse('a,b\n\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+        expect(CsvParser.parse('a\n\nb', { skipEmptyLines: false })).toEqual([['a'], [''], ['b']]);
+    });
+
+    test('keeps a line holding only an empty quoted value', () => {
+        expect(CsvParser.parse('名称\n""\n\n苹果\n')).toEqual([['名称'], [''], ['苹果']]);
+
+        const parser = new CsvParser();
+        expect(parser.push('名称\n"')).toEqual([['名称']]);
+        expect(parser.push('"\n  \n')).toEqual([['']]);
+    });
+
+    test('uses the configured delimiter and quote', () => {
+        expect(CsvParser.parse('a;\'b;c\'\n', { delimiter: ';', quote: '\'' })).toEqual([['a', 'b;c']]);
+        expect(CsvParser.parse('"a"\t"b"', { delimiter: '\t', quote: '' })).toEqual([['"a"', '"b"']]);
+    });
+
+    test('throws on an unclosed quote', () => {
+        expect(() => CsvParser.parse('a,b\n"1,2\n')).toThrow('CSV第 2 条记录中的引号没有闭合');
+    });
+});
+
+describe('CsvParser incremental parsing', () => {
+    test('returns records split across pushes once they are complete', () => {
+        const parser = new CsvParser();
+        expect(parser.push('a,"b\n')).toEqual([]);
+        expect(parser.push('c"\r')).toEqual([['a', 'b\nc']]);
+        // 跨两次传入的CRLF只算一个换行
+        expect(parser.push('\n1,2')).toEqual([]);
+        expect(parser.end()).toEqual([['1', '2']]);
+    });
+});
+
+describe('CsvParser.sniff', () => {
+    test.each([
+        [',', '名称,数量,单价\n苹果,5,3.5\n梨,12,2\n'],
+        ['\t', '名称\t数量\t单价\n苹果\t5\t3.5\n梨\t12\t2\n'],
+        [';', '名称;数量;单价\n"苹果;红";5;3,5\n梨;12;2\n'],
+        ['|', '名称|数量|单价\n苹果|5|3.5\n梨|12|2\n']
+    ])('detects the %j delimiter', (delimiter, sample) => {
+        expect(CsvParser.sniff(sample)).toMatchObject({ delimiter, quote: '"', lineEnding: 'lf', hasHeader: true });
+    });
+
+    test('detects single quotes and CRLF line endings', () => {
+        const sample = 'name,note\r\n\'a,b\',1\r\n\'c,d\',2\r\n';
+        expect(CsvParser.sniff(sample)).toMatchObject({ delimiter: ',', quote: '\'', lineEnding: 'crlf' });
+    });
+
+    test('detects files without a header row', () => {
+        expect(CsvParser.sniff('苹果,5,3.5\n梨,12,2\n桃,30,6\n').hasHeader).toBe(false);
+    });
+
+    test('ignores a truncated last record in a partial sample', () => {
+        const sample = 'a;b;c\n1;2;3\n4;5;6\n"7,8';
+        expect(CsvParser.sniff(sample, { complete: false }).delimiter).toBe(';');
+    });
+});
+
+describe('CsvParser.normalizeHeaders', () => {
+    test('names blank columns and numbers duplicates', () => {
+        expect(CsvParser.normalizeHeaders(['名称', '', '名称', ' 数量 '], 5))
+            .toEqual(['名称', 'Column_2', '名称_1', '数量', 'Column_5']);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * EncodingDetector 的编码检测测试，样本为各编码下的CSV字节
+ */
+
+const EncodingDetector = require('../../src/shared/encodingDetector');
+
+const hex = (text) => new Uint8Array(Buffer.from(text, 'hex'));
+
+describe('EncodingDetector.detect', () => {
+    test.each([
+        ['utf-8', [0xef, 0xbb, 0xbf, 0x61]],
+        ['utf-16le', [0xff, 0xfe, 0x61, 0x00]],
+        ['utf-16be', [0xfe, 0xff, 0x00, 0x61]]
+    ])('reads a %s BOM', (encoding, bytes) => {
+        expect(EncodingDetector.detect(new Uint8Array(bytes))).toEqual({ encoding, confidence: 1, bom: true });
+    });
+
+    test('detects UTF-16 without a BOM from the zero bytes', () => {
+        const bytes = new Uint8Array(Buffer.from('名称,数量\nabc,1\n', 'utf16le'));
+        expect(EncodingDetector.detect(bytes)).toMatchObject({ encoding: 'utf-16le', bom: false });
+    });
+
+    test('detects UTF-8 and ASCII', () => {
+        expect(EncodingDetector.detect(new TextEncoder().encode('名称,数量\n苹果,5\n'))).toEqual({ encoding: 'utf-8', confidence: 1, bom: false });
+        expect(EncodingDetector.detect(new TextEncoder().encode('a,b\n1,2\n')).confidence).toBe(0.9);
+    });
+
+    test('does not count a multibyte character cut off at the end of a partial sample', () => {
+        const bytes = new TextEncoder().encode('名称,数量\n苹果').subarray(0, -1);
+        expect(EncodingDetector.detect(bytes, { complete: false }).encoding).toBe('utf-8');
+    });
+
+    test.each([
+        ['gb18030', 'c3fbb3c62ccafdc1bf0ac6bbb9fb2c350acfe3bdb62c31320a', '名称,数量\n苹果,5\n香蕉,12\n'],
+        ['big5', 'a657bad92cbcc6b6710ac4abaa472c350aadbbbfbc2c31320a', '名稱,數量\n蘋果,5\n香蕉,12\n'],
+        ['shift_jis', '96bc914f2c909497ca0a82e882f182b22c350a836f836983692c31320a', '名前,数量\nりんご,5\nバナナ,12\n'],
+        ['windows-1252', '636166e92c6e61ef76650a', 'café,naïve\n']
+    ])('detects %s', (encoding, bytes, text) => {
+        expect(EncodingDetector.detect(hex(bytes)).encoding).toBe(encoding);
+        expect(EncodingDetector.decode(hex(bytes))).toBe(text);
+    });
+});
+
+describe('EncodingDetector.createDecoder', () => {
+    test('decodes chunks that split a character and rejects unknown encodings', () => {
+        const decoder = EncodingDetector.createDecoder('gb18030');
+        const bytes = hex('c3fbb3c6');
+        expect(decoder.decode(bytes.subarray(0, 1), { stream: true }) + decoder.decode(bytes.subarray(1))).toBe('名称');
+        expect(() => EncodingDetector.createDecoder('klingon')).toThrow('不支持的文本编码: klingon');
+    });
+});
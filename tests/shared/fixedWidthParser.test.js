@@ -0,0 +1,46 @@
+/**
+ * FixedWidthParser 的列边界检测和切分测试
+ */
+
+const FixedWidthParser = require('../../src/shared/fixedWidthParser');
+
+describe('FixedWidthParser', () => {
+    const statement = [
+        '日期        摘要        金额',
+        '2025-06-01  工资        8000.00',
+        '2025-06-02  超市购物    -235.50',
+        '2025-06-03  ATM         -500.00'
+    ].join('\r\n');
+
+    test('counts full-width characters as two columns', () => {
+        expect(FixedWidthParser.charWidth('a')).toBe(1);
+        expect(FixedWidthParser.charWidth('工')).toBe(2);
+        expect(FixedWidthParser.charWidth('，')).toBe(2);
+        expect(FixedWidthParser.toCells('工a').map(cell => cell.column)).toEqual([0, 2]);
+    });
+
+    test('detects boundaries by display width', () => {
+        expect(FixedWidthParser.detectBoundaries(FixedWidthParser.splitLines(statement))).toEqual([12, 24]);
+    });
+
+    test('parses records with detected boundaries', () => {
+        expect(FixedWidthParser.parse(statement)).toEqual([
+            ['日期', '摘要', '金额'],
+            ['2025-06-01', '工资', '8000.00'],
+            ['2025-06-02', '超市购物', '-235.50'],
+            ['2025-06-03', 'ATM', '-500.00']
+        ]);
+    });
+
+    test('uses given boundaries and keeps a character that crosses one in the column where it starts', () => {
+        expect(FixedWidthParser.parse('ab工cd\n\n12345', { boundaries: '3, 6' })).toEqual([
+            ['ab工', 'cd', ''],
+            ['123', '45', '']
+        ]);
+    });
+
+    test('normalizes boundaries', () => {
+        expect(FixedWidthParser.normalizeBoundaries('10，5 5,0,-1,x')).toEqual([5, 10]);
+        expect(FixedWidthParser.normalizeBoundaries(null)).toEqual([]);
+    });
+});
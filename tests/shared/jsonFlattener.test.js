@@ -0,0 +1,45 @@
+/**
+ * JsonFlattener 的解析和展平测试
+ */
+
+const JsonFlattener = require('../../src/shared/jsonFlattener');
+
+describe('JsonFlattener.parse', () => {
+    test('flattens nested objects and keeps arrays as JSON text by default', () => {
+        const text = '[{"id":1,"user":{"name":"张三","address":{"city":"上海"}},"tags":["a","b"]},{"id":2,"extra":{}}]';
+        expect(JsonFlattener.parse(text)).toEqual({
+            format: 'json',
+            records: [
+                { id: 1, 'user.name': '张三', 'user.address.city': '上海', tags: '["a","b"]' },
+                { id: 2, extra: null }
+            ],
+            columns: ['id', 'user.name', 'user.address.city', 'tags', 'extra']
+        });
+    });
+
+    test('expands arrays by index with a custom separator', () => {
+        const record = { items: [{ sku: 'A', size: { w: 1 } }, { sku: 'B' }], empty: [] };
+        expect(JsonFlattener.flatten(record, { expandArrays: true, separator: '_' })).toEqual({
+            'items[0]_sku': 'A', 'items[0]_size_w': 1, 'items[1]_sku': 'B', empty: null
+        });
+    });
+
+    test('finds the only array of records under the root object or a given path', () => {
+        expect(JsonFlattener.parse('{"total":2,"data":[{"a":1},{"a":2}]}').records).toEqual([{ a: 1 }, { a: 2 }]);
+        expect(JsonFlattener.parse('{"data":{"items":[{"a":1}]}}', { recordPath: 'data.items' }).records).toEqual([{ a: 1 }]);
+        expect(() => JsonFlattener.parse('{"data":{}}', { recordPath: 'data.items' })).toThrow('JSON中没有找到路径: data.items');
+    });
+
+    test('reads JSON Lines, skipping blank lines and putting scalars in a value column', () => {
+        expect(JsonFlattener.parse('{"a":1}\r\n\n{"a":2,"b":null}\n3\n')).toEqual({
+            format: 'jsonl',
+            records: [{ a: 1 }, { a: 2, b: null }, { value: 3 }],
+            columns: ['a', 'b', 'value']
+        });
+    });
+
+    test('reports the line of a malformed JSON Lines record and malformed JSON arrays', () => {
+        expect(() => JsonFlattener.parse('{"a":1}\n{"a":\n')).toThrow(/^JSON Lines第 2 行格式错误/);
+        expect(() => JsonFlattener.parse('[{"a":1},')).toThrow(/^JSON格式错误/);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * ValueParser 的解析测试
+ */
+
+const ValueParser = require('../../src/shared/valueParser');
+
+describe('ValueParser.parseNumber', () => {
+    test.each([
+        ['1,234.50', 1234.5, 'thousands'],
+        ['¥1,234.50', 1234.5, 'currency'],
+        ['￥１２３', 123, 'currency'],
+        ['(1,234.00)', -1234, 'currency'],
+        ['12.5%', 0.125, 'percent'],
+        ['3‰', 0.003, 'permille'],
+        ['1.1万', 11000, 'unit'],
+        ['2亿元', 200000000, 'currency'],
+        ['1.5e3', 1500, 'scientific'],
+        ['-42', -42, 'number']
+    ])('parses %s', (text, value, format) => {
+        expect(ValueParser.parseNumber(text)).toEqual({ value, format });
+    });
+
+    test.each(['007', '110101199001011234', 'abc', '1,23', ''])('keeps %s as text', (text) => {
+        expect(ValueParser.parseNumber(text)).toBeNull();
+    });
+});
+
+describe('ValueParser.parseDate', () => {
+    test.each([
+        ['2025-06-01', '2025-06-01T00:00:00.000Z', 'iso'],
+        ['2025/6/1 14:30', '2025-06-01T14:30:00.000Z', 'ymd'],
+        ['2025年6月1日', '2025-06-01T00:00:00.000Z', 'chinese'],
+        ['2025年6月1日 14时30分5秒', '2025-06-01T14:30:05.000Z', 'chinese'],
+        ['06/01/2025', '2025-06-01T00:00:00.000Z', 'mdy'],
+        ['13/01/2025', '2025-01-13T00:00:00.000Z', 'dmy'],
+        ['2025-06-01T08:00:00+08:00', '2025-06-01T00:00:00.000Z', 'iso']
+    ])('parses %s as UTC', (text, iso, format) => {
+        const date = ValueParser.parseDate(text);
+        expect(date.value.toISOString()).toBe(iso);
+        expect(date.format).toBe(format);
+    });
+
+    test('reads ambiguous dates day first when asked', () => {
+        expect(ValueParser.parseDate('01/02/2025', { dayFirst: true }).value.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    });
+
+    test.each(['2025-02-30', '2025-13-01', '2025-06-01 25:00', '六月一日'])('rejects %s', (text) => {
+        expect(ValueParser.parseDate(text)).toBeNull();
+    });
+});
+
+describe('ValueParser.fromExcelSerial', () => {
+    test('converts serials in UTC with the time of day', () => {
+        expect(ValueParser.fromExcelSerial(45809.5).toISOString()).toBe('2025-06-01T12:00:00.000Z');
+        expect(ValueParser.fromExcelSerial(1).toISOString()).toBe('1900-01-01T00:00:00.000Z');
+        expect(ValueParser.fromExcelSerial(61).toISOString()).toBe('1900-03-01T00:00:00.000Z');
+    });
+
+    test('supports the 1904 date system', () => {
+        expect(ValueParser.fromExcelSerial(0, true).toISOString()).toBe('1904-01-01T00:00:00.000Z');
+        expect(ValueParser.fromExcelSerial(44347.5, true).toISOString()).toBe('2025-06-01T12:00:00.000Z');
+    });
+});
+
+describe('ValueParser.parse', () => {
+    test('keeps the original text when the value cannot reproduce it', () => {
+        expect(ValueParser.parse('¥1,234.50')).toEqual({
+            value: 1234.5, type: 'number', format: 'currency', text: '¥1,234.50', formatted: true
+        });
+        expect(ValueParser.parse('42')).toMatchObject({ value: 42, type: 'number', formatted: false });
+    });
+
+    test('reads serial numbers as dates only in date columns', () => {
+        expect(ValueParser.parse(45809).type).toBe('number');
+        expect(ValueParser.parse(45809, { serialDate: true })).toMatchObject({ type: 'date', format: 'excel-serial' });
+        expect(ValueParser.parse('45809', { serialDate: true }).value.toISOString()).toBe('2025-06-01T00:00:00.000Z');
+        expect(ValueParser.parse(30, { serialDate: true }).type).toBe('number');
+    });
+
+    test('classifies blanks, booleans and plain text', () => {
+        expect(ValueParser.parse('  ').type).toBe('null');
+        expect(ValueParser.parse('TRUE')).toMatchObject({ value: true, type: 'bool' });
+        expect(ValueParser.parse('苹果')).toMatchObject({ value: '苹果', type: 'string' });
+    });
+});
+
+describe('ValueParser conversions', () => {
+    test('toNumber, toDate and toBoolean', () => {
+        expect(ValueParser.toNumber('12.5%')).toBe(0.125);
+        expect(ValueParser.toNumber('苹果')).toBeNull();
+        expect(ValueParser.toDate(45809).toISOString()).toBe('2025-06-01T00:00:00.000Z');
+        expect(ValueParser.toDate('2025年6月1日').toISOString()).toBe('2025-06-01T00:00:00.000Z');
+        expect(ValueParser.toDate('不是日期')).toBeNull();
+        expect(ValueParser.toBoolean('是')).toBe(true);
+        expect(ValueParser.toBoolean('N')).toBe(false);
+        expect(ValueParser.toBoolean('也许')).toBeNull();
+    });
+
+    test('recognizes date column names', () => {
+        expect(ValueParser.isDateColumnName('下单日期')).toBe(true);
+        expect(ValueParser.isDateColumnName('created_date')).toBe(true);
+        expect(ValueParser.isDateColumnName('update')).toBe(false);
+    });
+});
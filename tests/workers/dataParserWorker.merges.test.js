@@ -0,0 +1,60 @@
+/**
+ * dataParserWorker 合并单元格展开的测试，在主线程中直接调用（没有 parentPort，不发送消息）
+ */
+
+const xlsx = require('xlsx');
+const DataParserWorker = require('../../src/workers/dataParserWorker');
+
+describe('DataParserWorker merged cells', () => {
+    const worker = new DataParserWorker();
+
+    // A2:A3、A4:A5 纵向合并（地区），B6:C6 横向合并，A7:C7 左上角为空
+    const createSheet = () => {
+        const worksheet = xlsx.utils.aoa_to_sheet([
+            ['地区', '门店', '销量'],
+            ['华东', '一店', 10],
+            [null, '二店', 20],
+            ['华北', '三店', 30],
+            [null, '四店', 40],
+            ['华南', '待开业', null],
+            [null, null, null]
+        ]);
+        worksheet['!merges'] = [
+            xlsx.utils.decode_range('A2:A3'),
+            xlsx.utils.decode_range('A4:A5'),
+            xlsx.utils.decode_range('B6:C6'),
+            xlsx.utils.decode_range('A7:C7')
+        ];
+        return worksheet;
+    };
+
+    test('fills merged values down and across when expandMerges is set', async () => {
+        const result = await worker.parseWorksheet(createSheet(), { expandMerges: true });
+
+        expect(result.data.map(row => row['地区'])).toEqual(['华东', '华东', '华北', '华北', '华南', null]);
+        expect(result.data[4]).toEqual({ 地区: '华南', 门店: '待开业', 销量: '待开业' });
+        expect(result.mergedRanges).toEqual([
+            { range: 'A2:A3', value: '华东', cells: 1 },
+            { range: 'A4:A5', value: '华北', cells: 1 },
+            { range: 'B6:C6', value: '待开业', cells: 1 }
+        ]);
+    });
+
+    test('leaves merged ranges blank by default', async () => {
+        const result = await worker.parseWorksheet(createSheet());
+
+        expect(result.data.map(row => row['地区'])).toEqual(['华东', null, '华北', null, '华南', null]);
+        expect(result.data[4]['销量']).toBeNull();
+        expect(result.mergedRanges).toEqual([]);
+    });
+
+    test('copies the whole source cell so numbers and dates keep their type', () => {
+        const worksheet = xlsx.utils.aoa_to_sheet([[45809], [null]]);
+        worksheet.A1.z = 'yyyy-mm-dd';
+        worksheet['!merges'] = [xlsx.utils.decode_range('A1:A2')];
+
+        worker.expandMergedCells(worksheet);
+        expect(worksheet.A2).toEqual(worksheet.A1);
+        expect(worksheet.A2).not.toBe(worksheet.A1);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * dataProcessorWorker 哈希连接的测试，在主线程中直接调用（没有 parentPort，不发送消息）
+ */
+
+const DataProcessorWorker = require('../../src/workers/dataProcessorWorker');
+
+describe('DataProcessorWorker hash join', () => {
+    const worker = new DataProcessorWorker();
+
+    const orders = [
+        { 编号: 1, 客户: 'A', 金额: 100 },
+        { 编号: 2, 客户: 'B', 金额: 200 },
+        { 编号: 3, 客户: 'A', 金额: 300 },
+        { 编号: 4, 客户: '', 金额: 400 }
+    ];
+    const customers = [
+        { 客户: 'A', 名称: '甲公司', 金额: 1 },
+        { 客户: 'C', 名称: '丙公司', 金额: 2 },
+        { 客户: '', 名称: '未知', 金额: 3 }
+    ];
+
+    describe('buildJoinKey', () => {
+        test('keeps the value type in single-column keys', () => {
+            expect(worker.buildJoinKey({ 编号: 1 }, ['编号'])).toBe('number:1');
+            expect(worker.buildJoinKey({ 编号: '1' }, ['编号'])).toBe('string:1');
+        });
+
+        test('does not let composite keys run into each other', () => {
+            const first = worker.buildJoinKey({ a: 'x,y', b: 'z' }, ['a', 'b']);
+            const second = worker.buildJoinKey({ a: 'x', b: 'y,z' }, ['a', 'b']);
+            expect(first).not.toBe(second);
+        });
+
+        test('compares dates by timestamp instead of their display text', () => {
+            const first = worker.buildJoinKey({ 日期: new Date('2025-06-01T08:00:00.100Z') }, ['日期']);
+            const second = worker.buildJoinKey({ 日期: new Date('2025-06-01T08:00:00.900Z') }, ['日期']);
+
+            expect(first).toBe('date:1748764800100');
+            expect(first).not.toBe(second);
+            expect(worker.buildJoinKey({ 日期: new Date(1748764800100) }, ['日期'])).toBe(first);
+            expect(worker.buildJoinKey({ a: new Date(0), b: 1 }, ['a', 'b']))
+                .not.toBe(worker.buildJoinKey({ a: new Date(0).toISOString(), b: 1 }, ['a', 'b']));
+        });
+
+        test('returns null when any key column is empty', () => {
+            expect(worker.buildJoinKey({ a: 1, b: null }, ['a', 'b'])).toBeNull();
+            expect(worker.buildJoinKey({ a: 1 }, ['a', 'b'])).toBeNull();
+            expect(worker.buildJoinKey({ a: '' }, ['a'])).toBeNull();
+            expect(worker.buildJoinKey({ a: new Date('无效') }, ['a'])).toBeNull();
+        });
+    });
+
+    describe('createJoinCombiner', () => {
+        test('merges shared keys into one column and suffixes other clashing right columns', () => {
+            const combine = worker.createJoinCombiner(orders, customers, [{ left: '客户', right: '客户' }]);
+
+            expect(combine(orders[0], customers[0])).toEqual({ 编号: 1, 客户: 'A', 金额: 100, 名称: '甲公司', 金额_右表: 1 });
+            expect(combine(orders[1], null)).toEqual({ 编号: 2, 客户: 'B', 金额: 200, 名称: null, 金额_右表: null });
+            expect(combine(null, customers[1])).toEqual({ 编号: null, 客户: 'C', 金额: null, 名称: '丙公司', 金额_右表: 2 });
+        });
+
+        test('keeps both key columns when their names differ', () => {
+            const combine = worker.createJoinCombiner([{ 客户编号: 'A' }], [{ 编号: 'A' }], [{ left: '客户编号', right: '编号' }], '_2');
+            expect(combine(null, { 编号: 'A' })).toEqual({ 客户编号: null, 编号: 'A' });
+        });
+    });
+
+    describe('hashJoin', () => {
+        test.each([
+            ['inner', [[1, '甲公司'], [3, '甲公司']], 2],
+            ['left', [[1, '甲公司'], [2, null], [3, '甲公司'], [4, null]], 4],
+            ['right', [[1, '甲公司'], [3, '甲公司'], [null, '丙公司'], [null, '未知']], 4],
+            ['full', [[1, '甲公司'], [2, null], [3, '甲公司'], [4, null], [null, '丙公司'], [null, '未知']], 6]
+        ])('%s join keeps left row order and never matches empty keys', async (joinType, expected, rowCount) => {
+            const { rows, stats } = await worker.hashJoin([orders, customers], ['客户'], joinType);
+
+            expect(rows.map(row => [row['编号'], row['名称']])).toEqual(expected);
+            expect(rows).toHaveLength(rowCount);
+            expect(stats).toEqual({
+                leftRows: 4,
+                rightRows: 3,
+                matchedPairs: 2,
+                leftUnmatched: 2,
+                rightUnmatched: 2,
+                buildSide: 'right'
+            });
+        });
+
+        test('builds the index on the smaller side and emits every matching pair', async () => {
+            const left = [{ 客户: 'A', 序号: 1 }];
+            const right = [{ 客户: 'A', 序号: 10 }, { 客户: 'A', 序号: 11 }, { 客户: 'B', 序号: 12 }];
+
+            const { rows, stats } = await worker.hashJoin([left, right], ['客户'], 'inner', { rightSuffix: '_r' });
+
+            expect(stats.buildSide).toBe('left');
+            expect(rows).toEqual([{ 客户: 'A', 序号: 1, 序号_r: 10 }, { 客户: 'A', 序号: 1, 序号_r: 11 }]);
+        });
+
+        test('joins on differently named composite keys', async () => {
+            const left = [{ 年: 2025, 月: 1, 销量: 5 }, { 年: 2025, 月: 2, 销量: 6 }];
+            const right = [{ year: 2025, month: 2, 目标: 8 }];
+
+            const { rows } = await worker.hashJoin([left, right], [{ left: '年', right: 'year' }, { left: '月', right: 'month' }], 'inner');
+            expect(rows).toEqual([{ 年: 2025, 月: 2, 销量: 6, year: 2025, month: 2, 目标: 8 }]);
+        });
+
+        test('needs two datasets and at least one key', async () => {
+            await expect(worker.hashJoin([orders], ['客户'], 'inner')).rejects.toThrow('连接至少需要两个数据集');
+            await expect(worker.hashJoin([orders, customers], [], 'inner')).rejects.toThrow('连接键不能为空');
+        });
+    });
+});